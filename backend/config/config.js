@@ -2,6 +2,17 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// JSON settings from the environment; a malformed value is reported and ignored
+const parseJsonEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (err) {
+    console.warn(`Ignoring ${name}: not valid JSON`);
+    return fallback;
+  }
+};
+
 const config = {
   // Server Configuration
   PORT: process.env.PORT || 5000,
@@ -15,6 +26,8 @@ const config = {
   JWT_EXPIRE: process.env.JWT_EXPIRE || '7d',
   JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET || 'your_super_secret_refresh_key_here_change_this_in_production',
   JWT_REFRESH_EXPIRE: process.env.JWT_REFRESH_EXPIRE || '30d',
+  // Stream tickets only open an event stream, so they can travel in URLs; keep them short-lived
+  STREAM_TICKET_EXPIRE: process.env.STREAM_TICKET_EXPIRE || '60s',
   
   // CORS Configuration
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -27,9 +40,30 @@ const config = {
   },
   
   // Payment Gateway Configuration
+  PAYMENTS: {
+    // Which provider customers pay through: 'stripe', 'razorpay', 'cash' or 'mock'
+    PROVIDER: (process.env.PAYMENT_PROVIDER || 'stripe').toLowerCase(),
+    // Providers a payer may choose explicitly (comma separated); the active one and cash when unset
+    ENABLED: (process.env.PAYMENT_PROVIDERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+    // Offline provider, for demos and local testing only. It is off unless PAYMENT_PROVIDER=mock or
+    // PAYMENT_PROVIDERS lists it; then it also stands in for a gateway whose keys aren't configured
+    MOCK: {
+      // Signs the mock webhooks; a random per-process secret is used when unset
+      WEBHOOK_SECRET: process.env.PAYMENT_MOCK_WEBHOOK_SECRET || '',
+      // 'succeeded', 'failed' or 'none' (wait for a confirm call)
+      OUTCOME: (process.env.PAYMENT_MOCK_OUTCOME || 'none').toLowerCase(),
+      DELAY_MS: parseInt(process.env.PAYMENT_MOCK_DELAY_MS, 10) || 2000,
+      WEBHOOK_URL: process.env.PAYMENT_MOCK_WEBHOOK_URL || ''
+    }
+  },
+  
   RAZORPAY: {
     KEY_ID: process.env.RAZORPAY_KEY_ID || '',
-    KEY_SECRET: process.env.RAZORPAY_KEY_SECRET || ''
+    KEY_SECRET: process.env.RAZORPAY_KEY_SECRET || '',
+    WEBHOOK_SECRET: process.env.RAZORPAY_WEBHOOK_SECRET || '',
+    CURRENCY: process.env.RAZORPAY_CURRENCY || 'INR',
+    // Point at a local stub (scripts/razorpayStub.js) instead of https://api.razorpay.com
+    API_URL: process.env.RAZORPAY_API_URL || ''
   },
   
   STRIPE: {
@@ -44,6 +78,27 @@ const config = {
     ALLOWED_FILE_TYPES: process.env.ALLOWED_FILE_TYPES?.split(',') || ['image/jpeg', 'image/png', 'image/webp']
   },
   
+  // Order pricing: tax classes per category, service charge and rounding (utils/orderTotals.js)
+  PRICING: {
+    // 'exclusive': tax is added on top of menu prices; 'inclusive': menu prices already include it
+    TAX_MODE: (process.env.TAX_MODE || 'exclusive').toLowerCase(),
+    // Tax class for categories that don't set one (exempt, gst_5, gst_12, gst_18 or one from TAX_CLASSES)
+    DEFAULT_TAX_CLASS: process.env.DEFAULT_TAX_CLASS || 'exempt',
+    // More classes: {"gst_28":{"label":"GST 28%","components":[{"name":"CGST","rate":14},{"name":"SGST","rate":14}]}}
+    TAX_CLASSES: parseJsonEnv('TAX_CLASSES', {}),
+    // Percentage of the food total before tax; 0 turns it off
+    SERVICE_CHARGE_RATE: parseFloat(process.env.SERVICE_CHARGE_RATE) || 0,
+    // Tax class charged on the service charge; empty leaves it untaxed
+    SERVICE_CHARGE_TAX_CLASS: process.env.SERVICE_CHARGE_TAX_CLASS || '',
+    // Round the grand total to a multiple of this, e.g. 1 for whole rupees; 0 keeps paise
+    ROUND_TO: parseFloat(process.env.TOTAL_ROUND_TO) || 0
+  },
+
+  // Idempotency-Key replays: how long a key's response is remembered
+  IDEMPOTENCY: {
+    WINDOW_MS: parseInt(process.env.IDEMPOTENCY_WINDOW_MS) || 86400000 // 24 hours
+  },
+
   // Rate Limiting
   RATE_LIMIT: {
     WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
@@ -59,6 +114,52 @@ const config = {
     PASS: process.env.EMAIL_PASS || ''
   },
   
+  // Restaurant details printed on QR cards and receipts, and its local time
+  RESTAURANT: {
+    NAME: process.env.RESTAURANT_NAME || 'Our Restaurant',
+    ADDRESS: process.env.RESTAURANT_ADDRESS || '',
+    PHONE: process.env.RESTAURANT_PHONE || '',
+    // Tax registration (e.g. GSTIN); receipts are titled tax invoices when it is set
+    TAX_ID: process.env.RESTAURANT_TAX_ID || '',
+    CURRENCY: (process.env.RESTAURANT_CURRENCY || 'INR').toUpperCase(),
+    // IANA time zone that opening hours and promotion windows are written in
+    TIMEZONE: process.env.RESTAURANT_TIMEZONE || 'Asia/Kolkata'
+  },
+  
+  // Kitchen Display Configuration
+  KITCHEN: {
+    TARGET_PREP_MINUTES: parseInt(process.env.KITCHEN_TARGET_PREP_MINUTES) || 15
+  },
+  
+  // Thermal receipt printers (ESC/POS), one per station; categories pick the station their items print at
+  PRINTING: {
+    // Station name -> printer address, e.g. {"grill":"192.168.1.50","bar":"192.168.1.51:9100","pass":"192.168.1.52"}
+    // No stations turns printing off
+    STATIONS: parseJsonEnv('PRINTER_STATIONS', {}),
+    // 'network' sends raw TCP (port 9100 unless the address has one); 'file' writes each job into FILE_DIR
+    TRANSPORT: (process.env.PRINTER_TRANSPORT || 'network').toLowerCase(),
+    FILE_DIR: process.env.PRINTER_FILE_DIR || 'prints',
+    // Station for items whose category has none, and the one bills print at
+    DEFAULT_STATION: process.env.PRINTER_DEFAULT_STATION || 'pass',
+    BILL_STATION: process.env.PRINTER_BILL_STATION || 'pass',
+    // Characters per line in the standard font: 48 on 80 mm paper, 32 on 58 mm
+    COLUMNS: parseInt(process.env.PRINTER_COLUMNS) || 48,
+    // Print kitchen tickets for every new order as it is placed
+    AUTO_PRINT: process.env.PRINT_NEW_ORDERS !== 'false',
+    TIMEOUT_MS: parseInt(process.env.PRINTER_TIMEOUT_MS) || 5000
+  },
+
+  // Menu popularity: portions sold over the last POPULARITY_DAYS, recounted every REFRESH_MINUTES
+  MENU: {
+    POPULARITY_DAYS: parseInt(process.env.MENU_POPULARITY_DAYS) || 30,
+    POPULARITY_REFRESH_MINUTES: parseInt(process.env.MENU_POPULARITY_REFRESH_MINUTES) || 60
+  },
+  
+  // End-of-day (Z) reports: a business day runs from this hour (0-23, restaurant time) to the same hour next day
+  REPORTS: {
+    BUSINESS_DAY_CUTOFF_HOUR: process.env.BUSINESS_DAY_CUTOFF_HOUR ? parseInt(process.env.BUSINESS_DAY_CUTOFF_HOUR, 10) : 4
+  },
+  
   // Session Configuration
   SESSION_SECRET: process.env.SESSION_SECRET || 'your_session_secret_here_change_this_in_production'
 };
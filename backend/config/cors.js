@@ -38,9 +38,11 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'Cache-Control',
-    'X-Access-Token'
+    'X-Access-Token',
+    'X-Customer-Token',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+  exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
 };
 
@@ -0,0 +1,156 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  resolveAnalyticsRange,
+  getSalesSummary,
+  getRevenueSeries,
+  getTopItems,
+  getTopCategories,
+  getPaymentStatusBreakdown
+} from '../utils/analyticsUtils.js';
+import { getMenuEngineeringReport } from '../utils/menuEngineering.js';
+
+// Every report takes the same range: from, to ("YYYY-MM-DD", inclusive) and timezone
+
+/**
+ * Read the report range from the query, answering 400 when it is unusable
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Range, or null when a response was sent
+ */
+const readRange = (req, res) => {
+  const range = resolveAnalyticsRange(req.query);
+  if (range.error) {
+    res.status(range.statusCode).json({ success: false, message: range.error });
+    return null;
+  }
+  return range;
+};
+
+// The range as reported back, without the computed bounds
+const describeRange = ({ from, to, timeZone }) => ({ from, to, timezone: timeZone });
+
+const readTopOptions = (query) => ({
+  sortBy: query.sortBy || 'quantity',
+  limit: parseInt(query.limit, 10) || 10
+});
+
+/**
+ * Order count, revenue, average order value and its split (Admin)
+ * GET /api/analytics/summary
+ */
+export const getSummary = asyncHandler(async (req, res) => {
+  const range = readRange(req, res);
+  if (!range) return;
+
+  const summary = await getSalesSummary(range);
+  res.status(200).json({ success: true, message: 'Sales summary retrieved', data: { range: describeRange(range), summary } });
+});
+
+/**
+ * Orders and revenue over time (Admin)
+ * GET /api/analytics/revenue
+ * Query: groupBy (day | hour | weekday)
+ */
+export const getRevenue = asyncHandler(async (req, res) => {
+  const range = readRange(req, res);
+  if (!range) return;
+
+  const groupBy = req.query.groupBy || 'day';
+  const series = await getRevenueSeries(range, groupBy);
+  res.status(200).json({ success: true, message: 'Revenue retrieved', data: { range: describeRange(range), groupBy, series } });
+});
+
+/**
+ * Best-selling menu items (Admin)
+ * GET /api/analytics/top-items
+ * Query: sortBy (quantity | revenue), limit
+ */
+export const getTopMenuItems = asyncHandler(async (req, res) => {
+  const range = readRange(req, res);
+  if (!range) return;
+
+  const items = await getTopItems(range, readTopOptions(req.query));
+  res.status(200).json({ success: true, message: 'Top items retrieved', data: { range: describeRange(range), items } });
+});
+
+/**
+ * Best-selling categories (Admin)
+ * GET /api/analytics/top-categories
+ * Query: sortBy (quantity | revenue), limit
+ */
+export const getTopMenuCategories = asyncHandler(async (req, res) => {
+  const range = readRange(req, res);
+  if (!range) return;
+
+  const categories = await getTopCategories(range, readTopOptions(req.query));
+  res.status(200).json({ success: true, message: 'Top categories retrieved', data: { range: describeRange(range), categories } });
+});
+
+/**
+ * Orders and amounts per payment status (Admin)
+ * GET /api/analytics/payment-status
+ */
+export const getPaymentStatuses = asyncHandler(async (req, res) => {
+  const range = readRange(req, res);
+  if (!range) return;
+
+  const statuses = await getPaymentStatusBreakdown(range);
+  res.status(200).json({ success: true, message: 'Payment statuses retrieved', data: { range: describeRange(range), statuses } });
+});
+
+/**
+ * Items sorted into stars, plowhorses, puzzles and dogs per category (Admin)
+ * GET /api/analytics/menu-engineering
+ * Query: categoryId
+ */
+export const getMenuEngineering = asyncHandler(async (req, res) => {
+  const range = readRange(req, res);
+  if (!range) return;
+
+  const report = await getMenuEngineeringReport(range, { categoryId: req.query.categoryId });
+  res.status(200).json({ success: true, message: 'Menu engineering report retrieved', data: { range: describeRange(range), ...report } });
+});
+
+/**
+ * Every report at once, for the analytics dashboard (Admin)
+ * GET /api/analytics/overview
+ * Query: sortBy, limit (for the top items and categories)
+ */
+export const getOverview = asyncHandler(async (req, res) => {
+  const range = readRange(req, res);
+  if (!range) return;
+
+  const topOptions = readTopOptions(req.query);
+  const [summary, byDay, byHour, byWeekday, topItems, topCategories, paymentStatuses] = await Promise.all([
+    getSalesSummary(range),
+    getRevenueSeries(range, 'day'),
+    getRevenueSeries(range, 'hour'),
+    getRevenueSeries(range, 'weekday'),
+    getTopItems(range, topOptions),
+    getTopCategories(range, topOptions),
+    getPaymentStatusBreakdown(range)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Analytics retrieved',
+    data: {
+      range: describeRange(range),
+      summary,
+      revenue: { byDay, byHour, byWeekday },
+      topItems,
+      topCategories,
+      paymentStatuses
+    }
+  });
+});
+
+export default {
+  getSummary,
+  getRevenue,
+  getTopMenuItems,
+  getTopMenuCategories,
+  getPaymentStatuses,
+  getMenuEngineering,
+  getOverview
+};
@@ -7,7 +7,9 @@ import {
   verifyPasswordResetToken,
   generateEmailVerificationToken,
   verifyEmailVerificationToken,
+  generateStreamTicket,
 } from '../utils/generateTokens.js';
+import config from '../config/config.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 /**
@@ -235,6 +237,27 @@ export const getMe = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Issue a stream ticket for opening an event stream (EventSource cannot send headers)
+ * POST /api/auth/stream-ticket
+ * Works for signed-in users, guests at a table, or both
+ */
+export const createStreamTicket = asyncHandler(async (req, res) => {
+  const ticket = generateStreamTicket({
+    userId: req.user?._id || null,
+    customerId: req.customer?._id || null,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Stream ticket issued',
+    data: {
+      ticket,
+      expiresIn: config.STREAM_TICKET_EXPIRE,
+    },
+  });
+});
+
 /**
  * Request password reset
  * POST /api/auth/forgot-password
@@ -481,6 +504,7 @@ export default {
   logout,
   refreshToken,
   getMe,
+  createStreamTicket,
   forgotPassword,
   resetPassword,
   changePassword,
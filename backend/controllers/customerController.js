@@ -1,17 +1,21 @@
 import Customer from '../models/Customer.js';
 import Table from '../models/Table.js';
+import TableSession from '../models/TableSession.js';
+import { getOpenTableSession } from '../utils/tableSessionUtils.js';
 import jwt from 'jsonwebtoken';
 import config from '../config/config.js';
 
 /**
  * Generate JWT token for customer
  */
-const generateCustomerToken = (customer) => {
+const generateCustomerToken = (customer, table) => {
   return jwt.sign(
     {
       id: customer._id,
       name: customer.name,
       table: customer.table,
+      tableNumber: table.number,
+      tableSession: customer.tableSession,
       type: 'customer'
     },
     config.JWT_SECRET,
@@ -20,7 +24,7 @@ const generateCustomerToken = (customer) => {
 };
 
 /**
- * Create or get existing customer session for a table
+ * Create a customer session for a guest joining a table's open session
  */
 export const createCustomerSession = async (req, res) => {
   try {
@@ -36,43 +40,32 @@ export const createCustomerSession = async (req, res) => {
       });
     }
 
-    // Check if table is active (has a session)
-    if (!table.activeSessionId) {
+    // The table session is opened by the QR scan
+    const tableSession = await getOpenTableSession(table._id);
+    if (!tableSession) {
       return res.status(400).json({
         success: false,
         message: 'Table is not activated. Please scan the QR code again.'
       });
     }
 
-    // Check if customer already exists for this table
-    let customer = await Customer.findOne({
+    // Every guest at the table gets their own customer record within the table session
+    const customer = new Customer({
+      name: name || 'Guest',
+      email,
+      phone,
       table: table._id,
-      isActive: true
+      tableSession: tableSession._id,
+      sessionToken: `cust-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      isActive: true,
+      lastActivity: new Date()
     });
+    await customer.save();
 
-    if (customer) {
-      // Update existing customer info if provided
-      if (name) customer.name = name;
-      if (email) customer.email = email;
-      if (phone) customer.phone = phone;
-      customer.lastActivity = new Date();
-      await customer.save();
-    } else {
-      // Create new customer
-      customer = new Customer({
-        name: name || 'Guest',
-        email,
-        phone,
-        table: table._id,
-        sessionToken: `cust-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        isActive: true,
-        lastActivity: new Date()
-      });
-      await customer.save();
-    }
+    await TableSession.updateOne({ _id: tableSession._id }, { $addToSet: { customers: customer._id } });
 
     // Generate JWT token
-    const token = generateCustomerToken(customer);
+    const token = generateCustomerToken(customer, table);
 
     res.status(201).json({
       success: true,
@@ -86,7 +79,8 @@ export const createCustomerSession = async (req, res) => {
           table: {
             id: table._id,
             number: table.number
-          }
+          },
+          tableSessionId: tableSession._id
         },
         token
       }
@@ -204,15 +198,17 @@ export const endCustomerSession = async (req, res) => {
  */
 export const authenticateCustomer = async (req, res, next) => {
   try {
+    // Same header the ordering endpoints read, with Bearer kept for older clients
     const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    const token = req.header('X-Customer-Token') || bearerToken;
+    if (!token) {
       return res.status(401).json({
         success: false,
         message: 'No token provided'
       });
     }
 
-    const token = authHeader.substring(7);
     const decoded = jwt.verify(token, config.JWT_SECRET);
 
     if (decoded.type !== 'customer') {
@@ -0,0 +1,158 @@
+import MenuItem from '../models/MenuItem.js';
+import StockMovement from '../models/StockMovement.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { isLowStock, adjustStock, stopTrackingStock } from '../utils/inventoryUtils.js';
+import { subscribeToInventoryEvents } from '../utils/inventoryEvents.js';
+import { openEventStream } from '../utils/sseUtils.js';
+
+/**
+ * Format a menu item's stock for the inventory screen
+ * @param {Object} item - MenuItem document (category populated)
+ * @returns {Object} Stock summary
+ */
+const toStockResponse = (item) => ({
+  id: item._id,
+  name: item.name,
+  category: item.categoryId ? { id: item.categoryId._id, name: item.categoryId.name } : null,
+  tracked: item.stock !== null,
+  stock: item.stock,
+  lowStockThreshold: item.lowStockThreshold,
+  lowStock: isLowStock(item),
+  availability: item.availability,
+  soldOut: item.soldOut
+});
+
+/**
+ * Stock levels of every menu item (Admin)
+ * GET /api/inventory
+ * Query: search, tracked, lowOnly
+ */
+export const listInventory = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.tracked !== undefined) query.stock = req.query.tracked === 'true' ? { $ne: null } : null;
+  if (req.query.search) {
+    query.name = { $regex: req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  const items = await MenuItem.find(query)
+    .select('name categoryId stock lowStockThreshold availability soldOut')
+    .populate('categoryId', 'name')
+    .sort({ name: 1 });
+
+  let inventory = items.map(toStockResponse);
+  const summary = {
+    tracked: inventory.filter(item => item.tracked).length,
+    lowStock: inventory.filter(item => item.lowStock).length,
+    soldOut: inventory.filter(item => item.soldOut).length
+  };
+  if (req.query.lowOnly === 'true') inventory = inventory.filter(item => item.lowStock);
+
+  res.status(200).json({ success: true, message: 'Inventory retrieved', data: { items: inventory, summary } });
+});
+
+/**
+ * Change how an item's stock is tracked (Admin)
+ * PUT /api/inventory/:menuItemId
+ * Body: lowStockThreshold (null for no alert), tracked (false stops tracking)
+ * Tracking starts with a correction that sets the counted stock.
+ */
+export const updateStockSettings = asyncHandler(async (req, res) => {
+  const { menuItemId } = req.params;
+  const { lowStockThreshold, tracked } = req.body;
+
+  let item = await MenuItem.findById(menuItemId);
+  if (!item) return res.status(404).json({ success: false, message: 'Menu item not found' });
+
+  if (tracked === true && item.stock === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Enter a correction with the counted stock to start tracking this item'
+    });
+  }
+
+  if (lowStockThreshold !== undefined) {
+    item.lowStockThreshold = lowStockThreshold;
+    await item.save();
+  }
+  if (tracked === false && item.stock !== null) {
+    item = await stopTrackingStock(menuItemId);
+  }
+
+  await item.populate('categoryId', 'name');
+  res.status(200).json({ success: true, message: 'Stock settings updated', data: { item: toStockResponse(item) } });
+});
+
+/**
+ * Record a receipt, wastage or count correction (Admin)
+ * POST /api/inventory/:menuItemId/adjustments
+ * Body: type, quantity (portions received or wasted, or the counted stock for a correction), note
+ */
+export const createStockAdjustment = asyncHandler(async (req, res) => {
+  const { type, quantity, note } = req.body;
+
+  const result = await adjustStock(req.params.menuItemId, {
+    type,
+    quantity: parseInt(quantity, 10),
+    note: note ? note.trim() : '',
+    actorId: req.user._id
+  });
+  if (result.error) return res.status(result.statusCode).json({ success: false, message: result.error });
+
+  await result.item.populate('categoryId', 'name');
+  res.status(201).json({
+    success: true,
+    message: 'Stock updated',
+    data: { item: toStockResponse(result.item), movement: result.movement }
+  });
+});
+
+/**
+ * Stock movement history (Admin)
+ * GET /api/inventory/movements
+ * Query: menuItemId, type, page, limit
+ */
+export const listStockMovements = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.menuItemId) query.menuItemId = req.query.menuItemId;
+  if (req.query.type) query.type = req.query.type;
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const [total, movements] = await Promise.all([
+    StockMovement.countDocuments(query),
+    StockMovement.find(query)
+      .populate('menuItemId', 'name')
+      .populate('orderId', 'orderNumber')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Stock movements retrieved',
+    data: { movements, pagination: { page, limit, total, pages: Math.ceil(total / limit) } }
+  });
+});
+
+/**
+ * Stream stock changes, low-stock alerts and sell-outs (Admin)
+ * GET /api/inventory/stream
+ */
+export const streamInventory = (req, res) => {
+  let unsubscribe = () => {};
+  const send = openEventStream(req, res, () => unsubscribe());
+
+  send('ready', { scope: 'inventory' });
+  unsubscribe = subscribeToInventoryEvents((event) => send(event.type, event));
+};
+
+export default {
+  listInventory,
+  updateStockSettings,
+  createStockAdjustment,
+  listStockMovements,
+  streamInventory
+};
@@ -0,0 +1,178 @@
+import Order from '../models/Order.js';
+import config from '../config/config.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ORDER_EVENTS, publishOrderEvent } from '../utils/orderEvents.js';
+import { getRequestActor, transitionOrderStatus } from '../utils/orderStateMachine.js';
+
+/**
+ * Kitchen Display System Controller
+ * Serves open orders as tickets and tracks preparation per order line
+ */
+
+// Orders the kitchen still has to work on
+const KITCHEN_ORDER_STATUSES = ['placed', 'preparing'];
+
+// A line moves forward one step at a time; stepping back one is allowed to undo a mis-bump
+const LINE_TRANSITIONS = {
+  queued: ['cooking'],
+  cooking: ['done', 'queued'],
+  done: ['cooking']
+};
+
+/**
+ * Shape an order as a kitchen ticket
+ * @param {Object} order - Order document (tableId populated)
+ * @param {number} targetMinutes - Target preparation time
+ * @param {number} now - Current timestamp
+ * @returns {Object} Ticket
+ */
+const toTicket = (order, targetMinutes, now) => {
+  const waitingMs = now - new Date(order.createdAt).getTime();
+  const lines = order.items.map((it, index) => ({
+    index,
+    menuItemId: it.menuItemId,
+    name: it.name,
+    qty: it.qty,
+    options: (it.options || []).map(option => ({ groupName: option.groupName, name: option.name })),
+    note: it.note,
+    prepStatus: it.prepStatus || 'queued',
+    prepStartedAt: it.prepStartedAt,
+    prepDoneAt: it.prepDoneAt
+  }));
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    table: order.tableId ? { id: order.tableId._id, number: order.tableId.number } : null,
+    status: order.status,
+    createdAt: order.createdAt,
+    waitingMinutes: Math.floor(waitingMs / 60000),
+    overdue: waitingMs >= targetMinutes * 60000,
+    progress: {
+      done: lines.filter(l => l.prepStatus === 'done').length,
+      total: lines.length
+    },
+    lines
+  };
+};
+
+/**
+ * Get open kitchen tickets, oldest first (Staff/Admin)
+ * GET /api/kitchen/tickets
+ */
+export const getKitchenTickets = asyncHandler(async (req, res) => {
+  const targetMinutes = parseInt(req.query.targetMinutes, 10) || config.KITCHEN.TARGET_PREP_MINUTES;
+
+  const orders = await Order.find({ status: { $in: KITCHEN_ORDER_STATUSES } })
+    .populate('tableId', 'number')
+    .sort({ createdAt: 1 });
+
+  const now = Date.now();
+  const tickets = orders.map(order => toTicket(order, targetMinutes, now));
+
+  res.status(200).json({
+    success: true,
+    message: 'Kitchen tickets retrieved successfully',
+    data: {
+      tickets,
+      targetMinutes,
+      overdueCount: tickets.filter(t => t.overdue).length,
+      generatedAt: new Date(now).toISOString()
+    }
+  });
+});
+
+/**
+ * Bump the preparation status of a single order line (Staff/Admin)
+ * PATCH /api/kitchen/orders/:id/lines/:lineIndex
+ * Body: { prepStatus: 'queued' | 'cooking' | 'done' }
+ */
+export const updateLinePrepStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const lineIndex = parseInt(req.params.lineIndex, 10);
+  const { prepStatus } = req.body;
+
+  const order = await Order.findById(id);
+  if (!order) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+
+  if (!KITCHEN_ORDER_STATUSES.includes(order.status)) {
+    return res.status(409).json({ success: false, message: `Order is ${order.status} and no longer in the kitchen` });
+  }
+
+  const line = order.items[lineIndex];
+  if (!line) {
+    return res.status(404).json({ success: false, message: 'Order line not found' });
+  }
+
+  const currentStatus = line.prepStatus || 'queued';
+  if (!LINE_TRANSITIONS[currentStatus].includes(prepStatus)) {
+    return res.status(409).json({
+      success: false,
+      message: `Cannot move item from '${currentStatus}' to '${prepStatus}'`,
+      allowedTransitions: LINE_TRANSITIONS[currentStatus]
+    });
+  }
+
+  const linePath = `items.${lineIndex}`;
+  const updateData = { [`${linePath}.prepStatus`]: prepStatus };
+  if (prepStatus === 'cooking') {
+    updateData[`${linePath}.prepStartedAt`] = line.prepStartedAt || new Date();
+    updateData[`${linePath}.prepDoneAt`] = null;
+  } else if (prepStatus === 'done') {
+    updateData[`${linePath}.prepDoneAt`] = new Date();
+  } else {
+    updateData[`${linePath}.prepStartedAt`] = null;
+    updateData[`${linePath}.prepDoneAt`] = null;
+  }
+
+  // Conditional on the line's current status so two cooks can't double-bump.
+  // Lines from before prep tracking have no stored prepStatus, which counts as queued.
+  const currentFilter = currentStatus === 'queued' ? { $in: ['queued', null] } : currentStatus;
+  let updatedOrder = await Order.findOneAndUpdate(
+    { _id: id, [`${linePath}.prepStatus`]: currentFilter },
+    { $set: updateData },
+    { new: true, runValidators: false }
+  );
+
+  if (!updatedOrder) {
+    return res.status(409).json({ success: false, message: 'Item was updated by someone else, please refresh' });
+  }
+
+  publishOrderEvent(ORDER_EVENTS.ITEMS_CHANGED, updatedOrder);
+
+  // Roll the order status up from its lines
+  const actor = getRequestActor(req);
+  if (updatedOrder.status === 'placed' && prepStatus !== 'queued') {
+    const result = await transitionOrderStatus(id, 'preparing', { ...actor, note: 'Kitchen started preparing' });
+    if (result.order) {
+      updatedOrder = result.order;
+      publishOrderEvent(ORDER_EVENTS.STATUS_CHANGED, updatedOrder);
+    }
+  }
+
+  const allDone = updatedOrder.items.every(it => it.prepStatus === 'done');
+  if (allDone && updatedOrder.status === 'preparing') {
+    const result = await transitionOrderStatus(id, 'ready', { ...actor, note: 'All items done' });
+    if (result.order) {
+      updatedOrder = result.order;
+      publishOrderEvent(ORDER_EVENTS.STATUS_CHANGED, updatedOrder);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Item marked as ${prepStatus}`,
+    data: {
+      orderId: updatedOrder._id,
+      status: updatedOrder.status,
+      line: { index: lineIndex, ...updatedOrder.items[lineIndex].toObject() }
+    }
+  });
+});
+
+export default {
+  getKitchenTickets,
+  updateLinePrepStatus
+};
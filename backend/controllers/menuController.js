@@ -1,22 +1,47 @@
+import mongoose from 'mongoose';
 import MenuItem from '../models/MenuItem.js';
 import MenuCategory from '../models/MenuCategory.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { paginateArray, sortArray, filterArray } from '../utils/helperUtils.js';
 import { getFileUrl, deleteFile } from '../config/upload.js';
+import config from '../config/config.js';
+import { getTaxClasses } from '../utils/orderTotals.js';
+import { isWithinSchedule } from '../utils/scheduleUtils.js';
+import { exportMenu, importMenu } from '../utils/menuImportExport.js';
+import { refreshMenuPopularity } from '../utils/menuEngineering.js';
+import { lowestOptionsDelta } from '../utils/orderPricing.js';
 
 /**
  * Menu Management Controller
  * Handles menu categories and items management
  */
 
+/**
+ * Moment the menu's schedules are applied at for a request
+ * Guests always get the menu as it is now; staff get everything, or preview a moment with ?visibleAt=
+ * @param {Object} req - Express request (req.user set by optionalAuth)
+ * @returns {Date|null} Moment to filter at, or null to list hidden entries too
+ */
+const getVisibilityTime = (req) => {
+  if (req.user && ['staff', 'admin'].includes(req.user.role)) {
+    return req.query.visibleAt ? new Date(req.query.visibleAt) : null;
+  }
+  return new Date();
+};
+
+// Item costs (and so margins) are only shown to admins
+const isAdminRequest = (req) => req.user?.role === 'admin';
+
 // ==================== MENU CATEGORIES ====================
 
 /**
  * Get all menu categories
  * GET /api/menu/categories
+ * Guests only get categories within their schedule
  */
 export const getCategories = asyncHandler(async (req, res) => {
   const { active, sortBy = 'displayOrder', sortOrder = 'asc' } = req.query;
+  const visibleAt = getVisibilityTime(req);
 
   // Build query
   const query = {};
@@ -26,6 +51,9 @@ export const getCategories = asyncHandler(async (req, res) => {
 
   // Get categories
   let categories = await MenuCategory.find(query).sort({ displayOrder: 1, name: 1 });
+  if (visibleAt) {
+    categories = categories.filter(category => isWithinSchedule(category.schedule, visibleAt));
+  }
 
   // Apply sorting if specified
   if (sortBy !== 'displayOrder') {
@@ -37,6 +65,10 @@ export const getCategories = asyncHandler(async (req, res) => {
     name: category.name,
     displayOrder: category.displayOrder,
     active: category.active,
+    taxClass: category.taxClass || null,
+    printStation: category.printStation || null,
+    schedule: category.schedule,
+    visibleNow: isWithinSchedule(category.schedule, visibleAt || new Date()),
     createdAt: category.createdAt,
     updatedAt: category.updatedAt
   }));
@@ -70,6 +102,10 @@ export const getCategoryById = asyncHandler(async (req, res) => {
     name: category.name,
     displayOrder: category.displayOrder,
     active: category.active,
+    taxClass: category.taxClass || null,
+    printStation: category.printStation || null,
+    schedule: category.schedule,
+    visibleNow: isWithinSchedule(category.schedule),
     createdAt: category.createdAt,
     updatedAt: category.updatedAt
   };
@@ -88,7 +124,7 @@ export const getCategoryById = asyncHandler(async (req, res) => {
  * POST /api/menu/categories
  */
 export const createCategory = asyncHandler(async (req, res) => {
-  const { name, displayOrder } = req.body;
+  const { name, displayOrder, taxClass, printStation, schedule = [] } = req.body;
 
   // Check if category already exists
   const existingCategory = await MenuCategory.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
@@ -102,7 +138,10 @@ export const createCategory = asyncHandler(async (req, res) => {
   // Create new category
   const category = new MenuCategory({
     name: name.trim(),
-    displayOrder: displayOrder || 0
+    displayOrder: displayOrder || 0,
+    taxClass: taxClass || null,
+    printStation: printStation || null,
+    schedule
   });
 
   await category.save();
@@ -112,6 +151,10 @@ export const createCategory = asyncHandler(async (req, res) => {
     name: category.name,
     displayOrder: category.displayOrder,
     active: category.active,
+    taxClass: category.taxClass || null,
+    printStation: category.printStation || null,
+    schedule: category.schedule,
+    visibleNow: isWithinSchedule(category.schedule),
     createdAt: category.createdAt,
     updatedAt: category.updatedAt
   };
@@ -131,7 +174,7 @@ export const createCategory = asyncHandler(async (req, res) => {
  */
 export const updateCategory = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, displayOrder, active } = req.body;
+  const { name, displayOrder, active, taxClass, printStation, schedule } = req.body;
 
   const category = await MenuCategory.findById(id);
   if (!category) {
@@ -160,6 +203,9 @@ export const updateCategory = asyncHandler(async (req, res) => {
   if (name) category.name = name.trim();
   if (displayOrder !== undefined) category.displayOrder = displayOrder;
   if (active !== undefined) category.active = active;
+  if (taxClass !== undefined) category.taxClass = taxClass || null;
+  if (printStation !== undefined) category.printStation = printStation || null;
+  if (schedule !== undefined) category.schedule = schedule;
 
   await category.save();
 
@@ -168,6 +214,10 @@ export const updateCategory = asyncHandler(async (req, res) => {
     name: category.name,
     displayOrder: category.displayOrder,
     active: category.active,
+    taxClass: category.taxClass || null,
+    printStation: category.printStation || null,
+    schedule: category.schedule,
+    visibleNow: isWithinSchedule(category.schedule),
     createdAt: category.createdAt,
     updatedAt: category.updatedAt
   };
@@ -213,11 +263,74 @@ export const deleteCategory = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Tax classes categories can use, with the pricing settings they're applied under (Admin only)
+ * GET /api/menu/tax-classes
+ */
+export const getTaxClassList = asyncHandler(async (req, res) => {
+  const classes = Object.entries(getTaxClasses()).map(([name, taxClass]) => ({
+    name,
+    label: taxClass.label || name,
+    rate: taxClass.components.reduce((sum, component) => sum + component.rate, 0),
+    components: taxClass.components
+  }));
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax classes retrieved successfully',
+    data: {
+      classes,
+      defaultClass: config.PRICING.DEFAULT_TAX_CLASS,
+      taxMode: config.PRICING.TAX_MODE,
+      serviceChargeRate: config.PRICING.SERVICE_CHARGE_RATE,
+      roundTo: config.PRICING.ROUND_TO
+    }
+  });
+});
+
 // ==================== MENU ITEMS ====================
 
+/**
+ * Normalize option groups from a request body
+ * Existing group/option ids are kept so carts built against the old menu still resolve.
+ * @param {Array} groups - Option groups from the request
+ * @returns {Array} Option groups ready to store on the menu item
+ */
+const normalizeOptionGroups = (groups = []) => groups.map(group => ({
+  ...(mongoose.isValidObjectId(group.id || group._id) && { _id: group.id || group._id }),
+  name: group.name.trim(),
+  minSelect: parseInt(group.minSelect ?? 0, 10),
+  maxSelect: parseInt(group.maxSelect ?? 1, 10),
+  options: group.options.map(option => ({
+    ...(mongoose.isValidObjectId(option.id || option._id) && { _id: option.id || option._id }),
+    name: option.name.trim(),
+    priceDelta: parseFloat(option.priceDelta) || 0,
+    available: option.available !== false
+  }))
+}));
+
+/**
+ * Format option groups for API responses
+ * @param {Array} groups - Stored option groups
+ * @returns {Array} Option groups with plain ids
+ */
+const formatOptionGroups = (groups = []) => groups.map(group => ({
+  id: group._id,
+  name: group.name,
+  minSelect: group.minSelect,
+  maxSelect: group.maxSelect,
+  options: group.options.map(option => ({
+    id: option._id,
+    name: option.name,
+    priceDelta: option.priceDelta,
+    available: option.available
+  }))
+}));
+
 /**
  * Get all menu items
  * GET /api/menu/items
+ * Guests only get items within their own and their category's schedule
  */
 export const getMenuItems = asyncHandler(async (req, res) => {
   const { 
@@ -263,18 +376,34 @@ export const getMenuItems = asyncHandler(async (req, res) => {
     if (maxPrice) query.price.$lte = parseFloat(maxPrice);
   }
 
-  // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-
-  // Get menu items with category information
-  const menuItems = await MenuItem.find(query)
-    .populate('categoryId', 'name displayOrder active')
-    .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
-    .skip(skip)
-    .limit(parseInt(limit));
-
-  // Get total count
-  const total = await MenuItem.countDocuments(query);
+  const visibleAt = getVisibilityTime(req);
+  const isVisible = (item) => isWithinSchedule(item.schedule, visibleAt || new Date())
+    && isWithinSchedule(item.categoryId.schedule, visibleAt || new Date());
+
+  let menuItems;
+  let total;
+  if (visibleAt) {
+    // Schedules are in local time, so they're checked here and the visible items paged in memory
+    const allItems = await MenuItem.find(query)
+      .populate('categoryId', 'name displayOrder active schedule')
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 });
+    const { data, pagination } = paginateArray(allItems.filter(isVisible), parseInt(page), parseInt(limit));
+    menuItems = data;
+    total = pagination.totalItems;
+  } else {
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Get menu items with category information
+    menuItems = await MenuItem.find(query)
+      .populate('categoryId', 'name displayOrder active schedule')
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count
+    total = await MenuItem.countDocuments(query);
+  }
 
   // Format response
   const menuItemsResponse = menuItems.map(item => ({
@@ -291,7 +420,11 @@ export const getMenuItems = asyncHandler(async (req, res) => {
     availability: item.availability,
     tags: item.tags,
     popularity: item.popularity,
+    ...(isAdminRequest(req) && { cost: item.cost }),
     imageUrl: item.imageUrl,
+    optionGroups: formatOptionGroups(item.optionGroups),
+    schedule: item.schedule,
+    visibleNow: isVisible(item),
     createdAt: item.createdAt,
     updatedAt: item.updatedAt
   }));
@@ -318,7 +451,7 @@ export const getMenuItems = asyncHandler(async (req, res) => {
 export const getMenuItemById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const menuItem = await MenuItem.findById(id).populate('categoryId', 'name displayOrder active');
+  const menuItem = await MenuItem.findById(id).populate('categoryId', 'name displayOrder active schedule');
   if (!menuItem) {
     return res.status(404).json({
       success: false,
@@ -340,7 +473,11 @@ export const getMenuItemById = asyncHandler(async (req, res) => {
     availability: menuItem.availability,
     tags: menuItem.tags,
     popularity: menuItem.popularity,
+    ...(isAdminRequest(req) && { cost: menuItem.cost }),
     imageUrl: menuItem.imageUrl,
+    optionGroups: formatOptionGroups(menuItem.optionGroups),
+    schedule: menuItem.schedule,
+    visibleNow: isWithinSchedule(menuItem.schedule) && isWithinSchedule(menuItem.categoryId.schedule),
     createdAt: menuItem.createdAt,
     updatedAt: menuItem.updatedAt
   };
@@ -359,7 +496,7 @@ export const getMenuItemById = asyncHandler(async (req, res) => {
  * POST /api/menu/items
  */
 export const createMenuItem = asyncHandler(async (req, res) => {
-  const { name, description, price, categoryId, availability = true, tags = [] } = req.body;
+  const { name, description, price, cost = null, categoryId, availability = true, tags = [], optionGroups = [], schedule = [] } = req.body;
 
   // Verify category exists
   const category = await MenuCategory.findById(categoryId);
@@ -387,15 +524,18 @@ export const createMenuItem = asyncHandler(async (req, res) => {
     name: name.trim(),
     description: description.trim(),
     price: parseFloat(price),
+    cost: cost === null ? null : parseFloat(cost),
     categoryId,
     availability,
-    tags: Array.isArray(tags) ? tags.map(tag => tag.trim()) : []
+    tags: Array.isArray(tags) ? tags.map(tag => tag.trim()) : [],
+    optionGroups: normalizeOptionGroups(optionGroups),
+    schedule
   });
 
   await menuItem.save();
 
   // Populate category information
-  await menuItem.populate('categoryId', 'name displayOrder active');
+  await menuItem.populate('categoryId', 'name displayOrder active schedule');
 
   const menuItemResponse = {
     id: menuItem._id,
@@ -411,7 +551,11 @@ export const createMenuItem = asyncHandler(async (req, res) => {
     availability: menuItem.availability,
     tags: menuItem.tags,
     popularity: menuItem.popularity,
+    ...(isAdminRequest(req) && { cost: menuItem.cost }),
     imageUrl: menuItem.imageUrl,
+    optionGroups: formatOptionGroups(menuItem.optionGroups),
+    schedule: menuItem.schedule,
+    visibleNow: isWithinSchedule(menuItem.schedule) && isWithinSchedule(menuItem.categoryId.schedule),
     createdAt: menuItem.createdAt,
     updatedAt: menuItem.updatedAt
   };
@@ -431,7 +575,7 @@ export const createMenuItem = asyncHandler(async (req, res) => {
  */
 export const updateMenuItem = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, description, price, categoryId, availability, tags } = req.body;
+  const { name, description, price, cost, categoryId, availability, tags, optionGroups, schedule } = req.body;
 
   const menuItem = await MenuItem.findById(id);
   if (!menuItem) {
@@ -472,14 +616,29 @@ export const updateMenuItem = asyncHandler(async (req, res) => {
   if (name) menuItem.name = name.trim();
   if (description) menuItem.description = description.trim();
   if (price !== undefined) menuItem.price = parseFloat(price);
+  if (cost !== undefined) menuItem.cost = cost === null ? null : parseFloat(cost);
   if (categoryId) menuItem.categoryId = categoryId;
-  if (availability !== undefined) menuItem.availability = availability;
+  // Switching it by hand overrides running out, so restocking won't switch it back on
+  if (availability !== undefined && availability !== menuItem.availability) {
+    menuItem.availability = availability;
+    menuItem.soldOut = false;
+  }
   if (tags !== undefined) menuItem.tags = Array.isArray(tags) ? tags.map(tag => tag.trim()) : [];
+  if (optionGroups !== undefined) menuItem.optionGroups = normalizeOptionGroups(optionGroups);
+  if (schedule !== undefined) menuItem.schedule = schedule;
+
+  // A new price or new options alone can still let a choice of options go below 0
+  if (menuItem.price + lowestOptionsDelta(menuItem.optionGroups) < 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Options can take the price of this item below 0'
+    });
+  }
 
   await menuItem.save();
 
   // Populate category information
-  await menuItem.populate('categoryId', 'name displayOrder active');
+  await menuItem.populate('categoryId', 'name displayOrder active schedule');
 
   const menuItemResponse = {
     id: menuItem._id,
@@ -495,6 +654,10 @@ export const updateMenuItem = asyncHandler(async (req, res) => {
     availability: menuItem.availability,
     tags: menuItem.tags,
     popularity: menuItem.popularity,
+    cost: menuItem.cost,
+    optionGroups: formatOptionGroups(menuItem.optionGroups),
+    schedule: menuItem.schedule,
+    visibleNow: isWithinSchedule(menuItem.schedule) && isWithinSchedule(menuItem.categoryId.schedule),
     createdAt: menuItem.createdAt,
     updatedAt: menuItem.updatedAt
   };
@@ -548,6 +711,7 @@ export const updateMenuItemAvailability = asyncHandler(async (req, res) => {
   }
 
   menuItem.availability = availability;
+  menuItem.soldOut = false;
   await menuItem.save();
 
   res.status(200).json({
@@ -564,34 +728,17 @@ export const updateMenuItemAvailability = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update menu item popularity (Admin only)
- * PATCH /api/menu/items/:id/popularity
+ * Recount item popularity from recent orders (Admin only)
+ * POST /api/menu/popularity/refresh
+ * Popularity is the portions sold over the last MENU_POPULARITY_DAYS; it is also recounted on a timer.
  */
-export const updateMenuItemPopularity = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { popularity } = req.body;
-
-  const menuItem = await MenuItem.findById(id);
-  if (!menuItem) {
-    return res.status(404).json({
-      success: false,
-      message: 'Menu item not found'
-    });
-  }
-
-  menuItem.popularity = parseInt(popularity) || 0;
-  await menuItem.save();
+export const refreshPopularity = asyncHandler(async (req, res) => {
+  const { updated } = await refreshMenuPopularity();
 
   res.status(200).json({
     success: true,
-    message: 'Menu item popularity updated successfully',
-    data: {
-      menuItem: {
-        id: menuItem._id,
-        name: menuItem.name,
-        popularity: menuItem.popularity
-      }
-    }
+    message: 'Menu popularity recounted',
+    data: { updated }
   });
 });
 
@@ -675,6 +822,54 @@ export const getMenuStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Download the whole menu as CSV or JSON (Admin only)
+ * GET /api/menu/export
+ * Query: format (csv | json, default csv)
+ */
+export const exportMenuFile = asyncHandler(async (req, res) => {
+  const { filename, contentType, body } = await exportMenu(req.query.format || 'csv');
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.status(200).send(body);
+});
+
+/**
+ * Import categories and items from CSV or JSON (Admin only)
+ * POST /api/menu/import
+ * Body: format (csv | json), content (file text, or the JSON itself), dryRun
+ * Every row is checked first; nothing is written unless all of them pass.
+ */
+export const importMenuFile = asyncHandler(async (req, res) => {
+  const { format, content } = req.body;
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+  const result = await importMenu(format, content, { dryRun });
+  if (result.error) {
+    return res.status(result.statusCode).json({ success: false, message: result.error, ...(result.data && { data: result.data }) });
+  }
+
+  const { errors } = result.summary;
+  if (!result.applied && errors > 0 && !dryRun) {
+    return res.status(422).json({
+      success: false,
+      message: `${errors} ${errors === 1 ? 'row has' : 'rows have'} errors, so nothing was imported`,
+      data: result
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.applied
+      ? 'Menu imported successfully'
+      : `Dry run: nothing was changed${errors > 0 ? `, ${errors} ${errors === 1 ? 'row has' : 'rows have'} errors` : ''}`,
+    data: result
+  });
+});
+
 /**
  * Upload menu item image (Admin only)
  * POST /api/menu/items/:id/image
@@ -878,6 +1073,7 @@ export default {
   createCategory,
   updateCategory,
   deleteCategory,
+  getTaxClassList,
   
   // Menu Items
   getMenuItems,
@@ -886,8 +1082,10 @@ export default {
   updateMenuItem,
   deleteMenuItem,
   updateMenuItemAvailability,
-  updateMenuItemPopularity,
+  refreshPopularity,
   getMenuStats,
+  exportMenuFile,
+  importMenuFile,
   
   // Image Upload
   uploadMenuItemImage,
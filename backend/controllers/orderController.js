@@ -1,39 +1,37 @@
 import Order from '../models/Order.js';
-import MenuItem from '../models/MenuItem.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { calculateOrderTotal, generateOrderNumber } from '../utils/helperUtils.js';
 import { isValidOrderStatus } from '../utils/validationUtils.js';
+import {
+  getAllowedTransitions,
+  getRequestActor,
+  transitionOrderStatus
+} from '../utils/orderStateMachine.js';
+import { ORDER_EVENTS, publishOrderEvent, subscribeToOrderEvents } from '../utils/orderEvents.js';
+import { openEventStream } from '../utils/sseUtils.js';
+import { placeOrder, quoteOrder } from '../utils/orderPlacement.js';
+import { checkOrderAccess } from '../utils/orderAccess.js';
+import { issueRefund } from '../utils/refundUtils.js';
+import { assignOrderReceiptNumber } from '../utils/billSplitUtils.js';
+import { buildReceipt, ensureInvoiceNumber, renderReceiptHtml, generateReceiptPDF } from '../utils/receiptUtils.js';
+import { sendEmail } from '../utils/emailUtils.js';
 
 /**
  * Create a new order (guest or authenticated)
  * POST /api/orders
  */
 export const createOrder = asyncHandler(async (req, res) => {
-  const { tableId, items = [], meta = {} } = req.body;
+  const { tableId, items = [], meta = {}, promoCode = '' } = req.body;
 
   if (!Array.isArray(items) || items.length === 0) {
     return res.status(400).json({ success: false, message: 'Order must contain at least one item' });
   }
 
-  const normalizedItems = items.map((it) => ({
-    menuItemId: it.menuItemId,
-    name: (it.name || '').toString().trim(),
-    price: parseFloat(it.price),
-    qty: parseInt(it.quantity || it.qty, 10) || 1,
-    note: it.note || ''
-  }));
-
-  // Validate the normalized items
+  // Validate quantities before touching the menu
   const errors = [];
-  normalizedItems.forEach((it, i) => {
-    if (!it.name) {
-      errors.push(`Item at index ${i} is missing a name`);
-    }
-    if (Number.isNaN(it.price) || it.price <= 0) {
-      errors.push(`Item '${it.name || `at index ${i}`}' has an invalid price`);
-    }
-    if (Number.isNaN(it.qty) || it.qty < 1) {
-      errors.push(`Item '${it.name || `at index ${i}`}' has an invalid quantity`);
+  items.forEach((it, i) => {
+    const qty = parseInt(it.quantity || it.qty, 10) || 1;
+    if (qty < 1) {
+      errors.push(`Item at index ${i} has an invalid quantity`);
     }
   });
 
@@ -45,37 +43,63 @@ export const createOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  const totals = calculateOrderTotal(normalizedItems);
-  const normalizedTableId = typeof tableId === 'string' ? tableId.trim() : tableId || null;
-  const customerId = req.user ? req.user._id : null;
-
-  const order = new Order({
-    tableId: normalizedTableId,
-    customerId,
-    orderNumber: generateOrderNumber(),
-    items: normalizedItems,
-    totals,
-    status: 'placed',
-    meta: meta || {}
-  });
+  let normalizedTableId = typeof tableId === 'string' ? tableId.trim() : tableId || null;
+  const guest = req.customer || null;
+
+  // A guest session is tied to the table it was opened at
+  if (guest) {
+    if (normalizedTableId && normalizedTableId.toString() !== guest.table.toString()) {
+      return res.status(400).json({ success: false, message: 'Your session belongs to a different table' });
+    }
+    normalizedTableId = guest.table;
+  }
 
+  let result;
   try {
-    await order.save();
-    res.status(201).json({
-      success: true,
-      message: 'Order placed successfully',
-      data: {
-        id: order._id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        totals: order.totals,
-        createdAt: order.createdAt
-      }
+    result = await placeOrder(items, {
+      tableId: normalizedTableId,
+      customerId: req.user ? req.user._id : null,
+      guest,
+      actor: getRequestActor(req),
+      meta,
+      promoCode
     });
   } catch (err) {
     console.error('Error saving order:', err);
     return res.status(500).json({ success: false, message: 'Failed to place order' });
   }
+
+  if (result.error) {
+    return res.status(result.statusCode).json({ success: false, message: result.error, data: result.data });
+  }
+
+  const { order, priceChanges } = result;
+  res.status(201).json({
+    success: true,
+    message: 'Order placed successfully',
+    data: {
+      id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      totals: order.totals,
+      breakdown: order.breakdown,
+      tableSessionId: order.tableSessionId,
+      createdAt: order.createdAt,
+      priceChanges
+    }
+  });
+});
+
+/**
+ * Price cart lines without placing an order: the bill the cart shows before checkout
+ * POST /api/orders/quote
+ * Body: { items, promoCode? }
+ */
+export const getOrderQuote = asyncHandler(async (req, res) => {
+  const { items = [], promoCode = '' } = req.body;
+  const quote = await quoteOrder(items, { promoCode });
+
+  res.status(200).json({ success: true, message: 'Order priced', data: quote });
 });
 
 /**
@@ -90,30 +114,45 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
     return res.status(400).json({ success: false, message: 'Invalid status' });
   }
 
-  const updatedOrder = await Order.findByIdAndUpdate(
-    id,
-    { $set: { status } },
-    { new: true, runValidators: false }
-  );
+  const result = await transitionOrderStatus(id, status, { ...getRequestActor(req), note: req.body.note || '' });
 
-  if (!updatedOrder) {
-    return res.status(404).json({ success: false, message: 'Order not found' });
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.error,
+      ...(result.allowedTransitions && { allowedTransitions: result.allowedTransitions })
+    });
   }
 
+  const updatedOrder = result.order;
+
+  publishOrderEvent(
+    status === 'canceled' ? ORDER_EVENTS.CANCELED : ORDER_EVENTS.STATUS_CHANGED,
+    updatedOrder
+  );
+
   res.status(200).json({
     success: true,
     message: 'Order status updated',
-    data: { id: updatedOrder._id, status: updatedOrder.status }
+    data: {
+      id: updatedOrder._id,
+      status: updatedOrder.status,
+      statusHistory: updatedOrder.statusHistory,
+      allowedTransitions: getAllowedTransitions(updatedOrder.status)
+    }
   });
 });
 
 /**
  * Update order payment status (staff/admin)
  * PATCH /api/orders/:id/payment
+ * Body: status, method, tip (left with the payment, on top of the total)
+ * Refunds go through POST /api/orders/:id/refunds, which returns the money and records it
  */
 export const updateOrderPayment = asyncHandler(async (req, res) => {
   const { id } = req.params;
   let { status, method } = req.body;
+  const { tip } = req.body;
 
   // Normalize status
   status = status.toLowerCase().trim();
@@ -123,7 +162,7 @@ export const updateOrderPayment = asyncHandler(async (req, res) => {
     method = method.toLowerCase().trim();
   }
 
-  const validPaymentStatuses = ['pending', 'paid', 'failed', 'refunded'];
+  const validPaymentStatuses = ['pending', 'paid', 'failed'];
   if (!validPaymentStatuses.includes(status)) {
     return res.status(400).json({ 
       success: false, 
@@ -139,29 +178,68 @@ export const updateOrderPayment = asyncHandler(async (req, res) => {
     
     if (status === 'paid') {
       updateData['payment.paidAt'] = new Date();
-    } else if (status === 'refunded') {
-      updateData['payment.refundedAt'] = new Date();
     }
     
     if (method) {
       updateData['payment.method'] = method;
     }
 
+    if (tip !== undefined && tip !== null && tip !== '') {
+      updateData['payment.tip'] = Math.round(parseFloat(tip) * 100) / 100;
+    }
+
     // Update order status to completed if payment is marked as paid and order is served
     const order = await Order.findById(id);
     if (!order) {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
+    // Once money went back, the refunds own the payment state; setting it by hand would hide them
+    if (order.refunds?.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order has refunds, its payment status can no longer be changed by hand'
+      });
+    }
+
+    // A split bill is paid share by share, the order follows when the last one is settled
+    if (order.payment?.splitMode && status === 'paid') {
+      return res.status(409).json({
+        success: false,
+        message: 'This bill is split, settle the outstanding shares instead'
+      });
+    }
+
+    let updatedOrder;
     if (status === 'paid' && order.status === 'served') {
-      updateData['status'] = 'completed';
+      // Paying for a served order closes it; record that in the status history
+      const result = await transitionOrderStatus(
+        id,
+        'completed',
+        { ...getRequestActor(req), note: 'Payment received' },
+        updateData
+      );
+      if (result.error) {
+        return res.status(result.statusCode).json({ success: false, message: result.error });
+      }
+      updatedOrder = result.order;
+      publishOrderEvent(ORDER_EVENTS.STATUS_CHANGED, updatedOrder);
+    } else {
+      updatedOrder = await Order.findOneAndUpdate(
+        { _id: id, 'refunds.0': { $exists: false } },
+        { $set: updateData },
+        { new: true, runValidators: false }
+      );
+      if (!updatedOrder) {
+        return res.status(409).json({ success: false, message: 'This order was refunded meanwhile, please reload it' });
+      }
+    }
+
+    if (status === 'paid') {
+      updatedOrder = await assignOrderReceiptNumber(updatedOrder);
     }
 
-    const updatedOrder = await Order.findOneAndUpdate(
-      { _id: id },
-      { $set: updateData },
-      { new: true, runValidators: false }
-    );
+    publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, updatedOrder);
 
     res.status(200).json({ 
       success: true, 
@@ -188,17 +266,20 @@ export const updateOrderPayment = asyncHandler(async (req, res) => {
  */
 export const listOrders = asyncHandler(async (req, res) => {
   const user = req.user;
-  const query = {};
+  const guest = req.customer;
+  let query = {};
 
-  if (user) {
-    if (['staff', 'admin'].includes(user.role)) {
-      if (req.query.tableId) query.tableId = req.query.tableId;
-      if (req.query.status && isValidOrderStatus(req.query.status)) {
-        query.status = req.query.status;
-      }
-    } else {
-      query.customerId = user._id;
+  if (user && ['staff', 'admin'].includes(user.role)) {
+    if (req.query.tableId) query.tableId = req.query.tableId;
+    if (req.query.status && isValidOrderStatus(req.query.status)) {
+      query.status = req.query.status;
     }
+  } else if (user || guest) {
+    // Customers see their account's orders; guests also see shared-cart orders they added to
+    const owners = [];
+    if (user) owners.push({ customerId: user._id });
+    if (guest) owners.push({ guestId: guest._id }, { 'items.addedBy': guest._id });
+    query = { $or: owners };
   } else {
     return res.status(401).json({ success: false, message: 'Authentication required to list orders' });
   }
@@ -253,51 +334,212 @@ export const getOrderById = asyncHandler(async (req, res) => {
       select: 'name description price categoryId availability tags popularity imageUrl'
     })
     .populate('tableId', 'tableNumber qrSlug')
-    .populate('customerId', 'name email');
+    .populate('customerId', 'name email')
+    .populate('statusHistory.actor', 'name email');
     
   if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
 
-  // Authorization: staff/admin or owner
-  if (req.user) {
-    if (!(['staff', 'admin'].includes(req.user.role) || 
-        (order.customerId && order.customerId.toString() === req.user._id.toString()))) {
-      return res.status(403).json({ success: false, message: 'Access denied to this order' });
-    }
-  } else if (order.customerId) {
-    return res.status(401).json({ success: false, message: 'Authentication required' });
+  // Authorization: staff/admin, the owner, or guests at the table for orders placed without an identity
+  const denied = checkOrderAccess(req, order, { allowTableGuests: true, allowContributors: true });
+  if (denied) {
+    return res.status(denied.statusCode).json({ success: false, message: denied.message });
   }
 
-  res.status(200).json({ success: true, data: order });
+  res.status(200).json({
+    success: true,
+    data: { ...order.toObject(), allowedTransitions: getAllowedTransitions(order.status) }
+  });
 });
 
 /**
- * Cancel order (owner or staff)
+ * Refund an amount or specific lines of an order through its payment provider (admin)
+ * POST /api/orders/:id/refunds
+ * Body: { amount } or { items: [{ lineIndex, qty }] }, reason
+ */
+export const refundOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+
+  const { amount, items = [], reason } = req.body;
+  const result = await issueRefund(order, { amount, items }, { reason, actor: getRequestActor(req) });
+  if (result.error) {
+    return res.status(result.statusCode).json({ success: false, message: result.error });
+  }
+
+  const { refund, order: updatedOrder } = result;
+  const data = { refund, payment: updatedOrder.payment, refunds: updatedOrder.refunds };
+
+  if (refund.status === 'failed') {
+    return res.status(502).json({ success: false, message: 'The payment provider could not refund this payment', data });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: refund.status === 'partial' ? 'Refund partly issued, some payments could not be refunded' : 'Refund issued',
+    data
+  });
+});
+
+/**
+ * Cancel order (owner, guest who placed it, or staff)
  * POST /api/orders/:id/cancel
  */
 export const cancelOrder = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const updatedOrder = await Order.findOneAndUpdate(
-    { 
-      _id: id,
-      status: { $nin: ['completed', 'canceled'] }
-    },
-    { $set: { status: 'canceled' } },
-    { new: true, runValidators: false }
-  );
+  const order = await Order.findById(id);
+  if (!order) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+
+  const denied = checkOrderAccess(req, order);
+  if (denied) {
+    return res.status(denied.statusCode).json({ success: false, message: denied.message });
+  }
+
+  const result = await transitionOrderStatus(id, 'canceled', { ...getRequestActor(req), note: req.body?.reason || '' });
 
-  if (!updatedOrder) {
-    return res.status(404).json({ success: false, message: 'Order not found or cannot be canceled' });
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.statusCode === 409 ? 'Order can no longer be canceled' : result.error
+    });
   }
 
+  const updatedOrder = result.order;
+
+  publishOrderEvent(ORDER_EVENTS.CANCELED, updatedOrder);
+
   res.status(200).json({ success: true, message: 'Order canceled', data: { id: updatedOrder._id } });
 });
 
+// The order with what its receipt prints about the table and the guest
+const findReceiptOrder = (id) => Order.findById(id)
+  .populate('tableId', 'number')
+  .populate('guestId', 'name email')
+  .populate('customerId', 'name email');
+
+/**
+ * Itemized receipt, with the tax breakdown and payment (staff/admin, owner or guest who placed it)
+ * GET /api/orders/:id/receipt
+ * Query: format (html | pdf, default html)
+ */
+export const getOrderReceipt = asyncHandler(async (req, res) => {
+  const order = await findReceiptOrder(req.params.id);
+  if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+  // Authorization mirrors getOrderById
+  const denied = checkOrderAccess(req, order, { allowTableGuests: true, allowContributors: true });
+  if (denied) {
+    return res.status(denied.statusCode).json({ success: false, message: denied.message });
+  }
+
+  const receipt = await buildReceipt(order);
+  if (req.query.format === 'pdf') {
+    const pdf = await generateReceiptPDF(receipt);
+    res.set('Content-Disposition', `attachment; filename="receipt-${receipt.invoiceNumber || receipt.orderNumber}.pdf"`);
+    return res.type('application/pdf').send(pdf);
+  }
+
+  res.type('html').send(renderReceiptHtml(receipt));
+});
+
+/**
+ * Email the receipt as a PDF (staff/admin, owner or guest who placed it)
+ * POST /api/orders/:id/receipt/email
+ * Guests and customers get it at the address on their profile; staff may give any address.
+ * Body: email (staff only; defaults to the guest's or customer's address)
+ */
+export const emailOrderReceipt = asyncHandler(async (req, res) => {
+  const order = await findReceiptOrder(req.params.id);
+  if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+  const denied = checkOrderAccess(req, order, { allowContributors: true });
+  if (denied) {
+    return res.status(denied.statusCode).json({ success: false, message: denied.message });
+  }
+
+  const isStaff = req.user && ['staff', 'admin'].includes(req.user.role);
+  let to = '';
+  if (isStaff) to = req.body.email || order.guestId?.email || order.customerId?.email || '';
+  else if (req.customer) to = req.customer.email || '';
+  else to = req.user?.email || '';
+
+  if (!to) {
+    return res.status(422).json({
+      success: false,
+      message: isStaff
+        ? 'This guest has no email address, enter one to send the receipt to'
+        : 'Add an email address to your profile to get the receipt by email'
+    });
+  }
+
+  // Staff sending it is what numbers an order that has no invoice number yet
+  if (isStaff) order.invoiceNumber = await ensureInvoiceNumber(order);
+  const receipt = await buildReceipt(order);
+  const reference = receipt.invoiceNumber || receipt.orderNumber;
+  const sent = await sendEmail({
+    to,
+    subject: `${receipt.restaurant.name} ${receipt.title.toLowerCase()} ${reference}`,
+    text: `Thank you for dining at ${receipt.restaurant.name}. Your ${receipt.title.toLowerCase()}${receipt.invoiceNumber ? ` ${receipt.invoiceNumber}` : ''} for order ${receipt.orderNumber} is attached.`,
+    html: renderReceiptHtml(receipt),
+    attachments: [{ filename: `receipt-${reference}.pdf`, content: await generateReceiptPDF(receipt) }]
+  });
+  if (sent.error) {
+    return res.status(sent.statusCode).json({ success: false, message: sent.error });
+  }
+
+  res.status(200).json({ success: true, message: `Receipt sent to ${to}`, data: { email: to, invoiceNumber: receipt.invoiceNumber } });
+});
+
+/**
+ * Stream events for all orders (staff/admin)
+ * GET /api/orders/stream
+ */
+export const streamOrders = (req, res) => {
+  let unsubscribe = () => {};
+  const send = openEventStream(req, res, () => unsubscribe());
+
+  send('ready', { scope: 'all' });
+  unsubscribe = subscribeToOrderEvents((event) => send(event.type, event));
+};
+
+/**
+ * Stream events for a single order (staff/admin or owner)
+ * GET /api/orders/:id/stream
+ */
+export const streamOrderById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const order = await Order.findById(id);
+
+  if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+  // Authorization mirrors getOrderById
+  const denied = checkOrderAccess(req, order, { allowTableGuests: true, allowContributors: true });
+  if (denied) {
+    return res.status(denied.statusCode).json({ success: false, message: denied.message });
+  }
+
+  let unsubscribe = () => {};
+  const send = openEventStream(req, res, () => unsubscribe());
+
+  send('ready', { scope: 'order', orderId: order._id });
+  unsubscribe = subscribeToOrderEvents((event) => send(event.type, event), { orderId: order._id });
+});
+
 export default {
   createOrder,
+  getOrderQuote,
   listOrders,
   getOrderById,
   updateOrderStatus,
   updateOrderPayment,
-  cancelOrder
+  refundOrder,
+  cancelOrder,
+  getOrderReceipt,
+  emailOrderReceipt,
+  streamOrders,
+  streamOrderById
 };
\ No newline at end of file
@@ -1,139 +1,645 @@
 import config from '../config/config.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import Stripe from 'stripe';
 import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { ORDER_EVENTS, publishOrderEvent } from '../utils/orderEvents.js';
+import { checkOrderAccess } from '../utils/orderAccess.js';
+import { getRequestActor } from '../utils/orderStateMachine.js';
+import { roundMoney } from '../utils/orderPricing.js';
+import { OUTSTANDING_SHARE_STATUSES, buildShares, hasShareInFlight, settleShare } from '../utils/billSplitUtils.js';
+import {
+  getActiveProviderName,
+  getEnabledProviderNames,
+  getProvider,
+  resolveProvider
+} from '../utils/paymentProviders/index.js';
+import { recordPaymentFailed, recordPaymentSucceeded } from '../utils/paymentRecording.js';
+import { logPaymentEvent, processPaymentEvent, replayPaymentEvent as replayStoredEvent } from '../utils/paymentEventLog.js';
 
-const stripe = config.STRIPE.SECRET_KEY ? new Stripe(config.STRIPE.SECRET_KEY, { apiVersion: '2022-11-15' }) : null;
+const isStaffRequest = (req) => Boolean(req.user && ['staff', 'admin'].includes(req.user.role));
 
 /**
- * Create a Stripe PaymentIntent for an order
+ * Start a payment through the provider the payer asked for (or the active one)
+ * @param {Object} req - Express request (body.provider, body.simulate)
+ * @param {Object} params - { amount (minor units), receipt, description, metadata }
+ * @returns {Promise<Object>} { provider, payment, currency } or { error, statusCode }
+ */
+const startPayment = async (req, { amount, receipt, description, metadata }) => {
+  const { provider, requested, error, statusCode } = resolveProvider(req.body.provider);
+  if (error) return { error, statusCode };
+
+  // Always charge in the server's currency for the provider that was asked for, even when the mock stands in for it
+  const currency = getProvider(requested).currency;
+  const payment = await provider.createPayment({
+    amount,
+    currency,
+    receipt,
+    description,
+    metadata,
+    ...(provider.name === 'mock' && { simulate: req.body.simulate })
+  });
+  return { provider, payment, currency };
+};
+
+/**
+ * Shape a started payment for the checkout
+ * @param {Object} started - Result of startPayment
+ * @param {number} amount - Amount in minor units
+ * @returns {Object} Intent
+ */
+const toIntentResponse = ({ provider, payment, currency }, amount) => ({
+  provider: provider.name,
+  reference: payment.reference,
+  amount,
+  currency,
+  demo: provider.name === 'mock',
+  ...payment.clientData
+});
+
+/**
+ * Payment settings the checkout needs (public)
+ * GET /api/payments/config
+ */
+export const getPaymentConfig = (req, res) => {
+  const active = getActiveProviderName();
+  // No provider when the active gateway has no credentials and mock mode is off
+  const { provider } = resolveProvider(active);
+  res.status(200).json({
+    success: true,
+    data: {
+      provider: active,
+      providers: getEnabledProviderNames(),
+      currency: getProvider(active).currency,
+      razorpayKeyId: provider?.name === 'razorpay' ? config.RAZORPAY.KEY_ID : null,
+      stripePublishableKey: provider?.name === 'stripe' ? config.STRIPE.PUBLISHABLE_KEY : null,
+      demo: provider?.name === 'mock' && active !== 'mock'
+    }
+  });
+};
+
+/**
+ * Start paying an order through a payment provider
  * POST /api/payments/create-intent
- * Body: { orderId, currency }
+ * Body: { orderId, provider?, simulate? }
  */
 export const createPaymentIntent = asyncHandler(async (req, res) => {
-  const { orderId, currency = 'usd' } = req.body;
+  const { orderId } = req.body;
 
   if (!orderId) return res.status(400).json({ success: false, message: 'orderId is required' });
 
   const order = await Order.findById(orderId);
   if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
 
-  // Authorization: owner or staff/admin
-  if (req.user) {
-    if (!(['staff', 'admin'].includes(req.user.role) || (order.customerId && order.customerId.toString() === req.user._id.toString()))) {
-      return res.status(403).json({ success: false, message: 'Access denied to create payment for this order' });
-    }
-  } else {
-    return res.status(401).json({ success: false, message: 'Authentication required' });
+  // Authorization: staff/admin, the owner, or a guest at the table who ordered it
+  const denied = checkOrderAccess(req, order, { allowContributors: true });
+  if (denied) {
+    return res.status(denied.statusCode).json({
+      success: false,
+      message: denied.statusCode === 403 ? 'Access denied to create payment for this order' : denied.message
+    });
   }
 
-  const amount = Math.round((order.totals || 0) * 100); // amount in cents
-
-  if (!stripe) {
-    // Fallback for demo when stripe key not configured
-    const clientSecret = `demo_client_secret_${Date.now()}`;
-    order.payment = order.payment || {};
-    order.payment.provider = 'stripe-demo';
-    order.payment.providerData = { paymentIntentId: `pi_demo_${Date.now()}` };
-    order.payment.status = 'pending';
-    await order.save();
-
-    return res.status(200).json({ success: true, data: { clientSecret, amount, currency } });
+  if (order.payment?.splitMode) {
+    return res.status(409).json({ success: false, message: 'This bill is split, pay one of its shares instead' });
+  }
+  if (order.payment?.status === 'paid') {
+    return res.status(409).json({ success: false, message: 'This order is already paid' });
   }
 
-  // Create PaymentIntent
-  const paymentIntent = await stripe.paymentIntents.create({
+  const amount = Math.round((order.totals || 0) * 100); // amount in cents
+  const started = await startPayment(req, {
     amount,
-    currency,
-    metadata: { orderId: order._id.toString() },
-    description: `Order ${order._id}`
+    receipt: order.orderNumber,
+    description: `Order ${order._id}`,
+    metadata: { orderId: order._id.toString() }
   });
+  if (started.error) return res.status(started.statusCode).json({ success: false, message: started.error });
 
   // Save provider info on order
   order.payment = order.payment || {};
-  order.payment.provider = 'stripe';
-  order.payment.providerData = order.payment.providerData || {};
-  order.payment.providerData.paymentIntentId = paymentIntent.id;
-  order.payment.providerData.clientSecret = paymentIntent.client_secret;
+  order.payment.provider = started.provider.name;
+  order.payment.reference = started.payment.reference;
+  order.payment.providerData = started.payment.providerData;
   order.payment.status = 'pending';
   await order.save();
 
-  res.status(200).json({ success: true, data: { clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id, amount, currency } });
+  res.status(200).json({ success: true, data: toIntentResponse(started, amount) });
 });
 
 /**
- * Stripe webhook handler
- * POST /api/payments/webhook
- * Requires raw body for signature verification
+ * Shape a share for responses
+ * @param {Object} share - Payment document
+ * @returns {Object} Share
+ */
+const toShareResponse = (share) => ({
+  id: share._id,
+  index: share.shareIndex,
+  label: share.label,
+  guestId: share.guestId,
+  lineIndexes: share.lineIndexes,
+  amount: share.amount,
+  currency: share.currency,
+  status: share.status,
+  method: share.method || null,
+  provider: share.provider || null,
+  paidAt: share.paidAt
+});
+
+/**
+ * Shape an order's split with what is still outstanding
+ * @param {Object} order - Order document
+ * @param {Array} shares - Active Payment shares, in order
+ * @returns {Object} Split summary
+ */
+const toSplitResponse = (order, shares) => {
+  const outstanding = shares.filter(share => OUTSTANDING_SHARE_STATUSES.includes(share.status));
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    total: order.totals,
+    mode: order.payment?.splitMode || null,
+    paymentStatus: order.payment?.status || 'pending',
+    shares: shares.map(toShareResponse),
+    paid: roundMoney(shares.filter(share => share.status === 'paid').reduce((sum, share) => sum + share.amount, 0)),
+    outstanding: roundMoney(outstanding.reduce((sum, share) => sum + share.amount, 0)),
+    outstandingCount: outstanding.length
+  };
+};
+
+/**
+ * Load an order and check the requester may handle its payment
+ * @param {Object} req - Express request object
+ * @param {string} orderId - Order id
+ * @returns {Promise<Object>} { order } or { error, statusCode }
+ */
+const loadPayableOrder = async (req, orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) return { error: 'Order not found', statusCode: 404 };
+
+  const denied = checkOrderAccess(req, order, { allowContributors: true });
+  if (denied) return { error: denied.message, statusCode: denied.statusCode };
+
+  return { order };
+};
+
+// Active shares of an order, in share order
+const findActiveShares = (orderId) => Payment.find({ orderId, status: { $ne: 'canceled' } }).sort({ shareIndex: 1 });
+
+/**
+ * Split an order's bill into shares (staff/admin, owner or a guest at the table)
+ * POST /api/payments/orders/:orderId/split
+ * Body: { mode: 'even' | 'item' | 'custom', count?, shares? }
  */
-export const handleWebhook = asyncHandler(async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const webhookSecret = config.STRIPE.WEBHOOK_SECRET || process.env.STRIPE_WEBHOOK_SECRET;
+export const splitBill = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { mode, count, shares: requestedShares = [] } = req.body;
+
+  const { order, error, statusCode } = await loadPayableOrder(req, orderId);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
 
-  if (!stripe || !webhookSecret) {
-    // If no stripe configured, just ack
-    return res.status(200).json({ success: true, message: 'Webhook received (no stripe configured)' });
+  if (order.status === 'canceled') {
+    return res.status(409).json({ success: false, message: 'Canceled orders have nothing to pay' });
+  }
+  if (order.payment?.status === 'paid') {
+    return res.status(409).json({ success: false, message: 'This order is already paid' });
   }
 
-  let event;
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-  } catch (err) {
-    console.error('Stripe webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  // Handle the event types we care about
-  switch (event.type) {
-    case 'payment_intent.succeeded': {
-      const pi = event.data.object;
-      const paymentIntentId = pi.id;
-      const orderId = pi.metadata?.orderId;
-      if (orderId) {
-        const order = await Order.findById(orderId);
-        if (order) {
-          order.payment = order.payment || {};
-          order.payment.provider = 'stripe';
-          order.payment.providerData = { paymentIntentId };
-          order.payment.status = 'paid';
-          await order.save();
-        }
-      }
-      break;
-    }
-    case 'payment_intent.payment_failed': {
-      const pi = event.data.object;
-      const paymentIntentId = pi.id;
-      const orderId = pi.metadata?.orderId;
-      if (orderId) {
-        const order = await Order.findById(orderId);
-        if (order) {
-          order.payment = order.payment || {};
-          order.payment.provider = 'stripe';
-          order.payment.providerData = { paymentIntentId };
-          order.payment.status = 'failed';
-          await order.save();
+  // A split can be redone until someone has paid, or started paying, their share
+  const existingShares = await findActiveShares(order._id);
+  if (existingShares.some(share => share.status === 'paid')) {
+    return res.status(409).json({
+      success: false,
+      message: 'Some shares are already paid, the split can no longer be changed',
+      data: toSplitResponse(order, existingShares)
+    });
+  }
+  if (await hasShareInFlight(order._id)) {
+    return res.status(409).json({
+      success: false,
+      message: 'A guest has started paying their share, the split can no longer be changed',
+      data: toSplitResponse(order, existingShares)
+    });
+  }
+
+  const result = buildShares(order, { mode, count, shares: requestedShares });
+  if (result.error) {
+    return res.status(400).json({ success: false, message: result.error });
+  }
+
+  await Payment.updateMany(
+    { orderId: order._id, status: { $in: OUTSTANDING_SHARE_STATUSES } },
+    { $set: { status: 'canceled' } }
+  );
+
+  const shares = await Payment.insertMany(result.shares.map((share, index) => ({
+    ...share,
+    orderId: order._id,
+    tableSessionId: order.tableSessionId || null,
+    splitMode: mode,
+    shareIndex: index
+  })));
+
+  const updatedOrder = await Order.findByIdAndUpdate(
+    order._id,
+    { $set: { 'payment.splitMode': mode } },
+    { new: true, runValidators: false }
+  );
+  publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, updatedOrder);
+
+  res.status(201).json({
+    success: true,
+    message: `Bill split into ${shares.length} shares`,
+    data: toSplitResponse(updatedOrder, shares)
+  });
+});
+
+/**
+ * Get an order's split and which shares are outstanding
+ * GET /api/payments/orders/:orderId/split
+ */
+export const getBillSplit = asyncHandler(async (req, res) => {
+  const { order, error, statusCode } = await loadPayableOrder(req, req.params.orderId);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  const shares = await findActiveShares(order._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Bill split retrieved successfully',
+    data: toSplitResponse(order, shares)
+  });
+});
+
+/**
+ * Undo a split before anything was paid, so the order can be paid in one go again
+ * DELETE /api/payments/orders/:orderId/split
+ */
+export const cancelBillSplit = asyncHandler(async (req, res) => {
+  const { order, error, statusCode } = await loadPayableOrder(req, req.params.orderId);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  if (!order.payment?.splitMode) {
+    return res.status(400).json({ success: false, message: 'This bill is not split' });
+  }
+
+  const paidShares = await Payment.countDocuments({ orderId: order._id, status: 'paid' });
+  if (paidShares > 0) {
+    return res.status(409).json({ success: false, message: 'Some shares are already paid, the split can no longer be undone' });
+  }
+  if (await hasShareInFlight(order._id)) {
+    return res.status(409).json({ success: false, message: 'A guest has started paying their share, the split can no longer be undone' });
+  }
+
+  await Payment.updateMany(
+    { orderId: order._id, status: { $in: OUTSTANDING_SHARE_STATUSES } },
+    { $set: { status: 'canceled' } }
+  );
+  const updatedOrder = await Order.findByIdAndUpdate(
+    order._id,
+    { $set: { 'payment.splitMode': null } },
+    { new: true, runValidators: false }
+  );
+  publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, updatedOrder);
+
+  res.status(200).json({ success: true, message: 'Bill split removed', data: { orderId: order._id } });
+});
+
+/**
+ * List bill shares, e.g. everything still outstanding (staff/admin)
+ * GET /api/payments/shares?status=&orderId=&tableSessionId=
+ */
+export const listShares = asyncHandler(async (req, res) => {
+  const { status, orderId, tableSessionId } = req.query;
+  const query = { status: status ? status : { $in: OUTSTANDING_SHARE_STATUSES } };
+  if (orderId) query.orderId = orderId;
+  if (tableSessionId) query.tableSessionId = tableSessionId;
+
+  const shares = await Payment.find(query)
+    .populate({ path: 'orderId', select: 'orderNumber tableId totals status', populate: { path: 'tableId', select: 'number' } })
+    .sort({ createdAt: -1 })
+    .limit(200);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shares retrieved successfully',
+    data: {
+      shares: shares.map(share => ({
+        ...toShareResponse(share),
+        order: share.orderId && {
+          id: share.orderId._id,
+          orderNumber: share.orderId.orderNumber,
+          tableNumber: share.orderId.tableId?.number ?? null,
+          total: share.orderId.totals,
+          status: share.orderId.status
         }
-      }
-      break;
+      }))
     }
-    case 'charge.refunded': {
-      const charge = event.data.object;
-      const paymentIntentId = charge.payment_intent;
-      // Find order by paymentIntentId
-      const order = await Order.findOne({ 'payment.providerData.paymentIntentId': paymentIntentId });
-      if (order) {
-        order.payment.status = 'refunded';
-        await order.save();
+  });
+});
+
+/**
+ * Start paying one share of a split bill through a payment provider
+ * POST /api/payments/shares/:shareId/create-intent
+ * Body: { provider?, simulate? }
+ */
+export const createShareIntent = asyncHandler(async (req, res) => {
+  const share = await Payment.findById(req.params.shareId);
+  if (!share) return res.status(404).json({ success: false, message: 'Share not found' });
+
+  const { order, error, statusCode } = await loadPayableOrder(req, share.orderId);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  if (!OUTSTANDING_SHARE_STATUSES.includes(share.status)) {
+    return res.status(409).json({ success: false, message: 'This share is already paid or no longer part of the bill' });
+  }
+
+  const amount = Math.round(share.amount * 100); // amount in cents
+  const started = await startPayment(req, {
+    amount,
+    receipt: `${order.orderNumber}-${share.shareIndex + 1}`,
+    description: `Order ${order._id} - ${share.label}`,
+    metadata: { orderId: order._id.toString(), shareId: share._id.toString() }
+  });
+  if (started.error) return res.status(started.statusCode).json({ success: false, message: started.error });
+
+  // Conditional, so a share canceled by a re-split meanwhile isn't brought back
+  const updatedShare = await Payment.findOneAndUpdate(
+    { _id: share._id, status: { $in: OUTSTANDING_SHARE_STATUSES } },
+    {
+      $set: {
+        provider: started.provider.name,
+        reference: started.payment.reference,
+        providerData: started.payment.providerData,
+        currency: started.currency,
+        status: 'pending'
       }
-      break;
+    },
+    { new: true }
+  );
+  if (!updatedShare) {
+    return res.status(409).json({ success: false, message: 'This share is already paid or no longer part of the bill' });
+  }
+
+  res.status(200).json({ success: true, data: { ...toIntentResponse(started, amount), shareId: share._id } });
+});
+
+/**
+ * Record a share paid at the counter, e.g. in cash (staff/admin)
+ * POST /api/payments/shares/:shareId/settle
+ * Body: { method }
+ */
+export const settleShareManually = asyncHandler(async (req, res) => {
+  const method = (req.body.method || 'cash').toLowerCase().trim();
+
+  const result = await settleShare(req.params.shareId, {
+    method,
+    provider: 'manual',
+    settledBy: req.user._id,
+    actor: getRequestActor(req)
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({ success: false, message: result.error });
+  }
+
+  const shares = await findActiveShares(result.share.orderId);
+  const order = result.order || await Order.findById(result.share.orderId);
+
+  res.status(200).json({
+    success: true,
+    message: order.payment?.status === 'paid' ? 'Share paid, the bill is fully settled' : 'Share marked as paid',
+    data: toSplitResponse(order, shares)
+  });
+});
+
+/**
+ * Confirm a payment with its provider, e.g. after the checkout finished in the browser
+ * Cash payments can only be confirmed by staff.
+ * POST /api/payments/confirm
+ * Body: { reference, provider?, ...provider fields (Razorpay: paymentId, signature; mock mode only: outcome) }
+ */
+export const confirmPayment = asyncHandler(async (req, res) => {
+  const { reference, provider: providerName } = req.body;
+
+  const share = await Payment.findOne({ reference, ...(providerName && { provider: providerName }) });
+  const order = share
+    ? await Order.findById(share.orderId)
+    : await Order.findOne({ 'payment.reference': reference, ...(providerName && { 'payment.provider': providerName }) });
+
+  if (!order) {
+    return res.status(404).json({ success: false, message: 'No order is waiting for this payment' });
+  }
+
+  const denied = checkOrderAccess(req, order, { allowContributors: true });
+  if (denied) return res.status(denied.statusCode).json({ success: false, message: denied.message });
+
+  const stored = share || order.payment;
+  const provider = getProvider(stored.provider);
+  if (!provider) {
+    return res.status(409).json({ success: false, message: 'This payment was not started through a payment provider' });
+  }
+  if (!provider.isConfigured()) {
+    return res.status(503).json({ success: false, message: `Payment provider '${provider.name}' is not configured on this server` });
+  }
+  if (provider.staffConfirmation && !isStaffRequest(req)) {
+    return res.status(403).json({ success: false, message: `Only staff can confirm ${provider.name} payments` });
+  }
+
+  // Only the mock provider lets the caller pick the outcome
+  const { outcome, ...fields } = req.body;
+  const result = await provider.confirmPayment({
+    ...fields,
+    ...(provider.name === 'mock' && { outcome }),
+    reference,
+    providerData: stored.providerData || {}
+  });
+  if (result.error) {
+    return res.status(result.statusCode).json({ success: false, message: result.error });
+  }
+
+  const params = { provider: provider.name, reference, providerData: result.providerData, order, share };
+  if (result.status === 'paid') {
+    await recordPaymentSucceeded({
+      ...params,
+      actor: getRequestActor(req),
+      settledBy: isStaffRequest(req) ? req.user._id : null
+    });
+  } else if (result.status === 'failed') {
+    await recordPaymentFailed(params);
+  }
+
+  const updatedOrder = await Order.findById(order._id);
+  const updatedShare = share && await Payment.findById(share._id);
+  res.status(200).json({
+    success: true,
+    message: result.status === 'paid' ? 'Payment confirmed' : `Payment is ${result.status}`,
+    data: {
+      orderId: updatedOrder._id,
+      shareId: share?._id || null,
+      status: result.status,
+      shareStatus: updatedShare?.status || null,
+      paymentStatus: updatedOrder.payment?.status
     }
-    default:
-      // Unexpected event type
-      console.log(`Unhandled stripe event type: ${event.type}`);
+  });
+});
+
+/**
+ * Confirm a Razorpay checkout from the fields it returns to the browser
+ * POST /api/payments/razorpay/verify
+ * Body: { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ */
+export const verifyRazorpayPayment = (req, res, next) => {
+  const {
+    razorpay_order_id: reference,
+    razorpay_payment_id: paymentId,
+    razorpay_signature: signature
+  } = req.body;
+  req.body = { provider: 'razorpay', reference, paymentId, signature };
+  return confirmPayment(req, res, next);
+};
+
+/**
+ * Verify, parse and apply a provider webhook
+ * @param {string} providerName - Provider the webhook is for
+ * @param {Object} req - Express request with the raw body
+ * @param {Object} res - Express response object
+ */
+const processWebhook = async (providerName, req, res) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return res.status(404).json({ success: false, message: 'Unknown payment provider' });
+  }
+
+  if (!provider.isConfigured() || !provider.webhooksEnabled()) {
+    // If the provider's webhooks aren't configured, just ack
+    return res.status(200).json({ success: true, message: `Webhook received (no ${provider.name} webhook secret configured)` });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(typeof req.body === 'string' ? req.body : '');
+  if (!provider.verifySignature(rawBody, req.headers)) {
+    console.error(`${provider.name} webhook signature verification failed`);
+    return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+  }
+
+  let event;
+  try {
+    event = provider.parseWebhook(rawBody, req.headers);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: 'Invalid webhook payload' });
+  }
+  if (!event) return res.status(400).json({ success: false, message: 'Invalid webhook payload' });
+
+  const { paymentEvent, duplicate } = await logPaymentEvent(provider.name, event, rawBody);
+  if (duplicate) {
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  if (!event.type) console.log(`Unhandled ${provider.name} event type: ${event.rawType}`);
+
+  try {
+    await processPaymentEvent(paymentEvent, event);
+  } catch (err) {
+    // Stored as failed; the provider's retry processes it again
+    console.error(`${provider.name} event ${paymentEvent.eventId} failed:`, err.message);
+    return res.status(500).json({ success: false, message: 'Webhook could not be processed' });
   }
 
   res.status(200).json({ received: true });
+};
+
+/**
+ * Payment provider webhook handler
+ * POST /api/payments/webhooks/:provider (and /api/payments/webhook for Stripe)
+ * Requires raw body for signature verification
+ */
+export const handleWebhook = asyncHandler(async (req, res) => processWebhook(req.params.provider || 'stripe', req, res));
+
+/**
+ * Razorpay webhook handler
+ * POST /api/payments/razorpay/webhook
+ * Requires raw body for signature verification
+ */
+export const handleRazorpayWebhook = asyncHandler(async (req, res) => processWebhook('razorpay', req, res));
+
+/**
+ * Webhook events received from payment providers (Admin)
+ * GET /api/payments/events
+ * Query: provider, status, type, orderId, page, limit
+ */
+export const listPaymentEvents = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.provider) query.provider = req.query.provider;
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.type) query.rawType = req.query.type;
+  if (req.query.orderId) query.orderId = req.query.orderId;
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const [total, events] = await Promise.all([
+    PaymentEvent.countDocuments(query),
+    PaymentEvent.find(query)
+      .select('-payload')
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment events retrieved',
+    data: { events, pagination: { page, limit, total, pages: Math.ceil(total / limit) } }
+  });
+});
+
+/**
+ * One webhook event with its raw payload (Admin)
+ * GET /api/payments/events/:eventId
+ */
+export const getPaymentEvent = asyncHandler(async (req, res) => {
+  const paymentEvent = await PaymentEvent.findById(req.params.eventId).populate('orderId', 'orderNumber');
+  if (!paymentEvent) return res.status(404).json({ success: false, message: 'Payment event not found' });
+
+  res.status(200).json({ success: true, message: 'Payment event retrieved', data: paymentEvent });
+});
+
+/**
+ * Process a stored webhook event again (Admin)
+ * POST /api/payments/events/:eventId/replay
+ */
+export const replayPaymentEvent = asyncHandler(async (req, res) => {
+  const { paymentEvent, error, statusCode } = await replayStoredEvent(req.params.eventId);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+  await paymentEvent.populate('orderId', 'orderNumber');
+
+  const messages = {
+    processed: 'Event replayed',
+    ignored: `Event ignored: ${paymentEvent.note}`,
+    failed: `Event failed again: ${paymentEvent.error}`
+  };
+  res.status(200).json({
+    success: paymentEvent.status !== 'failed',
+    message: messages[paymentEvent.status] || 'Event replayed',
+    data: paymentEvent
+  });
 });
 
-export default { createPaymentIntent, handleWebhook };
\ No newline at end of file
+export default {
+  getPaymentConfig,
+  createPaymentIntent,
+  splitBill,
+  getBillSplit,
+  cancelBillSplit,
+  listShares,
+  createShareIntent,
+  settleShareManually,
+  confirmPayment,
+  verifyRazorpayPayment,
+  handleWebhook,
+  handleRazorpayWebhook,
+  listPaymentEvents,
+  getPaymentEvent,
+  replayPaymentEvent
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+import config from '../config/config.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getPrintStations } from '../utils/printers/index.js';
+import { isPrintingEnabled, getDefaultStationName, getBillStationName, printKitchenTickets, printBill } from '../utils/printUtils.js';
+
+/**
+ * Print Controller
+ * Station printers and reprints of kitchen tickets and bills
+ */
+
+/**
+ * Answer with the outcome of the print jobs: an error only when none of them printed
+ * @param {Object} res - Express response
+ * @param {Object} result - { orderNumber, jobs } from printUtils
+ */
+const sendPrintResult = (res, { orderNumber, jobs }) => {
+  const failed = jobs.filter(job => job.error);
+  const printed = jobs.filter(job => !job.error).map(job => job.station);
+
+  if (printed.length === 0) {
+    return res.status(failed[0].statusCode || 502).json({
+      success: false,
+      message: failed.map(job => job.error).join('; '),
+      data: { orderNumber, jobs }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: failed.length > 0
+      ? `Printed at ${printed.join(', ')}; ${failed.map(job => job.error).join('; ')}`
+      : `Printed at ${printed.join(', ')}`,
+    data: { orderNumber, jobs }
+  });
+};
+
+/**
+ * List the printer stations (Staff/Admin)
+ * GET /api/print/stations
+ */
+export const getStations = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Printer stations retrieved successfully',
+    data: {
+      enabled: isPrintingEnabled(),
+      transport: config.PRINTING.TRANSPORT,
+      autoPrint: isPrintingEnabled() && config.PRINTING.AUTO_PRINT,
+      defaultStation: getDefaultStationName(),
+      billStation: getBillStationName(),
+      stations: getPrintStations()
+    }
+  });
+});
+
+/**
+ * Reprint an order's kitchen tickets (Staff/Admin)
+ * POST /api/print/orders/:id/kitchen
+ * Body: station (only reprint that station's ticket)
+ */
+export const reprintKitchenTickets = asyncHandler(async (req, res) => {
+  const result = await printKitchenTickets(req.params.id, { station: req.body.station, reprint: true });
+  if (result.error) {
+    return res.status(result.statusCode).json({ success: false, message: result.error });
+  }
+
+  sendPrintResult(res, result);
+});
+
+/**
+ * Print an order's bill (Staff/Admin)
+ * POST /api/print/orders/:id/bill
+ * Body: station (default PRINTER_BILL_STATION)
+ */
+export const printOrderBill = asyncHandler(async (req, res) => {
+  const result = await printBill(req.params.id, { station: req.body.station });
+  if (result.error) {
+    return res.status(result.statusCode).json({ success: false, message: result.error });
+  }
+
+  sendPrintResult(res, result);
+});
+
+export default {
+  getStations,
+  reprintKitchenTickets,
+  printOrderBill
+};
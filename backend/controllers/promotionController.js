@@ -0,0 +1,143 @@
+import Promotion from '../models/Promotion.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { normalizePromoCode } from '../utils/promotionUtils.js';
+
+// Fields admins may set on a promotion
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'value', 'maxDiscount', 'buyQty', 'getQty', 'minSubtotal',
+  'categoryIds', 'menuItemIds', 'startsAt', 'endsAt', 'schedule', 'usageLimit', 'active'
+];
+
+/**
+ * Pick the editable fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Fields to set on the promotion
+ */
+const pickPromotionFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (body.code !== undefined) fields.code = normalizePromoCode(body.code);
+  return fields;
+};
+
+/**
+ * Check a promotion's fields against each other (after an update is merged in)
+ * @param {Object} promotion - Promotion document
+ * @returns {string|null} Problem, or null
+ */
+const checkPromotionFields = (promotion) => {
+  if (['percentage', 'buy_x_get_y'].includes(promotion.type) && promotion.value > 100) {
+    return 'A percentage discount cannot be more than 100';
+  }
+  if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+    return 'The end date must be after the start date';
+  }
+  if (promotion.usageLimit !== null && promotion.usageLimit < promotion.usageCount) {
+    return `This code has already been used ${promotion.usageCount} times`;
+  }
+  return null;
+};
+
+/**
+ * List promotions (Admin)
+ * GET /api/promotions
+ * Query: search (code or name), active
+ */
+export const listPromotions = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.active !== undefined) query.active = req.query.active === 'true';
+  if (req.query.search) {
+    const search = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [{ code: { $regex: search, $options: 'i' } }, { name: { $regex: search, $options: 'i' } }];
+  }
+
+  const promotions = await Promotion.find(query)
+    .populate('categoryIds', 'name')
+    .populate('menuItemIds', 'name')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ success: true, message: 'Promotions retrieved', data: { promotions } });
+});
+
+/**
+ * Get a promotion (Admin)
+ * GET /api/promotions/:id
+ */
+export const getPromotionById = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id)
+    .populate('categoryIds', 'name')
+    .populate('menuItemIds', 'name');
+  if (!promotion) return res.status(404).json({ success: false, message: 'Promotion not found' });
+
+  res.status(200).json({ success: true, message: 'Promotion retrieved', data: { promotion } });
+});
+
+/**
+ * Create a promotion (Admin)
+ * POST /api/promotions
+ */
+export const createPromotion = asyncHandler(async (req, res) => {
+  const fields = pickPromotionFields(req.body);
+
+  const existing = await Promotion.findOne({ code: fields.code });
+  if (existing) {
+    return res.status(400).json({ success: false, message: 'A promotion with this code already exists' });
+  }
+
+  const promotion = new Promotion({ ...fields, createdBy: req.user._id });
+  const problem = checkPromotionFields(promotion);
+  if (problem) return res.status(400).json({ success: false, message: problem });
+
+  await promotion.save();
+
+  res.status(201).json({ success: true, message: 'Promotion created successfully', data: { promotion } });
+});
+
+/**
+ * Update a promotion (Admin)
+ * PUT /api/promotions/:id
+ * Orders already placed keep the discount they got.
+ */
+export const updatePromotion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const promotion = await Promotion.findById(id);
+  if (!promotion) return res.status(404).json({ success: false, message: 'Promotion not found' });
+
+  const fields = pickPromotionFields(req.body);
+  if (fields.code && fields.code !== promotion.code) {
+    const existing = await Promotion.findOne({ code: fields.code, _id: { $ne: id } });
+    if (existing) {
+      return res.status(400).json({ success: false, message: 'A promotion with this code already exists' });
+    }
+  }
+
+  promotion.set(fields);
+  const problem = checkPromotionFields(promotion);
+  if (problem) return res.status(400).json({ success: false, message: problem });
+
+  await promotion.save();
+
+  res.status(200).json({ success: true, message: 'Promotion updated successfully', data: { promotion } });
+});
+
+/**
+ * Delete a promotion (Admin)
+ * DELETE /api/promotions/:id
+ * Orders keep their copy of the code and discount.
+ */
+export const deletePromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findByIdAndDelete(req.params.id);
+  if (!promotion) return res.status(404).json({ success: false, message: 'Promotion not found' });
+
+  res.status(200).json({ success: true, message: 'Promotion deleted successfully' });
+});
+
+export default {
+  listPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
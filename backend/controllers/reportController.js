@@ -0,0 +1,38 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { resolveBusinessDay, getZReport as buildZReport, zReportToCsv, generateZReportPDF } from '../utils/zReport.js';
+
+/**
+ * End-of-day Z report for a business day (Admin)
+ * GET /api/reports/z
+ * Query: date (YYYY-MM-DD, default the day in progress), cutoffHour (0-23), format (json | csv | pdf)
+ */
+export const getZReport = asyncHandler(async (req, res) => {
+  const day = resolveBusinessDay(req.query);
+  if (day.error) {
+    return res.status(day.statusCode).json({ success: false, message: day.error });
+  }
+
+  const report = await buildZReport(day);
+  const format = req.query.format || 'json';
+  const filename = `z-report-${report.businessDate}`;
+
+  if (format === 'csv') {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.csv"`
+    });
+    return res.status(200).send(zReportToCsv(report));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await generateZReportPDF(report);
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.type('application/pdf').send(pdf);
+  }
+
+  res.status(200).json({ success: true, message: 'Z report retrieved', data: report });
+});
+
+export default {
+  getZReport
+};
@@ -0,0 +1,370 @@
+import TableSession from '../models/TableSession.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { resolveOrderLines, roundMoney } from '../utils/orderPricing.js';
+import { placeOrder } from '../utils/orderPlacement.js';
+import { getRequestActor } from '../utils/orderStateMachine.js';
+import { CART_EVENTS, publishCartEvent, subscribeToCartEvents } from '../utils/cartEvents.js';
+import { openEventStream } from '../utils/sseUtils.js';
+
+/**
+ * Shared Table Cart Controller
+ * Every guest who joined the same table session builds one cart together and any of them can submit it
+ */
+
+// Keeps a runaway client from growing the session document without bound
+const MAX_CART_LINES = 100;
+
+/**
+ * Shape a table session's cart for clients
+ * @param {Object} session - TableSession document
+ * @returns {Object} Cart
+ */
+const toCartResponse = (session) => {
+  const lines = session.cart.map(line => ({
+    id: line._id,
+    menuItemId: line.menuItemId,
+    name: line.name,
+    price: line.price,
+    options: line.options.map(option => ({
+      optionId: option.optionId,
+      groupName: option.groupName,
+      name: option.name,
+      priceDelta: option.priceDelta
+    })),
+    qty: line.qty,
+    note: line.note,
+    addedBy: { id: line.addedBy, name: line.addedByName },
+    addedAt: line.addedAt
+  }));
+
+  return {
+    tableSessionId: session._id,
+    version: session.cartVersion,
+    lines,
+    itemCount: lines.reduce((sum, line) => sum + line.qty, 0),
+    subtotal: roundMoney(lines.reduce((sum, line) => sum + line.price * line.qty, 0))
+  };
+};
+
+/**
+ * Load the open table session of the requesting guest
+ * @param {Object} req - Express request (req.customer set by customerSession)
+ * @returns {Promise<Object>} { session } or { error, statusCode }
+ */
+const loadGuestSession = async (req) => {
+  if (!req.customer.tableSession) {
+    return { error: 'Join a table to use the shared cart', statusCode: 400 };
+  }
+
+  const session = await TableSession.findById(req.customer.tableSession);
+  if (!session || session.status !== 'open') {
+    return { error: 'This table has been closed. Please scan the QR code again.', statusCode: 409 };
+  }
+
+  return { session };
+};
+
+/**
+ * Tell every device at the table about the new cart and respond with it
+ * @param {Object} res - Express response object
+ * @param {Object} session - Updated TableSession document
+ * @param {string} message - Response message
+ * @param {number} statusCode - HTTP status code
+ */
+const sendCartUpdate = (res, session, message, statusCode = 200) => {
+  const cart = toCartResponse(session);
+  publishCartEvent(CART_EVENTS.UPDATED, session._id, { cart });
+  res.status(statusCode).json({ success: true, message, data: cart });
+};
+
+/**
+ * Get the shared cart for the guest's table
+ * GET /api/cart
+ */
+export const getCart = asyncHandler(async (req, res) => {
+  const { session, error, statusCode } = await loadGuestSession(req);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart retrieved successfully',
+    data: toCartResponse(session)
+  });
+});
+
+/**
+ * Add an item to the shared cart
+ * POST /api/cart/items
+ * Body: { menuItemId, quantity, options?, note? }
+ */
+export const addCartItem = asyncHandler(async (req, res) => {
+  const { menuItemId, quantity = 1, options = [], note = '' } = req.body;
+
+  const { session, error, statusCode } = await loadGuestSession(req);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  if (session.cart.length >= MAX_CART_LINES) {
+    return res.status(409).json({ success: false, message: 'The shared cart is full, please place an order first' });
+  }
+
+  // Priced and checked the same way checkout does, so the cart never holds something that can't be ordered
+  const { lines, unavailableItems } = await resolveOrderLines([{ menuItemId, quantity, options }]);
+  if (unavailableItems.length > 0) {
+    const [unavailable] = unavailableItems;
+    return res.status(409).json({
+      success: false,
+      message: unavailable.message || `${unavailable.name || 'This item'} is not available right now`,
+      data: { unavailableItems }
+    });
+  }
+
+  const [line] = lines;
+  const guest = req.customer;
+  const trimmedNote = String(note || '').trim();
+  const optionKey = line.options.map(option => option.optionId.toString()).sort().join(',');
+
+  // The same guest adding the same configuration bumps their existing line
+  let updatedSession = await TableSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: 'open',
+      cart: { $elemMatch: { menuItemId: line.menuItemId, optionKey, note: trimmedNote, addedBy: guest._id } }
+    },
+    { $inc: { 'cart.$.qty': line.qty, cartVersion: 1 } },
+    { new: true }
+  );
+
+  if (!updatedSession) {
+    updatedSession = await TableSession.findOneAndUpdate(
+      { _id: session._id, status: 'open' },
+      {
+        $push: {
+          cart: {
+            menuItemId: line.menuItemId,
+            name: line.name,
+            price: line.price,
+            options: line.options,
+            optionKey,
+            qty: line.qty,
+            note: trimmedNote,
+            addedBy: guest._id,
+            addedByName: guest.name
+          }
+        },
+        $inc: { cartVersion: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  if (!updatedSession) {
+    return res.status(409).json({ success: false, message: 'This table has been closed. Please scan the QR code again.' });
+  }
+
+  sendCartUpdate(res, updatedSession, `${line.name} added to the table's cart`, 201);
+});
+
+/**
+ * Change the quantity or note of a shared cart line (any guest at the table)
+ * PATCH /api/cart/items/:lineId
+ * Body: { quantity?, note? }
+ */
+export const updateCartItem = asyncHandler(async (req, res) => {
+  const { lineId } = req.params;
+  const { quantity, note } = req.body;
+
+  const updateData = {};
+  if (quantity !== undefined) updateData['cart.$.qty'] = parseInt(quantity, 10);
+  if (note !== undefined) updateData['cart.$.note'] = String(note).trim();
+
+  if (Object.keys(updateData).length === 0) {
+    return res.status(400).json({ success: false, message: 'Nothing to update' });
+  }
+
+  const { session, error, statusCode } = await loadGuestSession(req);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  const updatedSession = await TableSession.findOneAndUpdate(
+    { _id: session._id, status: 'open', 'cart._id': lineId },
+    { $set: updateData, $inc: { cartVersion: 1 } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedSession) {
+    return res.status(404).json({ success: false, message: 'Cart item not found, it may have been removed or ordered' });
+  }
+
+  sendCartUpdate(res, updatedSession, 'Cart updated');
+});
+
+/**
+ * Remove a line from the shared cart (any guest at the table)
+ * DELETE /api/cart/items/:lineId
+ */
+export const removeCartItem = asyncHandler(async (req, res) => {
+  const { lineId } = req.params;
+
+  const { session, error, statusCode } = await loadGuestSession(req);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  const updatedSession = await TableSession.findOneAndUpdate(
+    { _id: session._id, status: 'open', 'cart._id': lineId },
+    { $pull: { cart: { _id: lineId } }, $inc: { cartVersion: 1 } },
+    { new: true }
+  );
+
+  if (!updatedSession) {
+    return res.status(404).json({ success: false, message: 'Cart item not found, it may have been removed or ordered' });
+  }
+
+  sendCartUpdate(res, updatedSession, 'Item removed from the cart');
+});
+
+/**
+ * Empty the shared cart
+ * DELETE /api/cart
+ */
+export const clearCart = asyncHandler(async (req, res) => {
+  const { session, error, statusCode } = await loadGuestSession(req);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  const updatedSession = await TableSession.findOneAndUpdate(
+    { _id: session._id, status: 'open' },
+    { $set: { cart: [] }, $inc: { cartVersion: 1 } },
+    { new: true }
+  );
+
+  if (!updatedSession) {
+    return res.status(409).json({ success: false, message: 'This table has been closed. Please scan the QR code again.' });
+  }
+
+  sendCartUpdate(res, updatedSession, 'Cart cleared');
+});
+
+/**
+ * Place one order with everything in the shared cart (any guest at the table)
+ * POST /api/cart/submit
+ * Body: { promoCode? }
+ */
+export const submitCart = asyncHandler(async (req, res) => {
+  const { session, error, statusCode } = await loadGuestSession(req);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  // Take the lines out in one step so two guests pressing submit can't order the cart twice
+  const takenSession = await TableSession.findOneAndUpdate(
+    { _id: session._id, status: 'open', 'cart.0': { $exists: true } },
+    { $set: { cart: [] }, $inc: { cartVersion: 1 } },
+    { new: false }
+  );
+
+  if (!takenSession) {
+    return res.status(400).json({ success: false, message: 'The shared cart is empty' });
+  }
+
+  const lines = takenSession.cart;
+
+  // Put the lines back (ahead of anything added meanwhile) when the order can't be placed,
+  // at the current menu price so the table sees what the next attempt will charge
+  const restoreCart = async (priceChanges = []) => {
+    const currentPrices = new Map(priceChanges.map(change => [change.index, change.currentPrice]));
+    const restoredLines = lines.map((line, index) => ({
+      ...line.toObject(),
+      ...(currentPrices.has(index) && { price: currentPrices.get(index) })
+    }));
+    const restored = await TableSession.findOneAndUpdate(
+      { _id: session._id },
+      { $push: { cart: { $each: restoredLines, $position: 0 } }, $inc: { cartVersion: 1 } },
+      { new: true }
+    );
+    if (restored) publishCartEvent(CART_EVENTS.UPDATED, restored._id, { cart: toCartResponse(restored) });
+  };
+
+  let result;
+  try {
+    result = await placeOrder(
+      lines.map(line => ({
+        menuItemId: line.menuItemId,
+        name: line.name,
+        price: line.price,
+        quantity: line.qty,
+        options: line.options.map(option => option.optionId),
+        note: line.note
+      })),
+      {
+        tableId: takenSession.tableId,
+        customerId: req.user ? req.user._id : null,
+        guest: req.customer,
+        addedBy: lines.map(line => ({ id: line.addedBy, name: line.addedByName })),
+        actor: getRequestActor(req),
+        promoCode: req.body?.promoCode || ''
+      }
+    );
+  } catch (err) {
+    console.error('Error placing shared cart order:', err);
+    await restoreCart();
+    return res.status(500).json({ success: false, message: 'Failed to place order' });
+  }
+
+  // Report problems by cart line so every device can point at the right item
+  const withLineIds = (entries = []) => entries.map(entry => ({ ...entry, lineId: lines[entry.index]?._id }));
+
+  if (result.error) {
+    await restoreCart(result.data?.priceChanges);
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.error,
+      data: result.data && {
+        unavailableItems: withLineIds(result.data.unavailableItems),
+        priceChanges: withLineIds(result.data.priceChanges),
+        promoError: result.data.promoError
+      }
+    });
+  }
+
+  const { order, priceChanges } = result;
+  const emptyCart = toCartResponse({ _id: session._id, cart: [], cartVersion: takenSession.cartVersion + 1 });
+  publishCartEvent(CART_EVENTS.SUBMITTED, session._id, {
+    cart: emptyCart,
+    order: { id: order._id, orderNumber: order.orderNumber, submittedBy: req.customer.name }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Order placed successfully',
+    data: {
+      id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      totals: order.totals,
+      breakdown: order.breakdown,
+      tableSessionId: order.tableSessionId,
+      createdAt: order.createdAt,
+      priceChanges: withLineIds(priceChanges)
+    }
+  });
+});
+
+/**
+ * Stream shared cart changes for the guest's table
+ * GET /api/cart/stream
+ */
+export const streamCart = asyncHandler(async (req, res) => {
+  const { session, error, statusCode } = await loadGuestSession(req);
+  if (error) return res.status(statusCode).json({ success: false, message: error });
+
+  let unsubscribe = () => {};
+  const send = openEventStream(req, res, () => unsubscribe());
+
+  send('ready', { cart: toCartResponse(session) });
+  unsubscribe = subscribeToCartEvents(session._id, (event) => send(event.type, event));
+});
+
+export default {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  submitCart,
+  streamCart
+};
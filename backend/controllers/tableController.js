@@ -1,9 +1,21 @@
 import Table from '../models/Table.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { generateQRCodeSlug, generateQRCodeData } from '../utils/qrCodeUtils.js';
-import { generateTableSessionId } from '../utils/qrCodeUtils.js';
+import { generateQRCodeSlug, generateQRCodeData, generateQRCodeURL, renderQRCodePNG, renderQRCodeSVG, generateTableQRSheetPDF } from '../utils/qrCodeUtils.js';
+import { getOpenTableSession, openTableSession, getOpenSessionsByTable } from '../utils/tableSessionUtils.js';
 import config from '../config/config.js';
 
+/**
+ * Build the table response, with occupancy derived from the open session
+ * @param {Object} table - Table document
+ * @param {string|null} openSessionId - Id of the table's open session, if any
+ * @returns {Object} Table response data
+ */
+const toTableResponse = (table, openSessionId = null) => ({
+	...generateQRCodeData(table, config.FRONTEND_URL),
+	occupied: !!openSessionId,
+	activeSessionId: openSessionId
+});
+
 /**
  * Create a new table (Admin)
  * POST /api/tables
@@ -25,7 +37,7 @@ export const createTable = asyncHandler(async (req, res) => {
 	res.status(201).json({
 		success: true,
 		message: 'Table created successfully',
-		data: generateQRCodeData(table, config.FRONTEND_URL)
+		data: toTableResponse(table)
 	});
 });
 
@@ -35,7 +47,8 @@ export const createTable = asyncHandler(async (req, res) => {
  */
 export const listTables = asyncHandler(async (req, res) => {
 	const tables = await Table.find().sort({ number: 1 });
-	const data = tables.map(t => generateQRCodeData(t, config.FRONTEND_URL));
+	const openSessions = await getOpenSessionsByTable();
+	const data = tables.map(t => toTableResponse(t, openSessions.get(t._id.toString()) || null));
 	res.status(200).json({ success: true, message: 'Tables retrieved', data });
 });
 
@@ -47,7 +60,8 @@ export const getTableById = asyncHandler(async (req, res) => {
 	const { id } = req.params;
 	const table = await Table.findById(id);
 	if (!table) return res.status(404).json({ success: false, message: 'Table not found' });
-	res.status(200).json({ success: true, data: generateQRCodeData(table, config.FRONTEND_URL) });
+	const session = await getOpenTableSession(table._id);
+	res.status(200).json({ success: true, data: toTableResponse(table, session?._id || null) });
 });
 
 /**
@@ -59,16 +73,14 @@ export const getTableByQrSlug = asyncHandler(async (req, res) => {
 	const table = await Table.findOne({ qrSlug });
 	if (!table) return res.status(404).json({ success: false, message: 'Table not found' });
 
-	// Optionally create an active session id for this scan
-	const sessionId = generateTableSessionId(qrSlug, req.get('User-Agent') || '', req.ip || '');
-	table.activeSessionId = sessionId;
-	await table.save();
+	// A scan opens the table's session, or joins the one already running
+	const session = await openTableSession(table._id);
 
 	res.status(200).json({
 		success: true,
 		message: 'Table retrieved by QR slug',
-		data: generateQRCodeData(table, config.FRONTEND_URL),
-		sessionId
+		data: toTableResponse(table, session._id),
+		sessionId: session._id
 	});
 });
 
@@ -94,7 +106,8 @@ export const updateTable = asyncHandler(async (req, res) => {
 
 	await table.save();
 
-	res.status(200).json({ success: true, message: 'Table updated', data: generateQRCodeData(table, config.FRONTEND_URL) });
+	const session = await getOpenTableSession(table._id);
+	res.status(200).json({ success: true, message: 'Table updated', data: toTableResponse(table, session?._id || null) });
 });
 
 /**
@@ -106,30 +119,76 @@ export const deleteTable = asyncHandler(async (req, res) => {
 	const table = await Table.findById(id);
 	if (!table) return res.status(404).json({ success: false, message: 'Table not found' });
 
+	const session = await getOpenTableSession(table._id);
+	if (session) {
+		return res.status(409).json({ success: false, message: 'Table is occupied. Close the table session before deleting it.' });
+	}
+
 	await Table.findByIdAndDelete(id);
 
 	res.status(200).json({ success: true, message: 'Table deleted' });
 });
 
 /**
- * Update table occupancy (Staff/Admin)
- * PATCH /api/tables/:id/occupancy
+ * Get a table's QR code image (Admin)
+ * GET /api/tables/:id/qr?format=png|svg&size=512
  */
-export const updateOccupancy = asyncHandler(async (req, res) => {
+export const getTableQRCode = asyncHandler(async (req, res) => {
 	const { id } = req.params;
-	const { occupied } = req.body;
+	const { format = 'png' } = req.query;
+	const size = parseInt(req.query.size, 10) || 512;
 
-	if (typeof occupied !== 'boolean') {
-		return res.status(400).json({ success: false, message: 'occupied field must be a boolean' });
+	const table = await Table.findById(id);
+	if (!table) return res.status(404).json({ success: false, message: 'Table not found' });
+
+	const qrUrl = generateQRCodeURL(table.qrSlug, config.FRONTEND_URL);
+	const filename = `table-${table.number}-qr.${format}`;
+	res.set('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`);
+	res.set('Cache-Control', 'private, max-age=300');
+
+	if (format === 'svg') {
+		res.type('image/svg+xml').send(await renderQRCodeSVG(qrUrl));
+		return;
 	}
 
+	res.type('image/png').send(await renderQRCodePNG(qrUrl, size));
+});
+
+/**
+ * Download a printable QR card sheet for one table (Admin)
+ * GET /api/tables/:id/qr-sheet
+ */
+export const getTableQRSheet = asyncHandler(async (req, res) => {
+	const { id } = req.params;
 	const table = await Table.findById(id);
 	if (!table) return res.status(404).json({ success: false, message: 'Table not found' });
 
-	table.occupied = occupied;
-	await table.save();
+	const pdf = await generateTableQRSheetPDF([table], {
+		baseUrl: config.FRONTEND_URL,
+		restaurantName: config.RESTAURANT.NAME
+	});
+
+	res.set('Content-Disposition', `attachment; filename="table-${table.number}-qr-card.pdf"`);
+	res.type('application/pdf').send(pdf);
+});
+
+/**
+ * Download a printable QR card sheet for all tables (Admin)
+ * GET /api/tables/qr-sheet
+ */
+export const getAllTablesQRSheet = asyncHandler(async (req, res) => {
+	const tables = await Table.find().sort({ number: 1 });
+	if (tables.length === 0) {
+		return res.status(404).json({ success: false, message: 'No tables to print' });
+	}
+
+	const pdf = await generateTableQRSheetPDF(tables, {
+		baseUrl: config.FRONTEND_URL,
+		restaurantName: config.RESTAURANT.NAME
+	});
 
-	res.status(200).json({ success: true, message: 'Table occupancy updated', data: generateQRCodeData(table, config.FRONTEND_URL) });
+	res.set('Content-Disposition', 'attachment; filename="table-qr-cards.pdf"');
+	res.type('application/pdf').send(pdf);
 });
 
 export default {
@@ -138,5 +197,8 @@ export default {
 	getTableById,
 	getTableByQrSlug,
 	updateTable,
-	deleteTable
+	deleteTable,
+	getTableQRCode,
+	getTableQRSheet,
+	getAllTablesQRSheet
 };
\ No newline at end of file
@@ -0,0 +1,133 @@
+import TableSession from '../models/TableSession.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { calculateSessionBill, closeTableSession as closeSession } from '../utils/tableSessionUtils.js';
+
+/**
+ * Table Session Controller
+ * Lets staff follow each table's visit and running bill, and close the table when guests leave
+ */
+
+// Order fields needed to show a session's bill
+const SESSION_ORDER_FIELDS = 'orderNumber items totals status payment customerId createdAt';
+
+/**
+ * Shape a populated session for API responses
+ * @param {Object} session - TableSession with tableId, customers and orders populated
+ * @param {boolean} includeOrders - Include the full order list
+ * @returns {Object} Session response
+ */
+const toSessionResponse = (session, includeOrders = false) => {
+  const bill = calculateSessionBill(session.orders);
+
+  return {
+    id: session._id,
+    table: session.tableId ? { id: session.tableId._id, number: session.tableId.number } : null,
+    status: session.status,
+    openedAt: session.openedAt,
+    closedAt: session.closedAt,
+    closedBy: session.closedBy,
+    closeNote: session.closeNote,
+    guests: session.customers.map(c => ({ id: c._id, name: c.name })),
+    bill: {
+      orderCount: bill.orderCount,
+      total: bill.total,
+      paid: bill.paid,
+      refunded: bill.refunded,
+      due: bill.due,
+      unpaidCount: bill.unpaidOrders.length
+    },
+    ...(includeOrders && {
+      orders: session.orders.map(o => ({
+        id: o._id,
+        orderNumber: o.orderNumber,
+        items: o.items,
+        totals: o.totals,
+        status: o.status,
+        payment: { status: o.payment?.status || 'pending', method: o.payment?.method || null },
+        createdAt: o.createdAt
+      }))
+    })
+  };
+};
+
+/**
+ * List table sessions with their running bills (Staff/Admin)
+ * GET /api/table-sessions?status=open|closed
+ */
+export const listTableSessions = asyncHandler(async (req, res) => {
+  const { status = 'open', limit = 50 } = req.query;
+
+  const sessions = await TableSession.find({ status })
+    .populate('tableId', 'number')
+    .populate('customers', 'name')
+    .populate('orders', SESSION_ORDER_FIELDS)
+    .sort({ openedAt: status === 'open' ? 1 : -1 })
+    .limit(Math.min(parseInt(limit, 10) || 50, 200));
+
+  res.status(200).json({
+    success: true,
+    message: 'Table sessions retrieved successfully',
+    data: {
+      sessions: sessions.map(s => toSessionResponse(s))
+    }
+  });
+});
+
+/**
+ * Get a table session with its orders and bill (Staff/Admin)
+ * GET /api/table-sessions/:id
+ */
+export const getTableSessionById = asyncHandler(async (req, res) => {
+  const session = await TableSession.findById(req.params.id)
+    .populate('tableId', 'number')
+    .populate('customers', 'name')
+    .populate({ path: 'orders', select: SESSION_ORDER_FIELDS, options: { sort: { createdAt: 1 } } });
+
+  if (!session) {
+    return res.status(404).json({ success: false, message: 'Table session not found' });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Table session retrieved successfully',
+    data: {
+      session: toSessionResponse(session, true)
+    }
+  });
+});
+
+/**
+ * Close a table session and free the table (Staff/Admin)
+ * POST /api/table-sessions/:id/close
+ * Body: { force?: boolean, note?: string }
+ */
+export const closeTableSession = asyncHandler(async (req, res) => {
+  const { force = false, note = '' } = req.body;
+
+  const result = await closeSession(req.params.id, { actorId: req.user._id, note }, { force });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.error,
+      ...(result.bill && { data: { bill: result.bill } })
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Table closed successfully',
+    data: {
+      id: result.session._id,
+      status: result.session.status,
+      closedAt: result.session.closedAt,
+      bill: result.bill
+    }
+  });
+});
+
+export default {
+  listTableSessions,
+  getTableSessionById,
+  closeTableSession
+};
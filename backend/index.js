@@ -8,7 +8,9 @@ import connectDB from "./config/db.js";
 import corsConfig from "./config/cors.js";
 import config from "./config/config.js";
 import { errorHandler, notFound } from "./middleware/errorHandler.js";
-import { handleWebhook } from './controllers/paymentController.js';
+import { handleWebhook, handleRazorpayWebhook } from './controllers/paymentController.js';
+import { schedulePopularityRefresh } from './utils/menuEngineering.js';
+import { startAutoPrint } from './utils/printUtils.js';
 
 // Load environment variables
 dotenv.config();
@@ -16,9 +18,17 @@ dotenv.config();
 // Connect to MongoDB
 connectDB();
 
+// Keep menu item popularity in step with recent sales
+schedulePopularityRefresh();
+
+// Send kitchen tickets for new orders to the station printers
+startAutoPrint();
+
 const app = express();
 
 // Middleware
+// Credentials that may travel in query strings (stream tickets, older clients' tokens) never reach the logs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:ticket|token|customerToken)=)[^&]*/gi, '$1[redacted]'));
 app.use(morgan('combined')); // Logging middleware
 app.use(helmet()); // Basic security headers
 
@@ -39,6 +49,18 @@ app.post(
   express.raw({ type: 'application/json' }),
   (req, res) => handleWebhook(req, res)
 );
+// Razorpay signs the raw body too (X-Razorpay-Signature)
+app.post(
+  '/api/payments/razorpay/webhook',
+  express.raw({ type: 'application/json' }),
+  (req, res) => handleRazorpayWebhook(req, res)
+);
+// Any payment provider by name, e.g. /api/payments/webhooks/mock
+app.post(
+  '/api/payments/webhooks/:provider',
+  express.raw({ type: 'application/json' }),
+  (req, res) => handleWebhook(req, res)
+);
 app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Parse URL-encoded bodies
 
@@ -73,6 +95,15 @@ import menuRoutes from "./routes/menuRoutes.js";
 import tableRoutes from "./routes/tableRoutes.js";
 import orderRoutes from "./routes/orderRoutes.js";
 import paymentRoutes from "./routes/paymentRoutes.js";
+import kitchenRoutes from "./routes/kitchenRoutes.js";
+import tableSessionRoutes from "./routes/tableSessionRoutes.js";
+import customerRoutes from "./routes/customerRoutes.js";
+import cartRoutes from "./routes/cartRoutes.js";
+import promotionRoutes from "./routes/promotionRoutes.js";
+import inventoryRoutes from "./routes/inventoryRoutes.js";
+import analyticsRoutes from "./routes/analyticsRoutes.js";
+import reportRoutes from "./routes/reportRoutes.js";
+import printRoutes from "./routes/printRoutes.js";
 
 // Mount routes
 app.use("/api/auth", authRoutes);
@@ -81,6 +112,15 @@ app.use("/api/menu", menuRoutes);
 app.use("/api/tables", tableRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/kitchen", kitchenRoutes);
+app.use("/api/table-sessions", tableSessionRoutes);
+app.use("/api/customers", customerRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/inventory", inventoryRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/print", printRoutes);
 
 // 404 handler for undefined routes
 app.use(notFound);
@@ -138,7 +178,7 @@ app.listen(PORT,"0.0.0.0", () => {
    PUT  /api/menu/items/:id          - Update menu item (Admin)
    DELETE /api/menu/items/:id        - Delete menu item (Admin)
    PATCH /api/menu/items/:id/availability - Update availability (Admin)
-   PATCH /api/menu/items/:id/popularity   - Update popularity (Admin)
+   POST /api/menu/popularity/refresh      - Recount popularity from orders (Admin)
    POST /api/menu/items/:id/image    - Upload item image (Admin)
    DELETE /api/menu/items/:id/image  - Delete item image (Admin)
    POST /api/menu/categories/:id/image    - Upload category image (Admin)
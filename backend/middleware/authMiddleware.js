@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Customer from '../models/Customer.js';
 import config from '../config/config.js';
+import { verifyStreamTicket } from '../utils/generateTokens.js';
 
 /**
  * JWT Authentication Middleware
@@ -10,6 +12,8 @@ export const authenticate = async (req, res, next) => {
   try {
     // Allow preflight requests to pass through without authentication
     if (req.method === 'OPTIONS') return next();
+    // Already signed in through a stream ticket
+    if (req.streamTicket && req.user) return next();
     // Get token from header
     const authHeader = req.header('Authorization');
 
@@ -95,6 +99,9 @@ export const authenticate = async (req, res, next) => {
  * Useful for endpoints that work with or without authentication
  */
 export const optionalAuth = async (req, res, next) => {
+  // Already identified by a stream ticket
+  if (req.streamTicket) return next();
+
   try {
     const authHeader = req.header('Authorization');
 
@@ -139,6 +146,124 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Stream Ticket Middleware
+ * EventSource cannot send custom headers, so stream endpoints accept a short-lived
+ * stream ticket (POST /api/auth/stream-ticket) as a `ticket` query parameter; access
+ * and customer tokens never go in URLs, where logs and browser history would keep them.
+ * A valid ticket attaches the same req.user / req.customer the headers would, and the
+ * authenticate, optionalAuth and customerSession middlewares after it leave them as is.
+ * Without a ticket the request goes on to those middlewares unchanged.
+ */
+export const streamTicket = async (req, res, next) => {
+  const { ticket } = req.query;
+  if (typeof ticket !== 'string' || !ticket) return next();
+
+  try {
+    const decoded = verifyStreamTicket(ticket);
+
+    const user = decoded.user ? await User.findById(decoded.user).select('-passwordHash') : null;
+    const customer = decoded.customer ? await Customer.findById(decoded.customer) : null;
+    if ((decoded.user && !user) || (decoded.customer && (!customer || !customer.isActive))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Stream ticket is no longer valid.'
+      });
+    }
+
+    req.user = user;
+    req.userId = user?._id || null;
+    req.userRole = user?.role || null;
+    req.customer = customer;
+    req.streamTicket = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError'
+        ? 'Stream ticket has expired.'
+        : 'Invalid stream ticket.'
+    });
+  }
+};
+
+/**
+ * Guest Customer Session Middleware
+ * Guests who scanned a table QR carry a customer session token in the
+ * `X-Customer-Token` header, separate from the Authorization header so a
+ * signed-in user can hold both (event streams use a stream ticket instead).
+ * Attaches the active Customer as req.customer; a missing token is not an error,
+ * but an invalid or ended session is, so the client knows to join the table again.
+ */
+export const customerSession = async (req, res, next) => {
+  // Already identified by a stream ticket
+  if (req.streamTicket) return next();
+
+  const token = req.header('X-Customer-Token');
+
+  req.customer = null;
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, config.JWT_SECRET);
+
+    if (decoded.type !== 'customer') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid customer session token.'
+      });
+    }
+
+    const customer = await Customer.findById(decoded.id);
+    if (!customer || !customer.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Customer session expired. Please scan the table QR code again.'
+      });
+    }
+
+    req.customer = customer;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError'
+        ? 'Customer session expired. Please scan the table QR code again.'
+        : 'Invalid customer session token.'
+    });
+  }
+};
+
+/**
+ * Require either a signed-in user or a guest customer session
+ * Use after optionalAuth and customerSession
+ */
+export const requireUserOrCustomer = (req, res, next) => {
+  if (!req.user && !req.customer) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. Sign in or join a table to continue.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require a guest customer session
+ * Use after customerSession
+ */
+export const requireCustomer = (req, res, next) => {
+  if (!req.customer) {
+    return res.status(401).json({
+      success: false,
+      message: 'Join a table to continue. Please scan the table QR code.'
+    });
+  }
+
+  next();
+};
+
 /**
  * Refresh Token Authentication Middleware
  * Verifies refresh tokens for token renewal
@@ -200,5 +325,9 @@ export const authenticateRefresh = async (req, res, next) => {
 export default {
   authenticate,
   optionalAuth,
+  streamTicket,
+  customerSession,
+  requireUserOrCustomer,
+  requireCustomer,
   authenticateRefresh
 };
@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+/**
+ * Idempotency Middleware
+ * Lets clients retry a POST safely by sending an Idempotency-Key header: a repeat with the same
+ * key and body gets the first response back instead of running the handler again.
+ */
+
+const MAX_KEY_LENGTH = 255;
+const DUPLICATE_KEY = 11000;
+
+// A key still 'processing' after this long belongs to a request that died mid-way
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (body) => crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+
+// Keys are per caller, so one client can never be handed another's response
+const requestOwner = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  if (req.customer) return `customer:${req.customer._id}`;
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Reserve a key for this request
+ * A key whose window is over, or whose first request never finished, is taken over.
+ * @param {Object} params - { scope, owner, key, requestHash }
+ * @returns {Promise<Object>} { record } when this request should run, otherwise { existing }
+ */
+const claimKey = async ({ scope, owner, key, requestHash }) => {
+  const expiresAt = new Date(Date.now() + config.IDEMPOTENCY.WINDOW_MS);
+  try {
+    return { record: await IdempotencyKey.create({ scope, owner, key, requestHash, expiresAt }) };
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY) throw err;
+  }
+
+  const now = new Date();
+  const record = await IdempotencyKey.findOneAndUpdate(
+    {
+      scope,
+      owner,
+      key,
+      $or: [
+        { expiresAt: { $lte: now } },
+        { status: 'processing', updatedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { requestHash, status: 'processing', expiresAt }, $unset: { statusCode: 1, response: 1 } },
+    { new: true }
+  );
+  if (record) return { record };
+
+  return { existing: await IdempotencyKey.findOne({ scope, owner, key }) };
+};
+
+/**
+ * Keep the response of a successful request for replays; otherwise free the key for a retry
+ * @param {Object} record - IdempotencyKey document
+ * @param {number} statusCode - Response status
+ * @param {Object} body - Response body
+ */
+const settleKey = (record, statusCode, body) => {
+  const update = statusCode >= 200 && statusCode < 300
+    ? IdempotencyKey.updateOne(
+      { _id: record._id },
+      { $set: { status: 'completed', statusCode, response: JSON.parse(JSON.stringify(body ?? null)) } }
+    )
+    : IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' });
+  update.catch(err => console.error(`Idempotency key ${record.key} could not be saved:`, err.message));
+};
+
+/**
+ * Make a route replay-safe under an Idempotency-Key header (optional for clients)
+ * @param {string} scope - Name of the endpoint, keys are only matched within it
+ */
+export const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req.body);
+    const { record, existing } = await claimKey({ scope, owner: requestOwner(req), key, requestHash });
+
+    if (!record) {
+      if (!existing) {
+        return res.status(409).json({ success: false, message: 'This Idempotency-Key was just released, please retry' });
+      }
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request. Use a new key for a new request.'
+        });
+      }
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.response);
+    }
+
+    // Capture the handler's response; a request that ends without one frees the key
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!settled) {
+        settled = true;
+        settleKey(record, res.statusCode, body);
+      }
+      return json(body);
+    };
+    res.on('close', () => {
+      if (!settled) {
+        settled = true;
+        settleKey(record, 500);
+      }
+    });
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+export default { idempotent };
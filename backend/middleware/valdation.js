@@ -1,4 +1,7 @@
 import { body, validationResult } from "express-validator";
+import { checkOptionGroups, checkSchedule } from "../utils/validationUtils.js";
+import { getTaxClassNames } from "../utils/orderTotals.js";
+import { getPrintStations } from "../utils/printers/index.js";
 
 // ✅ Validate new order creation
 export const validateOrder = [
@@ -15,7 +18,38 @@ export const validateOrder = [
     .withMessage("Invalid menu item ID"),
   body("items.*.quantity")
     .isInt({ min: 1 })
-    .withMessage("Quantity must be at least 1")
+    .withMessage("Quantity must be at least 1"),
+  body("items.*.options")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Options must be an array"),
+  body("promoCode")
+    .optional()
+    .isString()
+    .isLength({ max: 40 })
+    .withMessage("Promo code must be at most 40 characters")
+];
+
+// ✅ Validate cart lines sent for a price quote
+export const validateOrderQuote = [
+  body("items")
+    .isArray({ max: 100 })
+    .withMessage("Items must be an array of at most 100 lines"),
+  body("items.*.menuItemId")
+    .isMongoId()
+    .withMessage("Invalid menu item ID"),
+  body("items.*.quantity")
+    .isInt({ min: 1 })
+    .withMessage("Quantity must be at least 1"),
+  body("items.*.options")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Options must be an array"),
+  body("promoCode")
+    .optional()
+    .isString()
+    .isLength({ max: 40 })
+    .withMessage("Promo code must be at most 40 characters")
 ];
 
 // ✅ Validate order status values
@@ -28,8 +62,123 @@ export const validateOrderStatus = [
 // ✅ Validate payment status values
 export const validateOrderPayment = [
   body("status")
-    .isIn(["pending", "paid", "failed", "refunded"])
-    .withMessage("Invalid payment status")
+    .isIn(["pending", "paid", "failed"])
+    .withMessage("Invalid payment status, refunds are issued through the refunds endpoint"),
+  body("tip")
+    .optional()
+    .isFloat({ min: 0, max: 999999.99 })
+    .withMessage("Tip must be a positive number")
+];
+
+// ✅ Validate refunds: an amount or specific lines, always with a reason
+export const validateRefund = [
+  body("amount")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Refund amount must be greater than 0"),
+  body("items")
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Items must be a non-empty array"),
+  body("items.*.lineIndex")
+    .isInt({ min: 0 })
+    .withMessage("Invalid item index")
+    .toInt(),
+  body("items.*.qty")
+    .isInt({ min: 1 })
+    .withMessage("Quantity must be at least 1")
+    .toInt(),
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("A reason of at most 500 characters is required"),
+  body()
+    .custom((value) => value.amount !== undefined || (Array.isArray(value.items) && value.items.length > 0))
+    .withMessage("Refund an amount or at least one item")
+];
+
+// ✅ Validate a category's tax class; null falls back to the default class
+export const validateTaxClass = body("taxClass")
+  .optional({ values: "null" })
+  .custom((value) => getTaxClassNames().includes(value))
+  .withMessage(`Tax class must be one of: ${getTaxClassNames().join(", ")}`);
+
+// ✅ Validate a category's printer station; null sends its items to the default station
+export const validatePrintStation = body("printStation")
+  .optional({ values: "null" })
+  .custom((value) => getPrintStations().some((station) => station.name === value))
+  .withMessage("Print station must be one of the stations in PRINTER_STATIONS");
+
+// ✅ Validate when a category or item is served: [{ days: [0-6], start: "HH:mm", end: "HH:mm" }]
+export const validateSchedule = body("schedule").optional().custom(checkSchedule);
+
+// ✅ Validate a new menu category (also run on each category row of a menu import)
+export const validateMenuCategory = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Category name must be between 2 and 50 characters")
+    .matches(/^[a-zA-Z\s\-&']+$/)
+    .withMessage("Category name can only contain letters, spaces, hyphens, ampersands, and apostrophes"),
+  body("displayOrder")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Display order must be a non-negative integer"),
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("Active must be a boolean"),
+  validateTaxClass,
+  validatePrintStation,
+  validateSchedule
+];
+
+// ✅ Validate a new menu item (also run on each item row of a menu import)
+export const validateMenuItem = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Menu item name must be between 2 and 100 characters"),
+  body("description")
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage("Description must be between 10 and 1000 characters"),
+  body("price")
+    .isFloat({ min: 0.01, max: 999999.99 })
+    .withMessage("Price must be a positive number with up to 2 decimal places"),
+  body("cost")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 999999.99 })
+    .withMessage("Cost must be a number of 0 or more"),
+  body("categoryId")
+    .isMongoId()
+    .withMessage("Category ID must be a valid MongoDB ObjectId"),
+  body("availability")
+    .optional()
+    .isBoolean()
+    .withMessage("Availability must be a boolean"),
+  body("tags")
+    .optional()
+    .isArray()
+    .withMessage("Tags must be an array")
+    .custom((tags) => {
+      if (tags && tags.length > 10) {
+        throw new Error("Maximum 10 tags allowed");
+      }
+      if (tags) {
+        tags.forEach((tag) => {
+          if (typeof tag !== "string" || tag.trim().length < 2 || tag.trim().length > 20) {
+            throw new Error("Each tag must be a string between 2 and 20 characters");
+          }
+        });
+      }
+      return true;
+    }),
+  body("optionGroups")
+    .optional()
+    .custom(checkOptionGroups),
+  validateSchedule
 ];
 
 // ✅ Common handler for validation errors
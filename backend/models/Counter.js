@@ -0,0 +1,9 @@
+import mongoose from "mongoose";
+
+// A named running number, e.g. "INV" for invoice numbers; seq is the last number handed out
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, { versionKey: false });
+
+export default mongoose.model("Counter", counterSchema);
@@ -22,6 +22,11 @@ const customerSchema = new mongoose.Schema({
     ref: 'Table',
     required: true
   },
+  tableSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TableSession',
+    default: null
+  },
   sessionToken: {
     type: String,
     required: true,
@@ -42,5 +47,6 @@ const customerSchema = new mongoose.Schema({
 // Index for efficient lookups
 customerSchema.index({ sessionToken: 1 });
 customerSchema.index({ table: 1, isActive: 1 });
+customerSchema.index({ tableSession: 1 });
 
 export default mongoose.model('Customer', customerSchema);
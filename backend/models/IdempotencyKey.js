@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// A client's Idempotency-Key for one endpoint, with the response it got the first time
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  // Endpoint the key was used on, e.g. "orders.create"
+  scope: { type: String, required: true },
+  // Signed-in user, guest session or IP the key belongs to
+  owner: { type: String, required: true },
+  // Hash of the request body; a different body under the same key is a conflict
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ["processing", "completed"], default: "processing" },
+  statusCode: { type: Number },
+  response: { type: Object },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ scope: 1, owner: 1, key: 1 }, { unique: true });
+// MongoDB removes keys once their window is over
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("IdempotencyKey", idempotencyKeySchema);
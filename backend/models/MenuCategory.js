@@ -1,8 +1,15 @@
 import mongoose from "mongoose";
+import scheduleWindowSchema from "./scheduleWindowSchema.js";
 
 const menuCategorySchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   displayOrder: { type: Number, default: 0 },
-  active: { type: Boolean, default: true }
+  active: { type: Boolean, default: true },
+  // Tax class (see utils/orderTotals.js) for the category's items; null uses the default class
+  taxClass: { type: String, default: null },
+  // Printer station (PRINTER_STATIONS) kitchen tickets for the category's items go to; null uses the default
+  printStation: { type: String, default: null },
+  // When guests can see and order from the category; empty means all day
+  schedule: { type: [scheduleWindowSchema], default: [] }
 }, { timestamps: true });
 export default mongoose.model("MenuCategory", menuCategorySchema);
@@ -1,4 +1,20 @@
 import mongoose from "mongoose";
+import scheduleWindowSchema from "./scheduleWindowSchema.js";
+
+// A single choice inside an option group, e.g. "Large" or "Extra cheese"
+const optionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  priceDelta: { type: Number, default: 0 },
+  available: { type: Boolean, default: true }
+});
+
+// A set of choices with selection rules, e.g. Size (exactly 1) or Add-ons (0–5)
+const optionGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  minSelect: { type: Number, default: 0, min: 0 },
+  maxSelect: { type: Number, default: 1, min: 1 },
+  options: { type: [optionSchema], default: [] }
+});
 
 const menuItemSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
@@ -6,9 +22,21 @@ const menuItemSchema = new mongoose.Schema({
   price: { type: Number, required: true },
   categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "MenuCategory", required: true },
   availability: { type: Boolean, default: true },
+  // Portions in stock; null means stock isn't tracked
+  stock: { type: Number, default: null, min: 0 },
+  // Stock at or below this raises a low-stock alert; null means no alert
+  lowStockThreshold: { type: Number, default: null, min: 0 },
+  // Set when running out switched the item off, so restocking switches it back on
+  soldOut: { type: Boolean, default: false },
+  // When the item is served, on top of its category's hours; empty means whenever the category is
+  schedule: { type: [scheduleWindowSchema], default: [] },
   tags: { type: [String], default: [] },
+  // Portions sold recently, recounted from orders (see menuEngineering)
   popularity: { type: Number, default: 0 },
-  imageUrl: { type: String, default: "" }
+  // What one portion costs to make; null until entered. Used for contribution margins
+  cost: { type: Number, default: null, min: 0 },
+  imageUrl: { type: String, default: "" },
+  optionGroups: { type: [optionGroupSchema], default: [] }
 }, { timestamps: true });
 
 menuItemSchema.index({ categoryId: 1, name: 1 });
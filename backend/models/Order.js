@@ -1,31 +1,162 @@
 import mongoose from "mongoose";
 
+// Snapshot of a chosen option, so later menu edits don't change past orders
+const lineOptionSchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId },
+  groupName: { type: String, required: true },
+  optionId: { type: mongoose.Schema.Types.ObjectId },
+  name: { type: String, required: true },
+  priceDelta: { type: Number, default: 0 }
+}, { _id: false });
+
 const orderLineSchema = new mongoose.Schema({
   menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem", required: true },
   name: { type: String, required: true },
+  // Unit price including option deltas; basePrice is the item price alone
   price: { type: Number, required: true },
+  basePrice: { type: Number },
+  options: { type: [lineOptionSchema], default: [] },
   qty: { type: Number, required: true, min: 1 },
-  note: { type: String, default: "" }
+  note: { type: String, default: "" },
+  // Category of the item when ordered, and the tax class the line was taxed under
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "MenuCategory", default: null },
+  taxClass: { type: String, default: null },
+  // Promotion discount taken off the line total (price * qty)
+  discount: { type: Number, default: 0 },
+  // Guest who added the line (shared table cart), kept for splitting the bill by item
+  addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", default: null },
+  addedByName: { type: String, default: "" },
+  // Kitchen preparation tracking, bumped one line at a time from the KDS
+  prepStatus: { type: String, enum: ["queued", "cooking", "done"], default: "queued" },
+  prepStartedAt: { type: Date, default: null },
+  prepDoneAt: { type: Date, default: null }
+}, { _id: false });
+
+// One tax component of the bill, e.g. CGST 2.5% on the lines taxed under GST 5%
+const taxLineSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  rate: { type: Number, required: true },
+  // Already part of the menu prices (tax-inclusive pricing) rather than added on top
+  included: { type: Boolean, default: false },
+  taxableAmount: { type: Number, required: true },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+// Promo code applied to the order, as it was when the order was placed
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion", required: true },
+  code: { type: String, required: true },
+  name: { type: String, default: "" },
+  type: { type: String }
+}, { _id: false });
+
+// How totals was worked out, as shown on the bill
+const orderBreakdownSchema = new mongoose.Schema({
+  taxMode: { type: String, enum: ["exclusive", "inclusive"], default: "exclusive" },
+  subtotal: { type: Number, required: true },
+  // Promotion discount, taken off the subtotal before tax
+  discount: { type: Number, default: 0 },
+  promotion: { type: appliedPromotionSchema, default: null },
+  taxes: { type: [taxLineSchema], default: [] },
+  taxTotal: { type: Number, default: 0 },
+  serviceChargeRate: { type: Number, default: 0 },
+  serviceCharge: { type: Number, default: 0 },
+  rounding: { type: Number, default: 0 },
+  total: { type: Number, required: true }
 }, { _id: false });
 
+const statusHistorySchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  role: { type: String, enum: ["admin", "staff", "customer", "guest", "system"], default: "system" },
+  note: { type: String, default: "" },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One provider refund call; a refund spanning several paid shares has one per share
+const refundTransactionSchema = new mongoose.Schema({
+  shareId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", default: null },
+  provider: { type: String, required: true },
+  reference: { type: String },
+  providerRefundId: { type: String },
+  amount: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: ["pending", "refunded", "failed"], default: "pending" },
+  error: { type: String, default: "" }
+}, { _id: false });
+
+const refundLineSchema = new mongoose.Schema({
+  lineIndex: { type: Number, required: true, min: 0 },
+  qty: { type: Number, required: true, min: 1 },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  // Sequential refund reference (RFD-...); null when every provider call failed
+  receiptNumber: { type: String, default: null },
+  amount: { type: Number, required: true, min: 0 },
+  // Set when specific lines were refunded rather than an amount
+  items: { type: [refundLineSchema], default: [] },
+  reason: { type: String, required: true },
+  // partial: some of the provider calls failed
+  status: { type: String, enum: ["pending", "succeeded", "partial", "failed"], default: "pending" },
+  transactions: { type: [refundTransactionSchema], default: [] },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  role: { type: String, enum: ["admin", "staff", "system"], default: "system" },
+  at: { type: Date, default: Date.now }
+});
+
 const orderSchema = new mongoose.Schema({
   tableId: { type: mongoose.Schema.Types.ObjectId, ref: "Table" },
   customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  // Guest who placed the order from a table session (Customer, not a User account)
+  guestId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", default: null },
+  tableSessionId: { type: mongoose.Schema.Types.ObjectId, ref: "TableSession", default: null },
   orderNumber: { type: String, unique: true, index: true },
+  // Sequential invoice number (INV-...), taken when the order is placed
+  invoiceNumber: { type: String, default: null },
   items: { type: [orderLineSchema], required: true },
+  // Grand total to pay; breakdown has its parts (missing on orders placed before it existed)
   totals: { type: Number, required: true },
+  breakdown: { type: orderBreakdownSchema, default: null },
   status: {
   type: String,
   enum: ['placed', 'preparing', 'ready', 'served', 'canceled', 'completed'],
   default: 'placed'
 },
+  statusHistory: { type: [statusHistorySchema], default: [] },
   payment: {
     method: { type: String },
     provider: { type: String },
+    // Provider's id for the payment (PaymentIntent id, Razorpay order id, ...)
+    reference: { type: String },
     providerData: { type: Object, default: {} },
-    status: { type: String, enum: ['pending','paid','failed','refunded'], default: 'pending' }
+    status: { type: String, enum: ['pending','paid','failed','partially_refunded','refunded'], default: 'pending' },
+    paidAt: { type: Date },
+    // Sequential receipt number (RCP-...) once paid; split bills have one per share instead
+    receiptNumber: { type: String, default: null },
+    // Tip left with the payment, on top of totals
+    tip: { type: Number, default: 0, min: 0 },
+    refundedAt: { type: Date },
+    // Money returned so far, across all refunds
+    refundedAmount: { type: Number, default: 0 },
+    // Provider time of the newest webhook event applied; older deliveries are ignored
+    lastEventAt: { type: Date, default: null },
+    // Set while the bill is split into Payment shares; the order is paid when all of them are
+    splitMode: { type: String, enum: ['even', 'item', 'custom', null], default: null }
   },
+  refunds: { type: [refundSchema], default: [] },
+  // When invoiceNumber or payment.receiptNumber is being drawn (keys use _ for .), see assignSequenceNumber
+  numberClaims: { type: Map, of: Date, default: undefined },
   meta: { qrSlug: String, deviceInfo: String }
 }, { timestamps: true });
 
+orderSchema.index({ 'payment.provider': 1, 'payment.reference': 1 }, { sparse: true });
+// Date-range reports (analytics)
+orderSchema.index({ createdAt: -1 });
+// End-of-day reports: payments, refunds and cancellations by when they happened
+orderSchema.index({ 'payment.paidAt': -1 }, { sparse: true });
+orderSchema.index({ 'refunds.at': -1 });
+orderSchema.index({ 'statusHistory.to': 1, 'statusHistory.at': -1 });
+
 export default mongoose.model("Order", orderSchema);
\ No newline at end of file
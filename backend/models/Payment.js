@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import config from "../config/config.js";
+
+// One share of a split bill; the order is only paid once every active share is settled
+const paymentSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+  tableSessionId: { type: mongoose.Schema.Types.ObjectId, ref: "TableSession", default: null },
+  splitMode: { type: String, enum: ["even", "item", "custom"], required: true },
+  shareIndex: { type: Number, required: true, min: 0 },
+  label: { type: String, required: true },
+  // Guest the share belongs to, when known (by-item splits follow who added each line)
+  guestId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", default: null },
+  // Order line indexes covered by a by-item share
+  lineIndexes: { type: [Number], default: [] },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: () => config.RESTAURANT.CURRENCY },
+  // canceled shares belong to a split that was replaced before anything was paid
+  status: { type: String, enum: ["pending", "paid", "failed", "canceled"], default: "pending" },
+  method: { type: String },
+  provider: { type: String },
+  // Provider's id for the payment (PaymentIntent id, Razorpay order id, ...)
+  reference: { type: String },
+  providerData: { type: Object, default: {} },
+  paidAt: { type: Date, default: null },
+  // Sequential receipt number (RCP-...) once paid
+  receiptNumber: { type: String, default: null },
+  // Money returned from this share by refunds
+  refundedAmount: { type: Number, default: 0 },
+  // Provider time of the newest webhook event applied; older deliveries are ignored
+  lastEventAt: { type: Date, default: null },
+  settledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  // When receiptNumber is being drawn, see assignSequenceNumber
+  numberClaims: { type: Map, of: Date, default: undefined }
+}, { timestamps: true });
+
+paymentSchema.index({ orderId: 1, status: 1 });
+paymentSchema.index({ provider: 1, reference: 1 }, { sparse: true });
+// End-of-day reports
+paymentSchema.index({ paidAt: -1 });
+
+export default mongoose.model("Payment", paymentSchema);
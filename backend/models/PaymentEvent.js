@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// A webhook event received from a payment provider, stored once per provider event id
+const paymentEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  // Normalized type (payment.succeeded, ...); null for events we don't act on
+  type: { type: String, default: null },
+  rawType: { type: String },
+  reference: { type: String },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+  shareId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", default: null },
+  // When the provider says the event happened
+  occurredAt: { type: Date, default: null },
+  // Raw request body, exactly as signed by the provider
+  payload: { type: String, required: true },
+  // received: being processed; ignored: nothing to do (unhandled, unmatched or stale)
+  status: { type: String, enum: ["received", "processed", "ignored", "failed"], default: "received" },
+  note: { type: String },
+  error: { type: String },
+  deliveries: { type: Number, default: 1 },
+  replays: { type: Number, default: 0 },
+  processedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ orderId: 1, createdAt: -1 });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("PaymentEvent", paymentEventSchema);
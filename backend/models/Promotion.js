@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import scheduleWindowSchema from "./scheduleWindowSchema.js";
+
+const promotionSchema = new mongoose.Schema({
+  // What guests type at checkout, stored upper-case
+  code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: "" },
+  // percentage: value% off; fixed: value off; buy_x_get_y: every buyQty + getQty units, the cheapest getQty are value% off
+  type: { type: String, enum: ["percentage", "fixed", "buy_x_get_y"], required: true },
+  value: { type: Number, required: true, min: 0 },
+  // Cap on a percentage discount; null for none
+  maxDiscount: { type: Number, default: null, min: 0 },
+  buyQty: { type: Number, default: 1, min: 1 },
+  getQty: { type: Number, default: 1, min: 1 },
+  // Spend on the menu before the discount, across the whole order
+  minSubtotal: { type: Number, default: 0, min: 0 },
+  // Lines the discount applies to; both empty means every line
+  categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "MenuCategory" }],
+  menuItemIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" }],
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  // Weekly hours the code works in (e.g. weekdays 12:00-15:00); empty means any time
+  schedule: { type: [scheduleWindowSchema], default: [] },
+  // Orders that may use the code; null for unlimited. usageCount counts placed orders that were not canceled
+  usageLimit: { type: Number, default: null, min: 1 },
+  usageCount: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+}, { timestamps: true });
+
+promotionSchema.index({ active: 1, endsAt: 1 });
+
+export default mongoose.model("Promotion", promotionSchema);
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// A change to a menu item's stock count
+const stockMovementSchema = new mongoose.Schema({
+  menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem", required: true },
+  // receipt, wastage and correction are entered by admins; sale and cancellation come from orders
+  type: { type: String, enum: ["receipt", "wastage", "correction", "sale", "cancellation"], required: true },
+  // Signed change, e.g. -2 for a sale of two
+  quantity: { type: Number, required: true },
+  stockAfter: { type: Number, required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+  note: { type: String, default: "" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+}, { timestamps: true });
+
+stockMovementSchema.index({ menuItemId: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+export default mongoose.model("StockMovement", stockMovementSchema);
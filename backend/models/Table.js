@@ -2,8 +2,7 @@ import mongoose from "mongoose";
 
 const tableSchema = new mongoose.Schema({
   number: { type: Number, required: true, unique: true },
-  qrSlug: { type: String, required: true, unique: true },
-  occupied: { type: Boolean, default: false },
-  activeSessionId: { type: String, default: null }
+  qrSlug: { type: String, required: true, unique: true }
+  // Occupancy is not stored here: a table is occupied while it has an open TableSession
 }, { timestamps: true });
 export default mongoose.model("Table", tableSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Option snapshot on a shared cart line, shown to every guest at the table
+const cartLineOptionSchema = new mongoose.Schema({
+  optionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  groupName: { type: String, required: true },
+  name: { type: String, required: true },
+  priceDelta: { type: Number, default: 0 }
+}, { _id: false });
+
+// A line in the table's shared cart; price is a display snapshot, the order is re-priced on submit
+const cartLineSchema = new mongoose.Schema({
+  menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem", required: true },
+  name: { type: String, required: true },
+  price: { type: Number, required: true },
+  options: { type: [cartLineOptionSchema], default: [] },
+  // Sorted option ids, so the same guest adding the same configuration bumps the quantity
+  optionKey: { type: String, default: "" },
+  qty: { type: Number, required: true, min: 1 },
+  note: { type: String, default: "" },
+  addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", required: true },
+  addedByName: { type: String, default: "Guest" },
+  addedAt: { type: Date, default: Date.now }
+});
+
+// One visit at a table: opened by the first QR scan, closed by staff when the guests leave
+const tableSessionSchema = new mongoose.Schema({
+  tableId: { type: mongoose.Schema.Types.ObjectId, ref: "Table", required: true },
+  status: { type: String, enum: ["open", "closed"], default: "open" },
+  customers: [{ type: mongoose.Schema.Types.ObjectId, ref: "Customer" }],
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }],
+  // Shared cart every guest at the table builds together; version lets clients drop stale updates
+  cart: { type: [cartLineSchema], default: [] },
+  cartVersion: { type: Number, default: 0 },
+  openedAt: { type: Date, default: Date.now },
+  closedAt: { type: Date, default: null },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  closeNote: { type: String, default: "" }
+}, { timestamps: true });
+
+// A table can only have one open session at a time
+tableSessionSchema.index({ tableId: 1 }, { unique: true, partialFilterExpression: { status: "open" } });
+tableSessionSchema.index({ status: 1, openedAt: -1 });
+
+export default mongoose.model("TableSession", tableSessionSchema);
@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+// A weekly window in the restaurant's time zone, e.g. weekdays 07:00-11:00 (see utils/scheduleUtils.js).
+// A window ending before it starts runs past midnight.
+const scheduleWindowSchema = new mongoose.Schema({
+  // 0 = Sunday; empty means every day
+  days: { type: [Number], default: [] },
+  start: { type: String, required: true },
+  end: { type: String, required: true }
+}, { _id: false });
+
+export default scheduleWindowSchema;
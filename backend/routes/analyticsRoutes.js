@@ -0,0 +1,103 @@
+import express from 'express';
+import {
+  getSummary,
+  getRevenue,
+  getTopMenuItems,
+  getTopMenuCategories,
+  getPaymentStatuses,
+  getMenuEngineering,
+  getOverview
+} from '../controllers/analyticsController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireAdmin } from '../middleware/roleMiddleware.js';
+import { query } from 'express-validator';
+import { handleValidationErrors } from '../utils/validationUtils.js';
+import { REVENUE_GROUPINGS, TOP_SORTS } from '../utils/analyticsUtils.js';
+import { isTimeZone } from '../utils/scheduleUtils.js';
+
+const router = express.Router();
+
+/**
+ * Analytics routes (Admin)
+ * Base: /api/analytics
+ */
+
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Range shared by every report; from and to default to the last 30 days
+const validateRange = [
+  query('from', 'from must be a date (YYYY-MM-DD)').optional().matches(CALENDAR_DATE).bail().isISO8601({ strict: true }),
+  query('to', 'to must be a date (YYYY-MM-DD)').optional().matches(CALENDAR_DATE).bail().isISO8601({ strict: true }),
+  query('timezone').optional().custom(isTimeZone).withMessage('timezone must be an IANA time zone, e.g. Asia/Kolkata')
+];
+
+const validateTopOptions = [
+  query('sortBy').optional().isIn(TOP_SORTS).withMessage(`sortBy must be one of: ${TOP_SORTS.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+];
+
+// Dashboard: every report in one request
+router.get('/overview',
+  authenticate,
+  requireAdmin,
+  [...validateRange, ...validateTopOptions],
+  handleValidationErrors,
+  getOverview
+);
+
+router.get('/summary',
+  authenticate,
+  requireAdmin,
+  validateRange,
+  handleValidationErrors,
+  getSummary
+);
+
+router.get('/revenue',
+  authenticate,
+  requireAdmin,
+  [
+    ...validateRange,
+    query('groupBy').optional().isIn(REVENUE_GROUPINGS).withMessage(`groupBy must be one of: ${REVENUE_GROUPINGS.join(', ')}`)
+  ],
+  handleValidationErrors,
+  getRevenue
+);
+
+router.get('/top-items',
+  authenticate,
+  requireAdmin,
+  [...validateRange, ...validateTopOptions],
+  handleValidationErrors,
+  getTopMenuItems
+);
+
+router.get('/top-categories',
+  authenticate,
+  requireAdmin,
+  [...validateRange, ...validateTopOptions],
+  handleValidationErrors,
+  getTopMenuCategories
+);
+
+router.get('/payment-status',
+  authenticate,
+  requireAdmin,
+  validateRange,
+  handleValidationErrors,
+  getPaymentStatuses
+);
+
+// Stars, plowhorses, puzzles and dogs
+router.get('/menu-engineering',
+  authenticate,
+  requireAdmin,
+  [
+    ...validateRange,
+    query('categoryId').optional().isMongoId().withMessage('Invalid category ID')
+  ],
+  handleValidationErrors,
+  getMenuEngineering
+);
+
+export default router;
@@ -5,6 +5,7 @@ import {
   logout,
   refreshToken,
   getMe,
+  createStreamTicket,
   forgotPassword,
   resetPassword,
   changePassword,
@@ -12,7 +13,7 @@ import {
   verifyEmail,
   deleteAccount
 } from '../controllers/authController.js';
-import { authenticate } from '../middleware/authMiddleware.js';
+import { authenticate, optionalAuth, customerSession, requireUserOrCustomer } from '../middleware/authMiddleware.js';
 import { validateUserRegistration, validateUserLogin, handleValidationErrors } from '../utils/validationUtils.js';
 
 const router = express.Router();
@@ -57,6 +58,13 @@ router.post('/refresh', refreshToken);
  */
 router.get('/me', authenticate, getMe);
 
+/**
+ * @route   POST /api/auth/stream-ticket
+ * @desc    Short-lived ticket that opens an event stream (?ticket=)
+ * @access  Private (signed-in user and/or guest customer session)
+ */
+router.post('/stream-ticket', optionalAuth, customerSession, requireUserOrCustomer, createStreamTicket);
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset
@@ -0,0 +1,92 @@
+import express from 'express';
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  submitCart,
+  streamCart
+} from '../controllers/tableCartController.js';
+import { optionalAuth, streamTicket, customerSession, requireCustomer } from '../middleware/authMiddleware.js';
+import { body, param } from 'express-validator';
+import { handleValidationErrors } from '../utils/validationUtils.js';
+
+const router = express.Router();
+
+/**
+ * Shared table cart routes (guests with a customer session)
+ * Base: /api/cart
+ */
+
+// Live cart updates for every device at the table (EventSource sends a stream ticket as ?ticket=)
+router.get('/stream',
+  streamTicket,
+  customerSession,
+  requireCustomer,
+  streamCart
+);
+
+// Get the table's shared cart
+router.get('/',
+  customerSession,
+  requireCustomer,
+  getCart
+);
+
+// Add an item to the shared cart
+router.post('/items',
+  customerSession,
+  requireCustomer,
+  [
+    body('menuItemId').isMongoId().withMessage('Invalid menu item ID'),
+    body('quantity').optional().isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99'),
+    body('options').optional().isArray({ max: 50 }).withMessage('Options must be an array'),
+    body('note').optional().isString().isLength({ max: 200 }).withMessage('Note must be at most 200 characters')
+  ],
+  handleValidationErrors,
+  addCartItem
+);
+
+// Change quantity or note of any line
+router.patch('/items/:lineId',
+  customerSession,
+  requireCustomer,
+  [
+    param('lineId').isMongoId().withMessage('Invalid cart item ID'),
+    body('quantity').optional().isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99'),
+    body('note').optional().isString().isLength({ max: 200 }).withMessage('Note must be at most 200 characters')
+  ],
+  handleValidationErrors,
+  updateCartItem
+);
+
+// Remove any line
+router.delete('/items/:lineId',
+  customerSession,
+  requireCustomer,
+  [param('lineId').isMongoId().withMessage('Invalid cart item ID')],
+  handleValidationErrors,
+  removeCartItem
+);
+
+// Empty the cart
+router.delete('/',
+  customerSession,
+  requireCustomer,
+  clearCart
+);
+
+// Place one order with everything in the cart
+router.post('/submit',
+  optionalAuth,
+  customerSession,
+  requireCustomer,
+  [
+    body('promoCode').optional().isString().isLength({ max: 40 }).withMessage('Promo code must be at most 40 characters')
+  ],
+  handleValidationErrors,
+  submitCart
+);
+
+export default router;
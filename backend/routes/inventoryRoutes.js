@@ -0,0 +1,89 @@
+import express from 'express';
+import {
+  listInventory,
+  updateStockSettings,
+  createStockAdjustment,
+  listStockMovements,
+  streamInventory
+} from '../controllers/inventoryController.js';
+import { authenticate, streamTicket } from '../middleware/authMiddleware.js';
+import { requireAdmin } from '../middleware/roleMiddleware.js';
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../utils/validationUtils.js';
+import { STOCK_ADJUSTMENT_TYPES } from '../utils/inventoryUtils.js';
+
+const router = express.Router();
+
+/**
+ * Inventory routes (Admin)
+ * Base: /api/inventory
+ */
+
+const STOCK_MOVEMENT_TYPES = [...STOCK_ADJUSTMENT_TYPES, 'sale', 'cancellation'];
+
+// Stock levels of every menu item
+router.get('/',
+  authenticate,
+  requireAdmin,
+  [
+    query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+    query('tracked').optional().isBoolean().withMessage('tracked must be a boolean'),
+    query('lowOnly').optional().isBoolean().withMessage('lowOnly must be a boolean')
+  ],
+  handleValidationErrors,
+  listInventory
+);
+
+// Stock movement history
+router.get('/movements',
+  authenticate,
+  requireAdmin,
+  [
+    query('menuItemId').optional().isMongoId().withMessage('Invalid menu item ID'),
+    query('type').optional().isIn(STOCK_MOVEMENT_TYPES).withMessage(`type must be one of: ${STOCK_MOVEMENT_TYPES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  listStockMovements
+);
+
+// Live stock changes and alerts
+// EventSource cannot set headers, so a stream ticket may be passed as ?ticket=
+router.get('/stream',
+  streamTicket,
+  authenticate,
+  requireAdmin,
+  streamInventory
+);
+
+// Low-stock threshold, or stop tracking
+router.put('/:menuItemId',
+  authenticate,
+  requireAdmin,
+  [
+    param('menuItemId').isMongoId().withMessage('Invalid menu item ID'),
+    body('lowStockThreshold').optional().custom(value => value === null || (Number.isInteger(value) && value >= 0))
+      .withMessage('Low-stock threshold must be a whole number of 0 or more, or null'),
+    body('tracked').optional().isBoolean().withMessage('tracked must be a boolean')
+  ],
+  handleValidationErrors,
+  updateStockSettings
+);
+
+// Receipt, wastage or count correction
+router.post('/:menuItemId/adjustments',
+  authenticate,
+  requireAdmin,
+  [
+    param('menuItemId').isMongoId().withMessage('Invalid menu item ID'),
+    body('type').isIn(STOCK_ADJUSTMENT_TYPES).withMessage(`type must be one of: ${STOCK_ADJUSTMENT_TYPES.join(', ')}`),
+    body('quantity').isInt({ min: 0, max: 100000 }).withMessage('Quantity must be a whole number of 0 or more'),
+    body('quantity').if(body('type').not().equals('correction')).isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('note').optional().isString().isLength({ max: 200 }).withMessage('Note must be at most 200 characters')
+  ],
+  handleValidationErrors,
+  createStockAdjustment
+);
+
+export default router;
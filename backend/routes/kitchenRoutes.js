@@ -0,0 +1,37 @@
+import express from 'express';
+import { getKitchenTickets, updateLinePrepStatus } from '../controllers/kitchenController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireStaff } from '../middleware/roleMiddleware.js';
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../utils/validationUtils.js';
+
+const router = express.Router();
+
+/**
+ * Kitchen Display System routes
+ * Base: /api/kitchen
+ */
+
+// Open tickets for the kitchen screen (Staff/Admin)
+router.get('/tickets',
+  authenticate,
+  requireStaff,
+  [query('targetMinutes').optional().isInt({ min: 1, max: 240 }).withMessage('targetMinutes must be between 1 and 240')],
+  handleValidationErrors,
+  getKitchenTickets
+);
+
+// Bump a single order line (Staff/Admin)
+router.patch('/orders/:id/lines/:lineIndex',
+  authenticate,
+  requireStaff,
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('lineIndex').isInt({ min: 0 }).withMessage('Invalid line index'),
+    body('prepStatus').isIn(['queued', 'cooking', 'done']).withMessage('prepStatus must be queued, cooking or done')
+  ],
+  handleValidationErrors,
+  updateLinePrepStatus
+);
+
+export default router;
@@ -6,6 +6,7 @@ import {
   createCategory,
   updateCategory,
   deleteCategory,
+  getTaxClassList,
   
   // Menu Items
   getMenuItems,
@@ -14,8 +15,10 @@ import {
   updateMenuItem,
   deleteMenuItem,
   updateMenuItemAvailability,
-  updateMenuItemPopularity,
+  refreshPopularity,
   getMenuStats,
+  exportMenuFile,
+  importMenuFile,
   
   // Image Upload
   uploadMenuItemImage,
@@ -23,10 +26,12 @@ import {
   uploadCategoryImage,
   deleteCategoryImage
 } from '../controllers/menuController.js';
-import { authenticate } from '../middleware/authMiddleware.js';
+import { authenticate, optionalAuth } from '../middleware/authMiddleware.js';
 import { requireAdmin, requireMenuAccess, requireCategoryAccess } from '../middleware/roleMiddleware.js';
 import { body, param, query } from 'express-validator';
-import { handleValidationErrors } from '../utils/validationUtils.js';
+import { handleValidationErrors, checkOptionGroups } from '../utils/validationUtils.js';
+import { validateMenuCategory, validateMenuItem, validateTaxClass, validatePrintStation, validateSchedule } from '../middleware/valdation.js';
+import { MENU_FORMATS } from '../utils/menuImportExport.js';
 import { uploadMenuItemImage as uploadMenuItemImageMiddleware, uploadCategoryImage as uploadCategoryImageMiddleware, handleUploadError } from '../config/upload.js';
 
 const router = express.Router();
@@ -49,16 +54,77 @@ router.get('/stats',
   getMenuStats
 );
 
+/**
+ * @route   POST /api/menu/popularity/refresh
+ * @desc    Recount item popularity from recent orders now (Admin only)
+ * @access  Private (Admin)
+ */
+router.post('/popularity/refresh',
+  authenticate,
+  requireAdmin,
+  refreshPopularity
+);
+
+// ==================== IMPORT / EXPORT ====================
+
+/**
+ * @route   GET /api/menu/export
+ * @desc    Download categories and items as CSV or JSON (Admin only)
+ * @access  Private (Admin)
+ */
+router.get('/export',
+  authenticate,
+  requireAdmin,
+  [
+    query('format').optional().isIn(MENU_FORMATS).withMessage(`Format must be one of: ${MENU_FORMATS.join(', ')}`)
+  ],
+  handleValidationErrors,
+  exportMenuFile
+);
+
+/**
+ * @route   POST /api/menu/import
+ * @desc    Check and import categories and items from CSV or JSON (Admin only)
+ * @access  Private (Admin)
+ */
+router.post('/import',
+  authenticate,
+  requireAdmin,
+  [
+    body('format').isIn(MENU_FORMATS).withMessage(`Format must be one of: ${MENU_FORMATS.join(', ')}`),
+    body('content').exists({ values: 'falsy' }).withMessage('Content is required'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+  ],
+  handleValidationErrors,
+  importMenuFile
+);
+
 // ==================== CATEGORY ROUTES ====================
 
+// Staff preview of what guests see at a moment; guests always see the menu as it is now
+const visibleAtValidation = query('visibleAt').optional().isISO8601().withMessage('visibleAt must be a date');
+
+/**
+ * @route   GET /api/menu/tax-classes
+ * @desc    Tax classes categories can use, with the pricing settings (Admin only)
+ * @access  Private (Admin)
+ */
+router.get('/tax-classes',
+  authenticate,
+  requireAdmin,
+  getTaxClassList
+);
+
 /**
  * @route   GET /api/menu/categories
- * @desc    Get all menu categories
+ * @desc    Get menu categories (guests get the ones served now; staff get all, or preview with visibleAt)
  * @access  Public
  */
 router.get('/categories',
+  optionalAuth,
   [
     query('active').optional().isBoolean().withMessage('Active must be a boolean'),
+    visibleAtValidation,
     query('sortBy').optional().isIn(['name', 'displayOrder', 'createdAt']).withMessage('Invalid sort field'),
     query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
   ],
@@ -87,19 +153,7 @@ router.get('/categories/:id',
 router.post('/categories',
   authenticate,
   requireAdmin,
-  [
-    body('name')
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage('Category name must be between 2 and 50 characters')
-      .matches(/^[a-zA-Z\s\-&']+$/)
-      .withMessage('Category name can only contain letters, spaces, hyphens, ampersands, and apostrophes'),
-    
-    body('displayOrder')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Display order must be a non-negative integer')
-  ],
+  validateMenuCategory,
   handleValidationErrors,
   createCategory
 );
@@ -131,7 +185,11 @@ router.put('/categories/:id',
     body('active')
       .optional()
       .isBoolean()
-      .withMessage('Active must be a boolean')
+      .withMessage('Active must be a boolean'),
+
+    validateTaxClass,
+    validatePrintStation,
+    validateSchedule
   ],
   handleValidationErrors,
   updateCategory
@@ -156,11 +214,13 @@ router.delete('/categories/:id',
 
 /**
  * @route   GET /api/menu/items
- * @desc    Get all menu items
+ * @desc    Get menu items (guests get the ones served now; staff get all, or preview with visibleAt)
  * @access  Public
  */
 router.get('/items',
+  optionalAuth,
   [
+    visibleAtValidation,
     query('categoryId').optional().isMongoId().withMessage('Invalid category ID'),
     query('available').optional().isBoolean().withMessage('Available must be a boolean'),
     query('search').optional().isLength({ min: 2 }).withMessage('Search query must be at least 2 characters'),
@@ -182,6 +242,7 @@ router.get('/items',
  * @access  Public
  */
 router.get('/items/:id',
+  optionalAuth,
   [
     param('id').isMongoId().withMessage('Invalid menu item ID')
   ],
@@ -197,48 +258,7 @@ router.get('/items/:id',
 router.post('/items',
   authenticate,
   requireAdmin,
-  [
-    body('name')
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage('Menu item name must be between 2 and 100 characters'),
-    
-    body('description')
-      .trim()
-      .isLength({ min: 10, max: 1000 })
-      .withMessage('Description must be between 10 and 1000 characters'),
-    
-    body('price')
-      .isFloat({ min: 0.01, max: 999999.99 })
-      .withMessage('Price must be a positive number with up to 2 decimal places'),
-    
-    body('categoryId')
-      .isMongoId()
-      .withMessage('Category ID must be a valid MongoDB ObjectId'),
-    
-    body('availability')
-      .optional()
-      .isBoolean()
-      .withMessage('Availability must be a boolean'),
-    
-    body('tags')
-      .optional()
-      .isArray()
-      .withMessage('Tags must be an array')
-      .custom((tags) => {
-        if (tags && tags.length > 10) {
-          throw new Error('Maximum 10 tags allowed');
-        }
-        if (tags) {
-          tags.forEach(tag => {
-            if (typeof tag !== 'string' || tag.trim().length < 2 || tag.trim().length > 20) {
-              throw new Error('Each tag must be a string between 2 and 20 characters');
-            }
-          });
-        }
-        return true;
-      })
-  ],
+  validateMenuItem,
   handleValidationErrors,
   createMenuItem
 );
@@ -271,6 +291,11 @@ router.put('/items/:id',
       .isFloat({ min: 0.01, max: 999999.99 })
       .withMessage('Price must be a positive number with up to 2 decimal places'),
     
+    body('cost')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 999999.99 })
+      .withMessage('Cost must be a number of 0 or more'),
+    
     body('categoryId')
       .optional()
       .isMongoId()
@@ -297,7 +322,13 @@ router.put('/items/:id',
           });
         }
         return true;
-      })
+      }),
+
+    body('optionGroups')
+      .optional()
+      .custom(checkOptionGroups),
+
+    validateSchedule
   ],
   handleValidationErrors,
   updateMenuItem
@@ -334,21 +365,6 @@ router.patch('/items/:id/availability',
   updateMenuItemAvailability
 );
 
-/**
- * @route   PATCH /api/menu/items/:id/popularity
- * @desc    Update menu item popularity (Admin only)
- * @access  Private (Admin)
- */
-router.patch('/items/:id/popularity',
-  authenticate,
-  requireAdmin,
-  [
-    param('id').isMongoId().withMessage('Invalid menu item ID'),
-    body('popularity').isInt({ min: 0 }).withMessage('Popularity must be a non-negative integer')
-  ],
-  handleValidationErrors,
-  updateMenuItemPopularity
-);
 
 // ==================== IMAGE UPLOAD ROUTES ====================
 
@@ -1,21 +1,37 @@
 import express from 'express';
 import {
   createOrder,
+  getOrderQuote,
   getOrderById,
   listOrders,
   updateOrderStatus,
   updateOrderPayment,
-  cancelOrder
+  refundOrder,
+  cancelOrder,
+  getOrderReceipt,
+  emailOrderReceipt,
+  streamOrders,
+  streamOrderById
 } from '../controllers/orderController.js';
-import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  authenticate,
+  optionalAuth,
+  streamTicket,
+  customerSession,
+  requireUserOrCustomer
+} from '../middleware/authMiddleware.js';
 import {
   validateOrder,
+  validateOrderQuote,
   validateOrderStatus,
   validateOrderPayment,
+  validateRefund,
   handleValidationErrors
 } from '../middleware/valdation.js';
 import { requireOrderAccess, requireStaff, requireAdmin, requireOrderPlacement } from '../middleware/roleMiddleware.js';
-import { param } from 'express-validator';
+import { idempotent } from '../middleware/idempotency.js';
+import { RECEIPT_FORMATS } from '../utils/receiptUtils.js';
+import { param, query, body } from 'express-validator';
 
 
 const router = express.Router();
@@ -25,27 +41,60 @@ const router = express.Router();
  * Base: /api/orders
  */
 
-// Create order (public or authenticated)
+// Create order (public, signed-in user or guest with a customer session)
+// An Idempotency-Key header makes a retried checkout return the first order instead of a second one
 router.post('/',
+  optionalAuth,
+  customerSession,
+  idempotent('orders.create'),
   validateOrder,
   handleValidationErrors,
   createOrder
 );
 
-// List orders - staff/admin can list all, customers can list their orders
+// Price a cart (tax, service charge, rounding) without placing it (public)
+router.post('/quote',
+  validateOrderQuote,
+  handleValidationErrors,
+  getOrderQuote
+);
+
+// List orders - staff/admin can list all, customers and guests can list their orders
 router.get('/',
-  authenticate,
+  optionalAuth,
+  customerSession,
+  requireUserOrCustomer,
   listOrders
 );
 
-// Get order by id
-router.get('/:id',
+// Live event stream for all orders (staff or admin)
+// EventSource cannot set headers, so a stream ticket may be passed as ?ticket=
+router.get('/stream',
+  streamTicket,
   authenticate,
+  requireStaff,
+  streamOrders
+);
+
+// Get order by id (staff/admin, owner or guest who placed it)
+router.get('/:id',
+  optionalAuth,
+  customerSession,
   [param('id').isMongoId().withMessage('Invalid order ID')],
   handleValidationErrors,
   getOrderById
 );
 
+// Live event stream for a single order (owner or staff/admin)
+router.get('/:id/stream',
+  streamTicket,
+  optionalAuth,
+  customerSession,
+  [param('id').isMongoId().withMessage('Invalid order ID')],
+  handleValidationErrors,
+  streamOrderById
+);
+
 // Update order status (staff or admin)
 router.patch('/:id/status',
   authenticate,
@@ -68,12 +117,49 @@ router.patch('/:id/payment',
 
 
 
-// Cancel order (customer who owns it or staff/admin)
-router.post('/:id/cancel',
+// Refund an amount or specific items through the payment provider (admin)
+router.post('/:id/refunds',
   authenticate,
+  requireAdmin,
+  [param('id').isMongoId().withMessage('Invalid order ID')],
+  validateRefund,
+  handleValidationErrors,
+  refundOrder
+);
+
+// Cancel order (customer or guest who owns it, or staff/admin)
+router.post('/:id/cancel',
+  optionalAuth,
+  customerSession,
+  requireUserOrCustomer,
   [param('id').isMongoId().withMessage('Invalid order ID')],
   handleValidationErrors,
   cancelOrder
 );
 
+// Itemized receipt as HTML or PDF (staff/admin, owner or guest who placed it)
+router.get('/:id/receipt',
+  optionalAuth,
+  customerSession,
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    query('format').optional().isIn(RECEIPT_FORMATS).withMessage(`format must be one of: ${RECEIPT_FORMATS.join(', ')}`)
+  ],
+  handleValidationErrors,
+  getOrderReceipt
+);
+
+// Email the receipt (staff/admin may choose the address; guests get it at their profile's)
+router.post('/:id/receipt/email',
+  optionalAuth,
+  customerSession,
+  requireUserOrCustomer,
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    body('email').optional().isEmail().withMessage('Invalid email format')
+  ],
+  handleValidationErrors,
+  emailOrderReceipt
+);
+
 export default router;
@@ -1,13 +1,196 @@
 import express from 'express';
-import { createPaymentIntent } from '../controllers/paymentController.js';
-import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  getPaymentConfig,
+  createPaymentIntent,
+  splitBill,
+  getBillSplit,
+  cancelBillSplit,
+  listShares,
+  createShareIntent,
+  settleShareManually,
+  confirmPayment,
+  verifyRazorpayPayment,
+  listPaymentEvents,
+  getPaymentEvent,
+  replayPaymentEvent
+} from '../controllers/paymentController.js';
+import {
+  authenticate,
+  optionalAuth,
+  customerSession,
+  requireUserOrCustomer
+} from '../middleware/authMiddleware.js';
+import { requireAdmin, requireStaff } from '../middleware/roleMiddleware.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../utils/validationUtils.js';
+import { MAX_SHARES, SPLIT_MODES } from '../utils/billSplitUtils.js';
+import { PAYMENT_PROVIDERS } from '../utils/paymentProviders/index.js';
+import { MOCK_OUTCOMES, isMockEnabled } from '../utils/paymentProviders/mockProvider.js';
+import { PAYMENT_EVENT_STATUSES } from '../utils/paymentEventLog.js';
 
 const router = express.Router();
 
-// Create payment intent (authenticated)
-router.post('/create-intent', authenticate, createPaymentIntent);
+// Customers, guests at the table and staff can all pay
+const payer = [optionalAuth, customerSession, requireUserOrCustomer];
 
-// NOTE: The webhook route is mounted directly in index.js before the JSON body parser
-// to ensure Stripe signature verification receives the raw request body.
+// Payers may only steer the outcome of a payment when the mock provider is turned on
+const mockModeOnly = (field) => body(field)
+  .custom(value => value === undefined || isMockEnabled())
+  .withMessage(`${field} is only accepted when the mock payment provider is enabled`);
 
-export default router;
\ No newline at end of file
+// Which provider to pay through, and how the mock provider should behave
+const paymentStartValidation = [
+  body('provider').optional().isIn(PAYMENT_PROVIDERS).withMessage(`provider must be one of: ${PAYMENT_PROVIDERS.join(', ')}`),
+  mockModeOnly('simulate'),
+  body('simulate.outcome').optional().isIn(MOCK_OUTCOMES).withMessage(`simulate.outcome must be one of: ${MOCK_OUTCOMES.join(', ')}`),
+  body('simulate.delayMs').optional().isInt({ min: 0, max: 60000 }).withMessage('simulate.delayMs must be between 0 and 60000').toInt()
+];
+
+// Which provider the checkout should use (public)
+router.get('/config', getPaymentConfig);
+
+// Create payment intent for a whole order (accepts an Idempotency-Key header)
+router.post('/create-intent',
+  ...payer,
+  idempotent('payments.create-intent'),
+  [
+    body('orderId').isMongoId().withMessage('Invalid order ID'),
+    ...paymentStartValidation
+  ],
+  handleValidationErrors,
+  createPaymentIntent
+);
+
+// Confirm a payment with its provider (cash: staff only)
+router.post('/confirm',
+  ...payer,
+  [
+    body('reference').isString().notEmpty().withMessage('reference is required'),
+    body('provider').optional().isIn(PAYMENT_PROVIDERS).withMessage(`provider must be one of: ${PAYMENT_PROVIDERS.join(', ')}`),
+    mockModeOnly('outcome'),
+    body('outcome').optional().isIn(['succeeded', 'failed', 'pending']).withMessage('outcome must be succeeded, failed or pending')
+  ],
+  handleValidationErrors,
+  confirmPayment
+);
+
+// Split an order's bill: evenly, by item or by custom amounts
+router.post('/orders/:orderId/split',
+  ...payer,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    body('mode').isIn(SPLIT_MODES).withMessage(`mode must be one of: ${SPLIT_MODES.join(', ')}`),
+    body('count').optional().isInt({ min: 2, max: MAX_SHARES }).withMessage(`count must be between 2 and ${MAX_SHARES}`),
+    body('shares').optional().isArray({ max: MAX_SHARES }).withMessage(`shares must be an array of at most ${MAX_SHARES}`),
+    body('shares.*.label').optional().isString().isLength({ max: 50 }).withMessage('Share label must be at most 50 characters'),
+    body('shares.*.guestId').optional({ values: 'null' }).isMongoId().withMessage('Invalid guest ID'),
+    body('shares.*.amount').optional().isFloat({ gt: 0 }).withMessage('Share amount must be greater than 0'),
+    body('shares.*.lineIndexes').optional().isArray().withMessage('lineIndexes must be an array'),
+    body('shares.*.lineIndexes.*').optional().isInt({ min: 0 }).withMessage('Invalid item index').toInt()
+  ],
+  handleValidationErrors,
+  splitBill
+);
+
+// Get an order's split with outstanding shares
+router.get('/orders/:orderId/split',
+  ...payer,
+  [param('orderId').isMongoId().withMessage('Invalid order ID')],
+  handleValidationErrors,
+  getBillSplit
+);
+
+// Undo a split before anything is paid
+router.delete('/orders/:orderId/split',
+  ...payer,
+  [param('orderId').isMongoId().withMessage('Invalid order ID')],
+  handleValidationErrors,
+  cancelBillSplit
+);
+
+// Outstanding (or filtered) shares across orders (Staff/Admin)
+router.get('/shares',
+  authenticate,
+  requireStaff,
+  [
+    query('status').optional().isIn(['pending', 'paid', 'failed', 'canceled']).withMessage('Invalid share status'),
+    query('orderId').optional().isMongoId().withMessage('Invalid order ID'),
+    query('tableSessionId').optional().isMongoId().withMessage('Invalid table session ID')
+  ],
+  handleValidationErrors,
+  listShares
+);
+
+// Create payment intent for one share
+router.post('/shares/:shareId/create-intent',
+  ...payer,
+  [
+    param('shareId').isMongoId().withMessage('Invalid share ID'),
+    ...paymentStartValidation
+  ],
+  handleValidationErrors,
+  createShareIntent
+);
+
+// Record a share paid at the counter (Staff/Admin)
+router.post('/shares/:shareId/settle',
+  authenticate,
+  requireStaff,
+  [
+    param('shareId').isMongoId().withMessage('Invalid share ID'),
+    body('method').optional().isIn(['cash', 'card', 'upi', 'other']).withMessage('method must be cash, card, upi or other')
+  ],
+  handleValidationErrors,
+  settleShareManually
+);
+
+// Confirm a Razorpay checkout with the signature it returned
+router.post('/razorpay/verify',
+  ...payer,
+  [
+    body('razorpay_order_id').isString().notEmpty().withMessage('razorpay_order_id is required'),
+    body('razorpay_payment_id').isString().notEmpty().withMessage('razorpay_payment_id is required'),
+    body('razorpay_signature').isString().notEmpty().withMessage('razorpay_signature is required')
+  ],
+  handleValidationErrors,
+  verifyRazorpayPayment
+);
+
+// Webhook event log (Admin)
+router.get('/events',
+  authenticate,
+  requireAdmin,
+  [
+    query('provider').optional().isIn(PAYMENT_PROVIDERS).withMessage(`provider must be one of: ${PAYMENT_PROVIDERS.join(', ')}`),
+    query('status').optional().isIn(PAYMENT_EVENT_STATUSES).withMessage(`status must be one of: ${PAYMENT_EVENT_STATUSES.join(', ')}`),
+    query('type').optional().isString().isLength({ max: 100 }).withMessage('Invalid event type'),
+    query('orderId').optional().isMongoId().withMessage('Invalid order ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  listPaymentEvents
+);
+
+router.get('/events/:eventId',
+  authenticate,
+  requireAdmin,
+  [param('eventId').isMongoId().withMessage('Invalid event ID')],
+  handleValidationErrors,
+  getPaymentEvent
+);
+
+// Process a stored event again, e.g. after fixing what made it fail
+router.post('/events/:eventId/replay',
+  authenticate,
+  requireAdmin,
+  [param('eventId').isMongoId().withMessage('Invalid event ID')],
+  handleValidationErrors,
+  replayPaymentEvent
+);
+
+// NOTE: The provider webhook routes are mounted directly in index.js before the JSON body parser
+// to ensure signature verification receives the raw request body.
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import { getStations, reprintKitchenTickets, printOrderBill } from '../controllers/printController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireStaff } from '../middleware/roleMiddleware.js';
+import { body, param } from 'express-validator';
+import { handleValidationErrors } from '../utils/validationUtils.js';
+
+const router = express.Router();
+
+/**
+ * Thermal printer routes (Staff/Admin)
+ * Base: /api/print
+ */
+
+const validatePrintJob = [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('station').optional().isString().trim().notEmpty().withMessage('station must be a station name')
+];
+
+// Configured stations and where bills and unrouted items print
+router.get('/stations',
+  authenticate,
+  requireStaff,
+  getStations
+);
+
+// Reprint kitchen tickets, for every station or just one
+router.post('/orders/:id/kitchen',
+  authenticate,
+  requireStaff,
+  validatePrintJob,
+  handleValidationErrors,
+  reprintKitchenTickets
+);
+
+// Print the bill at the bill station (or a given one)
+router.post('/orders/:id/bill',
+  authenticate,
+  requireStaff,
+  validatePrintJob,
+  handleValidationErrors,
+  printOrderBill
+);
+
+export default router;
@@ -0,0 +1,106 @@
+import express from 'express';
+import {
+  listPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} from '../controllers/promotionController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireAdmin } from '../middleware/roleMiddleware.js';
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors, checkSchedule } from '../utils/validationUtils.js';
+import { PROMOTION_TYPES } from '../utils/promotionUtils.js';
+
+const router = express.Router();
+
+/**
+ * Promotion management routes (Admin)
+ * Base: /api/promotions
+ */
+
+/**
+ * Validation for a promotion's fields
+ * @param {boolean} creating - Code, name, type and value are required when creating
+ * @returns {Array} express-validator chains
+ */
+const promotionValidation = (creating) => {
+  const field = (name) => (creating ? body(name) : body(name).optional());
+  return [
+    field('code')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Code must be 3 to 30 letters, digits, hyphens or underscores'),
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+    body('description').optional().isString().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+    field('type').isIn(PROMOTION_TYPES).withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+    field('value').isFloat({ min: 0.01 }).withMessage('Value must be a positive number'),
+    body('maxDiscount').optional({ values: 'null' }).isFloat({ min: 0.01 }).withMessage('Maximum discount must be a positive number'),
+    body('buyQty').optional().isInt({ min: 1, max: 20 }).withMessage('Buy quantity must be between 1 and 20'),
+    body('getQty').optional().isInt({ min: 1, max: 20 }).withMessage('Get quantity must be between 1 and 20'),
+    body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be 0 or more'),
+    body('categoryIds').optional().isArray({ max: 100 }).withMessage('Categories must be an array'),
+    body('categoryIds.*').isMongoId().withMessage('Invalid category ID'),
+    body('menuItemIds').optional().isArray({ max: 500 }).withMessage('Menu items must be an array'),
+    body('menuItemIds.*').isMongoId().withMessage('Invalid menu item ID'),
+    body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('Start must be a date'),
+    body('endsAt').optional({ values: 'null' }).isISO8601().withMessage('End must be a date'),
+    body('schedule').optional().custom(checkSchedule),
+    body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+    body('active').optional().isBoolean().withMessage('Active must be a boolean')
+  ];
+};
+
+// List promotions
+router.get('/',
+  authenticate,
+  requireAdmin,
+  [
+    query('active').optional().isBoolean().withMessage('Active must be a boolean')
+  ],
+  handleValidationErrors,
+  listPromotions
+);
+
+// Get a promotion
+router.get('/:id',
+  authenticate,
+  requireAdmin,
+  [param('id').isMongoId().withMessage('Invalid promotion ID')],
+  handleValidationErrors,
+  getPromotionById
+);
+
+// Create a promotion
+router.post('/',
+  authenticate,
+  requireAdmin,
+  promotionValidation(true),
+  handleValidationErrors,
+  createPromotion
+);
+
+// Update a promotion
+router.put('/:id',
+  authenticate,
+  requireAdmin,
+  [param('id').isMongoId().withMessage('Invalid promotion ID'), ...promotionValidation(false)],
+  handleValidationErrors,
+  updatePromotion
+);
+
+// Delete a promotion
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  [param('id').isMongoId().withMessage('Invalid promotion ID')],
+  handleValidationErrors,
+  deletePromotion
+);
+
+export default router;
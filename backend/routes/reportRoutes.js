@@ -0,0 +1,33 @@
+import express from 'express';
+import { getZReport } from '../controllers/reportController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireAdmin } from '../middleware/roleMiddleware.js';
+import { query } from 'express-validator';
+import { handleValidationErrors } from '../utils/validationUtils.js';
+import { Z_REPORT_FORMATS } from '../utils/zReport.js';
+
+const router = express.Router();
+
+/**
+ * Accounting report routes (Admin)
+ * Base: /api/reports
+ */
+
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const validateZReport = [
+  query('date', 'date must be a date (YYYY-MM-DD)').optional().matches(CALENDAR_DATE).bail().isISO8601({ strict: true }),
+  query('cutoffHour').optional().isInt({ min: 0, max: 23 }).withMessage('cutoffHour must be a whole hour from 0 to 23'),
+  query('format').optional().isIn(Z_REPORT_FORMATS).withMessage(`format must be one of: ${Z_REPORT_FORMATS.join(', ')}`)
+];
+
+// End-of-day close, as JSON or a CSV/PDF download
+router.get('/z',
+  authenticate,
+  requireAdmin,
+  validateZReport,
+  handleValidationErrors,
+  getZReport
+);
+
+export default router;
@@ -4,9 +4,11 @@ import {
   getTableById,
   getTableByQrSlug,
   updateTable,
-  updateOccupancy,
   deleteTable,
-  listTables
+  listTables,
+  getTableQRCode,
+  getTableQRSheet,
+  getAllTablesQRSheet
 } from '../controllers/tableController.js';
 import { authenticate } from '../middleware/authMiddleware.js';
 import { requireAdmin, requireTableAccess, requireStaff } from '../middleware/roleMiddleware.js';
@@ -38,6 +40,13 @@ router.get('/',
   listTables
 );
 
+// Printable QR card sheet for every table (Admin)
+router.get('/qr-sheet',
+  authenticate,
+  requireAdmin,
+  getAllTablesQRSheet
+);
+
 // Get table by ID (Admin)
 router.get('/:id',
   authenticate,
@@ -54,29 +63,39 @@ router.get('/by-slug/:qrSlug',  // ← CHANGE THIS LINE ONLY
   getTableByQrSlug
 );
 
-// Update table (Admin)
-router.put('/:id',
+// QR code image for a table (Admin)
+router.get('/:id/qr',
   authenticate,
   requireAdmin,
   [
     param('id').isMongoId().withMessage('Invalid table ID'),
-    body('number').optional().isInt({ min: 1 }).withMessage('Table number must be a positive integer'),
-    body('active').optional().isBoolean().withMessage('Active must be boolean')
+    query('format').optional().isIn(['png', 'svg']).withMessage('format must be png or svg'),
+    query('size').optional().isInt({ min: 128, max: 2048 }).withMessage('size must be between 128 and 2048')
   ],
   handleValidationErrors,
-  updateTable
+  getTableQRCode
+);
+
+// Printable QR card sheet for a single table (Admin)
+router.get('/:id/qr-sheet',
+  authenticate,
+  requireAdmin,
+  [param('id').isMongoId().withMessage('Invalid table ID')],
+  handleValidationErrors,
+  getTableQRSheet
 );
 
-// Update occupancy (Staff/Admin)
-router.patch('/:id/occupancy',
+// Update table (Admin)
+router.put('/:id',
   authenticate,
-  requireStaff,
+  requireAdmin,
   [
     param('id').isMongoId().withMessage('Invalid table ID'),
-    body('occupied').isBoolean().withMessage('occupied must be boolean')
+    body('number').optional().isInt({ min: 1 }).withMessage('Table number must be a positive integer'),
+    body('active').optional().isBoolean().withMessage('Active must be boolean')
   ],
   handleValidationErrors,
-  updateOccupancy
+  updateTable
 );
 
 // Delete table (Admin)
@@ -0,0 +1,49 @@
+import express from 'express';
+import { listTableSessions, getTableSessionById, closeTableSession } from '../controllers/tableSessionController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireStaff } from '../middleware/roleMiddleware.js';
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../utils/validationUtils.js';
+
+const router = express.Router();
+
+/**
+ * Table session routes
+ * Base: /api/table-sessions
+ */
+
+// List sessions with running bills (Staff/Admin)
+router.get('/',
+  authenticate,
+  requireStaff,
+  [
+    query('status').optional().isIn(['open', 'closed']).withMessage('status must be open or closed'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+  ],
+  handleValidationErrors,
+  listTableSessions
+);
+
+// Get a session with its orders (Staff/Admin)
+router.get('/:id',
+  authenticate,
+  requireStaff,
+  [param('id').isMongoId().withMessage('Invalid table session ID')],
+  handleValidationErrors,
+  getTableSessionById
+);
+
+// Close the table (Staff/Admin)
+router.post('/:id/close',
+  authenticate,
+  requireStaff,
+  [
+    param('id').isMongoId().withMessage('Invalid table session ID'),
+    body('force').optional().isBoolean().withMessage('force must be a boolean'),
+    body('note').optional().isString().isLength({ max: 500 }).withMessage('note must be at most 500 characters')
+  ],
+  handleValidationErrors,
+  closeTableSession
+);
+
+export default router;
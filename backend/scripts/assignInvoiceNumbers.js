@@ -0,0 +1,45 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import connectDB from '../config/db.js';
+import Order from '../models/Order.js';
+import { ensureInvoiceNumber } from '../utils/receiptUtils.js';
+
+/**
+ * Give every order without an invoice number one, oldest first
+ *   node scripts/assignInvoiceNumbers.js [--dry-run]
+ * For orders placed before invoice numbering, or whose numbering failed or was cut short by a crash.
+ * Receipts show "Invoice not yet numbered" until then; printing the bill or staff emailing the
+ * receipt also numbers a single order.
+ */
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    const orders = await Order.find({ invoiceNumber: null }).sort({ createdAt: 1 }).select('_id orderNumber invoiceNumber');
+    if (orders.length === 0) {
+      console.log('Every order has an invoice number.');
+      process.exit(0);
+    }
+
+    if (dryRun) {
+      console.log(`${orders.length} orders have no invoice number. Dry run: nothing was changed.`);
+      process.exit(0);
+    }
+
+    for (const order of orders) {
+      const invoiceNumber = await ensureInvoiceNumber(order);
+      console.log(`${order.orderNumber}: ${invoiceNumber}`);
+    }
+    console.log(`Numbered ${orders.length} orders.`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Invoice numbering error:', err);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,98 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import path from 'path';
+import connectDB from '../config/db.js';
+import { exportMenu, importMenu, MENU_FORMATS } from '../utils/menuImportExport.js';
+
+/**
+ * Menu import/export from the command line, with the same checks as the admin API
+ *   node scripts/menuImportExport.js export [--format csv|json] [--out menu.csv]
+ *   node scripts/menuImportExport.js import <file> [--format csv|json] [--dry-run]
+ * The format defaults to the file's extension, then to csv.
+ */
+
+const USAGE = `Usage:
+  node scripts/menuImportExport.js export [--format csv|json] [--out <file>]
+  node scripts/menuImportExport.js import <file> [--format csv|json] [--dry-run]`;
+
+const parseArgs = (args) => {
+  const options = { command: args[0], files: [], format: null, out: null, dryRun: false };
+  for (let i = 1; i < args.length; i += 1) {
+    if (args[i] === '--format') options.format = args[++i];
+    else if (args[i] === '--out') options.out = args[++i];
+    else if (args[i] === '--dry-run') options.dryRun = true;
+    else options.files.push(args[i]);
+  }
+  return options;
+};
+
+const formatFor = (options, file) => options.format || (file && path.extname(file).slice(1).toLowerCase()) || 'csv';
+
+const runExport = async (options) => {
+  const format = formatFor(options, options.out);
+  const { body } = await exportMenu(format);
+
+  if (options.out) {
+    await fs.writeFile(options.out, body);
+    console.log(`Exported menu to ${options.out}`);
+  } else {
+    process.stdout.write(body);
+  }
+  return 0;
+};
+
+const runImport = async (options) => {
+  const [file] = options.files;
+  const format = formatFor(options, file);
+  const content = await fs.readFile(file, 'utf8');
+
+  const result = await importMenu(format, content, { dryRun: options.dryRun });
+  if (result.error && !result.data) {
+    console.error(result.error);
+    return 1;
+  }
+
+  const { rows, summary } = result.data || result;
+  rows
+    .filter(row => row.errors.length > 0)
+    .forEach(row => console.log(`${row.kind} row ${row.row} (${row.name || 'no name'}): ${row.errors.join('; ')}`));
+
+  console.log(`Categories: ${summary.categories.create} to create, ${summary.categories.update} to update, ${summary.categories.unchanged} unchanged`);
+  console.log(`Items: ${summary.items.create} to create, ${summary.items.update} to update, ${summary.items.unchanged} unchanged`);
+
+  if (result.error) {
+    console.error(result.error);
+    return 1;
+  }
+  if (summary.errors > 0) {
+    console.log(`${summary.errors} rows have errors; nothing was imported.`);
+    return 1;
+  }
+  console.log(result.applied ? 'Menu imported.' : 'Dry run: nothing was changed.');
+  return 0;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const valid = (options.command === 'export' || (options.command === 'import' && options.files.length === 1))
+    && (!options.format || MENU_FORMATS.includes(options.format));
+  if (!valid) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    // Logs go to stderr so an export to stdout stays clean
+    console.log = console.error;
+    await connectDB();
+    const code = options.command === 'export' ? await runExport(options) : await runImport(options);
+    process.exit(code);
+  } catch (err) {
+    console.error('Menu import/export error:', err);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,195 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import crypto from 'crypto';
+import express from 'express';
+import { signRazorpayPayload } from '../utils/razorpayUtils.js';
+
+/**
+ * Local Razorpay stub
+ * Implements the order endpoints the SDK calls and lets you complete payments by hand.
+ * Checkout results are signed with RAZORPAY_KEY_SECRET and webhooks with RAZORPAY_WEBHOOK_SECRET,
+ * so the backend verifies them exactly as it would real Razorpay traffic.
+ *
+ * Point the backend at it with RAZORPAY_API_URL=http://localhost:4010
+ */
+
+const PORT = process.env.RAZORPAY_STUB_PORT || 4010;
+const KEY_ID = process.env.RAZORPAY_KEY_ID || '';
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || '';
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || '';
+const WEBHOOK_URL = process.env.RAZORPAY_STUB_WEBHOOK_URL
+  || `http://localhost:${process.env.PORT || 5000}/api/payments/razorpay/webhook`;
+
+const orders = new Map();
+const payments = new Map();
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Post a webhook signed with RAZORPAY_WEBHOOK_SECRET, the way Razorpay delivers them
+ * @param {string} eventName - e.g. payment.captured
+ * @param {Object} payload - Event payload ({ payment: { entity } }, ...)
+ * @returns {Promise<Object>} { url, status } or { url, error }
+ */
+const sendWebhook = async (eventName, payload) => {
+  const body = JSON.stringify({
+    entity: 'event',
+    account_id: 'acc_stub',
+    event: eventName,
+    contains: Object.keys(payload),
+    payload,
+    created_at: now()
+  });
+
+  let webhook;
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': signRazorpayPayload(body, WEBHOOK_SECRET),
+        'X-Razorpay-Event-Id': randomId('evt')
+      },
+      body
+    });
+    webhook = { url: WEBHOOK_URL, status: response.status };
+  } catch (err) {
+    webhook = { url: WEBHOOK_URL, error: err.message };
+  }
+  console.log(`${eventName}: webhook ${webhook.status || webhook.error}`);
+  return webhook;
+};
+
+const app = express();
+app.use(express.json());
+
+// The SDK authenticates with HTTP basic auth (key id / key secret)
+const requireKeys = (req, res, next) => {
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  const [keyId, keySecret] = Buffer.from(encoded || '', 'base64').toString('utf8').split(':');
+  if (scheme !== 'Basic' || keyId !== KEY_ID || keySecret !== KEY_SECRET) {
+    return res.status(401).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' } });
+  }
+  next();
+};
+
+app.post('/v1/orders', requireKeys, (req, res) => {
+  const { amount, currency = 'INR', receipt, notes = {} } = req.body;
+  if (!Number.isInteger(amount) || amount < 100) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The amount must be atleast INR 1.00' } });
+  }
+
+  const order = {
+    id: randomId('order'),
+    entity: 'order',
+    amount,
+    amount_paid: 0,
+    amount_due: amount,
+    currency,
+    receipt: receipt || null,
+    status: 'created',
+    attempts: 0,
+    notes,
+    created_at: now()
+  };
+  orders.set(order.id, order);
+  console.log(`Created ${order.id} for ${amount} ${currency}`);
+  res.status(200).json(order);
+});
+
+app.get('/v1/orders/:id', requireKeys, (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  }
+  res.status(200).json(order);
+});
+
+/**
+ * Complete a payment for an order, as a customer finishing checkout would
+ * POST /stub/orders/:id/pay?outcome=captured|failed
+ * Responds with the fields the checkout hands the browser and posts the matching webhook.
+ */
+app.post('/stub/orders/:id/pay', async (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) return res.status(404).json({ message: 'Unknown order' });
+
+  const captured = (req.query.outcome || 'captured') !== 'failed';
+  const payment = {
+    id: randomId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    status: captured ? 'captured' : 'failed',
+    order_id: order.id,
+    method: 'upi',
+    captured,
+    notes: order.notes,
+    error_code: captured ? null : 'BAD_REQUEST_ERROR',
+    error_description: captured ? null : 'Payment was declined by the stub',
+    created_at: now()
+  };
+
+  order.attempts += 1;
+  if (captured) {
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+  } else {
+    order.status = 'attempted';
+  }
+
+  payments.set(payment.id, { ...payment, amount_refunded: 0 });
+  const webhook = await sendWebhook(captured ? 'payment.captured' : 'payment.failed', { payment: { entity: payment } });
+
+  res.status(200).json({
+    checkout: captured
+      ? {
+          razorpay_order_id: order.id,
+          razorpay_payment_id: payment.id,
+          razorpay_signature: signRazorpayPayload(`${order.id}|${payment.id}`, KEY_SECRET)
+        }
+      : null,
+    payment,
+    webhook
+  });
+});
+
+// Refund a captured payment, in full or in part
+app.post('/v1/payments/:id/refund', requireKeys, async (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment || payment.status !== 'captured') {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The payment has not been captured' } });
+  }
+
+  const refundable = payment.amount - payment.amount_refunded;
+  const amount = req.body.amount || refundable;
+  if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The refund amount is invalid' } });
+  }
+
+  payment.amount_refunded += amount;
+  payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+  const refund = {
+    id: randomId('rfnd'),
+    entity: 'refund',
+    amount,
+    currency: payment.currency,
+    payment_id: payment.id,
+    status: 'processed',
+    created_at: now()
+  };
+
+  await sendWebhook('refund.processed', { refund: { entity: refund }, payment: { entity: payment } });
+  res.status(200).json(refund);
+});
+
+if (!KEY_ID || !KEY_SECRET || !WEBHOOK_SECRET) {
+  console.error('Set RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET before starting the stub');
+  process.exit(1);
+}
+
+app.listen(PORT, () => {
+  console.log(`Razorpay stub listening on http://localhost:${PORT} (webhooks -> ${WEBHOOK_URL})`);
+});
@@ -8,7 +8,8 @@ import MenuItem from '../models/MenuItem.js';
 import Table from '../models/Table.js';
 import bcrypt from 'bcrypt';
 import Order from '../models/Order.js';
-import { calculateOrderTotal, generateOrderNumber } from '../utils/helperUtils.js';
+import { generateOrderNumber, generateInvoiceNumber } from '../utils/helperUtils.js';
+import { calculateOrderTotals } from '../utils/orderTotals.js';
 
 const run = async () => {
   try {
@@ -62,12 +63,14 @@ const run = async () => {
     const existingOrder = await Order.findOne({ 'meta.demoSeed': true });
     if (!existingOrder) {
       const orderItems = [{ menuItemId: item._id, name: item.name, price: item.price, qty: 1 }];
-      const totals = calculateOrderTotal(orderItems);
+      const breakdown = calculateOrderTotals(orderItems);
       const demoOrder = new Order({
         tableId: table._id,
         items: orderItems,
-        totals,
+        totals: breakdown.total,
+        breakdown,
         orderNumber: generateOrderNumber(),
+        invoiceNumber: await generateInvoiceNumber(),
         status: 'placed',
         payment: { method: 'card', provider: 'stripe', status: 'pending' },
         meta: { demoSeed: true }
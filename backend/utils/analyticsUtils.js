@@ -0,0 +1,231 @@
+import Order from '../models/Order.js';
+import MenuCategory from '../models/MenuCategory.js';
+import config from '../config/config.js';
+import { getLocalDate, addDays, startOfLocalDay } from './scheduleUtils.js';
+
+/**
+ * Analytics Utilities
+ * Sales figures aggregated in MongoDB over a range of calendar days in a time zone. Canceled orders
+ * are left out, and revenue is what was charged less what has been refunded since.
+ */
+
+export const REVENUE_GROUPINGS = ['day', 'hour', 'weekday'];
+export const TOP_SORTS = ['quantity', 'revenue'];
+export const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+// What an order brought in after refunds
+const ORDER_REVENUE = { $subtract: ['$totals', { $ifNull: ['$payment.refundedAmount', 0] }] };
+// What a line brought in after promotions, before tax and service charge
+export const LINE_REVENUE = { $subtract: [{ $multiply: ['$items.price', '$items.qty'] }, { $ifNull: ['$items.discount', 0] }] };
+
+/**
+ * Work out the range to report on
+ * @param {Object} query - { from, to } as "YYYY-MM-DD" (both inclusive) and timezone (IANA)
+ * @returns {Object} { from, to, timeZone, start, end } where end is exclusive, or { error, statusCode }
+ */
+export const resolveAnalyticsRange = ({ from, to, timezone } = {}) => {
+  const timeZone = timezone || config.RESTAURANT.TIMEZONE;
+  const lastDay = to || getLocalDate(new Date(), timeZone);
+  const firstDay = from || addDays(lastDay, 1 - DEFAULT_RANGE_DAYS);
+
+  if (firstDay > lastDay) return { error: 'from must not be after to', statusCode: 400 };
+  if (addDays(firstDay, MAX_RANGE_DAYS) <= lastDay) {
+    return { error: `The range can be at most ${MAX_RANGE_DAYS} days`, statusCode: 400 };
+  }
+
+  return {
+    from: firstDay,
+    to: lastDay,
+    timeZone,
+    start: startOfLocalDay(firstDay, timeZone),
+    end: startOfLocalDay(addDays(lastDay, 1), timeZone)
+  };
+};
+
+/**
+ * Pipeline stage picking the orders that count towards sales in a range
+ * @param {Object} range - { start, end } with end exclusive
+ * @returns {Object} $match stage
+ */
+export const matchOrdersInRange = ({ start, end }) => ({
+  $match: { createdAt: { $gte: start, $lt: end }, status: { $ne: 'canceled' } }
+});
+
+/**
+ * Order count, revenue and how it splits into net sales, tax and service charge
+ * @param {Object} range - From resolveAnalyticsRange
+ * @returns {Promise<Object>} Summary figures
+ */
+export const getSalesSummary = async (range) => {
+  const [[totals = {}], canceledOrders] = await Promise.all([
+    Order.aggregate([
+      matchOrdersInRange(range),
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          grossSales: { $sum: '$totals' },
+          refunds: { $sum: { $ifNull: ['$payment.refundedAmount', 0] } },
+          discounts: { $sum: { $ifNull: ['$breakdown.discount', 0] } },
+          tax: { $sum: { $ifNull: ['$breakdown.taxTotal', 0] } },
+          serviceCharge: { $sum: { $ifNull: ['$breakdown.serviceCharge', 0] } },
+          rounding: { $sum: { $ifNull: ['$breakdown.rounding', 0] } },
+          itemsSold: { $sum: { $sum: '$items.qty' } }
+        }
+      }
+    ]),
+    Order.countDocuments({ createdAt: { $gte: range.start, $lt: range.end }, status: 'canceled' })
+  ]);
+
+  const orders = totals.orders || 0;
+  const revenue = (totals.grossSales || 0) - (totals.refunds || 0);
+  return {
+    orders,
+    canceledOrders,
+    itemsSold: totals.itemsSold || 0,
+    grossSales: toMoney(totals.grossSales),
+    refunds: toMoney(totals.refunds),
+    revenue: toMoney(revenue),
+    averageOrderValue: toMoney(orders > 0 ? revenue / orders : 0),
+    // Before refunds; orders placed before breakdowns were stored count entirely as net sales
+    netSales: toMoney((totals.grossSales || 0) - (totals.tax || 0) - (totals.serviceCharge || 0) - (totals.rounding || 0)),
+    discounts: toMoney(totals.discounts),
+    tax: toMoney(totals.tax),
+    serviceCharge: toMoney(totals.serviceCharge)
+  };
+};
+
+/**
+ * Orders and revenue per day, hour of day or day of week, with empty buckets filled in
+ * @param {Object} range - From resolveAnalyticsRange
+ * @param {string} groupBy - One of REVENUE_GROUPINGS
+ * @returns {Promise<Array>} [{ key, label, orders, revenue, averageOrderValue }]
+ */
+export const getRevenueSeries = async (range, groupBy = 'day') => {
+  const date = { date: '$createdAt', timezone: range.timeZone };
+  const keys = {
+    day: { $dateToString: { ...date, format: '%Y-%m-%d' } },
+    hour: { $hour: date },
+    // 0 = Sunday, like schedules
+    weekday: { $subtract: [{ $dayOfWeek: date }, 1] }
+  };
+
+  const groups = await Order.aggregate([
+    matchOrdersInRange(range),
+    { $group: { _id: keys[groupBy], orders: { $sum: 1 }, revenue: { $sum: ORDER_REVENUE } } }
+  ]);
+  const byKey = new Map(groups.map(group => [group._id, group]));
+
+  let buckets;
+  if (groupBy === 'day') {
+    buckets = [];
+    for (let day = range.from; day <= range.to; day = addDays(day, 1)) buckets.push({ key: day, label: day });
+  } else if (groupBy === 'hour') {
+    buckets = Array.from({ length: 24 }, (_, hour) => ({ key: hour, label: `${String(hour).padStart(2, '0')}:00` }));
+  } else {
+    buckets = WEEKDAYS.map((label, key) => ({ key, label }));
+  }
+
+  return buckets.map(({ key, label }) => {
+    const { orders = 0, revenue = 0 } = byKey.get(key) || {};
+    return { key, label, orders, revenue: toMoney(revenue), averageOrderValue: toMoney(orders > 0 ? revenue / orders : 0) };
+  });
+};
+
+/**
+ * Best-selling menu items
+ * @param {Object} range - From resolveAnalyticsRange
+ * @param {Object} options - { sortBy: quantity | revenue, limit }
+ * @returns {Promise<Array>} [{ menuItemId, name, quantity, revenue }], named as most recently ordered
+ */
+export const getTopItems = async (range, { sortBy = 'quantity', limit = 10 } = {}) => {
+  const items = await Order.aggregate([
+    matchOrdersInRange(range),
+    { $sort: { createdAt: -1 } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.menuItemId',
+        name: { $first: '$items.name' },
+        quantity: { $sum: '$items.qty' },
+        revenue: { $sum: LINE_REVENUE }
+      }
+    },
+    { $sort: { [sortBy]: -1, name: 1 } },
+    { $limit: limit }
+  ]);
+
+  return items.map(item => ({ menuItemId: item._id, name: item.name, quantity: item.quantity, revenue: toMoney(item.revenue) }));
+};
+
+/**
+ * Best-selling categories, by the category each item was in when it was ordered
+ * @param {Object} range - From resolveAnalyticsRange
+ * @param {Object} options - { sortBy: quantity | revenue, limit }
+ * @returns {Promise<Array>} [{ categoryId, name, quantity, revenue }]
+ */
+export const getTopCategories = async (range, { sortBy = 'quantity', limit = 10 } = {}) => {
+  const categories = await Order.aggregate([
+    matchOrdersInRange(range),
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.categoryId',
+        quantity: { $sum: '$items.qty' },
+        revenue: { $sum: LINE_REVENUE }
+      }
+    },
+    { $sort: { [sortBy]: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: MenuCategory.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'category'
+      }
+    }
+  ]);
+
+  return categories.map(category => ({
+    categoryId: category._id,
+    // Lines from before categories were recorded, or of a deleted category
+    name: category.category[0]?.name || 'Uncategorized',
+    quantity: category.quantity,
+    revenue: toMoney(category.revenue)
+  }));
+};
+
+/**
+ * Orders and amounts per payment status
+ * @param {Object} range - From resolveAnalyticsRange
+ * @returns {Promise<Array>} [{ status, orders, amount }], most common first
+ */
+export const getPaymentStatusBreakdown = async (range) => {
+  const statuses = await Order.aggregate([
+    matchOrdersInRange(range),
+    { $group: { _id: { $ifNull: ['$payment.status', 'pending'] }, orders: { $sum: 1 }, amount: { $sum: '$totals' } } },
+    { $sort: { orders: -1, _id: 1 } }
+  ]);
+
+  return statuses.map(status => ({ status: status._id, orders: status.orders, amount: toMoney(status.amount) }));
+};
+
+export default {
+  REVENUE_GROUPINGS,
+  TOP_SORTS,
+  MAX_RANGE_DAYS,
+  LINE_REVENUE,
+  resolveAnalyticsRange,
+  matchOrdersInRange,
+  getSalesSummary,
+  getRevenueSeries,
+  getTopItems,
+  getTopCategories,
+  getPaymentStatusBreakdown
+};
@@ -0,0 +1,329 @@
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { roundMoney } from './orderPricing.js';
+import { generateReceiptNumber, assignSequenceNumber } from './helperUtils.js';
+import { transitionOrderStatus } from './orderStateMachine.js';
+import { ORDER_EVENTS, publishOrderEvent } from './orderEvents.js';
+
+/**
+ * Bill Split Utilities
+ * Splits an order's total into Payment shares and settles the order once every share is paid
+ */
+
+export const SPLIT_MODES = ['even', 'item', 'custom'];
+export const MAX_SHARES = 20;
+
+// Shares that still have to be paid
+export const OUTSTANDING_SHARE_STATUSES = ['pending', 'failed'];
+
+// Providers that hold no money for an unfinished payment: a cash share is paid at the counter
+const COUNTER_PROVIDERS = ['cash'];
+
+// Order payment statuses a late payment success or failure must not overwrite
+export const SETTLED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+/**
+ * Allocate an amount across weights in whole cents
+ * Remainder cents go to the largest fractional parts so the shares always add up to the amount.
+ * @param {number} amount - Amount to allocate
+ * @param {Array<number>} weights - Relative weight of each share
+ * @returns {Array<number>} Amount per share
+ */
+export const allocateAmount = (amount, weights) => {
+  const cents = Math.round(amount * 100);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  if (totalWeight <= 0) return weights.map(() => 0);
+
+  const exact = weights.map(w => (cents * w) / totalWeight);
+  const allocated = exact.map(Math.floor);
+  let remainder = cents - allocated.reduce((sum, c) => sum + c, 0);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remainder <= 0) return;
+      allocated[index] += 1;
+      remainder -= 1;
+    });
+
+  return allocated.map(c => c / 100);
+};
+
+/**
+ * Group an order's lines by the guest who added them
+ * @param {Object} order - Order document
+ * @returns {Array} [{ label, guestId, lineIndexes }]
+ */
+const groupLinesByGuest = (order) => {
+  const groups = new Map();
+  order.items.forEach((line, index) => {
+    const key = line.addedBy ? line.addedBy.toString() : 'table';
+    if (!groups.has(key)) {
+      groups.set(key, {
+        label: line.addedBy ? line.addedByName || 'Guest' : 'Table',
+        guestId: line.addedBy || null,
+        lineIndexes: []
+      });
+    }
+    groups.get(key).lineIndexes.push(index);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Work out the shares for a split request
+ * @param {Object} order - Order document
+ * @param {Object} request - { mode, count, shares }
+ * @param {string} request.mode - 'even' | 'item' | 'custom'
+ * @param {number} request.count - Number of shares for an even split
+ * @param {Array} request.shares - Item assignments ({ label, guestId?, lineIndexes }) or custom amounts ({ label, guestId?, amount })
+ * @returns {Object} { shares: [{ label, guestId, lineIndexes, amount }] } or { error }
+ */
+export const buildShares = (order, { mode, count, shares = [] }) => {
+  const total = roundMoney(order.totals || 0);
+
+  if (mode === 'even') {
+    const shareCount = parseInt(count, 10);
+    if (!shareCount || shareCount < 2 || shareCount > MAX_SHARES) {
+      return { error: `count must be between 2 and ${MAX_SHARES}` };
+    }
+    return {
+      shares: allocateAmount(total, new Array(shareCount).fill(1)).map((amount, index) => ({
+        label: `Share ${index + 1}`,
+        guestId: null,
+        lineIndexes: [],
+        amount
+      }))
+    };
+  }
+
+  if (mode === 'item') {
+    // Without explicit assignments every guest pays for what they added to the cart
+    const assignments = shares.length > 0 ? shares : groupLinesByGuest(order);
+    if (assignments.length < 2 || assignments.length > MAX_SHARES) {
+      return {
+        error: shares.length > 0
+          ? `Split into between 2 and ${MAX_SHARES} shares`
+          : 'Everything on this order was added by one guest, split it evenly or by amount instead'
+      };
+    }
+
+    const seen = new Set();
+    for (const share of assignments) {
+      const indexes = share.lineIndexes || [];
+      if (indexes.length === 0) return { error: 'Every share needs at least one item' };
+      for (const index of indexes) {
+        if (!Number.isInteger(index) || index < 0 || index >= order.items.length) {
+          return { error: `Item ${index} is not on this order` };
+        }
+        if (seen.has(index)) return { error: `Item ${index} is in more than one share` };
+        seen.add(index);
+      }
+    }
+    if (seen.size !== order.items.length) {
+      return { error: 'Every item has to be in a share' };
+    }
+
+    // Line subtotals weight the order total, so anything added on top of the lines is shared proportionally
+    const weights = assignments.map(share =>
+      share.lineIndexes.reduce((sum, index) => sum + order.items[index].price * order.items[index].qty, 0)
+    );
+    const amounts = allocateAmount(total, weights);
+    return {
+      shares: assignments.map((share, index) => ({
+        label: (share.label || '').toString().trim() || `Share ${index + 1}`,
+        guestId: share.guestId || null,
+        lineIndexes: [...share.lineIndexes].sort((a, b) => a - b),
+        amount: amounts[index]
+      }))
+    };
+  }
+
+  if (mode === 'custom') {
+    if (shares.length < 2 || shares.length > MAX_SHARES) {
+      return { error: `Split into between 2 and ${MAX_SHARES} shares` };
+    }
+
+    const amounts = shares.map(share => roundMoney(parseFloat(share.amount)));
+    if (amounts.some(amount => Number.isNaN(amount) || amount <= 0)) {
+      return { error: 'Every share needs an amount greater than 0' };
+    }
+
+    const sumCents = amounts.reduce((sum, amount) => sum + Math.round(amount * 100), 0);
+    if (sumCents !== Math.round(total * 100)) {
+      return { error: `Shares add up to ${roundMoney(sumCents / 100)} but the bill is ${total}` };
+    }
+
+    return {
+      shares: shares.map((share, index) => ({
+        label: (share.label || '').toString().trim() || `Share ${index + 1}`,
+        guestId: share.guestId || null,
+        lineIndexes: [],
+        amount: amounts[index]
+      }))
+    };
+  }
+
+  return { error: `mode must be one of: ${SPLIT_MODES.join(', ')}` };
+};
+
+/**
+ * Whether a guest started paying one of the order's outstanding shares through a provider
+ * Such a payment can still be captured (a failed card attempt can be retried on the same intent),
+ * so the shares must stay as they are until it settles.
+ * @param {string} orderId - Order id
+ * @returns {Promise<boolean>}
+ */
+export const hasShareInFlight = async (orderId) => Boolean(await Payment.exists({
+  orderId,
+  status: { $in: OUTSTANDING_SHARE_STATUSES },
+  reference: { $ne: null },
+  provider: { $nin: [null, ...COUNTER_PROVIDERS] }
+}));
+
+/**
+ * Give a paid order its receipt number, unless it has one or its bill is split (each share has its own)
+ * Taken only after the payment is recorded, so a payment that lost a race doesn't use up a number.
+ * @param {Object} order - Paid order
+ * @returns {Promise<Object>} Order with payment.receiptNumber set
+ */
+export const assignOrderReceiptNumber = async (order) => {
+  if (!order || order.payment?.receiptNumber || order.payment?.splitMode) return order;
+
+  return assignSequenceNumber(Order, order._id, 'payment.receiptNumber', () => generateReceiptNumber());
+};
+
+/**
+ * Mark an order paid, completing it when it was already served
+ * Conditional, so two payments landing together only mark the order paid once.
+ * @param {string} orderId - Order id
+ * @param {Object} updateData - Payment fields to set, e.g. { 'payment.method': 'card' }
+ * @param {Object} actor - { actorId, role } for the status history
+ * @param {string} note - Status history note
+ * @returns {Promise<Object|null>} Updated order
+ */
+export const markOrderPaid = async (orderId, updateData, actor = {}, note = 'Payment received') => {
+  const order = await Order.findById(orderId);
+  if (!order || SETTLED_PAYMENT_STATUSES.includes(order.payment?.status)) return order;
+
+  const paidData = { ...updateData, 'payment.status': 'paid', 'payment.paidAt': new Date() };
+
+  let updatedOrder = null;
+  if (order.status === 'served') {
+    const result = await transitionOrderStatus(orderId, 'completed', { ...actor, note }, paidData);
+    if (result.order) {
+      updatedOrder = result.order;
+      publishOrderEvent(ORDER_EVENTS.STATUS_CHANGED, updatedOrder);
+    }
+  }
+
+  if (!updatedOrder) {
+    updatedOrder = await Order.findOneAndUpdate(
+      { _id: orderId, 'payment.status': { $nin: SETTLED_PAYMENT_STATUSES } },
+      { $set: paidData },
+      { new: true, runValidators: false }
+    );
+    if (!updatedOrder) return Order.findById(orderId);
+  }
+  updatedOrder = await assignOrderReceiptNumber(updatedOrder);
+
+  publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, updatedOrder);
+  return updatedOrder;
+};
+
+/**
+ * Mark the order paid once none of its shares is outstanding
+ * A served order is completed in the same step, like a manual payment would.
+ * @param {string} orderId - Order id
+ * @param {Object} actor - { actorId, role } for the status history
+ * @returns {Promise<Object|null>} Updated order, or null while shares are outstanding
+ */
+export const settleOrderIfFullyPaid = async (orderId, actor = {}) => {
+  const outstanding = await Payment.countDocuments({ orderId, status: { $in: OUTSTANDING_SHARE_STATUSES } });
+  if (outstanding > 0) return null;
+
+  return markOrderPaid(orderId, { 'payment.method': 'split' }, actor, 'All bill shares paid');
+};
+
+/**
+ * Record a share as paid and settle the order if it was the last one
+ * @param {string} shareId - Payment id
+ * @param {Object} details - { method, provider, reference, providerData, settledBy, actor }
+ * @returns {Promise<Object>} { share, order } or { error, statusCode }
+ */
+export const settleShare = async (shareId, { method, provider, reference, providerData, settledBy = null, actor = {} } = {}) => {
+  const updateData = { status: 'paid', paidAt: new Date(), settledBy };
+  if (method) updateData.method = method;
+  if (provider) updateData.provider = provider;
+  if (reference) updateData.reference = reference;
+  if (providerData) updateData.providerData = providerData;
+
+  let share = await Payment.findOneAndUpdate(
+    { _id: shareId, status: { $in: OUTSTANDING_SHARE_STATUSES } },
+    { $set: updateData },
+    { new: true }
+  );
+
+  if (!share) {
+    const exists = await Payment.exists({ _id: shareId });
+    return exists
+      ? { error: 'This share is already paid or no longer part of the bill', statusCode: 409 }
+      : { error: 'Share not found', statusCode: 404 };
+  }
+  share = await assignSequenceNumber(Payment, share._id, 'receiptNumber', () => generateReceiptNumber());
+
+  const order = await settleOrderIfFullyPaid(share.orderId, actor);
+  if (!order || order.payment?.status !== 'paid') {
+    // Let order watchers know a share moved even though the order isn't fully paid yet
+    const current = order || await Order.findById(share.orderId);
+    publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, current);
+  }
+
+  return { share, order };
+};
+
+/**
+ * Record a provider capture for a share that was canceled when the bill was split again
+ * The guest has been charged, so the money is recorded against the old share rather than dropped;
+ * it doesn't count towards the current split and is left for staff to refund.
+ * @param {string} shareId - Payment id
+ * @param {Object} details - { method, provider, reference, providerData }
+ * @returns {Promise<Object>} { share, order } or { error, statusCode }
+ */
+export const recordCanceledShareCapture = async (shareId, { method, provider, reference, providerData } = {}) => {
+  const updateData = { status: 'paid', paidAt: new Date() };
+  if (method) updateData.method = method;
+  if (provider) updateData.provider = provider;
+  if (reference) updateData.reference = reference;
+  if (providerData) updateData.providerData = providerData;
+
+  let share = await Payment.findOneAndUpdate(
+    { _id: shareId, status: 'canceled' },
+    { $set: updateData },
+    { new: true }
+  );
+  if (!share) return { error: 'This share is not canceled', statusCode: 409 };
+
+  share = await assignSequenceNumber(Payment, share._id, 'receiptNumber', () => generateReceiptNumber());
+  console.warn(`Share ${share._id} of order ${share.orderId} was paid after it was canceled, refund ${share.amount} to the guest`);
+
+  const order = await Order.findById(share.orderId);
+  publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, order);
+  return { share, order };
+};
+
+export default {
+  SPLIT_MODES,
+  MAX_SHARES,
+  OUTSTANDING_SHARE_STATUSES,
+  SETTLED_PAYMENT_STATUSES,
+  allocateAmount,
+  buildShares,
+  hasShareInFlight,
+  assignOrderReceiptNumber,
+  markOrderPaid,
+  settleOrderIfFullyPaid,
+  settleShare,
+  recordCanceledShareCapture
+};
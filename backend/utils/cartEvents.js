@@ -0,0 +1,53 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process shared cart event bus
+ * Cart changes are published per table session and streamed to every guest's device at that table
+ */
+
+export const CART_EVENTS = {
+  UPDATED: 'cart.updated',
+  SUBMITTED: 'cart.submitted'
+};
+
+const emitter = new EventEmitter();
+// Every open stream is a listener, so there is no meaningful upper bound
+emitter.setMaxListeners(0);
+
+/**
+ * Publish a cart event to the guests of a table session
+ * @param {string} type - One of CART_EVENTS
+ * @param {string} tableSessionId - Table session the cart belongs to
+ * @param {Object} payload - Event payload (the cart, plus the order for submissions)
+ */
+export const publishCartEvent = (type, tableSessionId, payload) => {
+  if (!tableSessionId) return;
+  emitter.emit('event', {
+    type,
+    tableSessionId: tableSessionId.toString(),
+    ...payload,
+    at: new Date().toISOString()
+  });
+};
+
+/**
+ * Subscribe to cart events for one table session
+ * @param {string} tableSessionId - Table session to listen to
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToCartEvents = (tableSessionId, listener) => {
+  const handler = (event) => {
+    if (event.tableSessionId !== tableSessionId.toString()) return;
+    listener(event);
+  };
+
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+};
+
+export default {
+  CART_EVENTS,
+  publishCartEvent,
+  subscribeToCartEvents
+};
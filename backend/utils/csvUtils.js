@@ -0,0 +1,85 @@
+/**
+ * CSV Utilities
+ * Reads and writes RFC 4180 CSV: comma-separated, fields quoted when they hold commas, quotes or
+ * line breaks, with quotes doubled inside quoted fields.
+ */
+
+/**
+ * Quote a value for a CSV field when it needs it
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV with a header line
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows, columns) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(toCsvField).join(','))
+    .join('\r\n') + '\r\n';
+
+/**
+ * Parse CSV text whose first line names the columns
+ * @param {string} text - CSV text
+ * @returns {Object} { columns, rows } with each row keyed by column name, or { error }
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) return { error: 'The CSV ends inside a quoted field' };
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  const [header, ...lines] = records.filter(fields => fields.some(value => value.trim() !== ''));
+  if (!header) return { error: 'The CSV is empty' };
+
+  const columns = header.map(column => column.trim());
+  const rows = lines.map(fields => Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? ''])));
+  return { columns, rows };
+};
+
+export default {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,59 @@
+import nodemailer from 'nodemailer';
+import config from '../config/config.js';
+
+/**
+ * Email Utilities
+ * Sends mail through the SMTP server in config.EMAIL
+ */
+
+let transporter = null;
+
+/**
+ * Whether an SMTP account is set up to send from
+ * @returns {boolean} True when EMAIL_HOST and EMAIL_USER are set
+ */
+export const isEmailConfigured = () => Boolean(config.EMAIL.HOST && config.EMAIL.USER);
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.EMAIL.HOST,
+      port: config.EMAIL.PORT,
+      // Port 465 speaks TLS from the start; others upgrade with STARTTLS
+      secure: config.EMAIL.PORT === 465,
+      auth: { user: config.EMAIL.USER, pass: config.EMAIL.PASS }
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html, attachments } as nodemailer takes them
+ * @returns {Promise<Object>} { messageId } or { error, statusCode }
+ */
+export const sendEmail = async ({ to, subject, text, html, attachments = [] }) => {
+  if (!isEmailConfigured()) {
+    return { error: 'Email is not set up on this server', statusCode: 503 };
+  }
+
+  try {
+    const info = await getTransporter().sendMail({
+      from: `"${config.RESTAURANT.NAME}" <${config.EMAIL.FROM}>`,
+      to,
+      subject,
+      text,
+      html,
+      attachments
+    });
+    return { messageId: info.messageId };
+  } catch (err) {
+    console.error('❌ Sending email failed:', err.message);
+    return { error: 'The email could not be sent, try again later', statusCode: 502 };
+  }
+};
+
+export default {
+  isEmailConfigured,
+  sendEmail
+};
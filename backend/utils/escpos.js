@@ -0,0 +1,134 @@
+/**
+ * ESC/POS Utilities
+ * Builds the byte stream thermal receipt printers understand. Text is sent as plain ASCII, which
+ * every printer's default code page prints: accents are dropped and other characters become '?'.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+/**
+ * Make text printable on the default code page
+ * @param {*} value - Text to print
+ * @returns {string} ASCII text
+ */
+export const toPrintable = (value) => String(value ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\u20b9/g, 'Rs')
+  .replace(/[\u2018\u2019]/g, "'")
+  .replace(/[\u201c\u201d]/g, '"')
+  .replace(/[\u2013\u2014\u00b7]/g, '-')
+  .replace(/[\r\n\t]+/g, ' ')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+/**
+ * Break text into lines of at most width characters, at spaces where possible
+ * @param {string} text - Printable text
+ * @param {number} width - Characters per line
+ * @returns {Array<string>} Lines (at least one)
+ */
+export const wrapText = (text, width) => {
+  const lines = [];
+  let current = '';
+  text.split(' ').filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!word) return;
+    if (current && current.length + 1 + word.length > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current || lines.length === 0) lines.push(current);
+  return lines;
+};
+
+/**
+ * Start a ticket. Every method returns the ticket so calls can be chained; toBuffer() gives the bytes.
+ * @param {Object} options - Options
+ * @param {number} options.columns - Characters per line in the standard font
+ * @returns {Object} Ticket builder
+ */
+export const createTicket = ({ columns = 48 } = {}) => {
+  // ESC @ resets the printer to its defaults
+  const chunks = [Buffer.from([ESC, 0x40])];
+  let doubleWidth = false;
+  const width = () => (doubleWidth ? Math.floor(columns / 2) : columns);
+  const write = (text) => chunks.push(Buffer.from(`${text}\n`, 'ascii'));
+
+  const ticket = {
+    align(alignment = 'left') {
+      chunks.push(Buffer.from([ESC, 0x61, ALIGNMENTS[alignment] ?? 0]));
+      return ticket;
+    },
+
+    bold(on = true) {
+      chunks.push(Buffer.from([ESC, 0x45, on ? 1 : 0]));
+      return ticket;
+    },
+
+    // Character size: 'normal', 'tall' (double height) or 'large' (double width and height)
+    size(size = 'normal') {
+      const value = { normal: 0x00, tall: 0x01, large: 0x11 }[size] ?? 0x00;
+      doubleWidth = size === 'large';
+      chunks.push(Buffer.from([GS, 0x21, value]));
+      return ticket;
+    },
+
+    // Text on its own line(s), wrapped to the paper width; indent shifts every line right
+    text(value = '', indent = 0) {
+      const margin = ' '.repeat(indent);
+      wrapText(toPrintable(value), Math.max(width() - indent, 1)).forEach(line => write(`${margin}${line}`));
+      return ticket;
+    },
+
+    // Text on the left and an amount or time on the right of the same line; long text wraps above it
+    row(left, right = '') {
+      const rightText = toPrintable(right);
+      const lines = wrapText(toPrintable(left), Math.max(width() - rightText.length - 1, 1));
+      lines.slice(0, -1).forEach(write);
+      const last = lines[lines.length - 1];
+      write(`${last}${' '.repeat(Math.max(width() - last.length - rightText.length, 1))}${rightText}`);
+      return ticket;
+    },
+
+    divider(character = '-') {
+      write(character.repeat(width()));
+      return ticket;
+    },
+
+    feed(lines = 1) {
+      chunks.push(Buffer.from([ESC, 0x64, lines]));
+      return ticket;
+    },
+
+    // Feed the paper past the cutter and cut, leaving a small hinge
+    cut() {
+      chunks.push(Buffer.from([GS, 0x56, 0x42, 0x03]));
+      return ticket;
+    },
+
+    toBuffer() {
+      return Buffer.concat(chunks);
+    }
+  };
+
+  return ticket;
+};
+
+export default {
+  toPrintable,
+  wrapText,
+  createTicket
+};
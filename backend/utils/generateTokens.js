@@ -214,6 +214,38 @@ export const verifyApiKey = (token) => {
   return jwt.verify(token, config.JWT_SECRET);
 };
 
+/**
+ * Generate stream ticket
+ * EventSource cannot send headers, so event streams take this in the URL instead of the access or
+ * customer token. It only opens a stream (it has no userId, so it is no access token) and expires quickly.
+ * @param {Object} identity - { userId, customerId } of whoever asked for it, either may be null
+ * @returns {string} Stream ticket
+ */
+export const generateStreamTicket = ({ userId = null, customerId = null }) => {
+  const payload = {
+    user: userId,
+    customer: customerId,
+    type: 'stream'
+  };
+
+  return jwt.sign(payload, config.JWT_SECRET, {
+    expiresIn: config.STREAM_TICKET_EXPIRE,
+    issuer: 'restaurant-qr-menu',
+    audience: 'restaurant-qr-menu-stream'
+  });
+};
+
+/**
+ * Verify stream ticket
+ * @param {string} token - Stream ticket
+ * @returns {Object} Decoded token payload; throws when invalid, expired or not a stream ticket
+ */
+export const verifyStreamTicket = (token) => {
+  const decoded = jwt.verify(token, config.JWT_SECRET, { audience: 'restaurant-qr-menu-stream' });
+  if (decoded.type !== 'stream') throw new jwt.JsonWebTokenError('Not a stream ticket');
+  return decoded;
+};
+
 /**
  * Extract token from Authorization header
  * @param {string} authHeader - Authorization header value
@@ -258,6 +290,8 @@ export default {
   verifyEmailVerificationToken,
   generateApiKey,
   verifyApiKey,
+  generateStreamTicket,
+  verifyStreamTicket,
   extractTokenFromHeader,
   generateRandomString
 };
@@ -1,3 +1,5 @@
+import Counter from '../models/Counter.js';
+
 /**
  * Helper Utilities for common operations
  */
@@ -87,9 +89,9 @@ export const getTimeDifference = (startDate, endDate = new Date()) => {
 };
 
 /**
- * Calculate order total
+ * Sum order lines (price x qty), before tax and charges; utils/orderTotals.js works out the bill
  * @param {Array} items - Array of order items
- * @returns {number} Total amount
+ * @returns {number} Lines total
  */
 export const calculateOrderTotal = (items) => {
   return items.reduce((total, item) => {
@@ -97,26 +99,6 @@ export const calculateOrderTotal = (items) => {
   }, 0);
 };
 
-/**
- * Calculate tax amount
- * @param {number} amount - Amount to calculate tax on
- * @param {number} taxRate - Tax rate as decimal (e.g., 0.08 for 8%)
- * @returns {number} Tax amount
- */
-export const calculateTax = (amount, taxRate = 0.08) => {
-  return amount * taxRate;
-};
-
-/**
- * Calculate total with tax
- * @param {number} amount - Base amount
- * @param {number} taxRate - Tax rate as decimal (e.g., 0.08 for 8%)
- * @returns {number} Total amount including tax
- */
-export const calculateTotalWithTax = (amount, taxRate = 0.08) => {
-  return amount + calculateTax(amount, taxRate);
-};
-
 /**
  * Generate order number
  * @param {string} prefix - Prefix for order number (default: ORD)
@@ -128,26 +110,110 @@ export const generateOrderNumber = (prefix = 'ORD') => {
   return `${prefix}-${timestamp}-${randomString}`;
 };
 
+// Invoice and receipt numbers run 1, 2, 3... per prefix with no gaps, as accounting expects
+const SEQUENCE_DIGITS = 6;
+
+// A claim on a number field (see assignSequenceNumber) older than this was left by a crashed process
+const NUMBER_CLAIM_TIMEOUT_MS = 30 * 1000;
+// How long, and how often, to look again while someone else holds the claim
+const NUMBER_CLAIM_WAIT_MS = 5 * 1000;
+const NUMBER_CLAIM_POLL_MS = 200;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Claims live in numberClaims (a Map), keyed by the field with its dots replaced
+const numberClaimPath = (field) => `numberClaims.${field.replace(/\./g, '_')}`;
+
+/**
+ * Take the next number of a named sequence
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} Next number, starting at 1
+ */
+const nextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
 /**
  * Generate invoice number
  * @param {string} prefix - Prefix for invoice number (default: INV)
- * @returns {string} Unique invoice number
+ * @returns {Promise<string>} Next invoice number, e.g. INV-000042
  */
-export const generateInvoiceNumber = (prefix = 'INV') => {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const randomString = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `${prefix}-${timestamp}-${randomString}`;
+export const generateInvoiceNumber = async (prefix = 'INV') => {
+  const seq = await nextSequence(prefix);
+  return `${prefix}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
 };
 
 /**
  * Generate receipt number
- * @param {string} prefix - Prefix for receipt number (default: RCP)
- * @returns {string} Unique receipt number
+ * @param {string} prefix - Prefix for receipt number (default: RCP; refunds use RFD)
+ * @returns {Promise<string>} Next receipt number, e.g. RCP-000042
  */
-export const generateReceiptNumber = (prefix = 'RCP') => {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const randomString = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `${prefix}-${timestamp}-${randomString}`;
+export const generateReceiptNumber = async (prefix = 'RCP') => {
+  const seq = await nextSequence(prefix);
+  return `${prefix}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
+};
+
+/**
+ * Give a document the next number of a sequence, unless it already has one
+ * The document is claimed first (a timestamp in numberClaims; the number field itself stays empty
+ * until the real number is stored), and only the caller holding the claim draws a number, so losing
+ * a race never uses one up. Other callers wait for the claim holder to finish; a claim left behind
+ * by a crashed process is taken over once it is NUMBER_CLAIM_TIMEOUT_MS old. Only such a crash,
+ * between drawing the number and storing it, can still leave a gap in the sequence.
+ * @param {Object} Model - Mongoose model (its schema needs the numberClaims map)
+ * @param {string} id - Document id
+ * @param {string} field - Number field, e.g. 'invoiceNumber' or 'payment.receiptNumber'
+ * @param {Function} generate - Draws the number, e.g. () => generateInvoiceNumber()
+ * @returns {Promise<Object|null>} The document, with its number unless another caller is still
+ * drawing it after NUMBER_CLAIM_WAIT_MS; null when the document doesn't exist
+ */
+export const assignSequenceNumber = async (Model, id, field, generate) => {
+  const claimPath = numberClaimPath(field);
+  const deadline = Date.now() + NUMBER_CLAIM_WAIT_MS;
+
+  for (;;) {
+    const claimedAt = new Date();
+    const claimed = await Model.findOneAndUpdate(
+      {
+        _id: id,
+        [field]: null,
+        $or: [
+          { [claimPath]: null },
+          { [claimPath]: { $lt: new Date(claimedAt.getTime() - NUMBER_CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { [claimPath]: claimedAt } },
+      { runValidators: false }
+    );
+
+    if (claimed) {
+      let number;
+      try {
+        number = await generate();
+      } catch (err) {
+        await Model.updateOne({ _id: id, [claimPath]: claimedAt }, { $unset: { [claimPath]: 1 } });
+        throw err;
+      }
+
+      const numbered = await Model.findOneAndUpdate(
+        { _id: id, [field]: null, [claimPath]: claimedAt },
+        { $set: { [field]: number }, $unset: { [claimPath]: 1 } },
+        { new: true, runValidators: false }
+      );
+      if (numbered) return numbered;
+      // Took so long that the claim was taken over; that caller numbers the document instead
+      console.warn(`${Model.modelName} ${id}: ${field} ${number} was drawn after its claim expired and is unused`);
+    }
+
+    const current = await Model.findById(id);
+    if (!current || current.get(field) || Date.now() >= deadline) return current;
+    await wait(NUMBER_CLAIM_POLL_MS);
+  }
 };
 
 /**
@@ -339,11 +405,10 @@ export default {
   formatDateTime,
   getTimeDifference,
   calculateOrderTotal,
-  calculateTax,
-  calculateTotalWithTax,
   generateOrderNumber,
   generateInvoiceNumber,
   generateReceiptNumber,
+  assignSequenceNumber,
   paginateArray,
   sortArray,
   filterArray,
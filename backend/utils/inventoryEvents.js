@@ -0,0 +1,53 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process inventory event bus
+ * Stock changes are published here and the admin inventory stream fans them out
+ */
+
+export const INVENTORY_EVENTS = {
+  STOCK_CHANGED: 'stock.changed',
+  LOW_STOCK: 'stock.low',
+  SOLD_OUT: 'stock.sold_out'
+};
+
+const emitter = new EventEmitter();
+// Every open stream is a listener, so there is no meaningful upper bound
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an inventory event to all subscribers
+ * @param {string} type - One of INVENTORY_EVENTS
+ * @param {Object} item - MenuItem document after the change
+ */
+export const publishInventoryEvent = (type, item) => {
+  if (!item) return;
+  emitter.emit('event', {
+    type,
+    item: {
+      id: item._id,
+      name: item.name,
+      stock: item.stock,
+      lowStockThreshold: item.lowStockThreshold,
+      availability: item.availability,
+      soldOut: item.soldOut
+    },
+    at: new Date().toISOString()
+  });
+};
+
+/**
+ * Subscribe to inventory events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToInventoryEvents = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+export default {
+  INVENTORY_EVENTS,
+  publishInventoryEvent,
+  subscribeToInventoryEvents
+};
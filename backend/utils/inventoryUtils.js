@@ -0,0 +1,257 @@
+import MenuItem from '../models/MenuItem.js';
+import StockMovement from '../models/StockMovement.js';
+import { INVENTORY_EVENTS, publishInventoryEvent } from './inventoryEvents.js';
+
+/**
+ * Inventory Utilities
+ * Stock is counted in portions per menu item; items with a null stock aren't tracked. Orders take
+ * stock with a conditional decrement, so two orders can't both take the last portion, and every
+ * change is kept as a StockMovement.
+ */
+
+export const STOCK_ADJUSTMENT_TYPES = ['receipt', 'wastage', 'correction'];
+
+/**
+ * Whether an item's stock is at or below its alert threshold
+ * @param {Object} item - MenuItem document
+ * @returns {boolean} True when the item is low on stock
+ */
+export const isLowStock = (item) =>
+  typeof item.stock === 'number' && typeof item.lowStockThreshold === 'number' && item.stock <= item.lowStockThreshold;
+
+/**
+ * Add up the quantity ordered per menu item
+ * @param {Array} lines - Order lines ({ menuItemId, qty })
+ * @returns {Map<string, number>} Quantity per menu item id
+ */
+const countByItem = (lines) => {
+  const counts = new Map();
+  lines.forEach(line => {
+    const id = String(line.menuItemId);
+    counts.set(id, (counts.get(id) || 0) + line.qty);
+  });
+  return counts;
+};
+
+/**
+ * Switch an item off when it runs out and back on when it is restocked, and raise alerts
+ * @param {Object} item - MenuItem document after the change
+ * @param {number|null} previousStock - Stock before the change
+ * @returns {Promise<Object>} The item as it is now
+ */
+const afterStockChange = async (item, previousStock) => {
+  let current = item;
+
+  if (item.stock === 0 && item.availability) {
+    const soldOut = await MenuItem.findOneAndUpdate(
+      { _id: item._id, stock: 0, availability: true },
+      { $set: { availability: false, soldOut: true } },
+      { new: true }
+    );
+    if (soldOut) {
+      current = soldOut;
+      publishInventoryEvent(INVENTORY_EVENTS.SOLD_OUT, current);
+    }
+  } else if (item.stock > 0 && item.soldOut) {
+    // Only items that running out switched off; an admin's own switch stays as it is
+    current = await MenuItem.findOneAndUpdate(
+      { _id: item._id, soldOut: true, stock: { $gt: 0 } },
+      { $set: { availability: true, soldOut: false } },
+      { new: true }
+    ) || item;
+  }
+
+  // Alert once, when the stock crosses the threshold
+  const wasLow = isLowStock({ stock: previousStock, lowStockThreshold: current.lowStockThreshold });
+  if (isLowStock(current) && !wasLow) {
+    publishInventoryEvent(INVENTORY_EVENTS.LOW_STOCK, current);
+  }
+  publishInventoryEvent(INVENTORY_EVENTS.STOCK_CHANGED, current);
+
+  return current;
+};
+
+/**
+ * Take the stock an order needs
+ * Each item is decremented only if enough is left; when one falls short, or a query fails partway,
+ * what was taken is put back.
+ * @param {Array} lines - Order lines ({ menuItemId, qty })
+ * @returns {Promise<Object>} { reservation } on success, or { error, menuItemId, name, available }
+ */
+export const reserveStock = async (lines) => {
+  const reservation = [];
+
+  try {
+    for (const [menuItemId, qty] of countByItem(lines)) {
+      const item = await MenuItem.findOneAndUpdate(
+        { _id: menuItemId, stock: { $gte: qty } },
+        { $inc: { stock: -qty } },
+        { new: true }
+      );
+      if (item) {
+        reservation.push({ menuItemId, qty, item });
+        continue;
+      }
+
+      // Untracked items have no stock to take
+      const current = await MenuItem.findById(menuItemId).select('name stock');
+      if (!current || current.stock === null) continue;
+
+      await releaseStock(reservation);
+      return {
+        error: current.stock === 0 ? `${current.name} is sold out` : `Only ${current.stock} ${current.name} left`,
+        menuItemId: current._id,
+        name: current.name,
+        available: current.stock
+      };
+    }
+  } catch (err) {
+    await releaseStock(reservation);
+    throw err;
+  }
+
+  return { reservation };
+};
+
+/**
+ * Put back stock taken for an order that wasn't placed after all
+ * @param {Array} reservation - From reserveStock
+ * @returns {Promise<void>}
+ */
+export const releaseStock = async (reservation) => {
+  await Promise.all(reservation.map(({ menuItemId, qty }) =>
+    MenuItem.updateOne({ _id: menuItemId, stock: { $ne: null } }, { $inc: { stock: qty } })
+  ));
+};
+
+/**
+ * Record the stock taken for a placed order, then sell out and alert as needed
+ * @param {Array} reservation - From reserveStock
+ * @param {Object} context - { orderId, actorId }
+ * @returns {Promise<void>}
+ */
+export const commitStock = async (reservation, { orderId, actorId = null }) => {
+  if (reservation.length === 0) return;
+
+  await StockMovement.insertMany(reservation.map(({ menuItemId, qty, item }) => ({
+    menuItemId,
+    type: 'sale',
+    quantity: -qty,
+    stockAfter: item.stock,
+    orderId,
+    createdBy: actorId
+  })));
+
+  for (const { qty, item } of reservation) {
+    await afterStockChange(item, item.stock + qty);
+  }
+};
+
+/**
+ * Give back the stock a canceled order took
+ * Works from the order's sale movements, so only what was actually taken comes back.
+ * @param {string} orderId - Order id
+ * @param {string} actorId - Who canceled the order
+ * @returns {Promise<void>}
+ */
+export const restoreOrderStock = async (orderId, actorId = null) => {
+  const sales = await StockMovement.find({ orderId, type: 'sale' });
+
+  for (const sale of sales) {
+    const returned = -sale.quantity;
+    const item = await MenuItem.findOneAndUpdate(
+      { _id: sale.menuItemId, stock: { $ne: null } },
+      { $inc: { stock: returned } },
+      { new: true }
+    );
+    // Tracking was switched off since the order
+    if (!item) continue;
+
+    await StockMovement.create({
+      menuItemId: sale.menuItemId,
+      type: 'cancellation',
+      quantity: returned,
+      stockAfter: item.stock,
+      orderId,
+      createdBy: actorId
+    });
+    await afterStockChange(item, item.stock - returned);
+  }
+};
+
+/**
+ * Record a stock receipt, wastage or count correction
+ * A correction sets the counted stock, and starts tracking an item that wasn't tracked.
+ * @param {string} menuItemId - Menu item id
+ * @param {Object} adjustment - { type, quantity, note, actorId }
+ * @returns {Promise<Object>} { item, movement }, or { error, statusCode }
+ */
+export const adjustStock = async (menuItemId, { type, quantity, note = '', actorId = null }) => {
+  let item;
+  let change;
+
+  if (type === 'correction') {
+    const before = await MenuItem.findOneAndUpdate({ _id: menuItemId }, { $set: { stock: quantity } });
+    if (!before) return { error: 'Menu item not found', statusCode: 404 };
+    change = quantity - (before.stock || 0);
+    item = await MenuItem.findById(menuItemId);
+  } else {
+    change = type === 'receipt' ? quantity : -quantity;
+    item = await MenuItem.findOneAndUpdate(
+      { _id: menuItemId, stock: type === 'wastage' ? { $gte: quantity } : { $ne: null } },
+      { $inc: { stock: change } },
+      { new: true }
+    );
+
+    if (!item) {
+      const current = await MenuItem.findById(menuItemId).select('stock');
+      if (!current) return { error: 'Menu item not found', statusCode: 404 };
+      if (current.stock === null) {
+        return { error: 'Stock is not tracked for this item; enter a correction with the counted stock to start', statusCode: 400 };
+      }
+      return { error: `Only ${current.stock} in stock`, statusCode: 409 };
+    }
+  }
+
+  const movement = await StockMovement.create({
+    menuItemId,
+    type,
+    quantity: change,
+    stockAfter: item.stock,
+    note,
+    createdBy: actorId
+  });
+  item = await afterStockChange(item, item.stock - change);
+
+  return { item, movement };
+};
+
+/**
+ * Stop tracking an item's stock
+ * An item that running out had switched off is switched back on.
+ * @param {string} menuItemId - Menu item id
+ * @returns {Promise<Object|null>} The item, or null when it doesn't exist
+ */
+export const stopTrackingStock = async (menuItemId) => {
+  const item = await MenuItem.findById(menuItemId);
+  if (!item) return null;
+
+  if (item.soldOut) item.availability = true;
+  item.stock = null;
+  item.soldOut = false;
+  await item.save();
+
+  publishInventoryEvent(INVENTORY_EVENTS.STOCK_CHANGED, item);
+  return item;
+};
+
+export default {
+  STOCK_ADJUSTMENT_TYPES,
+  isLowStock,
+  reserveStock,
+  releaseStock,
+  commitStock,
+  restoreOrderStock,
+  adjustStock,
+  stopTrackingStock
+};
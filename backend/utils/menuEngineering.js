@@ -0,0 +1,174 @@
+import MenuItem from '../models/MenuItem.js';
+import Order from '../models/Order.js';
+import config from '../config/config.js';
+import { LINE_REVENUE, matchOrdersInRange } from './analyticsUtils.js';
+
+/**
+ * Menu Engineering Utilities
+ * Sorts every item into the classic quadrants by how well it sells and what each portion earns,
+ * compared with the other items of its category over a period:
+ *   star      - popular and profitable
+ *   plowhorse - popular, low margin
+ *   puzzle    - profitable, rarely ordered
+ *   dog       - neither
+ * Popularity is the item's menu mix (its share of the category's portions sold) measured against
+ * 70% of an even share; margin is compared with the category's sales-weighted average margin.
+ * Items without a cost can't be given a margin and are left unclassified.
+ */
+
+export const MENU_CLASSES = ['star', 'plowhorse', 'puzzle', 'dog'];
+
+// An item is popular when it sells at least this fraction of an even share of its category
+const POPULARITY_FACTOR = 0.7;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const classify = (popular, profitable) => {
+  if (popular) return profitable ? 'star' : 'plowhorse';
+  return profitable ? 'puzzle' : 'dog';
+};
+
+/**
+ * Portions sold and revenue per menu item
+ * @param {Object} range - { start, end }
+ * @returns {Promise<Map>} Item id -> { quantity, revenue }
+ */
+const getItemSales = async (range) => {
+  const sales = await Order.aggregate([
+    matchOrdersInRange(range),
+    { $unwind: '$items' },
+    { $group: { _id: '$items.menuItemId', quantity: { $sum: '$items.qty' }, revenue: { $sum: LINE_REVENUE } } }
+  ]);
+  return new Map(sales.map(sale => [sale._id.toString(), sale]));
+};
+
+/**
+ * Classify one category's items against each other
+ * @param {Array} items - Item figures ({ quantity, unitMargin, totalMargin, ... })
+ * @returns {Object} { totalQuantity, popularityThreshold, marginThreshold, items } with menuMix and class added
+ */
+const classifyCategory = (items) => {
+  const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+  const popularityThreshold = items.length > 0 ? POPULARITY_FACTOR / items.length : 0;
+
+  // Weighted by portions sold; with no costed sales yet, the plain average of the costed items
+  const costed = items.filter(item => item.unitMargin !== null);
+  const costedQuantity = costed.reduce((sum, item) => sum + item.quantity, 0);
+  let marginThreshold = null;
+  if (costedQuantity > 0) {
+    marginThreshold = costed.reduce((sum, item) => sum + item.totalMargin, 0) / costedQuantity;
+  } else if (costed.length > 0) {
+    marginThreshold = costed.reduce((sum, item) => sum + item.unitMargin, 0) / costed.length;
+  }
+
+  return {
+    totalQuantity,
+    popularityThreshold: round(popularityThreshold, 4),
+    marginThreshold: marginThreshold === null ? null : round(marginThreshold),
+    items: items.map(item => {
+      const menuMix = totalQuantity > 0 ? item.quantity / totalQuantity : 0;
+      const popular = totalQuantity > 0 && menuMix >= popularityThreshold;
+      return {
+        ...item,
+        menuMix: round(menuMix, 4),
+        class: item.unitMargin === null ? null : classify(popular, item.unitMargin >= marginThreshold)
+      };
+    })
+  };
+};
+
+/**
+ * Menu engineering report
+ * Margins use each item's current cost against what it actually sold for (after promotions, before
+ * tax); an item that didn't sell is valued at its menu price.
+ * @param {Object} range - From resolveAnalyticsRange
+ * @param {Object} options - { categoryId } to report on a single category
+ * @returns {Promise<Object>} { categories: [{ categoryId, name, ..., items }], summary }
+ */
+export const getMenuEngineeringReport = async (range, { categoryId } = {}) => {
+  const [menuItems, sales] = await Promise.all([
+    MenuItem.find(categoryId ? { categoryId } : {})
+      .select('name price cost categoryId availability')
+      .populate('categoryId', 'name displayOrder')
+      .sort({ name: 1 }),
+    getItemSales(range)
+  ]);
+
+  const byCategory = new Map();
+  menuItems.forEach(item => {
+    // Items whose category was deleted can't be compared with anything
+    if (!item.categoryId) return;
+    const key = item.categoryId._id.toString();
+    if (!byCategory.has(key)) byCategory.set(key, { category: item.categoryId, items: [] });
+
+    const { quantity = 0, revenue = 0 } = sales.get(item._id.toString()) || {};
+    const averagePrice = quantity > 0 ? revenue / quantity : item.price;
+    const unitMargin = item.cost === null ? null : averagePrice - item.cost;
+    byCategory.get(key).items.push({
+      menuItemId: item._id,
+      name: item.name,
+      price: item.price,
+      cost: item.cost,
+      availability: item.availability,
+      quantity,
+      revenue: round(revenue),
+      averagePrice: round(averagePrice),
+      unitMargin: unitMargin === null ? null : round(unitMargin),
+      totalMargin: unitMargin === null ? null : round(unitMargin * quantity),
+      foodCostPercent: item.cost === null || averagePrice <= 0 ? null : round((item.cost / averagePrice) * 100, 1)
+    });
+  });
+
+  const categories = [...byCategory.values()]
+    .sort((a, b) => a.category.displayOrder - b.category.displayOrder || a.category.name.localeCompare(b.category.name))
+    .map(({ category, items }) => ({
+      categoryId: category._id,
+      name: category.name,
+      ...classifyCategory(items)
+    }));
+
+  const allItems = categories.flatMap(category => category.items);
+  const summary = Object.fromEntries(MENU_CLASSES.map(name => [name, allItems.filter(item => item.class === name).length]));
+  summary.unclassified = allItems.filter(item => item.class === null).length;
+
+  return { categories, summary };
+};
+
+/**
+ * Recount every item's popularity as the portions sold over the last POPULARITY_DAYS
+ * @returns {Promise<Object>} { updated } number of items whose popularity changed
+ */
+export const refreshMenuPopularity = async () => {
+  const end = new Date();
+  const start = new Date(end.getTime() - config.MENU.POPULARITY_DAYS * 24 * 60 * 60 * 1000);
+  const [sales, items] = await Promise.all([getItemSales({ start, end }), MenuItem.find().select('popularity')]);
+
+  const operations = items
+    .map(item => ({ item, popularity: sales.get(item._id.toString())?.quantity || 0 }))
+    .filter(({ item, popularity }) => item.popularity !== popularity)
+    // A recount isn't an edit, so updatedAt stays as it was
+    .map(({ item, popularity }) => ({
+      updateOne: { filter: { _id: item._id }, update: { $set: { popularity } }, timestamps: false }
+    }));
+
+  if (operations.length > 0) await MenuItem.bulkWrite(operations);
+  return { updated: operations.length };
+};
+
+/**
+ * Recount popularity now and then every POPULARITY_REFRESH_MINUTES while the server runs
+ */
+export const schedulePopularityRefresh = () => {
+  const refresh = () => refreshMenuPopularity()
+    .catch(err => console.error('❌ Menu popularity refresh failed:', err.message));
+
+  refresh();
+  setInterval(refresh, config.MENU.POPULARITY_REFRESH_MINUTES * 60 * 1000).unref();
+};
+
+export default {
+  MENU_CLASSES,
+  getMenuEngineeringReport,
+  refreshMenuPopularity,
+  schedulePopularityRefresh
+};
@@ -0,0 +1,374 @@
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import MenuCategory from '../models/MenuCategory.js';
+import MenuItem from '../models/MenuItem.js';
+import { validateMenuCategory, validateMenuItem } from '../middleware/valdation.js';
+import { toCsv, parseCsv } from './csvUtils.js';
+
+/**
+ * Menu Import/Export Utilities
+ * Moves categories and items (tags, prices, availability) in and out as CSV or JSON. Every import
+ * row is checked with the same validators as the menu routes, and the whole import is applied in
+ * one transaction, so a bad row never leaves the menu half updated.
+ *
+ * JSON: { categories: [{ name, displayOrder, active, taxClass, printStation }],
+ *         items: [{ id, category, name, description, price, cost, availability, tags: [] }] }
+ * CSV: one row per item, with its category's settings repeated on each row; a row without an item
+ * name only describes a category. Tags are comma-separated within their field.
+ */
+
+export const MENU_FORMATS = ['csv', 'json'];
+
+export const MENU_CSV_COLUMNS = [
+  'id', 'category', 'categoryDisplayOrder', 'categoryActive', 'categoryTaxClass', 'categoryPrintStation',
+  'name', 'description', 'price', 'cost', 'availability', 'tags'
+];
+
+const REQUIRED_CSV_COLUMNS = ['category', 'name', 'description', 'price'];
+
+const toBoolean = (value) => value === true || value === 'true' || value === '1' || value === 1;
+
+// Leave out empty values so optional fields fall back to their defaults
+const withoutEmpty = (fields) =>
+  Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+
+/**
+ * Run a route's validators against one import row
+ * @param {Array} chains - express-validator chains
+ * @param {Object} body - Row fields (sanitized in place, e.g. trimmed)
+ * @returns {Promise<Array<string>>} Error messages
+ */
+const runValidators = async (chains, body) => {
+  const req = { body };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+  return validationResult(req).array().map(error => error.msg);
+};
+
+// ==================== EXPORT ====================
+
+/**
+ * Export the whole menu
+ * @param {string} format - csv | json
+ * @returns {Promise<Object>} { filename, contentType, body }
+ */
+export const exportMenu = async (format) => {
+  const [categories, items] = await Promise.all([
+    MenuCategory.find().sort({ displayOrder: 1, name: 1 }),
+    MenuItem.find().sort({ name: 1 })
+  ]);
+  const categoryById = new Map(categories.map(category => [category._id.toString(), category]));
+
+  const exportedCategories = categories.map(category => ({
+    name: category.name,
+    displayOrder: category.displayOrder,
+    active: category.active,
+    taxClass: category.taxClass || null,
+    printStation: category.printStation || null
+  }));
+  const exportedItems = items.map(item => ({
+    id: item._id.toString(),
+    category: categoryById.get(item.categoryId.toString())?.name || '',
+    name: item.name,
+    description: item.description,
+    price: item.price,
+    cost: item.cost,
+    availability: item.availability,
+    tags: item.tags
+  }));
+
+  if (format === 'json') {
+    return {
+      filename: 'menu.json',
+      contentType: 'application/json',
+      body: JSON.stringify({ categories: exportedCategories, items: exportedItems }, null, 2)
+    };
+  }
+
+  // Items under their category, in menu order; empty categories get a row of their own
+  const rows = [];
+  exportedCategories.forEach(category => {
+    const categoryFields = {
+      category: category.name,
+      categoryDisplayOrder: category.displayOrder,
+      categoryActive: category.active,
+      categoryTaxClass: category.taxClass || '',
+      categoryPrintStation: category.printStation || ''
+    };
+    const categoryItems = exportedItems.filter(item => item.category === category.name);
+    if (categoryItems.length === 0) rows.push(categoryFields);
+    categoryItems.forEach(item => rows.push({ ...categoryFields, ...item, tags: item.tags.join(', ') }));
+  });
+  exportedItems
+    .filter(item => !item.category)
+    .forEach(item => rows.push({ ...item, tags: item.tags.join(', ') }));
+
+  return { filename: 'menu.csv', contentType: 'text/csv; charset=utf-8', body: toCsv(rows, MENU_CSV_COLUMNS) };
+};
+
+// ==================== IMPORT ====================
+
+/**
+ * Turn CSV rows into import entries
+ * @param {Array<Object>} rows - Parsed CSV rows
+ * @returns {Object} { categories, items }, each entry numbered by its CSV row
+ */
+const fromCsvRows = (rows) => {
+  const categories = new Map();
+  const items = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    const categoryName = (row.category || '').trim();
+
+    if (categoryName) {
+      const fields = withoutEmpty({
+        displayOrder: row.categoryDisplayOrder,
+        active: row.categoryActive,
+        taxClass: row.categoryTaxClass,
+        printStation: row.categoryPrintStation
+      });
+      const key = categoryName.toLowerCase();
+      const existing = categories.get(key);
+      if (!existing) {
+        categories.set(key, { row: rowNumber, name: categoryName, ...fields, errors: [] });
+      } else {
+        // Settings repeat on every row of the category, so they have to agree
+        Object.entries(fields).forEach(([field, value]) => {
+          if (existing[field] === undefined) existing[field] = value;
+          else if (String(existing[field]) !== String(value)) {
+            existing.errors.push(`Row ${rowNumber} gives ${categoryName} a different ${field}`);
+          }
+        });
+      }
+    }
+
+    if ((row.name || '').trim() || !categoryName) {
+      items.push({
+        row: rowNumber,
+        id: (row.id || '').trim(),
+        category: categoryName,
+        name: row.name,
+        description: row.description,
+        price: row.price,
+        cost: row.cost,
+        availability: row.availability,
+        tags: (row.tags || '').split(',').map(tag => tag.trim()).filter(Boolean)
+      });
+    }
+  });
+
+  return { categories: [...categories.values()], items };
+};
+
+/**
+ * Read an import file
+ * @param {string} format - csv | json
+ * @param {string|Object} content - File text, or already-parsed JSON
+ * @returns {Object} { categories, items } of import entries, or { error }
+ */
+export const readMenuImport = (format, content) => {
+  if (format === 'csv') {
+    const { columns, rows, error } = parseCsv(String(content));
+    if (error) return { error };
+    const missing = REQUIRED_CSV_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) return { error: `The CSV is missing the columns: ${missing.join(', ')}` };
+    return fromCsvRows(rows);
+  }
+
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch {
+      return { error: 'The file is not valid JSON' };
+    }
+  }
+  if (!data || typeof data !== 'object' || (!Array.isArray(data.categories) && !Array.isArray(data.items))) {
+    return { error: 'The JSON needs a categories and/or items array' };
+  }
+
+  return {
+    categories: (data.categories || []).map((category, index) => ({ row: index + 1, ...category, errors: [] })),
+    items: (data.items || []).map((item, index) => ({ row: index + 1, ...item, id: item.id ? String(item.id) : '' }))
+  };
+};
+
+/**
+ * Work out what an import would change, checking every row
+ * @param {Object} entries - From readMenuImport
+ * @returns {Promise<Object>} { rows, summary, operations } where rows report each entry's action and errors
+ */
+export const planMenuImport = async ({ categories, items }) => {
+  const [existingCategories, existingItems] = await Promise.all([MenuCategory.find(), MenuItem.find()]);
+  const categoryByName = new Map(existingCategories.map(category => [category.name.toLowerCase(), category]));
+  const itemById = new Map(existingItems.map(item => [item._id.toString(), item]));
+  const itemByKey = new Map(existingItems.map(item => [`${item.categoryId}:${item.name.toLowerCase()}`, item]));
+
+  const rows = [];
+  const operations = { categories: [], items: [] };
+  // Category name (lower case) -> id, including categories this import creates
+  const categoryIds = new Map(existingCategories.map(category => [category.name.toLowerCase(), category._id]));
+
+  for (const entry of categories) {
+    const body = withoutEmpty({
+      name: typeof entry.name === 'string' ? entry.name : undefined,
+      displayOrder: entry.displayOrder,
+      active: entry.active,
+      taxClass: entry.taxClass,
+      printStation: entry.printStation
+    });
+    const errors = [...entry.errors, ...(await runValidators(validateMenuCategory, body))];
+    const key = (body.name || '').toLowerCase();
+    if (key && rows.some(row => row.kind === 'category' && row.name.toLowerCase() === key)) {
+      errors.push(`${body.name} appears more than once`);
+    }
+
+    const fields = withoutEmpty({
+      name: body.name,
+      displayOrder: body.displayOrder !== undefined ? parseInt(body.displayOrder, 10) : undefined,
+      active: body.active !== undefined ? toBoolean(body.active) : undefined,
+      taxClass: body.taxClass,
+      printStation: body.printStation
+    });
+    const existing = categoryByName.get(key);
+    let action = 'create';
+    if (existing) {
+      const changed = Object.keys(fields).some(field => String(existing[field]) !== String(fields[field]));
+      action = changed ? 'update' : 'unchanged';
+    }
+
+    rows.push({ kind: 'category', row: entry.row, name: body.name || '', action, errors });
+    if (errors.length > 0 || !key) continue;
+
+    if (action === 'create') {
+      const _id = new mongoose.Types.ObjectId();
+      categoryIds.set(key, _id);
+      operations.categories.push({ insertOne: { document: { _id, ...fields } } });
+    } else if (action === 'update') {
+      operations.categories.push({ updateOne: { filter: { _id: existing._id }, update: { $set: fields } } });
+    }
+  }
+
+  const seenItems = new Set();
+  for (const entry of items) {
+    const categoryId = categoryIds.get((entry.category || '').trim().toLowerCase());
+    const body = withoutEmpty({
+      name: typeof entry.name === 'string' ? entry.name : undefined,
+      description: typeof entry.description === 'string' ? entry.description : undefined,
+      price: entry.price,
+      cost: entry.cost,
+      categoryId: categoryId ? categoryId.toString() : undefined,
+      availability: entry.availability,
+      tags: entry.tags
+    });
+
+    const errors = [];
+    if (!entry.category) errors.push('Category is required');
+    else if (!categoryId) errors.push(`Category ${entry.category} not found`);
+    errors.push(...(await runValidators(validateMenuItem, body)));
+
+    let existing = null;
+    if (entry.id) {
+      existing = itemById.get(entry.id);
+      if (!existing) errors.push(`No menu item with id ${entry.id}`);
+    } else if (categoryId && body.name) {
+      existing = itemByKey.get(`${categoryId}:${body.name.toLowerCase()}`) || null;
+    }
+
+    const identity = existing ? existing._id.toString() : `${categoryId}:${(body.name || '').toLowerCase()}`;
+    if (seenItems.has(identity)) errors.push(`${body.name || 'This item'} appears more than once`);
+    seenItems.add(identity);
+
+    const fields = {
+      name: body.name,
+      description: body.description,
+      price: parseFloat(body.price),
+      categoryId,
+      // A blank cost leaves the item's cost as it is
+      ...(body.cost !== undefined && { cost: parseFloat(body.cost) }),
+      ...(body.availability !== undefined && { availability: toBoolean(body.availability) }),
+      ...(body.tags !== undefined && { tags: body.tags.map(tag => tag.trim()) })
+    };
+    let action = 'create';
+    if (existing) {
+      const changed = Object.keys(fields).some(field => String(existing[field]) !== String(fields[field]));
+      action = changed ? 'update' : 'unchanged';
+    }
+
+    rows.push({ kind: 'item', row: entry.row, name: body.name || '', category: entry.category || '', action, errors });
+    if (errors.length > 0) continue;
+
+    if (action === 'create') {
+      operations.items.push({ insertOne: { document: fields } });
+    } else if (action === 'update') {
+      operations.items.push({ updateOne: { filter: { _id: existing._id }, update: { $set: fields } } });
+    }
+  }
+
+  const count = (kind, action) => rows.filter(row => row.kind === kind && row.errors.length === 0 && row.action === action).length;
+  const summary = {
+    categories: { create: count('category', 'create'), update: count('category', 'update'), unchanged: count('category', 'unchanged') },
+    items: { create: count('item', 'create'), update: count('item', 'update'), unchanged: count('item', 'unchanged') },
+    errors: rows.filter(row => row.errors.length > 0).length
+  };
+
+  return { rows, summary, operations };
+};
+
+/**
+ * Apply a checked import in one transaction
+ * Transactions need MongoDB to run as a replica set (Atlas always does).
+ * @param {Object} plan - From planMenuImport, without errors
+ * @returns {Promise<Object>} {} on success, or { error, statusCode }
+ */
+export const applyMenuImport = async ({ operations }) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      if (operations.categories.length > 0) await MenuCategory.bulkWrite(operations.categories, { session });
+      if (operations.items.length > 0) await MenuItem.bulkWrite(operations.items, { session });
+    });
+    return {};
+  } catch (err) {
+    // IllegalOperation: a standalone server can't run transactions
+    if (err.code === 20) {
+      return { error: 'Importing needs MongoDB running as a replica set, so the changes can be applied in one transaction', statusCode: 503 };
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Check an import file and, unless it's a dry run or has errors, apply it
+ * @param {string} format - csv | json
+ * @param {string|Object} content - File text, or already-parsed JSON
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { applied, rows, summary }, or { error, statusCode } (with the checked rows as data when
+ *   only applying failed)
+ */
+export const importMenu = async (format, content, { dryRun = false } = {}) => {
+  const entries = readMenuImport(format, content);
+  if (entries.error) return { error: entries.error, statusCode: 400 };
+
+  const plan = await planMenuImport(entries);
+  const result = { applied: false, rows: plan.rows, summary: plan.summary };
+  if (dryRun || plan.summary.errors > 0) return result;
+
+  const applied = await applyMenuImport(plan);
+  if (applied.error) return { ...applied, data: result };
+  return { ...result, applied: true };
+};
+
+export default {
+  MENU_FORMATS,
+  MENU_CSV_COLUMNS,
+  exportMenu,
+  readMenuImport,
+  planMenuImport,
+  applyMenuImport,
+  importMenu
+};
@@ -0,0 +1,50 @@
+/**
+ * Order Access Utilities
+ * Decides who may read or act on an order: staff, the signed-in owner, or the guest(s) behind it
+ */
+
+/**
+ * Compare an order reference (raw id or populated document) with an id
+ * @param {Object} ref - ObjectId or populated document
+ * @param {Object} id - ObjectId to compare against
+ * @returns {boolean} True if both refer to the same document
+ */
+export const isSameRef = (ref, id) => Boolean(ref && id && (ref._id || ref).toString() === id.toString());
+
+/**
+ * Check whether the requester may act on an order
+ * Staff/admin always can; otherwise the signed-in user or the guest who placed it.
+ * Orders placed without any identity belong to nobody: besides staff, only guests of the table
+ * session they were placed in may read them, and nobody else may cancel them.
+ * @param {Object} req - Express request (req.user / req.customer)
+ * @param {Object} order - Order document
+ * @param {Object} options - Options
+ * @param {boolean} options.allowTableGuests - Allow guests of the order's table session to access orders with no owner
+ * @param {boolean} options.allowContributors - Allow guests who added lines from the shared cart
+ * @returns {Object|null} { statusCode, message } when denied, otherwise null
+ */
+export const checkOrderAccess = (req, order, { allowTableGuests = false, allowContributors = false } = {}) => {
+  if (req.user && ['staff', 'admin'].includes(req.user.role)) return null;
+
+  const isUserOwner = req.user && isSameRef(order.customerId, req.user._id);
+  const isGuestOwner = req.customer && isSameRef(order.guestId, req.customer._id);
+  if (isUserOwner || isGuestOwner) return null;
+
+  const isContributor = allowContributors && req.customer &&
+    order.items.some(line => isSameRef(line.addedBy, req.customer._id));
+  if (isContributor) return null;
+
+  const isTableGuest = allowTableGuests && req.customer && !order.customerId && !order.guestId &&
+    isSameRef(order.tableSessionId, req.customer.tableSession);
+  if (isTableGuest) return null;
+
+  if (!req.user && !req.customer) {
+    return { statusCode: 401, message: 'Authentication required' };
+  }
+  return { statusCode: 403, message: 'Access denied to this order' };
+};
+
+export default {
+  isSameRef,
+  checkOrderAccess
+};
@@ -0,0 +1,75 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process order event bus
+ * Controllers publish order changes here and the SSE stream endpoints fan them out to clients
+ */
+
+export const ORDER_EVENTS = {
+  CREATED: 'order.created',
+  STATUS_CHANGED: 'order.status_changed',
+  PAYMENT_CHANGED: 'order.payment_changed',
+  ITEMS_CHANGED: 'order.items_changed',
+  CANCELED: 'order.canceled'
+};
+
+const emitter = new EventEmitter();
+// Every open stream is a listener, so there is no meaningful upper bound
+emitter.setMaxListeners(0);
+
+/**
+ * Build the public payload sent to subscribers for an order
+ * @param {Object} order - Order document
+ * @returns {Object} Order summary
+ */
+const toEventPayload = (order) => ({
+  id: order._id,
+  orderNumber: order.orderNumber,
+  tableId: order.tableId?._id || order.tableId || null,
+  status: order.status,
+  payment: {
+    status: order.payment?.status || 'pending',
+    method: order.payment?.method || null,
+    provider: order.payment?.provider || null
+  },
+  totals: order.totals,
+  breakdown: order.breakdown || null,
+  updatedAt: order.updatedAt
+});
+
+/**
+ * Publish an order event to all subscribers
+ * @param {string} type - One of ORDER_EVENTS
+ * @param {Object} order - Order document the event refers to
+ */
+export const publishOrderEvent = (type, order) => {
+  if (!order) return;
+  emitter.emit('event', {
+    type,
+    order: toEventPayload(order),
+    at: new Date().toISOString()
+  });
+};
+
+/**
+ * Subscribe to order events
+ * @param {Function} listener - Called with each event
+ * @param {Object} options - Filter options
+ * @param {string} options.orderId - Only receive events for this order
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToOrderEvents = (listener, { orderId } = {}) => {
+  const handler = (event) => {
+    if (orderId && event.order.id.toString() !== orderId.toString()) return;
+    listener(event);
+  };
+
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+};
+
+export default {
+  ORDER_EVENTS,
+  publishOrderEvent,
+  subscribeToOrderEvents
+};
@@ -0,0 +1,205 @@
+import Order from '../models/Order.js';
+import TableSession from '../models/TableSession.js';
+import { generateOrderNumber, generateInvoiceNumber, assignSequenceNumber } from './helperUtils.js';
+import { resolveOrderLines } from './orderPricing.js';
+import { calculateOrderTotals } from './orderTotals.js';
+import { applyPromotion, redeemPromotion, releasePromotion, toPromotionSummary } from './promotionUtils.js';
+import { reserveStock, releaseStock, commitStock } from './inventoryUtils.js';
+import { buildStatusHistoryEntry } from './orderStateMachine.js';
+import { ORDER_EVENTS, publishOrderEvent } from './orderEvents.js';
+import { openTableSession } from './tableSessionUtils.js';
+
+/**
+ * Order Placement Utilities
+ * Shared by direct checkout and the table's shared cart so both price and attach orders the same way
+ */
+
+/**
+ * Price cart lines against the menu and place the order
+ * @param {Array} items - Raw cart lines ({ menuItemId, quantity|qty, options?, price?, name?, note? })
+ * @param {Object} context - Placement context
+ * @param {string} context.tableId - Table the order is for (opens or joins its table session)
+ * @param {string} context.customerId - Signed-in user placing the order
+ * @param {Object} context.guest - Guest Customer placing the order
+ * @param {Array} context.addedBy - Per-line { id, name } of the guest who added it; defaults to the guest
+ * @param {Object} context.actor - { actorId, role } for the status history
+ * @param {Object} context.meta - Order meta
+ * @param {string} context.promoCode - Promo code entered at checkout
+ * @returns {Promise<Object>} { order, priceChanges } on success, or { error, statusCode, data }
+ *   Lines that got cheaper since the cart was priced go through (listed in priceChanges); a line that
+ *   got dearer turns the order away with 409, so nobody pays a price they haven't seen.
+ */
+export const placeOrder = async (items, { tableId = null, customerId = null, guest = null, addedBy = [], actor = {}, meta = {}, promoCode = '' } = {}) => {
+  // Name and price always come from the menu, never from the client
+  const resolved = await resolveOrderLines(items);
+  const { priceChanges, unavailableItems } = resolved;
+  let { lines } = resolved;
+
+  if (unavailableItems.length > 0) {
+    return {
+      error: 'Some items in your cart are no longer available',
+      statusCode: 409,
+      data: { unavailableItems, priceChanges }
+    };
+  }
+
+  if (priceChanges.some(change => change.currentPrice > change.submittedPrice)) {
+    return {
+      error: 'Some prices in your cart have gone up. Check the new prices and place the order again',
+      statusCode: 409,
+      data: { unavailableItems: [], priceChanges }
+    };
+  }
+
+  // The discount is worked out here from the menu prices; the cart's idea of it is never trusted
+  let promotion = null;
+  if (promoCode) {
+    const applied = await applyPromotion(promoCode, lines);
+    if (applied.error) {
+      return { error: applied.error, statusCode: 422, data: { promoError: applied.error, priceChanges } };
+    }
+    ({ promotion, lines } = applied);
+  }
+
+  // Every item resolved, so lines line up with the submitted items
+  lines.forEach((line, index) => {
+    const who = addedBy[index] || (guest ? { id: guest._id, name: guest.name } : null);
+    if (who) {
+      line.addedBy = who.id;
+      line.addedByName = who.name || '';
+    }
+  });
+
+  // Orders at a table belong to the table's current visit
+  let tableSession = null;
+  if (tableId) {
+    tableSession = await openTableSession(tableId);
+    if (!tableSession) {
+      return { error: 'Table not found', statusCode: 400 };
+    }
+  }
+
+  if (promotion && !(await redeemPromotion(promotion._id))) {
+    const error = 'This promo code has just been fully redeemed';
+    return { error, statusCode: 422, data: { promoError: error, priceChanges } };
+  }
+
+  const breakdown = {
+    ...calculateOrderTotals(lines),
+    promotion: promotion ? toPromotionSummary(promotion) : null
+  };
+  const order = new Order({
+    tableId,
+    customerId,
+    guestId: guest ? guest._id : null,
+    tableSessionId: tableSession ? tableSession._id : null,
+    orderNumber: generateOrderNumber(),
+    items: lines,
+    totals: breakdown.total,
+    breakdown,
+    status: 'placed',
+    statusHistory: [buildStatusHistoryEntry(null, 'placed', actor)],
+    meta: meta || {}
+  });
+
+  // The menu check above is only a snapshot; this is what stops two orders taking the last portion
+  let stock;
+  try {
+    stock = await reserveStock(lines);
+  } catch (err) {
+    // reserveStock has put back what it took; the promo code use goes back too
+    if (promotion) await releasePromotion(promotion._id);
+    throw err;
+  }
+  if (stock.error) {
+    if (promotion) await releasePromotion(promotion._id);
+    const index = lines.findIndex(line => String(line.menuItemId) === String(stock.menuItemId));
+    return {
+      error: 'Some items in your cart are no longer available',
+      statusCode: 409,
+      data: {
+        unavailableItems: [{
+          index,
+          menuItemId: stock.menuItemId,
+          name: stock.name,
+          reason: 'out_of_stock',
+          available: stock.available,
+          message: stock.error
+        }],
+        priceChanges
+      }
+    };
+  }
+
+  try {
+    await order.save();
+  } catch (err) {
+    if (promotion) await releasePromotion(promotion._id);
+    await releaseStock(stock.reservation);
+    throw err;
+  }
+
+  // The order is placed from here on: bookkeeping that fails is logged, not turned into an error the
+  // guest would answer by ordering again. It is numbered only now, so a failed save doesn't use up
+  // an invoice number.
+  try {
+    const numbered = await assignSequenceNumber(Order, order._id, 'invoiceNumber', () => generateInvoiceNumber());
+    if (numbered) order.invoiceNumber = numbered.invoiceNumber;
+  } catch (err) {
+    // The order stands; staff can number it later (see ensureInvoiceNumber)
+    console.error(`Numbering order ${order.orderNumber} failed:`, err.message);
+  }
+
+  try {
+    await commitStock(stock.reservation, { orderId: order._id, actorId: actor.actorId || null });
+  } catch (err) {
+    console.error(`Recording stock for order ${order.orderNumber} failed:`, err.message);
+  }
+  if (tableSession) {
+    try {
+      await TableSession.updateOne({ _id: tableSession._id }, { $addToSet: { orders: order._id } });
+    } catch (err) {
+      console.error(`Adding order ${order.orderNumber} to table session ${tableSession._id} failed:`, err.message);
+    }
+  }
+  publishOrderEvent(ORDER_EVENTS.CREATED, order);
+
+  return { order, priceChanges };
+};
+
+/**
+ * Price cart lines against the menu without placing an order, so the cart can show the bill
+ * A promo code that can't be used is reported in promoError and the bill is priced without it.
+ * @param {Array} items - Raw cart lines ({ menuItemId, quantity|qty, options?, price?, name? })
+ * @param {Object} options - { promoCode }
+ * @returns {Promise<Object>} { breakdown, lines, priceChanges, unavailableItems, promoError }
+ */
+export const quoteOrder = async (items, { promoCode = '' } = {}) => {
+  const resolved = await resolveOrderLines(items);
+  const { priceChanges, unavailableItems } = resolved;
+  let { lines } = resolved;
+
+  let promotion = null;
+  let promoError = null;
+  if (promoCode) {
+    const applied = await applyPromotion(promoCode, lines);
+    if (applied.error) promoError = applied.error;
+    else ({ promotion, lines } = applied);
+  }
+
+  return {
+    breakdown: {
+      ...calculateOrderTotals(lines),
+      promotion: promotion ? toPromotionSummary(promotion) : null
+    },
+    lines: lines.map(({ menuItemId, name, price, qty, taxClass, discount = 0 }) => ({ menuItemId, name, price, qty, taxClass, discount })),
+    priceChanges,
+    unavailableItems,
+    promoError
+  };
+};
+
+export default {
+  placeOrder,
+  quoteOrder
+};
@@ -0,0 +1,188 @@
+import MenuItem from '../models/MenuItem.js';
+import { resolveTaxClass } from './orderTotals.js';
+import { isWithinSchedule } from './scheduleUtils.js';
+
+/**
+ * Order Pricing Utilities
+ * Resolves client cart lines against the menu so orders are always priced server-side
+ */
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+export const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * The most a line's options can take off the item price: per group the cheapest options it must
+ * have (minSelect), plus any further discounting ones it may have (up to maxSelect)
+ * @param {Array} optionGroups - Option groups ({ minSelect, maxSelect, options: [{ priceDelta }] })
+ * @returns {number} Sum of option deltas of the cheapest valid choice (0 or less)
+ */
+export const lowestOptionsDelta = (optionGroups = []) => roundMoney(optionGroups.reduce((total, group) => {
+  const deltas = (group.options || []).map(option => Number(option.priceDelta) || 0).sort((a, b) => a - b);
+  const minSelect = group.minSelect === undefined ? 0 : Number(group.minSelect);
+  const maxSelect = group.maxSelect === undefined ? 1 : Number(group.maxSelect);
+  return total + deltas.slice(0, maxSelect).reduce((sum, delta, index) => (
+    index < minSelect || delta < 0 ? sum + delta : sum
+  ), 0);
+}, 0));
+
+/**
+ * Resolve the options chosen for a line against the item's option groups
+ * @param {Object} menuItem - MenuItem document
+ * @param {Array} selected - Chosen option ids (or { optionId } objects)
+ * @returns {Object} { options, error } where options is the snapshot stored on the order line
+ */
+export const resolveLineOptions = (menuItem, selected = []) => {
+  const selectedIds = new Set(
+    (Array.isArray(selected) ? selected : [])
+      .map(sel => String(sel && typeof sel === 'object' ? sel.optionId || sel.id : sel))
+  );
+  const options = [];
+
+  for (const group of menuItem.optionGroups || []) {
+    const chosen = group.options.filter(option => selectedIds.has(option._id.toString()));
+    chosen.forEach(option => selectedIds.delete(option._id.toString()));
+
+    const unavailable = chosen.find(option => !option.available);
+    if (unavailable) {
+      return { error: `${unavailable.name} is not available right now` };
+    }
+    if (chosen.length < group.minSelect) {
+      return { error: `Choose at least ${group.minSelect} for ${group.name}` };
+    }
+    if (chosen.length > group.maxSelect) {
+      return { error: `Choose at most ${group.maxSelect} for ${group.name}` };
+    }
+
+    chosen.forEach(option => options.push({
+      groupId: group._id,
+      groupName: group.name,
+      optionId: option._id,
+      name: option.name,
+      priceDelta: option.priceDelta
+    }));
+  }
+
+  if (selectedIds.size > 0) {
+    return { error: 'Some chosen options no longer exist' };
+  }
+
+  return { options };
+};
+
+/**
+ * Resolve cart lines against MenuItem/MenuCategory
+ * Name and price always come from the menu; client-sent values are only used to report changes.
+ * A line's unit price is the item price plus the deltas of its chosen options, never below 0; its tax class
+ * comes from the category.
+ * Items outside their own or their category's schedule can't be ordered, nor more portions than are in stock.
+ * @param {Array} items - Raw cart lines ({ menuItemId, quantity|qty, options?, price?, name?, note? })
+ * @param {Date} now - Moment the lines are ordered at
+ * @returns {Promise<Object>} { lines, priceChanges, unavailableItems }
+ */
+export const resolveOrderLines = async (items, now = new Date()) => {
+  const ids = [...new Set(items.map(it => String(it.menuItemId)))];
+  const menuItems = await MenuItem.find({ _id: { $in: ids } })
+    .populate('categoryId', 'name active taxClass schedule');
+  const menuById = new Map(menuItems.map(mi => [mi._id.toString(), mi]));
+
+  const lines = [];
+  const priceChanges = [];
+  const unavailableItems = [];
+  // Portions asked for so far per item, for items whose stock is tracked
+  const requested = new Map();
+
+  items.forEach((it, index) => {
+    const menuItem = menuById.get(String(it.menuItemId));
+    const submittedName = (it.name || '').toString().trim();
+
+    if (!menuItem) {
+      unavailableItems.push({ index, menuItemId: it.menuItemId, name: submittedName, reason: 'not_found' });
+      return;
+    }
+
+    if (!menuItem.availability) {
+      unavailableItems.push(menuItem.soldOut
+        ? { index, menuItemId: menuItem._id, name: menuItem.name, reason: 'out_of_stock', available: 0, message: `${menuItem.name} is sold out` }
+        : { index, menuItemId: menuItem._id, name: menuItem.name, reason: 'unavailable' });
+      return;
+    }
+
+    if (!menuItem.categoryId || !menuItem.categoryId.active) {
+      unavailableItems.push({ index, menuItemId: menuItem._id, name: menuItem.name, reason: 'category_inactive' });
+      return;
+    }
+
+    if (!isWithinSchedule(menuItem.categoryId.schedule, now) || !isWithinSchedule(menuItem.schedule, now)) {
+      unavailableItems.push({
+        index,
+        menuItemId: menuItem._id,
+        name: menuItem.name,
+        reason: 'outside_hours',
+        message: `${menuItem.name} is not served at this time`
+      });
+      return;
+    }
+
+    const { options, error } = resolveLineOptions(menuItem, it.options);
+    if (error) {
+      unavailableItems.push({ index, menuItemId: menuItem._id, name: menuItem.name, reason: 'invalid_options', message: error });
+      return;
+    }
+
+    const qty = parseInt(it.quantity || it.qty, 10) || 1;
+    if (menuItem.stock !== null && menuItem.stock !== undefined) {
+      const already = requested.get(menuItem._id.toString()) || 0;
+      const left = Math.max(menuItem.stock - already, 0);
+      if (qty > left) {
+        unavailableItems.push({
+          index,
+          menuItemId: menuItem._id,
+          name: menuItem.name,
+          reason: 'out_of_stock',
+          available: left,
+          message: left > 0 ? `Only ${left} ${menuItem.name} left` : `${menuItem.name} is sold out`
+        });
+        return;
+      }
+      requested.set(menuItem._id.toString(), already + qty);
+    }
+
+    // Menu edits refuse options that take an item below 0, but a later price cut can still do it
+    const unitPrice = Math.max(0, roundMoney(options.reduce((sum, option) => sum + option.priceDelta, menuItem.price)));
+    const submittedPrice = parseFloat(it.price);
+    if (!Number.isNaN(submittedPrice) && roundMoney(submittedPrice) !== unitPrice) {
+      priceChanges.push({
+        index,
+        menuItemId: menuItem._id,
+        name: menuItem.name,
+        submittedPrice: roundMoney(submittedPrice),
+        currentPrice: unitPrice
+      });
+    }
+
+    lines.push({
+      menuItemId: menuItem._id,
+      name: menuItem.name,
+      basePrice: menuItem.price,
+      price: unitPrice,
+      options,
+      qty,
+      note: it.note || '',
+      categoryId: menuItem.categoryId._id,
+      taxClass: resolveTaxClass(menuItem.categoryId.taxClass).name
+    });
+  });
+
+  return { lines, priceChanges, unavailableItems };
+};
+
+export default {
+  roundMoney,
+  lowestOptionsDelta,
+  resolveLineOptions,
+  resolveOrderLines
+};
@@ -0,0 +1,123 @@
+import Order from '../models/Order.js';
+import { releasePromotion } from './promotionUtils.js';
+import { restoreOrderStock } from './inventoryUtils.js';
+
+/**
+ * Order Status State Machine
+ * Single source of truth for which status changes are allowed
+ */
+
+/**
+ * Allowed transitions: placed → preparing → ready → served → completed,
+ * with cancel only possible before the order is served
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  placed: ['preparing', 'canceled'],
+  preparing: ['ready', 'canceled'],
+  ready: ['served', 'canceled'],
+  served: ['completed'],
+  completed: [],
+  canceled: []
+};
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} status - Current order status
+ * @returns {string[]} Allowed next statuses
+ */
+export const getAllowedTransitions = (status) => ORDER_STATUS_TRANSITIONS[status] || [];
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Build a statusHistory entry
+ * @param {string|null} from - Previous status (null for the initial entry)
+ * @param {string} to - New status
+ * @param {Object} actor - Who made the change
+ * @param {string} actor.actorId - User id (null for guests/system)
+ * @param {string} actor.role - admin | staff | customer | guest | system
+ * @param {string} actor.note - Optional note
+ * @returns {Object} History entry
+ */
+export const buildStatusHistoryEntry = (from, to, { actorId = null, role = 'system', note = '' } = {}) => ({
+  from,
+  to,
+  actor: actorId,
+  role,
+  note,
+  at: new Date()
+});
+
+/**
+ * Describe who is acting on a request for history purposes
+ * @param {Object} req - Express request object
+ * @returns {Object} { actorId, role }
+ */
+export const getRequestActor = (req) => {
+  if (req.user) return { actorId: req.user._id, role: req.user.role };
+  return { actorId: null, role: 'guest' };
+};
+
+/**
+ * Move an order to a new status, enforcing the transition table
+ * The update is conditional on the current status so concurrent changes cannot skip a step.
+ * @param {string} orderId - Order id
+ * @param {string} to - Requested status
+ * @param {Object} actor - { actorId, role, note }
+ * @param {Object} extraSet - Additional fields to $set in the same update
+ * @returns {Promise<Object>} { order } on success, or { error, statusCode, allowedTransitions }
+ */
+export const transitionOrderStatus = async (orderId, to, actor = {}, extraSet = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return { error: 'Order not found', statusCode: 404 };
+  }
+
+  const from = order.status;
+  if (!canTransition(from, to)) {
+    return {
+      error: `Cannot change order status from '${from}' to '${to}'`,
+      statusCode: 409,
+      allowedTransitions: getAllowedTransitions(from)
+    };
+  }
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: orderId, status: from },
+    {
+      $set: { status: to, ...extraSet },
+      $push: { statusHistory: buildStatusHistoryEntry(from, to, actor) }
+    },
+    { new: true, runValidators: false }
+  );
+
+  if (!updatedOrder) {
+    return { error: 'Order status was changed by someone else, please retry', statusCode: 409 };
+  }
+
+  // A canceled order no longer counts against its promo code's usage limit
+  if (to === 'canceled' && updatedOrder.breakdown?.promotion) {
+    await releasePromotion(updatedOrder.breakdown.promotion.promotionId);
+  }
+  // ...and puts back the stock it took
+  if (to === 'canceled') {
+    await restoreOrderStock(updatedOrder._id, actor.actorId || null);
+  }
+
+  return { order: updatedOrder };
+};
+
+export default {
+  ORDER_STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  buildStatusHistoryEntry,
+  getRequestActor,
+  transitionOrderStatus
+};
@@ -0,0 +1,179 @@
+import config from '../config/config.js';
+
+/**
+ * Order Totals Utilities
+ * Turns priced order lines into the bill: per-category tax classes, an optional service charge
+ * and rounding of the grand total. Amounts are worked out in minor units (paise) with half-up
+ * rounding per tax line, so the same lines always give the same bill.
+ */
+
+export const TAX_MODES = ['exclusive', 'inclusive'];
+
+// GST slabs split into their central and state halves; TAX_CLASSES in the environment can add or replace classes
+const DEFAULT_TAX_CLASSES = {
+  exempt: { label: 'No tax', components: [] },
+  gst_5: { label: 'GST 5%', components: [{ name: 'CGST', rate: 2.5 }, { name: 'SGST', rate: 2.5 }] },
+  gst_12: { label: 'GST 12%', components: [{ name: 'CGST', rate: 6 }, { name: 'SGST', rate: 6 }] },
+  gst_18: { label: 'GST 18%', components: [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }] }
+};
+
+const toMinor = (amount) => Math.round((amount + Number.EPSILON) * 100);
+const toMajor = (minor) => minor / 100;
+
+// Half-up percentage of a minor-unit amount; the epsilon keeps 26.25 from landing on 26.249999
+const percentOf = (minor, rate) => Math.round(minor * rate / 100 + 1e-9);
+
+/**
+ * All tax classes categories can use
+ * @returns {Object} name -> { label, components: [{ name, rate }] }
+ */
+export const getTaxClasses = () => ({ ...DEFAULT_TAX_CLASSES, ...config.PRICING.TAX_CLASSES });
+
+/**
+ * Names of the tax classes categories can use
+ * @returns {Array<string>} Tax class names
+ */
+export const getTaxClassNames = () => Object.keys(getTaxClasses());
+
+/**
+ * Tax class for a line, falling back to the default class
+ * @param {string|null} name - Class named on the category
+ * @returns {Object} { name, label, components }
+ */
+export const resolveTaxClass = (name) => {
+  const classes = getTaxClasses();
+  const resolved = classes[name] ? name : config.PRICING.DEFAULT_TAX_CLASS;
+  return { name: resolved, ...(classes[resolved] || DEFAULT_TAX_CLASSES.exempt) };
+};
+
+/**
+ * Add a tax component to the running tax lines, merging equal name and rate
+ * @param {Map} taxLines - key -> { name, rate, taxableMinor, minor, included }
+ * @param {Object} component - { name, rate }
+ * @param {number} taxableMinor - Amount taxed
+ * @param {number} minor - Tax amount
+ * @param {boolean} included - Already part of the menu prices
+ */
+const addTaxLine = (taxLines, { name, rate }, taxableMinor, minor, included) => {
+  const key = `${name}@${rate}@${included}`;
+  const line = taxLines.get(key) || { name, rate, taxableMinor: 0, minor: 0, included };
+  line.taxableMinor += taxableMinor;
+  line.minor += minor;
+  taxLines.set(key, line);
+};
+
+/**
+ * Tax on top of an amount
+ * @param {Map} taxLines - Running tax lines
+ * @param {Object} taxClass - { components }
+ * @param {number} netMinor - Amount before tax
+ * @returns {number} Tax added
+ */
+const addExclusiveTax = (taxLines, taxClass, netMinor) => taxClass.components.reduce((sum, component) => {
+  const minor = percentOf(netMinor, component.rate);
+  addTaxLine(taxLines, component, netMinor, minor, false);
+  return sum + minor;
+}, 0);
+
+/**
+ * Tax inside an amount; the last component takes the remainder so the parts add up to the tax exactly
+ * @param {Map} taxLines - Running tax lines
+ * @param {Object} taxClass - { components }
+ * @param {number} grossMinor - Amount including tax
+ * @returns {number} Amount before tax
+ */
+const splitInclusiveTax = (taxLines, taxClass, grossMinor) => {
+  const rate = taxClass.components.reduce((sum, component) => sum + component.rate, 0);
+  const netMinor = Math.round(grossMinor * 100 / (100 + rate));
+  let remaining = grossMinor - netMinor;
+
+  taxClass.components.forEach((component, index) => {
+    const minor = index === taxClass.components.length - 1 ? remaining : percentOf(netMinor, component.rate);
+    remaining -= minor;
+    addTaxLine(taxLines, component, netMinor, minor, true);
+  });
+  return netMinor;
+};
+
+/**
+ * Work out an order's bill from its priced lines
+ * A line's discount (from a promotion) comes off the line before it is taxed.
+ * @param {Array} lines - Order lines ({ price, qty, taxClass, discount? })
+ * @param {Object} pricing - Overrides for config.PRICING (TAX_MODE, SERVICE_CHARGE_RATE, SERVICE_CHARGE_TAX_CLASS, ROUND_TO)
+ * @returns {Object} Breakdown { taxMode, subtotal, discount, taxes, taxTotal, serviceChargeRate, serviceCharge, rounding, total }
+ */
+export const calculateOrderTotals = (lines, pricing = {}) => {
+  const {
+    TAX_MODE: taxMode,
+    SERVICE_CHARGE_RATE: serviceChargeRate,
+    SERVICE_CHARGE_TAX_CLASS: serviceChargeTaxClass,
+    ROUND_TO: roundTo
+  } = { ...config.PRICING, ...pricing };
+  const inclusive = taxMode === 'inclusive';
+
+  // Lines are taxed per class, on the sum of the class's lines after their discounts
+  const grossByClass = new Map();
+  let subtotalMinor = 0;
+  let discountMinor = 0;
+  lines.forEach(line => {
+    const taxClass = resolveTaxClass(line.taxClass).name;
+    const lineMinor = toMinor(line.price * line.qty);
+    const lineDiscountMinor = Math.min(toMinor(line.discount || 0), lineMinor);
+    subtotalMinor += lineMinor;
+    discountMinor += lineDiscountMinor;
+    grossByClass.set(taxClass, (grossByClass.get(taxClass) || 0) + lineMinor - lineDiscountMinor);
+  });
+
+  const taxLines = new Map();
+  let netMinor = 0;
+  let addedTaxMinor = 0;
+  for (const [name, grossMinor] of grossByClass) {
+    const taxClass = resolveTaxClass(name);
+    if (inclusive) {
+      netMinor += splitInclusiveTax(taxLines, taxClass, grossMinor);
+    } else {
+      netMinor += grossMinor;
+      addedTaxMinor += addExclusiveTax(taxLines, taxClass, grossMinor);
+    }
+  }
+
+  // The service charge is a share of the food before tax, and is taxed on top when a class is set for it
+  const serviceChargeMinor = serviceChargeRate > 0 ? percentOf(netMinor, serviceChargeRate) : 0;
+  if (serviceChargeMinor > 0 && serviceChargeTaxClass) {
+    addedTaxMinor += addExclusiveTax(taxLines, resolveTaxClass(serviceChargeTaxClass), serviceChargeMinor);
+  }
+
+  const unroundedMinor = subtotalMinor - discountMinor + addedTaxMinor + serviceChargeMinor;
+  const stepMinor = roundTo > 0 ? toMinor(roundTo) : 0;
+  const totalMinor = stepMinor > 0 ? Math.round(unroundedMinor / stepMinor) * stepMinor : unroundedMinor;
+
+  const taxes = [...taxLines.values()]
+    .filter(line => line.minor > 0 || line.taxableMinor > 0)
+    .map(line => ({
+      name: line.name,
+      rate: line.rate,
+      included: line.included,
+      taxableAmount: toMajor(line.taxableMinor),
+      amount: toMajor(line.minor)
+    }));
+
+  return {
+    taxMode: inclusive ? 'inclusive' : 'exclusive',
+    subtotal: toMajor(subtotalMinor),
+    discount: toMajor(discountMinor),
+    taxes,
+    taxTotal: toMajor(taxes.reduce((sum, tax) => sum + toMinor(tax.amount), 0)),
+    serviceChargeRate: serviceChargeMinor > 0 ? serviceChargeRate : 0,
+    serviceCharge: toMajor(serviceChargeMinor),
+    rounding: toMajor(totalMinor - unroundedMinor),
+    total: toMajor(totalMinor)
+  };
+};
+
+export default {
+  TAX_MODES,
+  getTaxClasses,
+  getTaxClassNames,
+  resolveTaxClass,
+  calculateOrderTotals
+};
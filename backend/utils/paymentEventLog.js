@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { getProvider } from './paymentProviders/index.js';
+import { applyPaymentEvent, findPaymentTarget } from './paymentRecording.js';
+
+/**
+ * Payment Event Log
+ * Every provider webhook is stored once, keyed by provider and event id, before it touches an order.
+ * Redeliveries are no-ops, and an event older than the last one applied to the payment is ignored,
+ * so a late "succeeded" can't undo a refund.
+ */
+
+export const PAYMENT_EVENT_STATUSES = ['received', 'processed', 'ignored', 'failed'];
+
+const DUPLICATE_KEY = 11000;
+
+// An event still 'received' after this long was interrupted and may be replayed
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Store an incoming event, unless the provider already delivered it
+ * A redelivered event that failed earlier is handed back to be processed again.
+ * @param {string} provider - Provider name
+ * @param {Object} event - Normalized event from the provider's parseWebhook
+ * @param {Buffer} rawBody - Request body as received
+ * @returns {Promise<Object>} { paymentEvent, duplicate }
+ */
+export const logPaymentEvent = async (provider, event, rawBody) => {
+  // Events without an id are told apart by their body, which is identical on redelivery
+  const eventId = event.id || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+  try {
+    const paymentEvent = await PaymentEvent.create({
+      provider,
+      eventId,
+      type: event.type || null,
+      rawType: event.rawType,
+      reference: event.reference,
+      occurredAt: event.occurredAt || null,
+      payload: rawBody.toString('utf8')
+    });
+    return { paymentEvent, duplicate: false };
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY) throw err;
+  }
+
+  const retried = await PaymentEvent.findOneAndUpdate(
+    { provider, eventId, status: 'failed' },
+    { $set: { status: 'received' }, $unset: { error: 1 }, $inc: { deliveries: 1 } },
+    { new: true }
+  );
+  if (retried) return { paymentEvent: retried, duplicate: false };
+
+  await PaymentEvent.updateOne({ provider, eventId }, { $inc: { deliveries: 1 } });
+  return { paymentEvent: null, duplicate: true };
+};
+
+/**
+ * Record an event as the newest one for its payment
+ * Fails when a later event has already been applied to the share or order.
+ * @param {Object} target - { order, share }
+ * @param {Date|null} occurredAt - Provider time of the event
+ * @returns {Promise<boolean>} True when the event is not stale
+ */
+const claimLatestEvent = async ({ order, share }, occurredAt) => {
+  if (!occurredAt) return true;
+
+  if (share) {
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: share._id, $or: [{ lastEventAt: null }, { lastEventAt: { $lte: occurredAt } }] },
+      { $set: { lastEventAt: occurredAt } }
+    );
+    return Boolean(claimed);
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, $or: [{ 'payment.lastEventAt': null }, { 'payment.lastEventAt': { $lte: occurredAt } }] },
+    { $set: { 'payment.lastEventAt': occurredAt } },
+    { runValidators: false }
+  );
+  return Boolean(claimed);
+};
+
+/**
+ * Apply a stored event to its share or order and record the outcome on it
+ * @param {Object} paymentEvent - PaymentEvent document (status 'received')
+ * @param {Object} event - Normalized event from the provider's parseWebhook
+ * @returns {Promise<Object>} Updated PaymentEvent; rethrows when applying the event failed
+ */
+export const processPaymentEvent = async (paymentEvent, event) => {
+  const finish = (update) => PaymentEvent.findByIdAndUpdate(
+    paymentEvent._id,
+    { $set: { ...update, processedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!event.type) {
+    return finish({ status: 'ignored', note: `Unhandled event type ${event.rawType || 'unknown'}` });
+  }
+
+  try {
+    const target = await findPaymentTarget({ provider: paymentEvent.provider, reference: event.reference, metadata: event.metadata });
+    if (!target.order && !target.share) {
+      return finish({ status: 'ignored', note: 'Matches no order' });
+    }
+
+    const links = { orderId: target.share?.orderId || target.order._id, shareId: target.share?._id || null };
+    if (!(await claimLatestEvent(target, paymentEvent.occurredAt))) {
+      return finish({ ...links, status: 'ignored', note: 'Older than the latest event applied to this payment' });
+    }
+
+    const result = await applyPaymentEvent(paymentEvent.provider, event, target);
+    return finish({ ...links, status: 'processed', ...(result.error && { note: result.error }) });
+  } catch (err) {
+    await finish({ status: 'failed', error: err.message });
+    throw err;
+  }
+};
+
+/**
+ * Process a stored event again (admin debugging)
+ * The same rules as a delivery apply, so replaying an event older than the payment's state is ignored.
+ * @param {string} id - PaymentEvent id
+ * @returns {Promise<Object>} { paymentEvent } or { error, statusCode }
+ */
+export const replayPaymentEvent = async (id) => {
+  const existing = await PaymentEvent.findById(id);
+  if (!existing) return { error: 'Payment event not found', statusCode: 404 };
+
+  const provider = getProvider(existing.provider);
+  if (!provider) return { error: `Unknown payment provider '${existing.provider}'`, statusCode: 409 };
+
+  let event;
+  try {
+    event = provider.parseWebhook(Buffer.from(existing.payload, 'utf8'));
+  } catch (err) {
+    return { error: 'Stored payload could not be parsed', statusCode: 409 };
+  }
+  if (!event) return { error: 'Stored payload could not be parsed', statusCode: 409 };
+
+  const paymentEvent = await PaymentEvent.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [{ status: { $ne: 'received' } }, { updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }]
+    },
+    { $set: { status: 'received' }, $unset: { error: 1, note: 1 }, $inc: { replays: 1 } },
+    { new: true }
+  );
+  if (!paymentEvent) return { error: 'This event is being processed, try again shortly', statusCode: 409 };
+
+  try {
+    return { paymentEvent: await processPaymentEvent(paymentEvent, { ...event, id: paymentEvent.eventId }) };
+  } catch (err) {
+    console.error(`Replaying ${existing.provider} event ${existing.eventId} failed:`, err.message);
+    return { paymentEvent: await PaymentEvent.findById(id) };
+  }
+};
+
+export default {
+  PAYMENT_EVENT_STATUSES,
+  logPaymentEvent,
+  processPaymentEvent,
+  replayPaymentEvent
+};
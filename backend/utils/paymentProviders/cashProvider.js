@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import config from '../../config/config.js';
+
+/**
+ * Cash provider
+ * Nothing leaves the restaurant: the payer is told to pay at the counter and staff confirm it
+ */
+
+const cashProvider = {
+  name: 'cash',
+  currency: config.RESTAURANT.CURRENCY,
+  // Only staff can say the money was handed over
+  staffConfirmation: true,
+
+  isConfigured: () => true,
+
+  webhooksEnabled: () => false,
+
+  async createPayment() {
+    const reference = `cash_${crypto.randomBytes(8).toString('hex')}`;
+    return {
+      reference,
+      status: 'pending',
+      providerData: {},
+      clientData: { instructions: 'Please pay at the counter. Staff will confirm your payment.' }
+    };
+  },
+
+  async confirmPayment() {
+    return { status: 'paid', providerData: {} };
+  },
+
+  async refundPayment() {
+    return { refundId: `cash_re_${crypto.randomBytes(8).toString('hex')}`, status: 'refunded' };
+  },
+
+  verifySignature: () => false,
+
+  parseWebhook: () => null
+};
+
+export default cashProvider;
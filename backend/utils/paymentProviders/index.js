@@ -0,0 +1,89 @@
+import config from '../../config/config.js';
+import stripeProvider from './stripeProvider.js';
+import razorpayProvider from './razorpayProvider.js';
+import cashProvider from './cashProvider.js';
+import mockProvider from './mockProvider.js';
+
+/**
+ * Payment Providers
+ * /api/payments only talks to gateways through this interface:
+ *
+ *   name                            Stored as payment.provider on orders and shares
+ *   currency                        Default currency
+ *   staffConfirmation               Only staff may confirm (cash)
+ *   isConfigured()                  Credentials are set (mock: mock mode is on); otherwise the mock provider
+ *                                   stands in when mock mode is on, and payments are refused when it isn't
+ *   webhooksEnabled()               A webhook secret is configured
+ *   createPayment(params)           { amount (minor units), currency, receipt, description, metadata, simulate }
+ *                                   -> { reference, status, providerData, clientData }
+ *   confirmPayment(params)          { reference, providerData, ...provider fields }
+ *                                   -> { status: 'paid' | 'failed' | 'pending', providerData } or { error, statusCode }
+ *   refundPayment(params)           { reference, providerData, amount (minor units) }
+ *                                   -> { refundId, status: 'refunded' | 'pending' | 'failed' } or { error, statusCode }
+ *   verifySignature(rawBody, headers)  True when a webhook really came from the provider
+ *   parseWebhook(rawBody, headers)  { id, type (PAYMENT_WEBHOOK_EVENTS or null), rawType, occurredAt, reference, metadata, providerData }
+ *                                   id stays the same when the provider redelivers an event
+ *                                   Refund events add providerData.refundId and amountRefunded (major units) when known
+ *
+ * The provider reference (PaymentIntent id, Razorpay order id, ...) is stored as payment.reference.
+ */
+
+const providers = {
+  [stripeProvider.name]: stripeProvider,
+  [razorpayProvider.name]: razorpayProvider,
+  [cashProvider.name]: cashProvider,
+  [mockProvider.name]: mockProvider
+};
+
+export const PAYMENT_PROVIDERS = Object.keys(providers);
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider
+ */
+export const getProvider = (name) => providers[name] || null;
+
+/**
+ * Name of the provider payers use unless they pick another
+ * @returns {string} Provider name
+ */
+export const getActiveProviderName = () => (
+  providers[config.PAYMENTS.PROVIDER] ? config.PAYMENTS.PROVIDER : stripeProvider.name
+);
+
+/**
+ * Providers payers may choose
+ * @returns {Array<string>} Provider names
+ */
+export const getEnabledProviderNames = () => {
+  const configured = config.PAYMENTS.ENABLED.filter(name => providers[name]);
+  return [...new Set([getActiveProviderName(), ...(configured.length > 0 ? configured : [cashProvider.name])])];
+};
+
+/**
+ * Pick the provider a payment should go through
+ * In mock mode a gateway without credentials is replaced by the mock provider, so payments can be
+ * tried offline; otherwise it is refused rather than faked.
+ * @param {string} name - Requested provider, the active one when omitted
+ * @returns {Object} { provider, requested } or { error, statusCode }
+ */
+export const resolveProvider = (name) => {
+  const requested = name || getActiveProviderName();
+  if (!getEnabledProviderNames().includes(requested)) {
+    return { error: `Payment provider '${requested}' is not available`, statusCode: 400 };
+  }
+
+  const provider = providers[requested];
+  if (provider.isConfigured()) return { provider, requested };
+  if (mockProvider.isConfigured()) return { provider: mockProvider, requested };
+  return { error: `Payment provider '${requested}' is not configured on this server`, statusCode: 503 };
+};
+
+export default {
+  PAYMENT_PROVIDERS,
+  getProvider,
+  getActiveProviderName,
+  getEnabledProviderNames,
+  resolveProvider
+};
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import config from '../../config/config.js';
+import { PAYMENT_WEBHOOK_EVENTS } from './webhookEvents.js';
+
+/**
+ * Mock provider
+ * Fully offline: payments succeed or fail on request, optionally through a signed webhook
+ * sent back to this server after a delay, just like a real gateway would.
+ * Off unless PAYMENT_PROVIDER=mock or PAYMENT_PROVIDERS lists it; then it also stands in for
+ * any provider whose credentials aren't configured.
+ */
+
+export const MOCK_OUTCOMES = ['succeeded', 'failed', 'none'];
+
+/**
+ * Whether the mock provider was explicitly turned on
+ * @returns {boolean} True when PAYMENT_PROVIDER=mock or PAYMENT_PROVIDERS lists mock
+ */
+export const isMockEnabled = () => (
+  config.PAYMENTS.PROVIDER === 'mock' || config.PAYMENTS.ENABLED.includes('mock')
+);
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+// Without PAYMENT_MOCK_WEBHOOK_SECRET only the webhooks this process sends itself verify
+const processSecret = crypto.randomBytes(32).toString('hex');
+
+const sign = (payload) => crypto
+  .createHmac('sha256', config.PAYMENTS.MOCK.WEBHOOK_SECRET || processSecret)
+  .update(payload)
+  .digest('hex');
+
+const webhookUrl = () => config.PAYMENTS.MOCK.WEBHOOK_URL || `http://localhost:${config.PORT}/api/payments/webhooks/mock`;
+
+/**
+ * Post a signed mock event to our own webhook endpoint
+ * @param {Object} event - { id, type, data }
+ * @returns {Promise<void>}
+ */
+const deliverWebhook = async (event) => {
+  const body = JSON.stringify(event);
+  try {
+    const response = await fetch(webhookUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': sign(body) },
+      body
+    });
+    if (!response.ok) console.warn(`Mock webhook ${event.type} answered ${response.status}`);
+  } catch (err) {
+    console.error(`Mock webhook ${event.type} could not be delivered:`, err.message);
+  }
+};
+
+/**
+ * Send a mock webhook for a payment after a delay
+ * @param {string} type - Normalized event type
+ * @param {Object} payment - { reference, amount, currency, metadata }
+ * @param {number} delayMs - Delay before delivery
+ */
+export const scheduleMockWebhook = (type, payment, delayMs = 0) => {
+  const event = { id: randomId('evt_mock'), type, created: Date.now(), data: payment };
+  setTimeout(() => deliverWebhook(event), Math.max(0, delayMs)).unref();
+};
+
+const mockProvider = {
+  name: 'mock',
+  currency: config.RESTAURANT.CURRENCY,
+
+  isConfigured: isMockEnabled,
+
+  webhooksEnabled: isMockEnabled,
+
+  // simulate: { outcome, delayMs } overrides PAYMENT_MOCK_OUTCOME / PAYMENT_MOCK_DELAY_MS for this payment
+  async createPayment({ amount, currency = config.RESTAURANT.CURRENCY, metadata = {}, simulate = {} }) {
+    const reference = randomId('mock_pay');
+    const outcome = MOCK_OUTCOMES.includes(simulate.outcome) ? simulate.outcome : config.PAYMENTS.MOCK.OUTCOME;
+    const delayMs = Number.isInteger(simulate.delayMs) ? simulate.delayMs : config.PAYMENTS.MOCK.DELAY_MS;
+
+    if (outcome === 'succeeded' || outcome === 'failed') {
+      scheduleMockWebhook(
+        outcome === 'succeeded' ? PAYMENT_WEBHOOK_EVENTS.SUCCEEDED : PAYMENT_WEBHOOK_EVENTS.FAILED,
+        { reference, amount, currency, metadata },
+        delayMs
+      );
+    }
+
+    return {
+      reference,
+      status: 'pending',
+      providerData: { mockOutcome: outcome },
+      clientData: { demo: true, simulation: { outcome, delayMs: outcome === 'none' ? null : delayMs } }
+    };
+  },
+
+  // outcome picks what the "gateway" answers: 'succeeded' (default), 'failed' or 'pending'
+  async confirmPayment({ outcome = 'succeeded' }) {
+    const status = outcome === 'failed' ? 'failed' : outcome === 'pending' ? 'pending' : 'paid';
+    return { status, providerData: { mockPaymentId: randomId('mock_ch') } };
+  },
+
+  async refundPayment() {
+    return { refundId: randomId('mock_re'), status: 'refunded' };
+  },
+
+  verifySignature(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+    const expected = sign(rawBody);
+    if (typeof signature !== 'string' || signature.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  },
+
+  parseWebhook(rawBody) {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const known = Object.values(PAYMENT_WEBHOOK_EVENTS).includes(event.type);
+    return {
+      id: event.id,
+      type: known ? event.type : null,
+      rawType: event.type,
+      occurredAt: event.created ? new Date(event.created) : null,
+      reference: event.data?.reference,
+      metadata: event.data?.metadata || {},
+      providerData: { mockEventId: event.id }
+    };
+  }
+};
+
+export default mockProvider;
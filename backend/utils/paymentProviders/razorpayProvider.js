@@ -0,0 +1,87 @@
+import config from '../../config/config.js';
+import {
+  createRazorpayOrder,
+  isRazorpayConfigured,
+  refundRazorpayPayment,
+  verifyCheckoutSignature,
+  verifyWebhookSignature
+} from '../razorpayUtils.js';
+import { PAYMENT_WEBHOOK_EVENTS } from './webhookEvents.js';
+
+/**
+ * Razorpay provider
+ * Payments are Razorpay orders; the Razorpay order id is the provider reference
+ */
+
+const razorpayProvider = {
+  name: 'razorpay',
+  currency: config.RAZORPAY.CURRENCY,
+
+  isConfigured: isRazorpayConfigured,
+
+  webhooksEnabled: () => Boolean(config.RAZORPAY.WEBHOOK_SECRET),
+
+  async createPayment({ amount, currency = config.RAZORPAY.CURRENCY, receipt, metadata }) {
+    const razorpayOrder = await createRazorpayOrder({ amount, currency, receipt, notes: metadata });
+    return {
+      reference: razorpayOrder.id,
+      status: 'pending',
+      providerData: { razorpayOrderId: razorpayOrder.id },
+      clientData: { keyId: config.RAZORPAY.KEY_ID, razorpayOrderId: razorpayOrder.id }
+    };
+  },
+
+  // The checkout hands the browser a payment id signed with our key secret
+  async confirmPayment({ reference, paymentId, signature }) {
+    if (!verifyCheckoutSignature(reference, paymentId, signature)) {
+      return { error: 'Payment could not be verified', statusCode: 400 };
+    }
+    return { status: 'paid', providerData: { razorpayOrderId: reference, razorpayPaymentId: paymentId } };
+  },
+
+  async refundPayment({ providerData = {}, amount }) {
+    if (!providerData.razorpayPaymentId) {
+      return { error: 'No captured Razorpay payment to refund', statusCode: 409 };
+    }
+    const refund = await refundRazorpayPayment(providerData.razorpayPaymentId, amount);
+    return {
+      refundId: refund.id,
+      status: refund.status === 'processed' ? 'refunded' : refund.status === 'failed' ? 'failed' : 'pending'
+    };
+  },
+
+  verifySignature: (rawBody, headers) => verifyWebhookSignature(rawBody, headers['x-razorpay-signature']),
+
+  parseWebhook(rawBody, headers = {}) {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const payment = event.payload?.payment?.entity || {};
+    const base = {
+      // Razorpay sends the event id as a header only; payment id + event name identifies it in the body
+      id: headers['x-razorpay-event-id'] || event.id || (payment.id && `${payment.id}:${event.event}`) || null,
+      rawType: event.event,
+      occurredAt: event.created_at ? new Date(event.created_at * 1000) : null,
+      reference: payment.order_id,
+      metadata: payment.notes || event.payload?.order?.entity?.notes || {},
+      providerData: { razorpayOrderId: payment.order_id, razorpayPaymentId: payment.id }
+    };
+
+    switch (event.event) {
+      case 'payment.captured':
+      case 'order.paid':
+        return { ...base, type: PAYMENT_WEBHOOK_EVENTS.SUCCEEDED };
+      case 'payment.failed':
+        return { ...base, type: PAYMENT_WEBHOOK_EVENTS.FAILED };
+      case 'refund.processed':
+        return {
+          ...base,
+          type: PAYMENT_WEBHOOK_EVENTS.REFUNDED,
+          providerData: { ...base.providerData, refundId: event.payload?.refund?.entity?.id },
+          amountRefunded: typeof payment.amount_refunded === 'number' ? payment.amount_refunded / 100 : undefined
+        };
+      default:
+        return { ...base, type: null };
+    }
+  }
+};
+
+export default razorpayProvider;
@@ -0,0 +1,96 @@
+import Stripe from 'stripe';
+import config from '../../config/config.js';
+import { PAYMENT_WEBHOOK_EVENTS } from './webhookEvents.js';
+
+/**
+ * Stripe provider
+ * Payments are PaymentIntents; the PaymentIntent id is the provider reference
+ */
+
+const stripe = config.STRIPE.SECRET_KEY ? new Stripe(config.STRIPE.SECRET_KEY, { apiVersion: '2022-11-15' }) : null;
+
+// PaymentIntent statuses that will not turn into a payment without the customer starting over
+const FAILED_INTENT_STATUSES = ['canceled'];
+
+const stripeProvider = {
+  name: 'stripe',
+  // Stripe takes lowercase ISO codes
+  currency: config.RESTAURANT.CURRENCY.toLowerCase(),
+
+  isConfigured: () => Boolean(stripe),
+
+  webhooksEnabled: () => Boolean(stripe && config.STRIPE.WEBHOOK_SECRET),
+
+  async createPayment({ amount, currency = config.RESTAURANT.CURRENCY.toLowerCase(), description, metadata }) {
+    const paymentIntent = await stripe.paymentIntents.create({ amount, currency, metadata, description });
+    return {
+      reference: paymentIntent.id,
+      status: 'pending',
+      providerData: { paymentIntentId: paymentIntent.id, clientSecret: paymentIntent.client_secret },
+      clientData: { clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id }
+    };
+  },
+
+  // Ask Stripe how the PaymentIntent ended rather than trusting the browser
+  async confirmPayment({ reference }) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(reference);
+    let status = 'pending';
+    if (paymentIntent.status === 'succeeded') status = 'paid';
+    else if (FAILED_INTENT_STATUSES.includes(paymentIntent.status)) status = 'failed';
+    return { status, providerData: { paymentIntentId: paymentIntent.id } };
+  },
+
+  async refundPayment({ reference, amount }) {
+    const refund = await stripe.refunds.create({ payment_intent: reference, ...(amount && { amount }) });
+    return {
+      refundId: refund.id,
+      status: refund.status === 'succeeded' ? 'refunded' : refund.status === 'failed' ? 'failed' : 'pending'
+    };
+  },
+
+  verifySignature(rawBody, headers) {
+    try {
+      stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], config.STRIPE.WEBHOOK_SECRET);
+      return true;
+    } catch (err) {
+      console.error('Stripe webhook signature verification failed:', err.message);
+      return false;
+    }
+  },
+
+  parseWebhook(rawBody) {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const object = event.data?.object || {};
+    const base = {
+      id: event.id,
+      rawType: event.type,
+      occurredAt: event.created ? new Date(event.created * 1000) : null
+    };
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+      case 'payment_intent.payment_failed':
+        return {
+          ...base,
+          type: event.type === 'payment_intent.succeeded' ? PAYMENT_WEBHOOK_EVENTS.SUCCEEDED : PAYMENT_WEBHOOK_EVENTS.FAILED,
+          reference: object.id,
+          metadata: object.metadata || {},
+          providerData: { paymentIntentId: object.id }
+        };
+      case 'charge.refunded':
+        return {
+          ...base,
+          type: PAYMENT_WEBHOOK_EVENTS.REFUNDED,
+          reference: object.payment_intent,
+          metadata: object.metadata || {},
+          // The charge's refunds list is only present when the API version still expands it
+          providerData: { paymentIntentId: object.payment_intent, chargeId: object.id, refundId: object.refunds?.data?.[0]?.id },
+          amountRefunded: typeof object.amount_refunded === 'number' ? object.amount_refunded / 100 : undefined
+        };
+      default:
+        return { ...base, type: null };
+    }
+  }
+};
+
+export default stripeProvider;
@@ -0,0 +1,14 @@
+/**
+ * Normalized payment webhook events
+ * Every provider's parseWebhook maps its own event names onto these
+ */
+
+export const PAYMENT_WEBHOOK_EVENTS = {
+  SUCCEEDED: 'payment.succeeded',
+  FAILED: 'payment.failed',
+  REFUNDED: 'payment.refunded'
+};
+
+export default {
+  PAYMENT_WEBHOOK_EVENTS
+};
@@ -0,0 +1,181 @@
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { ORDER_EVENTS, publishOrderEvent } from './orderEvents.js';
+import { SETTLED_PAYMENT_STATUSES, markOrderPaid, recordCanceledShareCapture, settleShare } from './billSplitUtils.js';
+import { recordProviderRefund } from './refundUtils.js';
+import { PAYMENT_WEBHOOK_EVENTS } from './paymentProviders/webhookEvents.js';
+
+/**
+ * Payment Recording Utilities
+ * Apply a provider's outcome (from a confirm call or a webhook) to the share or order it was for,
+ * so payment state moves the same way whichever provider took the money
+ */
+
+const SYSTEM_ACTOR = { role: 'system' };
+
+// How the payer paid, as stored in payment.method
+const methodFor = (provider) => (provider === 'cash' ? 'cash' : 'card');
+
+/**
+ * Find the share and/or order a provider payment belongs to
+ * Only a share or order that stored this provider and reference matches. Metadata we attached when
+ * creating the payment narrows the lookup but never picks the target on its own.
+ * @param {Object} params - { provider, reference, metadata }
+ * @returns {Promise<Object>} { order, share } (either may be null)
+ */
+export const findPaymentTarget = async ({ provider, reference, metadata = {} }) => {
+  if (!provider || !reference) return { order: null, share: null };
+
+  const share = await Payment.findOne({ provider, reference, ...(metadata.shareId && { _id: metadata.shareId }) });
+
+  let order = null;
+  if (share) {
+    order = await Order.findById(share.orderId);
+  } else {
+    order = await Order.findOne({
+      'payment.provider': provider,
+      'payment.reference': reference,
+      ...(metadata.orderId && { _id: metadata.orderId })
+    });
+  }
+
+  return { order, share };
+};
+
+/**
+ * Record a successful payment
+ * A share settles (and the order with the last one); a whole order is marked paid and completed if served.
+ * A capture for a canceled share is recorded on that share so the charge isn't lost.
+ * @param {Object} params - { provider, reference, providerData, order, share, actor, settledBy }
+ * @returns {Promise<Object>} { order, share } or { error, statusCode }
+ */
+export const recordPaymentSucceeded = async ({
+  provider,
+  reference,
+  providerData = {},
+  order,
+  share,
+  actor = SYSTEM_ACTOR,
+  settledBy = null
+}) => {
+  // A re-split canceled this share after its payment started; the capture is still money taken
+  if (share?.status === 'canceled') {
+    return recordCanceledShareCapture(share._id, { method: methodFor(provider), provider, reference, providerData });
+  }
+
+  if (share) {
+    const result = await settleShare(share._id, {
+      method: methodFor(provider),
+      provider,
+      reference,
+      providerData,
+      settledBy,
+      actor
+    });
+    if (result.error) console.warn(`${provider} share ${share._id} not settled: ${result.error}`);
+    return result;
+  }
+
+  if (!order) return { error: 'No order is waiting for this payment', statusCode: 404 };
+
+  const updatedOrder = await markOrderPaid(order._id, {
+    'payment.method': methodFor(provider),
+    'payment.provider': provider,
+    ...(reference && { 'payment.reference': reference }),
+    'payment.providerData': { ...(order.payment?.providerData || {}), ...providerData }
+  }, actor);
+  return { order: updatedOrder, share: null };
+};
+
+/**
+ * Record a failed payment attempt; shares and orders that are already paid are left alone
+ * @param {Object} params - { provider, reference, providerData, order, share }
+ * @returns {Promise<Object>} { order, share }
+ */
+export const recordPaymentFailed = async ({ provider, reference, providerData = {}, order, share }) => {
+  if (share) {
+    const failedShare = await Payment.findOneAndUpdate(
+      { _id: share._id, status: 'pending' },
+      { $set: { status: 'failed' } },
+      { new: true }
+    );
+    if (failedShare) publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, await Order.findById(failedShare.orderId));
+    return { order, share: failedShare || share };
+  }
+
+  if (!order) return { order: null, share: null };
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, 'payment.status': { $nin: SETTLED_PAYMENT_STATUSES } },
+    {
+      $set: {
+        'payment.status': 'failed',
+        'payment.provider': provider,
+        ...(reference && { 'payment.reference': reference }),
+        'payment.providerData': { ...(order.payment?.providerData || {}), ...providerData }
+      }
+    },
+    { new: true, runValidators: false }
+  );
+  if (updatedOrder) publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, updatedOrder);
+  return { order: updatedOrder || order, share: null };
+};
+
+/**
+ * Record that the provider refunded a payment, matching it to the refunds we issued
+ * @param {Object} params - { provider, reference, providerData, order, share, amountRefunded }
+ * @returns {Promise<Object>} { order }
+ */
+export const recordPaymentRefunded = (params) => recordProviderRefund(params);
+
+/**
+ * Apply a parsed provider webhook event
+ * @param {string} provider - Provider name
+ * @param {Object} event - Normalized event from the provider's parseWebhook
+ * @param {Object} target - { order, share } when already looked up
+ * @returns {Promise<Object>} { order, share, applied, error }
+ */
+export const applyPaymentEvent = async (provider, event, target = null) => {
+  const { order, share } = target || await findPaymentTarget({ provider, reference: event.reference, metadata: event.metadata });
+  if (!order && !share) {
+    console.warn(`${provider} ${event.type} for ${event.reference || 'unknown payment'} matches no order`);
+    return { order: null, share: null, applied: false };
+  }
+
+  const params = {
+    provider,
+    reference: event.reference,
+    providerData: event.providerData,
+    amountRefunded: event.amountRefunded,
+    order,
+    share
+  };
+  let result;
+  switch (event.type) {
+    case PAYMENT_WEBHOOK_EVENTS.SUCCEEDED:
+      result = await recordPaymentSucceeded(params);
+      break;
+    case PAYMENT_WEBHOOK_EVENTS.FAILED:
+      result = await recordPaymentFailed(params);
+      break;
+    case PAYMENT_WEBHOOK_EVENTS.REFUNDED:
+      result = await recordPaymentRefunded(params);
+      break;
+    default:
+      return { order, share, applied: false };
+  }
+  return {
+    order: result.order || order,
+    share: result.share || share,
+    applied: !result.error,
+    error: result.error
+  };
+};
+
+export default {
+  findPaymentTarget,
+  recordPaymentSucceeded,
+  recordPaymentFailed,
+  recordPaymentRefunded,
+  applyPaymentEvent
+};
@@ -0,0 +1,210 @@
+import Order from '../models/Order.js';
+import MenuCategory from '../models/MenuCategory.js';
+import config from '../config/config.js';
+import { createTicket } from './escpos.js';
+import { buildReceipt, ensureInvoiceNumber, renderReceiptEscPos } from './receiptUtils.js';
+import { ORDER_EVENTS, subscribeToOrderEvents } from './orderEvents.js';
+import { getPrinterTransport, getPrintStations, getPrintStation } from './printers/index.js';
+
+/**
+ * Print Utilities
+ * Kitchen tickets and bills for the station printers. Each line of an order prints at the station
+ * of its category (grill, bar, ...), lines from categories without one at the default station, and
+ * bills at the bill station.
+ */
+
+/**
+ * Whether any printer station is configured
+ * @returns {boolean} True when PRINTER_STATIONS lists at least one station
+ */
+export const isPrintingEnabled = () => getPrintStations().length > 0;
+
+/**
+ * Station for lines whose category has none: PRINTER_DEFAULT_STATION, or the first station
+ * @returns {string|null} Station name
+ */
+export const getDefaultStationName = () => (
+  getPrintStation(config.PRINTING.DEFAULT_STATION)?.name || getPrintStations()[0]?.name || null
+);
+
+/**
+ * Station bills print at: PRINTER_BILL_STATION, or the default station
+ * @returns {string|null} Station name
+ */
+export const getBillStationName = () => getPrintStation(config.PRINTING.BILL_STATION)?.name || getDefaultStationName();
+
+/**
+ * Work out which station each line of an order prints at
+ * @param {Object} order - Order document
+ * @returns {Promise<Map>} Station name -> line indexes, in station order of first appearance
+ */
+export const routeOrderLines = async (order) => {
+  const categoryIds = [...new Set(order.items.map(line => line.categoryId?.toString()).filter(Boolean))];
+  const categories = categoryIds.length > 0
+    ? await MenuCategory.find({ _id: { $in: categoryIds } }).select('printStation').lean()
+    : [];
+  const stationByCategory = new Map(categories.map(category => [category._id.toString(), category.printStation]));
+  const fallback = getDefaultStationName();
+
+  const routes = new Map();
+  order.items.forEach((line, index) => {
+    const wanted = stationByCategory.get(line.categoryId?.toString());
+    // A category may still name a station that has since been removed from PRINTER_STATIONS
+    const station = wanted && getPrintStation(wanted) ? wanted : fallback;
+    if (!routes.has(station)) routes.set(station, []);
+    routes.get(station).push(index);
+  });
+  return routes;
+};
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-GB', {
+  timeZone: config.RESTAURANT.TIMEZONE, hour: '2-digit', minute: '2-digit'
+});
+
+/**
+ * Kitchen ticket for the lines of an order that print at one station
+ * @param {Object} order - Order with tableId, guestId and customerId populated
+ * @param {string} station - Station name
+ * @param {Array<number>} lineIndexes - Lines to print
+ * @param {Object} options - Options
+ * @param {boolean} options.reprint - Mark the ticket as a reprint
+ * @param {Array<string>} options.alsoAt - Other stations with lines of the order, so the pass knows to wait for them
+ * @returns {Buffer} ESC/POS bytes
+ */
+export const buildKitchenTicket = (order, station, lineIndexes, { reprint = false, alsoAt = [] } = {}) => {
+  const ticket = createTicket({ columns: config.PRINTING.COLUMNS });
+  const customerName = order.guestId?.name || order.customerId?.name || '';
+  const table = order.tableId?.number;
+
+  ticket.align('center').size('large').bold().text(station.toUpperCase()).size('normal');
+  if (reprint) ticket.text(`** REPRINT ${formatTime(new Date())} **`);
+  ticket.bold(false).align('left').feed(1);
+
+  ticket.size('tall').bold().row(table !== undefined && table !== null ? `Table ${table}` : 'No table', formatTime(order.createdAt));
+  ticket.size('normal').bold(false).text(`Order ${order.orderNumber}`);
+  if (customerName) ticket.text(customerName);
+  ticket.divider();
+
+  lineIndexes.forEach(index => {
+    const line = order.items[index];
+    ticket.size('tall').bold().text(`${line.qty} x ${line.name}`).size('normal').bold(false);
+    (line.options || []).forEach(option => ticket.text(`${option.groupName}: ${option.name}`, 4));
+    if (line.note) ticket.bold().text(`** ${line.note}`, 4).bold(false);
+  });
+  ticket.divider();
+
+  const portions = lineIndexes.reduce((sum, index) => sum + order.items[index].qty, 0);
+  ticket.text(`${portions} item${portions === 1 ? '' : 's'}`);
+  if (alsoAt.length > 0) ticket.text(`Also at: ${alsoAt.join(', ')}`);
+  return ticket
+    .feed(3)
+    .cut()
+    .toBuffer();
+};
+
+/**
+ * Send a ticket to a station through the configured transport
+ * @param {string} stationName - Station name
+ * @param {Buffer} data - ESC/POS bytes
+ * @param {Object} job - { type: 'kitchen' | 'bill', orderNumber }
+ * @returns {Promise<Object>} { station, target } or { station, error, statusCode }
+ */
+const sendToStation = async (stationName, data, job) => {
+  const station = getPrintStation(stationName);
+  if (!station) {
+    return { station: stationName, error: `There is no printer station named '${stationName}'`, statusCode: 400 };
+  }
+
+  const result = await getPrinterTransport().send(station, data, job);
+  if (result.error) {
+    console.error(`❌ Printing the ${job.type} ticket of ${job.orderNumber} at ${station.name} failed:`, result.error);
+    return { station: station.name, error: result.error, statusCode: result.statusCode };
+  }
+  return { station: station.name, target: result.target };
+};
+
+const findPrintOrder = (orderId) => Order.findById(orderId)
+  .populate('tableId', 'number')
+  .populate('guestId', 'name email')
+  .populate('customerId', 'name email');
+
+/**
+ * Print an order's kitchen tickets, one per station its lines go to
+ * @param {string} orderId - Order ID
+ * @param {Object} options - Options
+ * @param {string} options.station - Only print the ticket for this station
+ * @param {boolean} options.reprint - Mark the tickets as reprints
+ * @returns {Promise<Object>} { orderNumber, jobs } or { error, statusCode }
+ */
+export const printKitchenTickets = async (orderId, { station = '', reprint = false } = {}) => {
+  if (!isPrintingEnabled()) return { error: 'No printers are set up on this server', statusCode: 503 };
+
+  const order = await findPrintOrder(orderId);
+  if (!order) return { error: 'Order not found', statusCode: 404 };
+
+  if (station && !getPrintStation(station)) {
+    return { error: `There is no printer station named '${station}'`, statusCode: 400 };
+  }
+  const routes = await routeOrderLines(order);
+  if (station && !routes.has(station)) {
+    return { error: `Nothing on order ${order.orderNumber} prints at ${station}`, statusCode: 400 };
+  }
+
+  const stations = station ? [station] : [...routes.keys()];
+  const job = { type: 'kitchen', orderNumber: order.orderNumber };
+  const jobs = await Promise.all(stations.map(name => (
+    sendToStation(name, buildKitchenTicket(order, name, routes.get(name), {
+      reprint,
+      alsoAt: [...routes.keys()].filter(other => other !== name)
+    }), job)
+  )));
+  return { orderNumber: order.orderNumber, jobs };
+};
+
+/**
+ * Print an order's bill (its itemized receipt)
+ * @param {string} orderId - Order ID
+ * @param {Object} options - Options
+ * @param {string} options.station - Station to print at, the bill station when omitted
+ * @returns {Promise<Object>} { orderNumber, jobs } or { error, statusCode }
+ */
+export const printBill = async (orderId, { station = '' } = {}) => {
+  if (!isPrintingEnabled()) return { error: 'No printers are set up on this server', statusCode: 503 };
+
+  const order = await findPrintOrder(orderId);
+  if (!order) return { error: 'Order not found', statusCode: 404 };
+
+  // Printing the bill is the staff step that numbers an order still without an invoice number
+  order.invoiceNumber = await ensureInvoiceNumber(order);
+  const receipt = await buildReceipt(order);
+  const job = await sendToStation(station || getBillStationName(), renderReceiptEscPos(receipt), { type: 'bill', orderNumber: order.orderNumber });
+  return { orderNumber: order.orderNumber, jobs: [job] };
+};
+
+/**
+ * Print the kitchen tickets of every new order as it is placed (PRINT_NEW_ORDERS)
+ * @returns {Function|null} Unsubscribe function, or null when auto-printing is off
+ */
+export const startAutoPrint = () => {
+  if (!isPrintingEnabled() || !config.PRINTING.AUTO_PRINT) return null;
+
+  return subscribeToOrderEvents((event) => {
+    if (event.type !== ORDER_EVENTS.CREATED) return;
+    printKitchenTickets(event.order.id)
+      .then(result => {
+        if (result.error) console.error(`❌ Printing new order ${event.order.orderNumber} failed:`, result.error);
+      })
+      .catch(err => console.error(`❌ Printing new order ${event.order.orderNumber} failed:`, err.message));
+  });
+};
+
+export default {
+  isPrintingEnabled,
+  getDefaultStationName,
+  getBillStationName,
+  routeOrderLines,
+  buildKitchenTicket,
+  printKitchenTickets,
+  printBill,
+  startAutoPrint
+};
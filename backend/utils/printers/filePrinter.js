@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../../config/config.js';
+
+/**
+ * File printer transport
+ * Stands in for real printers: each job is written to PRINTER_FILE_DIR as the bytes a printer would
+ * have received, e.g. prints/20261018-193512-041-007-grill-kitchen-ORD-ABC-123.bin
+ */
+
+// Sortable UTC timestamp with milliseconds, safe in file names
+const timestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+
+// Tells apart jobs written within the same millisecond
+let sequence = 0;
+
+const filePrinter = {
+  name: 'file',
+
+  async send(station, data, job) {
+    const dir = path.resolve(process.cwd(), config.PRINTING.FILE_DIR);
+    sequence = (sequence + 1) % 1000;
+    const name = [timestamp(new Date()), String(sequence).padStart(3, '0'), station.name, job.type, job.orderNumber]
+      .filter(Boolean)
+      .join('-')
+      .replace(/[^\w.-]/g, '_');
+    const target = path.join(dir, `${name}.bin`);
+
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(target, data);
+      return { target };
+    } catch (err) {
+      return { error: `Could not write the ticket for '${station.name}' (${err.message})`, statusCode: 500 };
+    }
+  }
+};
+
+export default filePrinter;
@@ -0,0 +1,47 @@
+import config from '../../config/config.js';
+import networkPrinter from './networkPrinter.js';
+import filePrinter from './filePrinter.js';
+
+/**
+ * Printer Transports
+ * Tickets only reach printers through this interface, picked with PRINTER_TRANSPORT:
+ *
+ *   name                          PRINTER_TRANSPORT value
+ *   send(station, data, job)      station: { name, address }, data: ESC/POS bytes (Buffer),
+ *                                 job: { type: 'kitchen' | 'bill', orderNumber }
+ *                                 -> { target } (where it went) or { error, statusCode }
+ */
+
+const transports = {
+  [networkPrinter.name]: networkPrinter,
+  [filePrinter.name]: filePrinter
+};
+
+export const PRINTER_TRANSPORTS = Object.keys(transports);
+
+/**
+ * The transport print jobs go through; an unknown PRINTER_TRANSPORT falls back to the network
+ * @returns {Object} Transport
+ */
+export const getPrinterTransport = () => transports[config.PRINTING.TRANSPORT] || networkPrinter;
+
+/**
+ * Configured stations, in the order PRINTER_STATIONS lists them
+ * @returns {Array<Object>} [{ name, address }]
+ */
+export const getPrintStations = () => Object.entries(config.PRINTING.STATIONS || {})
+  .map(([name, address]) => ({ name, address: address ? String(address) : '' }));
+
+/**
+ * Look up a station by name
+ * @param {string} name - Station name
+ * @returns {Object|null} Station
+ */
+export const getPrintStation = (name) => getPrintStations().find(station => station.name === name) || null;
+
+export default {
+  PRINTER_TRANSPORTS,
+  getPrinterTransport,
+  getPrintStations,
+  getPrintStation
+};
@@ -0,0 +1,49 @@
+import net from 'net';
+import config from '../../config/config.js';
+
+/**
+ * Network printer transport
+ * Sends the ticket as raw bytes over TCP to the printer's port 9100 (JetDirect / "RAW" printing)
+ */
+
+const DEFAULT_PORT = 9100;
+
+// "192.168.1.50" or "192.168.1.50:9100"
+const parseAddress = (address) => {
+  const [host, port] = String(address || '').trim().split(':');
+  return { host, port: parseInt(port, 10) || DEFAULT_PORT };
+};
+
+const networkPrinter = {
+  name: 'network',
+
+  send(station, data) {
+    const { host, port } = parseAddress(station.address);
+    const target = `${host}:${port}`;
+    if (!host) {
+      return Promise.resolve({ error: `Printer '${station.name}' has no address`, statusCode: 503 });
+    }
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        resolve(result);
+      };
+
+      const socket = net.createConnection({ host, port }, () => {
+        socket.end(data, () => finish({ target }));
+      });
+      socket.setTimeout(config.PRINTING.TIMEOUT_MS, () => {
+        finish({ error: `Printer '${station.name}' at ${target} did not respond`, statusCode: 504 });
+      });
+      socket.on('error', (err) => {
+        finish({ error: `Printer '${station.name}' at ${target} is unreachable (${err.code || err.message})`, statusCode: 502 });
+      });
+    });
+  }
+};
+
+export default networkPrinter;
@@ -0,0 +1,200 @@
+import Promotion from '../models/Promotion.js';
+import { isWithinSchedule } from './scheduleUtils.js';
+
+/**
+ * Promotion Utilities
+ * Checks a promo code against an order's priced lines and spreads its discount over the lines it
+ * targets. Discounts are worked out in minor units (paise), so the line discounts always add up to
+ * the order's discount.
+ */
+
+export const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y'];
+
+const toMinor = (amount) => Math.round((amount + Number.EPSILON) * 100);
+const toMajor = (minor) => minor / 100;
+const percentOf = (minor, rate) => Math.round(minor * rate / 100 + 1e-9);
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Normalize a code as typed by a guest
+ * @param {string} code - Code as entered
+ * @returns {string} Trimmed, upper-case code ('' when missing)
+ */
+export const normalizePromoCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Whether a promotion targets an order line
+ * @param {Object} promotion - Promotion document
+ * @param {Object} line - Order line ({ menuItemId, categoryId })
+ * @returns {boolean} True when the discount applies to the line
+ */
+const targetsLine = (promotion, line) => {
+  const categoryIds = (promotion.categoryIds || []).map(String);
+  const menuItemIds = (promotion.menuItemIds || []).map(String);
+  if (categoryIds.length === 0 && menuItemIds.length === 0) return true;
+  return menuItemIds.includes(String(line.menuItemId)) || categoryIds.includes(String(line.categoryId));
+};
+
+/**
+ * Split an amount over weights, handing leftover paise to the heaviest weights first
+ * @param {number} totalMinor - Amount to split
+ * @param {Array<number>} weights - One weight per line (0 for lines that get nothing)
+ * @returns {Array<number>} Share per line
+ */
+const allocate = (totalMinor, weights) => {
+  const weightTotal = sum(weights);
+  if (weightTotal === 0) return weights.map(() => 0);
+
+  const shares = weights.map(weight => Math.floor(totalMinor * weight / weightTotal));
+  let remainder = totalMinor - sum(shares);
+  const heaviestFirst = weights.map((weight, index) => index).sort((a, b) => weights[b] - weights[a]);
+  for (const index of heaviestFirst) {
+    if (remainder === 0) break;
+    if (weights[index] === 0) continue;
+    shares[index] += 1;
+    remainder -= 1;
+  }
+  return shares;
+};
+
+/**
+ * Why a promotion can't be used on these lines right now
+ * @param {Object} promotion - Promotion document
+ * @param {Array} lines - Priced order lines ({ menuItemId, categoryId, price, qty })
+ * @param {Date} now - Moment of the order
+ * @returns {string|null} Reason, or null when the code can be used
+ */
+export const checkPromotion = (promotion, lines, now = new Date()) => {
+  if (!promotion.active) return 'This promo code is no longer active';
+  if (promotion.startsAt && now < promotion.startsAt) return 'This promo code is not valid yet';
+  if (promotion.endsAt && now >= promotion.endsAt) return 'This promo code has expired';
+  if (!isWithinSchedule(promotion.schedule, now)) return 'This promo code is not valid at this time of day';
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    return 'This promo code has been fully redeemed';
+  }
+
+  const subtotalMinor = sum(lines.map(line => toMinor(line.price * line.qty)));
+  if (subtotalMinor < toMinor(promotion.minSubtotal || 0)) {
+    return `This promo code needs an order of at least ${promotion.minSubtotal.toFixed(2)}`;
+  }
+
+  const targeted = lines.filter(line => targetsLine(promotion, line));
+  if (targeted.length === 0) return 'This promo code does not apply to anything in your order';
+
+  if (promotion.type === 'buy_x_get_y') {
+    const units = sum(targeted.map(line => line.qty));
+    if (units < promotion.buyQty + promotion.getQty) {
+      return `Add ${promotion.buyQty + promotion.getQty} qualifying items to use this promo code`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Discount a promotion gives each order line
+ * @param {Object} promotion - Promotion document
+ * @param {Array} lines - Priced order lines ({ menuItemId, categoryId, price, qty })
+ * @returns {Array<number>} Discount per line, in minor units
+ */
+const calculateLineDiscounts = (promotion, lines) => {
+  const targetedMinor = lines.map(line => (targetsLine(promotion, line) ? toMinor(line.price * line.qty) : 0));
+
+  if (promotion.type === 'percentage') {
+    let discountMinor = percentOf(sum(targetedMinor), promotion.value);
+    if (promotion.maxDiscount !== null && promotion.maxDiscount !== undefined) {
+      discountMinor = Math.min(discountMinor, toMinor(promotion.maxDiscount));
+    }
+    return allocate(discountMinor, targetedMinor);
+  }
+
+  if (promotion.type === 'fixed') {
+    return allocate(Math.min(toMinor(promotion.value), sum(targetedMinor)), targetedMinor);
+  }
+
+  // buy_x_get_y: units go most expensive first in groups of buyQty + getQty; the last getQty of each group are discounted
+  const units = [];
+  lines.forEach((line, index) => {
+    if (targetedMinor[index] === 0) return;
+    for (let i = 0; i < line.qty; i += 1) units.push({ index, minor: toMinor(line.price) });
+  });
+  units.sort((a, b) => b.minor - a.minor);
+
+  const groupSize = promotion.buyQty + promotion.getQty;
+  const discounts = lines.map(() => 0);
+  units.forEach((unit, position) => {
+    if (position % groupSize >= promotion.buyQty) discounts[unit.index] += percentOf(unit.minor, promotion.value);
+  });
+  return discounts;
+};
+
+/**
+ * The promotion as recorded on an order's breakdown
+ * @param {Object} promotion - Promotion document
+ * @returns {Object} { promotionId, code, name, type }
+ */
+export const toPromotionSummary = (promotion) => ({
+  promotionId: promotion._id,
+  code: promotion.code,
+  name: promotion.name,
+  type: promotion.type
+});
+
+/**
+ * Look up a promo code and discount the order lines with it
+ * @param {string} code - Code as entered
+ * @param {Array} lines - Priced order lines ({ menuItemId, categoryId, price, qty })
+ * @param {Date} now - Moment of the order
+ * @returns {Promise<Object>} { promotion, lines } with each line's discount set, or { error }
+ */
+export const applyPromotion = async (code, lines, now = new Date()) => {
+  const normalized = normalizePromoCode(code);
+  const promotion = normalized ? await Promotion.findOne({ code: normalized }) : null;
+  if (!promotion) return { error: 'This promo code is not valid' };
+
+  const problem = checkPromotion(promotion, lines, now);
+  if (problem) return { error: problem };
+
+  const discounts = calculateLineDiscounts(promotion, lines);
+  return {
+    promotion,
+    lines: lines.map((line, index) => ({ ...line, discount: toMajor(discounts[index]) }))
+  };
+};
+
+/**
+ * Count an order against a promotion's usage limit
+ * Conditional on the limit, so two orders can't both take the last use.
+ * @param {string} promotionId - Promotion id
+ * @returns {Promise<boolean>} False when the code was used up or switched off meanwhile
+ */
+export const redeemPromotion = async (promotionId) => {
+  const redeemed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotionId,
+      active: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+    },
+    { $inc: { usageCount: 1 } }
+  );
+  return Boolean(redeemed);
+};
+
+/**
+ * Give back a use of a promotion (order not saved, or canceled)
+ * @param {string} promotionId - Promotion id
+ * @returns {Promise<void>}
+ */
+export const releasePromotion = async (promotionId) => {
+  await Promotion.updateOne({ _id: promotionId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+};
+
+export default {
+  PROMOTION_TYPES,
+  normalizePromoCode,
+  checkPromotion,
+  toPromotionSummary,
+  applyPromotion,
+  redeemPromotion,
+  releasePromotion
+};
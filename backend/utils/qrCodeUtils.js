@@ -1,3 +1,5 @@
+import QRCode from 'qrcode';
+import PDFDocument from 'pdfkit';
 import { generateRandomString } from './generateTokens.js';
 
 /**
@@ -89,7 +91,6 @@ export const generateQRCodeData = (table, baseUrl = 'http://localhost:3000') =>
     tableNumber: table.number,
     qrSlug: table.qrSlug,
     qrUrl: qrUrl,
-    occupied: !!table.occupied,
     createdAt: table.createdAt,
     updatedAt: table.updatedAt
   };
@@ -213,6 +214,106 @@ export const generateMenuItemQRCode = (itemId, itemName, baseUrl = 'http://local
   };
 };
 
+/**
+ * Render a QR code as a PNG image
+ * @param {string} text - Content to encode (usually the table URL)
+ * @param {number} size - Image width/height in pixels
+ * @returns {Promise<Buffer>} PNG image data
+ */
+export const renderQRCodePNG = (text, size = 512) => {
+  return QRCode.toBuffer(text, { type: 'png', width: size, margin: 2, errorCorrectionLevel: 'M' });
+};
+
+/**
+ * Render a QR code as an SVG document
+ * @param {string} text - Content to encode (usually the table URL)
+ * @returns {Promise<string>} SVG markup
+ */
+export const renderQRCodeSVG = (text) => {
+  return QRCode.toString(text, { type: 'svg', margin: 2, errorCorrectionLevel: 'M' });
+};
+
+// Table card layout on an A4 page (points): 2 columns x 2 rows
+const SHEET_MARGIN = 36;
+const CARD_GAP = 20;
+const CARD_COLUMNS = 2;
+const CARD_ROWS = 2;
+const BRAND_COLOR = '#EA580C';
+
+/**
+ * Draw one branded table card on the current PDF page
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} card - { x, y, width, height }
+ * @param {Object} table - Table object
+ * @param {Buffer} qrPng - QR code PNG for the table
+ * @param {string} qrUrl - URL encoded in the QR code
+ * @param {string} restaurantName - Name printed in the card header
+ */
+const drawTableCard = (doc, { x, y, width, height }, table, qrPng, qrUrl, restaurantName) => {
+  const headerHeight = 48;
+  const qrSize = Math.min(width - 60, height - 190);
+
+  doc.save();
+  doc.roundedRect(x, y, width, height, 12).lineWidth(2).strokeColor(BRAND_COLOR).stroke();
+  doc.roundedRect(x, y, width, headerHeight, 12).fillColor(BRAND_COLOR).fill();
+  doc.rect(x, y + headerHeight - 12, width, 12).fillColor(BRAND_COLOR).fill();
+  doc.restore();
+
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(16)
+    .text(restaurantName, x, y + 16, { width, align: 'center', lineBreak: false, ellipsis: true });
+
+  doc.fillColor('#1F2937').font('Helvetica-Bold').fontSize(30)
+    .text(`Table ${table.number}`, x, y + headerHeight + 16, { width, align: 'center' });
+
+  doc.image(qrPng, x + (width - qrSize) / 2, y + headerHeight + 60, { width: qrSize, height: qrSize });
+
+  doc.fillColor('#374151').font('Helvetica').fontSize(12)
+    .text('Scan to view the menu and order', x, y + headerHeight + 70 + qrSize, { width, align: 'center' });
+
+  doc.fillColor('#9CA3AF').fontSize(7)
+    .text(qrUrl, x + 10, y + height - 24, { width: width - 20, align: 'center', lineBreak: false, ellipsis: true });
+};
+
+/**
+ * Generate a printable PDF sheet with one QR card per table
+ * @param {Array} tables - Table objects ({ number, qrSlug })
+ * @param {Object} options - Rendering options
+ * @param {string} options.baseUrl - Frontend base URL the QR codes point to
+ * @param {string} options.restaurantName - Name printed on every card
+ * @returns {Promise<Buffer>} PDF document data
+ */
+export const generateTableQRSheetPDF = async (tables, { baseUrl = 'http://localhost:3000', restaurantName = 'Restaurant' } = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: SHEET_MARGIN, info: { Title: `${restaurantName} table QR codes` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const cardWidth = (doc.page.width - SHEET_MARGIN * 2 - CARD_GAP * (CARD_COLUMNS - 1)) / CARD_COLUMNS;
+  const cardHeight = (doc.page.height - SHEET_MARGIN * 2 - CARD_GAP * (CARD_ROWS - 1)) / CARD_ROWS;
+  const cardsPerPage = CARD_COLUMNS * CARD_ROWS;
+
+  for (let i = 0; i < tables.length; i++) {
+    const slot = i % cardsPerPage;
+    if (i > 0 && slot === 0) doc.addPage();
+
+    const qrUrl = generateQRCodeURL(tables[i].qrSlug, baseUrl);
+    const qrPng = await renderQRCodePNG(qrUrl, 600);
+    const card = {
+      x: SHEET_MARGIN + (slot % CARD_COLUMNS) * (cardWidth + CARD_GAP),
+      y: SHEET_MARGIN + Math.floor(slot / CARD_COLUMNS) * (cardHeight + CARD_GAP),
+      width: cardWidth,
+      height: cardHeight
+    };
+    drawTableCard(doc, card, tables[i], qrPng, qrUrl, restaurantName);
+  }
+
+  doc.end();
+  return finished;
+};
+
 /**
  * Validate QR code URL
  * @param {string} url - QR code URL to validate
@@ -268,6 +369,9 @@ export default {
   generatePublicMenuQRCode,
   generateCategoryQRCode,
   generateMenuItemQRCode,
+  renderQRCodePNG,
+  renderQRCodeSVG,
+  generateTableQRSheetPDF,
   isValidQRCodeURL,
   extractQRCodeType
 };
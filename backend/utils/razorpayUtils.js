@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import config from '../config/config.js';
+
+/**
+ * Razorpay Utilities
+ * Order creation and signature checks for the Razorpay checkout and webhooks
+ */
+
+const createClient = () => {
+  if (!config.RAZORPAY.KEY_ID || !config.RAZORPAY.KEY_SECRET) return null;
+
+  const client = new Razorpay({ key_id: config.RAZORPAY.KEY_ID, key_secret: config.RAZORPAY.KEY_SECRET });
+  if (config.RAZORPAY.API_URL) {
+    // The SDK has no host option; its axios instance is the only place to point it at a stub
+    client.api.rq.defaults.baseURL = config.RAZORPAY.API_URL.replace(/\/+$/, '');
+  }
+  return client;
+};
+
+const razorpay = createClient();
+
+/**
+ * Whether Razorpay API keys are configured
+ * @returns {boolean} True when orders can be created against Razorpay (or its stub)
+ */
+export const isRazorpayConfigured = () => Boolean(razorpay);
+
+/**
+ * Create a Razorpay order to collect an amount
+ * @param {Object} params - Order parameters
+ * @param {number} params.amount - Amount in the smallest currency unit (paise)
+ * @param {string} params.currency - ISO currency code
+ * @param {string} params.receipt - Our reference (max 40 characters)
+ * @param {Object} params.notes - Key/value notes echoed back in webhooks
+ * @returns {Promise<Object>} { id, amount, currency }
+ */
+export const createRazorpayOrder = async ({ amount, currency = config.RAZORPAY.CURRENCY, receipt, notes = {} }) => {
+  const order = await razorpay.orders.create({
+    amount,
+    currency,
+    receipt: receipt ? String(receipt).slice(0, 40) : undefined,
+    notes
+  });
+  return { id: order.id, amount: order.amount, currency: order.currency };
+};
+
+/**
+ * Refund a captured Razorpay payment, in full or in part
+ * @param {string} paymentId - razorpay_payment_id
+ * @param {number} amount - Amount in paise; the whole payment when omitted
+ * @returns {Promise<Object>} { id, amount, status } ('pending' | 'processed' | 'failed')
+ */
+export const refundRazorpayPayment = async (paymentId, amount) => {
+  const refund = await razorpay.payments.refund(paymentId, amount ? { amount } : {});
+  return { id: refund.id, amount: refund.amount, status: refund.status };
+};
+
+/**
+ * Compare an expected HMAC with a received signature in constant time
+ * @param {string} expected - Hex digest we computed
+ * @param {string} received - Signature sent to us
+ * @returns {boolean} True if they match
+ */
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+/**
+ * Sign a payload with HMAC-SHA256, the scheme Razorpay uses for checkout and webhooks
+ * @param {string|Buffer} payload - Payload to sign
+ * @param {string} secret - Signing secret
+ * @returns {string} Hex digest
+ */
+export const signRazorpayPayload = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+/**
+ * Verify the signature the checkout hands back after a successful payment
+ * @param {string} orderId - razorpay_order_id
+ * @param {string} paymentId - razorpay_payment_id
+ * @param {string} signature - razorpay_signature
+ * @returns {boolean} True if the payment really came through our account
+ */
+export const verifyCheckoutSignature = (orderId, paymentId, signature) => {
+  if (!config.RAZORPAY.KEY_SECRET) return false;
+  return signaturesMatch(signRazorpayPayload(`${orderId}|${paymentId}`, config.RAZORPAY.KEY_SECRET), signature);
+};
+
+/**
+ * Verify a webhook's X-Razorpay-Signature against the raw request body
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signature - X-Razorpay-Signature header
+ * @returns {boolean} True if the webhook was signed with our webhook secret
+ */
+export const verifyWebhookSignature = (rawBody, signature) => {
+  if (!config.RAZORPAY.WEBHOOK_SECRET) return false;
+  return signaturesMatch(signRazorpayPayload(rawBody, config.RAZORPAY.WEBHOOK_SECRET), signature);
+};
+
+export default {
+  isRazorpayConfigured,
+  createRazorpayOrder,
+  refundRazorpayPayment,
+  signRazorpayPayload,
+  verifyCheckoutSignature,
+  verifyWebhookSignature
+};
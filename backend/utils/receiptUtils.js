@@ -0,0 +1,423 @@
+import PDFDocument from 'pdfkit';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import config from '../config/config.js';
+import { createTicket } from './escpos.js';
+import { generateInvoiceNumber, assignSequenceNumber } from './helperUtils.js';
+import { SETTLED_PAYMENT_STATUSES } from './billSplitUtils.js';
+
+/**
+ * Receipt Utilities
+ * An order's itemized receipt (a tax invoice when the restaurant has a tax registration), built once
+ * as plain data and rendered as HTML for the browser and email, or as a PDF to download or attach
+ */
+
+export const RECEIPT_FORMATS = ['html', 'pdf'];
+
+const toMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Give an order placed before invoice numbering (or whose numbering failed) its invoice number
+ * Only for staff actions and scripts/assignInvoiceNumbers.js; reading a receipt never numbers an order.
+ * @param {Object} order - Order document or object
+ * @returns {Promise<string|null>} The order's invoice number, or null while another request is still drawing it
+ */
+export const ensureInvoiceNumber = async (order) => {
+  if (order.invoiceNumber) return order.invoiceNumber;
+
+  const numbered = await assignSequenceNumber(Order, order._id, 'invoiceNumber', () => generateInvoiceNumber());
+  return numbered?.invoiceNumber || null;
+};
+
+// Unnumbered orders still get a receipt; staff number them when printing or emailing it
+const invoiceLabel = (receipt) => (receipt.invoiceNumber ? `Invoice ${receipt.invoiceNumber}` : 'Invoice not yet numbered');
+
+// "Size: Large (+20.00)" for each chosen option
+const describeOptions = (options = []) => options.map(option =>
+  `${option.groupName}: ${option.name}${option.priceDelta ? ` (${option.priceDelta > 0 ? '+' : ''}${option.priceDelta.toFixed(2)})` : ''}`
+);
+
+/**
+ * Everything printed on an order's receipt
+ * Read-only: an order without an invoice number gets a receipt without one (see ensureInvoiceNumber).
+ * @param {Object} order - Order with tableId, guestId and customerId populated
+ * @returns {Promise<Object>} Receipt data
+ */
+export const buildReceipt = async (order) => {
+  const invoiceNumber = order.invoiceNumber || null;
+  const shares = order.payment?.splitMode
+    ? await Payment.find({ orderId: order._id, status: 'paid' }).sort({ shareIndex: 1 }).lean()
+    : [];
+
+  // Orders from before breakdowns existed only have a total
+  const breakdown = order.breakdown || { taxMode: 'exclusive', subtotal: order.totals, discount: 0, taxes: [], taxTotal: 0, serviceCharge: 0, rounding: 0 };
+  const paid = SETTLED_PAYMENT_STATUSES.includes(order.payment?.status);
+  const tip = order.payment?.tip || 0;
+  const { RESTAURANT } = config;
+
+  return {
+    title: RESTAURANT.TAX_ID ? 'Tax Invoice' : 'Receipt',
+    restaurant: { name: RESTAURANT.NAME, address: RESTAURANT.ADDRESS, phone: RESTAURANT.PHONE, taxId: RESTAURANT.TAX_ID },
+    currency: RESTAURANT.CURRENCY,
+    timezone: RESTAURANT.TIMEZONE,
+    invoiceNumber,
+    orderNumber: order.orderNumber,
+    placedAt: order.createdAt,
+    table: order.tableId?.number ?? null,
+    customerName: order.guestId?.name || order.customerId?.name || '',
+    lines: order.items.map(line => ({
+      name: line.name,
+      options: describeOptions(line.options),
+      note: line.note || '',
+      qty: line.qty,
+      unitPrice: line.price,
+      amount: toMoney(line.price * line.qty),
+      discount: line.discount || 0
+    })),
+    breakdown: {
+      taxMode: breakdown.taxMode || 'exclusive',
+      subtotal: breakdown.subtotal,
+      discount: breakdown.discount || 0,
+      promotionCode: breakdown.promotion?.code || '',
+      taxes: breakdown.taxes || [],
+      taxTotal: breakdown.taxTotal || 0,
+      serviceChargeRate: breakdown.serviceChargeRate || 0,
+      serviceCharge: breakdown.serviceCharge || 0,
+      rounding: breakdown.rounding || 0,
+      total: order.totals
+    },
+    tip,
+    paid,
+    payment: {
+      status: order.payment?.status || 'pending',
+      method: order.payment?.method || '',
+      provider: order.payment?.provider || '',
+      paidAt: order.payment?.paidAt || null,
+      receiptNumber: order.payment?.receiptNumber || null
+    },
+    // A split bill was paid share by share, each with its own receipt number
+    shares: shares.map(share => ({
+      label: share.label,
+      method: share.method || '',
+      provider: share.provider || '',
+      amount: share.amount,
+      paidAt: share.paidAt,
+      receiptNumber: share.receiptNumber
+    })),
+    refunds: (order.refunds || [])
+      .filter(refund => refund.status !== 'failed')
+      .map(refund => ({ receiptNumber: refund.receiptNumber, amount: refund.amount, reason: refund.reason, at: refund.at })),
+    amountPaid: paid ? toMoney(order.totals + tip) : 0
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDateTime = (date, timeZone) => new Date(date).toLocaleString('en-GB', {
+  timeZone, day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+// How a payment was made, e.g. "Card (stripe)"
+const describeMethod = ({ method, provider }) => {
+  const name = method ? method.charAt(0).toUpperCase() + method.slice(1) : 'Paid';
+  return provider && provider !== method ? `${name} (${provider})` : name;
+};
+
+/**
+ * The receipt lines below the items, in order: [label, amount, { bold }]
+ * @param {Object} receipt - From buildReceipt
+ * @returns {Array} Rows
+ */
+const totalRows = (receipt) => {
+  const { breakdown } = receipt;
+  const rows = [['Subtotal', breakdown.subtotal]];
+  if (breakdown.discount) {
+    rows.push([`Discount${breakdown.promotionCode ? ` (${breakdown.promotionCode})` : ''}`, -breakdown.discount]);
+  }
+  if (breakdown.serviceCharge) rows.push([`Service charge (${breakdown.serviceChargeRate}%)`, breakdown.serviceCharge]);
+  breakdown.taxes.forEach(tax => {
+    rows.push([`${tax.name} ${tax.rate}%${tax.included ? ' (included)' : ''} on ${tax.taxableAmount.toFixed(2)}`, tax.amount]);
+  });
+  if (breakdown.rounding) rows.push(['Rounding', breakdown.rounding]);
+  rows.push(['Total', breakdown.total, { bold: true }]);
+  if (receipt.tip) {
+    rows.push(['Tip', receipt.tip]);
+    rows.push(['Total paid', receipt.amountPaid, { bold: true }]);
+  }
+  return rows;
+};
+
+/**
+ * Render the receipt as a standalone HTML page (also used as the email body)
+ * @param {Object} receipt - From buildReceipt
+ * @returns {string} HTML document
+ */
+export const renderReceiptHtml = (receipt) => {
+  const money = (value) => new Intl.NumberFormat('en-IN', { style: 'currency', currency: receipt.currency }).format(value || 0);
+  const { restaurant } = receipt;
+
+  const lines = receipt.lines.map(line => `
+        <tr>
+          <td>
+            ${escapeHtml(line.name)}
+            ${line.options.map(option => `<div class="muted">${escapeHtml(option)}</div>`).join('')}
+            ${line.note ? `<div class="muted">Note: ${escapeHtml(line.note)}</div>` : ''}
+          </td>
+          <td class="num">${line.qty}</td>
+          <td class="num">${money(line.unitPrice)}</td>
+          <td class="num">${money(line.amount)}</td>
+        </tr>`).join('');
+
+  const totals = totalRows(receipt).map(([label, amount, { bold } = {}]) => `
+        <tr${bold ? ' class="bold"' : ''}><td colspan="3">${escapeHtml(label)}</td><td class="num">${money(amount)}</td></tr>`).join('');
+
+  const payments = receipt.shares.length > 0
+    ? receipt.shares.map(share => `
+      <p>${escapeHtml(share.label)}: ${escapeHtml(describeMethod(share))} ${money(share.amount)}
+        <span class="muted">· ${escapeHtml(share.receiptNumber || '')} · ${escapeHtml(formatDateTime(share.paidAt, receipt.timezone))}</span></p>`).join('')
+    : receipt.paid
+      ? `<p>${escapeHtml(describeMethod(receipt.payment))} ${money(receipt.amountPaid)}
+        <span class="muted">· ${escapeHtml(receipt.payment.receiptNumber || '')}${receipt.payment.paidAt ? ` · ${escapeHtml(formatDateTime(receipt.payment.paidAt, receipt.timezone))}` : ''}</span></p>`
+      : '<p class="bold">Not paid yet</p>';
+
+  const refunds = receipt.refunds.map(refund => `
+      <p>Refund ${escapeHtml(refund.receiptNumber || '')}: ${money(-refund.amount)}
+        <span class="muted">· ${escapeHtml(refund.reason)} · ${escapeHtml(formatDateTime(refund.at, receipt.timezone))}</span></p>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(receipt.title)} ${escapeHtml(receipt.invoiceNumber || receipt.orderNumber)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; margin: 0; padding: 24px; }
+    .receipt { max-width: 420px; margin: 0 auto; }
+    h1 { font-size: 20px; margin: 0; text-align: center; }
+    h2 { font-size: 14px; margin: 16px 0 8px; text-align: center; color: #ea580c; letter-spacing: 1px; text-transform: uppercase; }
+    p { margin: 4px 0; font-size: 13px; }
+    .center { text-align: center; }
+    .muted { color: #6b7280; font-size: 12px; }
+    .bold { font-weight: bold; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 12px; }
+    th { text-align: left; border-bottom: 1px solid #d1d5db; padding: 4px 0; }
+    td { padding: 4px 0; vertical-align: top; }
+    .num { text-align: right; white-space: nowrap; padding-left: 8px; }
+    tbody.totals tr:first-child td { border-top: 1px solid #d1d5db; }
+    section { border-top: 1px dashed #d1d5db; margin-top: 12px; padding-top: 8px; }
+    @media print { body { padding: 0; } }
+  </style>
+</head>
+<body>
+  <div class="receipt">
+    <h1>${escapeHtml(restaurant.name)}</h1>
+    ${restaurant.address ? `<p class="center muted">${escapeHtml(restaurant.address)}</p>` : ''}
+    ${restaurant.phone ? `<p class="center muted">Phone ${escapeHtml(restaurant.phone)}</p>` : ''}
+    ${restaurant.taxId ? `<p class="center muted">Tax ID ${escapeHtml(restaurant.taxId)}</p>` : ''}
+    <h2>${escapeHtml(receipt.title)}</h2>
+    <p class="bold">${escapeHtml(invoiceLabel(receipt))}</p>
+    <p>Order ${escapeHtml(receipt.orderNumber)}${receipt.table !== null ? ` · Table ${escapeHtml(receipt.table)}` : ''}</p>
+    <p>${escapeHtml(formatDateTime(receipt.placedAt, receipt.timezone))}${receipt.customerName ? ` · ${escapeHtml(receipt.customerName)}` : ''}</p>
+    <table>
+      <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Price</th><th class="num">Amount</th></tr></thead>
+      <tbody>${lines}
+      </tbody>
+      <tbody class="totals">${totals}
+      </tbody>
+    </table>
+    ${receipt.breakdown.taxMode === 'inclusive' ? '<p class="muted">Prices include tax.</p>' : ''}
+    <section>${payments}${refunds}
+    </section>
+    <p class="center muted" style="margin-top: 16px">Thank you for dining with us!</p>
+  </div>
+</body>
+</html>
+`;
+};
+
+// Printed page layout (points): A5 keeps a receipt on one sheet
+const PAGE_MARGIN = 36;
+const BRAND_COLOR = '#EA580C';
+
+/**
+ * Render the receipt as a PDF
+ * Amounts are printed without a currency symbol, which the standard PDF fonts may not have; the
+ * currency is named under the items instead.
+ * @param {Object} receipt - From buildReceipt
+ * @returns {Promise<Buffer>} PDF document data
+ */
+export const generateReceiptPDF = (receipt) => {
+  const doc = new PDFDocument({ size: 'A5', margin: PAGE_MARGIN, info: { Title: `${receipt.title} ${receipt.invoiceNumber || receipt.orderNumber}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const money = (value) => (value || 0).toFixed(2);
+  const { restaurant } = receipt;
+
+  // Item, qty, price and amount columns
+  const columns = [0.52, 0.1, 0.19, 0.19].map(share => share * width);
+  const row = (cells, { bold = false, size = 9, color = '#1F2937' } = {}) => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - 20) doc.addPage();
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    let height = 0;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(color);
+    cells.forEach((cell, index) => {
+      // A cell spanning the columns before the amount is passed as null for the ones it covers
+      if (cell === null) return;
+      let cellWidth = columns[index];
+      for (let next = index + 1; next < cells.length && cells[next] === null; next++) cellWidth += columns[next];
+      const text = String(cell ?? '');
+      const options = { width: cellWidth - 4, align: index === 0 ? 'left' : 'right' };
+      doc.text(text, x, y, options);
+      height = Math.max(height, doc.heightOfString(text, options));
+      x += cellWidth;
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + height + 3;
+  };
+  const rule = (dash = false) => {
+    const y = doc.y + 2;
+    doc.save();
+    if (dash) doc.dash(3, { space: 3 });
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + width, y).lineWidth(0.5).strokeColor('#D1D5DB').stroke();
+    doc.restore();
+    doc.y = y + 6;
+  };
+  const centered = (text, { bold = false, size = 9, color = '#6B7280' } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(color)
+      .text(text, PAGE_MARGIN, doc.y, { width, align: 'center' });
+  };
+
+  centered(restaurant.name, { bold: true, size: 16, color: '#1F2937' });
+  if (restaurant.address) centered(restaurant.address);
+  if (restaurant.phone) centered(`Phone ${restaurant.phone}`);
+  if (restaurant.taxId) centered(`Tax ID ${restaurant.taxId}`);
+  doc.moveDown(0.6);
+  centered(receipt.title.toUpperCase(), { bold: true, size: 11, color: BRAND_COLOR });
+  doc.moveDown(0.6);
+
+  const placed = formatDateTime(receipt.placedAt, receipt.timezone);
+  row([invoiceLabel(receipt), null, placed, null], { bold: true });
+  row([`Order ${receipt.orderNumber}${receipt.table !== null ? ` · Table ${receipt.table}` : ''}`, null, receipt.customerName, null]);
+  doc.moveDown(0.4);
+
+  row(['Item', 'Qty', 'Price', 'Amount'], { bold: true });
+  rule();
+  receipt.lines.forEach(line => {
+    row([line.name, line.qty, money(line.unitPrice), money(line.amount)]);
+    line.options.forEach(option => row([`  ${option}`, '', '', ''], { size: 8, color: '#6B7280' }));
+    if (line.note) row([`  Note: ${line.note}`, '', '', ''], { size: 8, color: '#6B7280' });
+  });
+  rule();
+  totalRows(receipt).forEach(([label, amount, { bold } = {}]) => row([label, null, null, money(amount)], { bold }));
+  row([`Amounts in ${receipt.currency}${receipt.breakdown.taxMode === 'inclusive' ? '; prices include tax' : ''}`, null, null, ''], { size: 8, color: '#6B7280' });
+
+  rule(true);
+  if (receipt.shares.length > 0) {
+    receipt.shares.forEach(share => {
+      row([`${share.label}: ${describeMethod(share)}`, null, null, money(share.amount)]);
+      row([`  ${share.receiptNumber || ''} · ${formatDateTime(share.paidAt, receipt.timezone)}`, null, null, ''], { size: 8, color: '#6B7280' });
+    });
+  } else if (receipt.paid) {
+    row([describeMethod(receipt.payment), null, null, money(receipt.amountPaid)]);
+    const paidAt = receipt.payment.paidAt ? ` · ${formatDateTime(receipt.payment.paidAt, receipt.timezone)}` : '';
+    row([`  ${receipt.payment.receiptNumber || ''}${paidAt}`, null, null, ''], { size: 8, color: '#6B7280' });
+  } else {
+    row(['Not paid yet', null, null, ''], { bold: true });
+  }
+  receipt.refunds.forEach(refund => {
+    row([`Refund ${refund.receiptNumber || ''}: ${refund.reason}`, null, null, money(-refund.amount)]);
+  });
+
+  doc.moveDown(1);
+  centered('Thank you for dining with us!');
+
+  doc.end();
+  return finished;
+};
+
+/**
+ * Render the receipt as an ESC/POS ticket for a thermal printer
+ * Like the PDF, amounts carry no currency symbol.
+ * @param {Object} receipt - From buildReceipt
+ * @param {Object} options - Options
+ * @param {number} options.columns - Characters per line
+ * @returns {Buffer} ESC/POS bytes
+ */
+export const renderReceiptEscPos = (receipt, { columns = config.PRINTING.COLUMNS } = {}) => {
+  const money = (value) => (value || 0).toFixed(2);
+  const { restaurant } = receipt;
+  const ticket = createTicket({ columns });
+
+  ticket.align('center').size('large').bold().text(restaurant.name).size('normal').bold(false);
+  if (restaurant.address) ticket.text(restaurant.address);
+  if (restaurant.phone) ticket.text(`Phone ${restaurant.phone}`);
+  if (restaurant.taxId) ticket.text(`Tax ID ${restaurant.taxId}`);
+  ticket.feed(1).bold().text(receipt.title.toUpperCase()).bold(false).align('left').feed(1);
+
+  ticket
+    .row(invoiceLabel(receipt), formatDateTime(receipt.placedAt, receipt.timezone))
+    .row(`Order ${receipt.orderNumber}`, receipt.table !== null ? `Table ${receipt.table}` : '');
+  if (receipt.customerName) ticket.text(receipt.customerName);
+  ticket.divider();
+
+  receipt.lines.forEach(line => {
+    ticket.row(`${line.qty} x ${line.name}`, money(line.amount));
+    if (line.qty > 1) ticket.text(`@ ${money(line.unitPrice)}`, 4);
+    line.options.forEach(option => ticket.text(option, 4));
+    if (line.note) ticket.text(`Note: ${line.note}`, 4);
+  });
+  ticket.divider();
+
+  totalRows(receipt).forEach(([label, amount, { bold } = {}]) => {
+    if (bold) ticket.bold();
+    ticket.row(label, money(amount));
+    if (bold) ticket.bold(false);
+  });
+  ticket.text(`Amounts in ${receipt.currency}${receipt.breakdown.taxMode === 'inclusive' ? '; prices include tax' : ''}`);
+  ticket.divider();
+
+  if (receipt.shares.length > 0) {
+    receipt.shares.forEach(share => {
+      ticket.row(`${share.label}: ${describeMethod(share)}`, money(share.amount));
+      ticket.text(`${share.receiptNumber || ''} ${formatDateTime(share.paidAt, receipt.timezone)}`, 2);
+    });
+  } else if (receipt.paid) {
+    ticket.row(describeMethod(receipt.payment), money(receipt.amountPaid));
+    const paidAt = receipt.payment.paidAt ? ` ${formatDateTime(receipt.payment.paidAt, receipt.timezone)}` : '';
+    ticket.text(`${receipt.payment.receiptNumber || ''}${paidAt}`, 2);
+  } else {
+    ticket.bold().row('Amount due', money(receipt.breakdown.total)).bold(false);
+  }
+  receipt.refunds.forEach(refund => {
+    ticket.row(`Refund ${refund.receiptNumber || ''}: ${refund.reason}`, money(-refund.amount));
+  });
+
+  return ticket
+    .feed(1)
+    .align('center')
+    .text('Thank you for dining with us!')
+    .feed(3)
+    .cut()
+    .toBuffer();
+};
+
+export default {
+  RECEIPT_FORMATS,
+  ensureInvoiceNumber,
+  buildReceipt,
+  renderReceiptHtml,
+  generateReceiptPDF,
+  renderReceiptEscPos
+};
@@ -0,0 +1,359 @@
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { roundMoney } from './orderPricing.js';
+import { generateReceiptNumber } from './helperUtils.js';
+import { ORDER_EVENTS, publishOrderEvent } from './orderEvents.js';
+import { getProvider } from './paymentProviders/index.js';
+
+/**
+ * Refund Utilities
+ * Refunds an order's payments through their providers and keeps the order's refund entries and status in step
+ */
+
+// Payment statuses an unsplit order can be refunded from
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// Payments taken at the counter (manual, or before providers were recorded) are handed back in cash
+const refundProviderFor = (name) => getProvider(name) || getProvider('cash');
+
+// Refunds are numbered in their own sequence (RFD-...), apart from payment receipts
+const REFUND_PREFIX = 'RFD';
+
+const sumMoney = (values) => roundMoney(values.reduce((sum, value) => sum + value, 0));
+
+// What a line cost after its promotion discount, e.g. the free unit of a buy-x-get-y
+const lineNet = (line) => Math.max(0, line.price * line.qty - (line.discount || 0));
+
+/**
+ * The payments money was collected through: each paid share of a split bill, or the order itself
+ * @param {Object} order - Order document
+ * @returns {Promise<Array>} [{ share, provider, reference, providerData, paid, refunded, lineIndexes }]
+ */
+export const getRefundSources = async (order) => {
+  if (order.payment?.splitMode) {
+    const shares = await Payment.find({ orderId: order._id, status: 'paid' }).sort({ shareIndex: 1 });
+    return shares.map(share => ({
+      share,
+      provider: share.provider,
+      reference: share.reference,
+      providerData: share.providerData || {},
+      paid: share.amount,
+      refunded: share.refundedAmount || 0,
+      lineIndexes: share.lineIndexes || []
+    }));
+  }
+
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.payment?.status)) return [];
+  return [{
+    share: null,
+    provider: order.payment.provider,
+    reference: order.payment.reference,
+    providerData: order.payment.providerData || {},
+    paid: order.totals,
+    refunded: order.payment.refundedAmount || 0,
+    lineIndexes: []
+  }];
+};
+
+/**
+ * How many of each line were already refunded
+ * @param {Object} order - Order document
+ * @returns {Map<number, number>} lineIndex -> quantity
+ */
+export const getRefundedQuantities = (order) => {
+  const quantities = new Map();
+  (order.refunds || [])
+    .filter(refund => refund.status !== 'failed')
+    .forEach(refund => refund.items.forEach(({ lineIndex, qty }) => {
+      quantities.set(lineIndex, (quantities.get(lineIndex) || 0) + qty);
+    }));
+  return quantities;
+};
+
+/**
+ * Work out what a refund request is worth
+ * A line is worth what the guest paid for it: its total after its promotion discount (as in LINE_REVENUE),
+ * spread evenly over its units and scaled by the order total over those line totals, so tax and service
+ * charge come back with it.
+ * @param {Object} order - Order document
+ * @param {Object} request - { amount } or { items: [{ lineIndex, qty }] }
+ * @returns {Object} { amount, items } or { error }
+ */
+export const buildRefundRequest = (order, { amount, items = [] }) => {
+  if (items.length > 0 && amount !== undefined && amount !== null) {
+    return { error: 'Refund either an amount or items, not both' };
+  }
+
+  if (items.length > 0) {
+    const subtotal = order.items.reduce((sum, line) => sum + lineNet(line), 0);
+    const scale = subtotal > 0 ? order.totals / subtotal : 0;
+    const refunded = getRefundedQuantities(order);
+    const seen = new Set();
+    const lines = [];
+
+    for (const { lineIndex, qty } of items) {
+      const line = order.items[lineIndex];
+      if (!line) return { error: `Item ${lineIndex} is not on this order` };
+      if (seen.has(lineIndex)) return { error: `Item ${lineIndex} is listed more than once` };
+      seen.add(lineIndex);
+
+      const left = line.qty - (refunded.get(lineIndex) || 0);
+      if (qty > left) {
+        return { error: left > 0 ? `Only ${left} x ${line.name} can still be refunded` : `${line.name} was already refunded` };
+      }
+      lines.push({ lineIndex, qty, amount: roundMoney((lineNet(line) / line.qty) * qty * scale) });
+    }
+
+    return { amount: sumMoney(lines.map(line => line.amount)), items: lines };
+  }
+
+  const value = roundMoney(parseFloat(amount));
+  if (Number.isNaN(value) || value <= 0) {
+    return { error: 'Refund amount must be greater than 0' };
+  }
+  return { amount: value, items: [] };
+};
+
+/**
+ * Spread a refund over the payments that took the money
+ * Shares that paid for the refunded lines are refunded first.
+ * @param {Array} sources - From getRefundSources
+ * @param {number} amount - Amount to refund
+ * @param {Array} items - Refunded lines
+ * @returns {Array} [{ source, amount }]
+ */
+const allocateRefund = (sources, amount, items) => {
+  const lineIndexes = new Set(items.map(item => item.lineIndex));
+  const covers = (source) => (source.lineIndexes.some(index => lineIndexes.has(index)) ? 1 : 0);
+  const ordered = [...sources].sort((a, b) => covers(b) - covers(a));
+
+  let remaining = Math.round(amount * 100);
+  const parts = [];
+  for (const source of ordered) {
+    const available = Math.round((source.paid - source.refunded) * 100);
+    const take = Math.min(available, remaining);
+    if (take > 0) {
+      parts.push({ source, amount: take / 100 });
+      remaining -= take;
+    }
+    if (remaining <= 0) break;
+  }
+  return parts;
+};
+
+/**
+ * Overall status of a refund entry from its provider calls
+ * @param {Array} transactions - Refund transactions
+ * @returns {string} 'succeeded' | 'pending' | 'partial' | 'failed'
+ */
+const refundEntryStatus = (transactions) => {
+  const failed = transactions.filter(t => t.status === 'failed').length;
+  if (failed === transactions.length) return 'failed';
+  if (failed > 0) return 'partial';
+  return transactions.some(t => t.status === 'pending') ? 'pending' : 'succeeded';
+};
+
+/**
+ * Set the order's payment status from how much was refunded: partially_refunded or refunded
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} Updated order
+ */
+export const syncRefundStatus = async (order) => {
+  const sources = await getRefundSources(order);
+  const paidTotal = order.payment?.splitMode ? sumMoney(sources.map(source => source.paid)) : order.totals;
+  const refunded = roundMoney(order.payment?.refundedAmount || 0);
+
+  let status = order.payment?.status;
+  if (refunded > 0) {
+    status = refunded >= paidTotal - 0.005 ? 'refunded' : 'partially_refunded';
+  }
+
+  let updatedOrder = order;
+  if (status !== order.payment?.status) {
+    updatedOrder = await Order.findByIdAndUpdate(
+      order._id,
+      { $set: { 'payment.status': status, ...(status === 'refunded' && { 'payment.refundedAt': new Date() }) } },
+      { new: true, runValidators: false }
+    );
+  }
+
+  publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, updatedOrder);
+  return updatedOrder;
+};
+
+/**
+ * Refund an amount or specific lines of an order through the payment provider(s)
+ * The amount is reserved on the order before any provider is called, so concurrent refunds
+ * can never return more than was paid; whatever a provider fails to refund is released again.
+ * @param {Object} order - Order document
+ * @param {Object} request - { amount } or { items: [{ lineIndex, qty }] }
+ * @param {Object} details - { reason, actor: { actorId, role } }
+ * @returns {Promise<Object>} { order, refund } or { error, statusCode }
+ */
+export const issueRefund = async (order, request, { reason, actor = {} }) => {
+  if (order.payment?.status === 'refunded') {
+    return { error: 'This order was already refunded in full', statusCode: 409 };
+  }
+
+  const built = buildRefundRequest(order, request);
+  if (built.error) return { error: built.error, statusCode: 400 };
+
+  const sources = await getRefundSources(order);
+  const paidTotal = sumMoney(sources.map(source => source.paid));
+  if (paidTotal <= 0) {
+    return { error: 'Nothing has been paid on this order yet', statusCode: 409 };
+  }
+
+  const refundable = sumMoney(sources.map(source => source.paid - source.refunded));
+  if (built.amount > refundable + 0.001) {
+    return { error: `Only ${refundable.toFixed(2)} can still be refunded`, statusCode: 400 };
+  }
+
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $or: [
+        { 'payment.refundedAmount': { $lte: roundMoney(paidTotal - built.amount) } },
+        { 'payment.refundedAmount': { $exists: false } }
+      ]
+    },
+    { $inc: { 'payment.refundedAmount': built.amount } },
+    { new: true, runValidators: false }
+  );
+  if (!reserved) {
+    return { error: 'This order was refunded in the meantime, reload it and try again', statusCode: 409 };
+  }
+
+  const transactions = [];
+  for (const { source, amount } of allocateRefund(sources, built.amount, built.items)) {
+    const provider = refundProviderFor(source.provider);
+    const transaction = {
+      shareId: source.share?._id || null,
+      provider: provider.name,
+      reference: source.reference,
+      amount,
+      status: 'pending'
+    };
+
+    // Reserve on the share too; the provider's webhook can arrive before this call returns
+    if (source.share) await Payment.updateOne({ _id: source.share._id }, { $inc: { refundedAmount: amount } });
+
+    try {
+      const result = await provider.refundPayment({
+        reference: source.reference,
+        providerData: source.providerData,
+        amount: Math.round(amount * 100)
+      });
+      if (result.error) {
+        transaction.status = 'failed';
+        transaction.error = result.error;
+      } else {
+        transaction.status = result.status;
+        transaction.providerRefundId = result.refundId;
+      }
+    } catch (err) {
+      console.error(`${provider.name} refund failed for order ${order._id}:`, err.message);
+      transaction.status = 'failed';
+      transaction.error = err.message;
+    }
+
+    if (transaction.status === 'failed' && source.share) {
+      await Payment.updateOne({ _id: source.share._id }, { $inc: { refundedAmount: -amount } });
+    }
+    transactions.push(transaction);
+  }
+
+  const failedAmount = sumMoney(transactions.filter(t => t.status === 'failed').map(t => t.amount));
+  const status = refundEntryStatus(transactions);
+  const refund = {
+    // Only money that went back gets a number; a refund that failed everywhere is kept for the record only
+    receiptNumber: status === 'failed' ? null : await generateReceiptNumber(REFUND_PREFIX),
+    amount: built.amount,
+    items: built.items,
+    reason,
+    status,
+    transactions,
+    actor: actor.actorId || null,
+    role: ['admin', 'staff'].includes(actor.role) ? actor.role : 'system',
+    at: new Date()
+  };
+
+  const recorded = await Order.findByIdAndUpdate(
+    order._id,
+    { $push: { refunds: refund }, $inc: { 'payment.refundedAmount': -failedAmount } },
+    { new: true, runValidators: false }
+  );
+  const updatedOrder = await syncRefundStatus(recorded);
+
+  return { order: updatedOrder, refund: updatedOrder.refunds[updatedOrder.refunds.length - 1] };
+};
+
+/**
+ * Record a refund reported by a provider webhook
+ * Refunds we issued are matched by their provider refund id; anything else was made at the provider
+ * (e.g. its dashboard) and is added as its own entry.
+ * @param {Object} params - { order, share, provider, reference, providerData, amountRefunded }
+ * @param {number} params.amountRefunded - Total refunded on that payment so far, when the provider says
+ * @returns {Promise<Object>} { order }
+ */
+export const recordProviderRefund = async ({ order, share, provider, reference, providerData = {}, amountRefunded }) => {
+  if (!order) return { order: null };
+
+  const refundId = providerData.refundId;
+  const entry = refundId && order.refunds.find(refund => refund.transactions.some(t => t.providerRefundId === refundId));
+  if (entry) {
+    const transaction = entry.transactions.find(t => t.providerRefundId === refundId);
+    if (transaction.status !== 'pending') return { order };
+
+    transaction.status = 'refunded';
+    entry.status = refundEntryStatus(entry.transactions);
+    await order.save();
+    publishOrderEvent(ORDER_EVENTS.PAYMENT_CHANGED, order);
+    return { order };
+  }
+
+  // Without a total from the provider, assume the whole payment was refunded
+  const sourcePaid = share ? share.amount : order.totals;
+  const sourceRefunded = share ? share.refundedAmount || 0 : order.payment?.refundedAmount || 0;
+  const total = amountRefunded !== undefined && amountRefunded !== null ? amountRefunded : sourcePaid;
+  const amount = roundMoney(Math.min(total, sourcePaid) - sourceRefunded);
+  if (amount <= 0) return { order };
+
+  if (share) await Payment.updateOne({ _id: share._id }, { $inc: { refundedAmount: amount } });
+
+  const recorded = await Order.findByIdAndUpdate(
+    order._id,
+    {
+      $push: {
+        refunds: {
+          receiptNumber: await generateReceiptNumber(REFUND_PREFIX),
+          amount,
+          reason: 'Refunded at the payment provider',
+          status: 'succeeded',
+          transactions: [{
+            shareId: share?._id || null,
+            provider,
+            reference,
+            providerRefundId: refundId,
+            amount,
+            status: 'refunded'
+          }],
+          role: 'system',
+          at: new Date()
+        }
+      },
+      $inc: { 'payment.refundedAmount': amount }
+    },
+    { new: true, runValidators: false }
+  );
+  return { order: await syncRefundStatus(recorded) };
+};
+
+export default {
+  getRefundSources,
+  getRefundedQuantities,
+  buildRefundRequest,
+  syncRefundStatus,
+  issueRefund,
+  recordProviderRefund
+};
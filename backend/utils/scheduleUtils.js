@@ -0,0 +1,151 @@
+import config from '../config/config.js';
+
+/**
+ * Schedule Utilities
+ * Weekly time windows ({ days, start, end }) checked against the restaurant's local time,
+ * whatever time zone the server runs in.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Check a "HH:mm" time of day
+ * @param {string} value - Time to check
+ * @returns {boolean} True when valid
+ */
+export const isTimeOfDay = (value) => TIME_OF_DAY.test(value);
+
+/**
+ * Minutes since midnight of a "HH:mm" time of day
+ * @param {string} value - Time of day
+ * @returns {number} Minutes (0-1439)
+ */
+const toMinutes = (value) => {
+  const [, hours, minutes] = TIME_OF_DAY.exec(value);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+/**
+ * Day of week and time of day of a moment in the restaurant's time zone
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { day (0 = Sunday), minutes since midnight }
+ */
+export const getLocalTime = (date = new Date(), timeZone = config.RESTAURANT.TIMEZONE) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+/**
+ * Check an IANA time zone name, e.g. "Asia/Kolkata"
+ * @param {string} value - Time zone to check
+ * @returns {boolean} True when the runtime knows it
+ */
+export const isTimeZone = (value) => {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Calendar date of a moment in a time zone
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const getLocalDate = (date = new Date(), timeZone = config.RESTAURANT.TIMEZONE) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+/**
+ * Move a "YYYY-MM-DD" date by whole days
+ * @param {string} day - Calendar date
+ * @param {number} count - Days to add (negative to go back)
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const addDays = (day, count) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + count)).toISOString().slice(0, 10);
+};
+
+/**
+ * How far a time zone is ahead of UTC at a moment, in milliseconds
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, parseInt(part.value, 10)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * The moment a calendar day starts in a time zone, or an hour of it (e.g. a business day cutoff)
+ * @param {string} day - "YYYY-MM-DD"
+ * @param {string} timeZone - IANA time zone
+ * @param {number} hour - Local hour of the day (default: 0, midnight)
+ * @returns {Date} Local midnight, or that hour
+ */
+export const startOfLocalDay = (day, timeZone = config.RESTAURANT.TIMEZONE, hour = 0) => {
+  const localAsUtc = Date.parse(`${day}T00:00:00Z`) + hour * 60 * 60 * 1000;
+  const guess = localAsUtc - getTimeZoneOffset(new Date(localAsUtc), timeZone);
+  // Check the offset again at the guess, which differs when a DST change falls in between
+  return new Date(localAsUtc - getTimeZoneOffset(new Date(guess), timeZone));
+};
+
+/**
+ * Whether a local time falls inside one window
+ * A window ending before it starts runs past midnight: "22:00"-"02:00" on Friday covers early Saturday too.
+ * @param {Object} window - { days: [0-6], start: "HH:mm", end: "HH:mm" }; no days means every day
+ * @param {Object} local - { day, minutes } from getLocalTime
+ * @returns {boolean} True when inside
+ */
+const isWithinWindow = (window, { day, minutes }) => {
+  const onDay = (d) => !window.days?.length || window.days.includes(d);
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (start < end) return onDay(day) && minutes >= start && minutes < end;
+  return (onDay(day) && minutes >= start) || (onDay((day + 6) % 7) && minutes < end);
+};
+
+/**
+ * Whether a moment falls inside a schedule
+ * @param {Array} schedule - Windows ({ days, start, end }); an empty schedule is always open
+ * @param {Date} date - Moment to check
+ * @returns {boolean} True when open
+ */
+export const isWithinSchedule = (schedule = [], date = new Date()) => {
+  if (!schedule || schedule.length === 0) return true;
+  const local = getLocalTime(date);
+  return schedule.some(window => isWithinWindow(window, local));
+};
+
+export default {
+  isTimeOfDay,
+  getLocalTime,
+  isTimeZone,
+  getLocalDate,
+  addDays,
+  startOfLocalDay,
+  isWithinSchedule
+};
@@ -0,0 +1,45 @@
+/**
+ * Server-Sent Events Utilities
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Open a Server-Sent Events stream on the response
+ * Keeps the connection alive with comment heartbeats and cleans up when the client disconnects
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} onClose - Called once when the client disconnects
+ * @returns {Function} send(event, data) - Writes a named event with a JSON payload
+ */
+export const openEventStream = (req, res, onClose = () => {}) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Tell EventSource how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+
+  return (event, data) => {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+};
+
+export default {
+  openEventStream
+};
@@ -0,0 +1,127 @@
+import Table from '../models/Table.js';
+import TableSession from '../models/TableSession.js';
+import Order from '../models/Order.js';
+import Customer from '../models/Customer.js';
+import { roundMoney } from './orderPricing.js';
+import { SETTLED_PAYMENT_STATUSES } from './billSplitUtils.js';
+
+/**
+ * Table Session Utilities
+ * A table session spans one visit: every guest and order at the table until staff close it.
+ */
+
+/**
+ * Get the open session for a table, if any
+ * @param {string} tableId - Table id
+ * @returns {Promise<Object|null>} Open TableSession or null
+ */
+export const getOpenTableSession = (tableId) => {
+  return TableSession.findOne({ tableId, status: 'open' });
+};
+
+/**
+ * Get the open session for a table, opening one if the table is free
+ * @param {string} tableId - Table id
+ * @returns {Promise<Object|null>} Open TableSession, or null if the table doesn't exist
+ */
+export const openTableSession = async (tableId) => {
+  const existing = await getOpenTableSession(tableId);
+  if (existing) return existing;
+
+  const tableExists = await Table.exists({ _id: tableId });
+  if (!tableExists) return null;
+
+  try {
+    return await TableSession.create({ tableId });
+  } catch (err) {
+    // Two guests scanned at the same moment; the unique index let only one session through
+    if (err.code !== 11000) throw err;
+    return getOpenTableSession(tableId);
+  }
+};
+
+/**
+ * Get the ids of tables that currently have an open session
+ * @returns {Promise<Map>} tableId string → open session id
+ */
+export const getOpenSessionsByTable = async () => {
+  const sessions = await TableSession.find({ status: 'open' }).select('tableId');
+  return new Map(sessions.map(s => [s.tableId.toString(), s._id]));
+};
+
+/**
+ * Calculate the running bill for a session's orders
+ * Canceled orders are not billed. Refunded orders still count as paid; the money returned is
+ * reported apart, so refunds never show up as an amount the table still owes.
+ * @param {Array} orders - Orders placed during the session
+ * @returns {Object} { orderCount, total, paid, refunded, due, unpaidOrders }
+ */
+export const calculateSessionBill = (orders = []) => {
+  const billable = orders.filter(o => o.status !== 'canceled');
+  const isSettled = o => SETTLED_PAYMENT_STATUSES.includes(o.payment?.status);
+  const total = billable.reduce((sum, o) => sum + (o.totals || 0), 0);
+  const settled = billable.filter(isSettled);
+  const paid = settled.reduce((sum, o) => sum + (o.totals || 0), 0);
+  const refunded = settled.reduce((sum, o) => sum + (o.payment?.refundedAmount || 0), 0);
+
+  return {
+    orderCount: billable.length,
+    total: roundMoney(total),
+    paid: roundMoney(paid),
+    refunded: roundMoney(refunded),
+    due: roundMoney(total - paid),
+    unpaidOrders: billable.filter(o => !isSettled(o)).map(o => o._id)
+  };
+};
+
+/**
+ * Close a table session and free the table
+ * Refuses while orders are unpaid unless forced.
+ * @param {string} sessionId - TableSession id
+ * @param {Object} actor - { actorId, note }
+ * @param {Object} options - { force }
+ * @returns {Promise<Object>} { session, bill } on success, or { error, statusCode, bill }
+ */
+export const closeTableSession = async (sessionId, { actorId = null, note = '' } = {}, { force = false } = {}) => {
+  const session = await TableSession.findById(sessionId);
+  if (!session) {
+    return { error: 'Table session not found', statusCode: 404 };
+  }
+  if (session.status !== 'open') {
+    return { error: 'Table session is already closed', statusCode: 409 };
+  }
+
+  const orders = await Order.find({ _id: { $in: session.orders } }).select('totals status payment');
+  const bill = calculateSessionBill(orders);
+
+  if (bill.unpaidOrders.length > 0 && !force) {
+    return {
+      error: `Table still has ${bill.unpaidOrders.length} unpaid order(s)`,
+      statusCode: 409,
+      bill
+    };
+  }
+
+  const closedSession = await TableSession.findOneAndUpdate(
+    { _id: sessionId, status: 'open' },
+    { $set: { status: 'closed', closedAt: new Date(), closedBy: actorId, closeNote: note } },
+    { new: true }
+  );
+
+  if (!closedSession) {
+    return { error: 'Table session was closed by someone else', statusCode: 409 };
+  }
+
+  // Guests' session tokens stop working once the visit is over
+  await Customer.updateMany({ _id: { $in: closedSession.customers } }, { $set: { isActive: false } });
+
+  return { session: closedSession, bill };
+};
+
+export default {
+  getOpenTableSession,
+  openTableSession,
+  getOpenSessionsByTable,
+  calculateSessionBill,
+  closeTableSession
+};
@@ -1,5 +1,7 @@
 import validator from 'validator';
 import { body, validationResult } from 'express-validator';
+import { isTimeOfDay } from './scheduleUtils.js';
+import { lowestOptionsDelta } from './orderPricing.js';
 
 /**
  * Input Validation Utilities
@@ -204,6 +206,88 @@ export const isValidTags = (tags) => {
   );
 };
 
+/**
+ * Validate menu item option groups, for use in express-validator .custom()
+ * When the request also sends a price, no choice of options may take the item below 0.
+ * @param {Array} groups - Option groups ({ name, minSelect, maxSelect, options: [{ name, priceDelta }] })
+ * @param {Object} meta - express-validator meta ({ req })
+ * @returns {boolean} True if groups are valid
+ * @throws {Error} Describing the first invalid group or option
+ */
+export const checkOptionGroups = (groups, { req } = {}) => {
+  if (!Array.isArray(groups)) throw new Error('Option groups must be an array');
+  if (groups.length > 10) throw new Error('Maximum 10 option groups allowed');
+
+  groups.forEach((group, g) => {
+    const label = `Option group ${g + 1}`;
+    if (!group || typeof group.name !== 'string' || !group.name.trim()) {
+      throw new Error(`${label} must have a name`);
+    }
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      throw new Error(`${label} must have at least one option`);
+    }
+    if (group.options.length > 30) {
+      throw new Error(`${label} can have at most 30 options`);
+    }
+
+    const minSelect = group.minSelect === undefined ? 0 : Number(group.minSelect);
+    const maxSelect = group.maxSelect === undefined ? 1 : Number(group.maxSelect);
+    if (!Number.isInteger(minSelect) || minSelect < 0) {
+      throw new Error(`${label}: minSelect must be a whole number of 0 or more`);
+    }
+    if (!Number.isInteger(maxSelect) || maxSelect < 1) {
+      throw new Error(`${label}: maxSelect must be a whole number of 1 or more`);
+    }
+    if (minSelect > maxSelect) {
+      throw new Error(`${label}: minSelect cannot be greater than maxSelect`);
+    }
+    if (minSelect > group.options.length) {
+      throw new Error(`${label}: minSelect cannot exceed the number of options`);
+    }
+
+    group.options.forEach((option, o) => {
+      if (!option || typeof option.name !== 'string' || !option.name.trim()) {
+        throw new Error(`${label}, option ${o + 1} must have a name`);
+      }
+      if (option.priceDelta !== undefined && (Number.isNaN(Number(option.priceDelta)) || Math.abs(Number(option.priceDelta)) > 999999.99)) {
+        throw new Error(`${label}, option ${o + 1}: priceDelta must be a number`);
+      }
+    });
+  });
+
+  const price = parseFloat(req?.body?.price);
+  if (!Number.isNaN(price) && price + lowestOptionsDelta(groups) < 0) {
+    throw new Error(`Options can take the price below 0 (down to ${(price + lowestOptionsDelta(groups)).toFixed(2)})`);
+  }
+
+  return true;
+};
+
+/**
+ * Validate a weekly schedule, for use in express-validator .custom()
+ * @param {Array} schedule - Windows ({ days: [0-6], start: "HH:mm", end: "HH:mm" })
+ * @returns {boolean} True if the schedule is valid
+ * @throws {Error} Describing the first invalid window
+ */
+export const checkSchedule = (schedule) => {
+  if (!Array.isArray(schedule) || schedule.length > 14) {
+    throw new Error('Schedule must be an array of at most 14 windows');
+  }
+  schedule.forEach((window, index) => {
+    if (!isTimeOfDay(window?.start) || !isTimeOfDay(window?.end)) {
+      throw new Error(`Schedule window ${index + 1} needs start and end times as HH:mm`);
+    }
+    if (window.start === window.end) {
+      throw new Error(`Schedule window ${index + 1} must end at a different time than it starts`);
+    }
+    const days = window.days || [];
+    if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error(`Schedule window ${index + 1} days must be numbers from 0 (Sunday) to 6`);
+    }
+  });
+  return true;
+};
+
 /**
  * Express-validator middleware for user registration
  */
@@ -377,6 +461,8 @@ export default {
   isValidName,
   isValidDescription,
   isValidTags,
+  checkOptionGroups,
+  checkSchedule,
   validateUserRegistration,
   validateUserLogin,
   validateMenuItem,
@@ -0,0 +1,493 @@
+import PDFDocument from 'pdfkit';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import config from '../config/config.js';
+import { toCsv } from './csvUtils.js';
+import { getLocalDate, addDays, startOfLocalDay } from './scheduleUtils.js';
+import { SETTLED_PAYMENT_STATUSES } from './billSplitUtils.js';
+
+/**
+ * Z Report Utilities
+ * The end-of-day close for one business day in the restaurant's time zone. A business day runs from
+ * the cutoff hour to the same hour next day, so sales after midnight still count towards the night
+ * they belong to. Sales are taken from the orders placed that day; payments, refunds and
+ * cancellations from when they happened.
+ */
+
+export const Z_REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+const toMoney = (value) => Math.round((value || 0) * 100) / 100;
+const sumMoney = (values) => toMoney(values.reduce((sum, value) => sum + (value || 0), 0));
+
+// Manual payments don't always record how the guest paid or through which provider
+const NOT_RECORDED = 'not recorded';
+
+/**
+ * Work out the business day to report on
+ * @param {Object} query - { date: "YYYY-MM-DD", cutoffHour: 0-23 }; defaults to the day in progress
+ * @param {Date} now - Current time
+ * @returns {Object} { businessDate, timeZone, cutoffHour, start, end, complete } or { error, statusCode }
+ */
+export const resolveBusinessDay = ({ date, cutoffHour } = {}, now = new Date()) => {
+  const timeZone = config.RESTAURANT.TIMEZONE;
+  const hour = cutoffHour === undefined || cutoffHour === null || cutoffHour === ''
+    ? config.REPORTS.BUSINESS_DAY_CUTOFF_HOUR
+    : Number(cutoffHour);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    return { error: 'cutoffHour must be a whole hour from 0 to 23', statusCode: 400 };
+  }
+
+  // Before the cutoff, the night before is still going
+  let today = getLocalDate(now, timeZone);
+  if (now < startOfLocalDay(today, timeZone, hour)) today = addDays(today, -1);
+
+  const businessDate = date || today;
+  if (businessDate > today) {
+    return { error: 'That business day has not started yet', statusCode: 400 };
+  }
+
+  const start = startOfLocalDay(businessDate, timeZone, hour);
+  const end = startOfLocalDay(addDays(businessDate, 1), timeZone, hour);
+  return { businessDate, timeZone, cutoffHour: hour, start, end, complete: now >= end };
+};
+
+const inDay = (date, { start, end }) => date && date >= start && date < end;
+
+// Who did something, as printed on the report
+const describeActor = (actor, role) => ({
+  id: actor?._id || actor || null,
+  name: actor?.name || '',
+  role: role || 'system'
+});
+
+/**
+ * Sales of the orders placed during the day, canceled ones left out
+ * @param {Array} orders - Orders placed that day
+ * @returns {Object} { grossSales, discounts, netSales, serviceCharge, taxes, taxTotal, rounding, total, itemsSold }
+ */
+const summarizeSales = (orders) => {
+  const taxes = new Map();
+  let grossSales = 0;
+  let discounts = 0;
+  let serviceCharge = 0;
+  let taxTotal = 0;
+  let rounding = 0;
+  let total = 0;
+  let itemsSold = 0;
+
+  orders.forEach(order => {
+    // Orders from before breakdowns existed only have a total
+    const breakdown = order.breakdown || { subtotal: order.totals, discount: 0, taxes: [], taxTotal: 0, serviceCharge: 0, rounding: 0 };
+    grossSales += breakdown.subtotal;
+    discounts += breakdown.discount || 0;
+    serviceCharge += breakdown.serviceCharge || 0;
+    taxTotal += breakdown.taxTotal || 0;
+    rounding += breakdown.rounding || 0;
+    total += order.totals;
+    itemsSold += order.items.reduce((sum, line) => sum + line.qty, 0);
+
+    (breakdown.taxes || []).forEach(tax => {
+      const key = `${tax.name}@${tax.rate}@${tax.included}`;
+      const line = taxes.get(key) || { name: tax.name, rate: tax.rate, included: tax.included, taxableAmount: 0, amount: 0 };
+      line.taxableAmount += tax.taxableAmount;
+      line.amount += tax.amount;
+      taxes.set(key, line);
+    });
+  });
+
+  return {
+    grossSales: toMoney(grossSales),
+    discounts: toMoney(discounts),
+    // Food and drink sold, after discounts and before tax and service charge, whichever the tax mode
+    netSales: toMoney(total - taxTotal - serviceCharge - rounding),
+    serviceCharge: toMoney(serviceCharge),
+    taxes: [...taxes.values()]
+      .map(tax => ({ ...tax, taxableAmount: toMoney(tax.taxableAmount), amount: toMoney(tax.amount) }))
+      .sort((a, b) => a.name.localeCompare(b.name) || a.rate - b.rate),
+    taxTotal: toMoney(taxTotal),
+    rounding: toMoney(rounding),
+    total: toMoney(total),
+    itemsSold
+  };
+};
+
+/**
+ * Build the Z report for a business day
+ * @param {Object} day - From resolveBusinessDay
+ * @returns {Promise<Object>} Report: sales, tips, refunds, payments per method and provider,
+ * voids and cancellations, and every numbered transaction of the day
+ */
+export const getZReport = async (day) => {
+  const { start, end } = day;
+  const [placedOrders, paidOrders, paidShares, refundedOrders, canceledOrders] = await Promise.all([
+    Order.find({ createdAt: { $gte: start, $lt: end } }).sort({ createdAt: 1 }).lean(),
+    Order.find({
+      'payment.paidAt': { $gte: start, $lt: end },
+      'payment.status': { $in: SETTLED_PAYMENT_STATUSES },
+      'payment.splitMode': null
+    }).lean(),
+    Payment.find({ status: 'paid', paidAt: { $gte: start, $lt: end } })
+      .populate('orderId', 'orderNumber invoiceNumber')
+      .lean(),
+    Order.find({ 'refunds.at': { $gte: start, $lt: end } })
+      .populate('refunds.actor', 'name')
+      .lean(),
+    Order.find({ statusHistory: { $elemMatch: { to: 'canceled', at: { $gte: start, $lt: end } } } })
+      .populate('statusHistory.actor', 'name')
+      .lean()
+  ]);
+
+  // Money taken: unsplit orders as a whole, split bills share by share
+  const payments = [
+    ...paidOrders.map(order => ({
+      reference: order.payment.receiptNumber,
+      orderNumber: order.orderNumber,
+      invoiceNumber: order.invoiceNumber,
+      at: order.payment.paidAt,
+      method: order.payment.method || NOT_RECORDED,
+      provider: order.payment.provider || NOT_RECORDED,
+      amount: order.totals,
+      tip: order.payment.tip || 0
+    })),
+    ...paidShares.map(share => ({
+      reference: share.receiptNumber,
+      orderNumber: share.orderId?.orderNumber || '',
+      invoiceNumber: share.orderId?.invoiceNumber || null,
+      at: share.paidAt,
+      method: share.method || NOT_RECORDED,
+      provider: share.provider || NOT_RECORDED,
+      amount: share.amount,
+      tip: 0
+    }))
+  ];
+
+  // A refund goes back the way it was paid, so it is counted against the same method
+  const shareMethods = new Map();
+  const refundShareIds = refundedOrders.flatMap(order => order.refunds.flatMap(refund => refund.transactions.map(t => t.shareId)))
+    .filter(Boolean);
+  if (refundShareIds.length > 0) {
+    const shares = await Payment.find({ _id: { $in: refundShareIds } }).select('method').lean();
+    shares.forEach(share => shareMethods.set(share._id.toString(), share.method));
+  }
+
+  const refunds = [];
+  refundedOrders.forEach(order => order.refunds
+    .filter(refund => inDay(refund.at, day) && refund.status !== 'failed')
+    .forEach(refund => {
+      // Failed provider calls returned nothing
+      const transactions = refund.transactions.filter(t => t.status !== 'failed');
+      refunds.push({
+        reference: refund.receiptNumber,
+        orderNumber: order.orderNumber,
+        invoiceNumber: order.invoiceNumber,
+        at: refund.at,
+        reason: refund.reason,
+        status: refund.status,
+        actor: describeActor(refund.actor, refund.role),
+        amount: sumMoney(transactions.map(t => t.amount)),
+        transactions: transactions.map(t => ({
+          method: (t.shareId ? shareMethods.get(t.shareId.toString()) : order.payment?.method) || NOT_RECORDED,
+          provider: t.provider || NOT_RECORDED,
+          amount: t.amount
+        }))
+      });
+    }));
+
+  const byMethod = new Map();
+  const methodRow = (method, provider) => {
+    const key = `${method}|${provider}`;
+    if (!byMethod.has(key)) byMethod.set(key, { method, provider, payments: 0, amount: 0, tips: 0, refunds: 0 });
+    return byMethod.get(key);
+  };
+  payments.forEach(payment => {
+    const row = methodRow(payment.method, payment.provider);
+    row.payments += 1;
+    row.amount += payment.amount;
+    row.tips += payment.tip;
+  });
+  refunds.forEach(refund => refund.transactions.forEach(t => {
+    methodRow(t.method, t.provider).refunds += t.amount;
+  }));
+  const paymentMethods = [...byMethod.values()]
+    .map(row => ({
+      ...row,
+      amount: toMoney(row.amount),
+      tips: toMoney(row.tips),
+      refunds: toMoney(row.refunds),
+      net: toMoney(row.amount + row.tips - row.refunds)
+    }))
+    .sort((a, b) => a.method.localeCompare(b.method) || a.provider.localeCompare(b.provider));
+
+  // Canceled before the kitchen started is a void; later, a cancellation
+  const voids = canceledOrders.map(order => {
+    const entry = order.statusHistory.find(h => h.to === 'canceled' && inDay(h.at, day));
+    return {
+      type: entry.from === 'placed' ? 'void' : 'cancellation',
+      orderNumber: order.orderNumber,
+      invoiceNumber: order.invoiceNumber,
+      at: entry.at,
+      from: entry.from,
+      amount: order.totals,
+      actor: describeActor(entry.actor, entry.role),
+      note: entry.note || ''
+    };
+  }).sort((a, b) => a.at - b.at);
+
+  const sales = summarizeSales(placedOrders.filter(order => order.status !== 'canceled'));
+  const tips = sumMoney(payments.map(payment => payment.tip));
+  const collected = sumMoney(payments.map(payment => payment.amount));
+  const refunded = sumMoney(refunds.map(refund => refund.amount));
+
+  const transactions = [
+    ...placedOrders.map(order => ({
+      type: 'invoice',
+      reference: order.invoiceNumber,
+      orderNumber: order.orderNumber,
+      at: order.createdAt,
+      method: null,
+      provider: null,
+      actor: null,
+      amount: order.totals,
+      note: order.status === 'canceled' ? 'canceled' : ''
+    })),
+    ...payments.map(payment => ({
+      type: 'receipt',
+      reference: payment.reference,
+      orderNumber: payment.orderNumber,
+      at: payment.at,
+      method: payment.method,
+      provider: payment.provider,
+      actor: null,
+      amount: toMoney(payment.amount + payment.tip),
+      note: payment.tip ? `includes tip ${payment.tip.toFixed(2)}` : ''
+    })),
+    ...refunds.map(refund => ({
+      type: 'refund',
+      reference: refund.reference,
+      orderNumber: refund.orderNumber,
+      at: refund.at,
+      method: refund.transactions[0]?.method || null,
+      provider: refund.transactions[0]?.provider || null,
+      actor: refund.actor,
+      amount: -refund.amount,
+      note: refund.reason
+    }))
+  ].sort((a, b) => a.at - b.at);
+
+  return {
+    businessDate: day.businessDate,
+    timezone: day.timeZone,
+    cutoffHour: day.cutoffHour,
+    start: day.start,
+    end: day.end,
+    // A report for the day still in progress is only a snapshot (an X report)
+    complete: day.complete,
+    generatedAt: new Date(),
+    orders: {
+      count: placedOrders.filter(order => order.status !== 'canceled').length,
+      canceled: voids.filter(entry => entry.type === 'cancellation').length,
+      voided: voids.filter(entry => entry.type === 'void').length
+    },
+    sales,
+    tips,
+    refunds: { count: refunds.length, amount: refunded },
+    payments: {
+      count: payments.length,
+      collected,
+      tips,
+      refunds: refunded,
+      net: toMoney(collected + tips - refunded),
+      methods: paymentMethods
+    },
+    voids,
+    refundList: refunds.map(({ transactions: _transactions, ...refund }) => refund),
+    transactions
+  };
+};
+
+/**
+ * Render the report as CSV: the figures first, then every transaction, in one table
+ * @param {Object} report - From getZReport
+ * @returns {string} CSV text
+ */
+export const zReportToCsv = (report) => {
+  const columns = ['section', 'name', 'reference', 'orderNumber', 'time', 'method', 'provider', 'actor', 'amount'];
+  const figure = (section, name, amount) => ({ section, name, amount });
+  const time = (date) => new Date(date).toISOString();
+
+  const rows = [
+    figure('report', 'Business date', report.businessDate),
+    figure('report', `From (${report.timezone})`, time(report.start)),
+    figure('report', 'To', time(report.end)),
+    figure('report', 'Complete', report.complete ? 'yes' : 'no'),
+    figure('orders', 'Orders', report.orders.count),
+    figure('orders', 'Voided', report.orders.voided),
+    figure('orders', 'Canceled', report.orders.canceled),
+    figure('sales', 'Gross sales', report.sales.grossSales),
+    figure('sales', 'Discounts', report.sales.discounts),
+    figure('sales', 'Net sales', report.sales.netSales),
+    figure('sales', 'Service charge', report.sales.serviceCharge),
+    ...report.sales.taxes.map(tax => figure('tax', `${tax.name} ${tax.rate}%${tax.included ? ' (included)' : ''}`, tax.amount)),
+    figure('sales', 'Tax', report.sales.taxTotal),
+    figure('sales', 'Rounding', report.sales.rounding),
+    figure('sales', 'Total', report.sales.total),
+    figure('sales', 'Tips', report.tips),
+    figure('sales', 'Refunds', report.refunds.amount),
+    ...report.payments.methods.flatMap(row => [
+      { section: 'payments', name: 'Collected', method: row.method, provider: row.provider, amount: row.amount },
+      { section: 'payments', name: 'Tips', method: row.method, provider: row.provider, amount: row.tips },
+      { section: 'payments', name: 'Refunds', method: row.method, provider: row.provider, amount: -row.refunds },
+      { section: 'payments', name: 'Net', method: row.method, provider: row.provider, amount: row.net }
+    ]),
+    figure('payments', 'Net total', report.payments.net),
+    ...report.voids.map(entry => ({
+      section: entry.type,
+      name: entry.note || `canceled from ${entry.from}`,
+      reference: entry.invoiceNumber,
+      orderNumber: entry.orderNumber,
+      time: time(entry.at),
+      actor: entry.actor.name || entry.actor.role,
+      amount: entry.amount
+    })),
+    ...report.transactions.map(transaction => ({
+      section: transaction.type,
+      name: transaction.note,
+      reference: transaction.reference,
+      orderNumber: transaction.orderNumber,
+      time: time(transaction.at),
+      method: transaction.method,
+      provider: transaction.provider,
+      actor: transaction.actor && (transaction.actor.name || transaction.actor.role),
+      amount: transaction.amount
+    }))
+  ];
+
+  return toCsv(rows, columns);
+};
+
+// Printed page layout (points)
+const PAGE_MARGIN = 40;
+const BRAND_COLOR = '#EA580C';
+
+/**
+ * Render the report as a printable A4 PDF
+ * Amounts are printed without a currency symbol; the standard PDF fonts have no rupee sign.
+ * @param {Object} report - From getZReport
+ * @param {Object} options - { restaurantName }
+ * @returns {Promise<Buffer>} PDF document data
+ */
+export const generateZReportPDF = (report, { restaurantName = config.RESTAURANT.NAME } = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `${restaurantName} Z report ${report.businessDate}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const money = (value) => (value || 0).toFixed(2);
+  const localTime = (date) => new Date(date).toLocaleString('en-GB', {
+    timeZone: report.timezone, day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+  });
+
+  const heading = (text) => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - 80) doc.addPage();
+    doc.moveDown(0.8);
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(12).text(text, PAGE_MARGIN, doc.y, { width });
+    doc.moveTo(PAGE_MARGIN, doc.y + 2).lineTo(PAGE_MARGIN + width, doc.y + 2).lineWidth(0.5).strokeColor('#D1D5DB').stroke();
+    doc.moveDown(0.4);
+  };
+
+  // One line of columns; widths are fractions of the page width, amounts right-aligned
+  const row = (cells, { bold = false, widths } = {}) => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - 20) doc.addPage();
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    doc.fillColor('#1F2937').font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach((cell, index) => {
+      const cellWidth = width * widths[index];
+      const align = index === cells.length - 1 ? 'right' : 'left';
+      doc.text(String(cell ?? ''), x, y, { width: cellWidth - 4, align, lineBreak: false, ellipsis: true });
+      x += cellWidth;
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + 14;
+  };
+  const figure = (label, amount, options = {}) => row([label, amount], { ...options, widths: [0.7, 0.3] });
+
+  doc.fillColor('#1F2937').font('Helvetica-Bold').fontSize(18).text(restaurantName, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(11)
+    .text(`${report.complete ? 'Z report' : 'X report (day still open)'} - business day ${report.businessDate}`, { width, align: 'center' });
+  doc.fillColor('#6B7280').fontSize(9)
+    .text(`${localTime(report.start)} to ${localTime(report.end)} (${report.timezone}) - printed ${localTime(report.generatedAt)}`, { width, align: 'center' });
+
+  heading('Orders');
+  figure('Orders', report.orders.count);
+  figure('Items sold', report.sales.itemsSold);
+  figure('Voided', report.orders.voided);
+  figure('Canceled', report.orders.canceled);
+
+  heading('Sales');
+  figure('Gross sales', money(report.sales.grossSales));
+  figure('Discounts', money(-report.sales.discounts));
+  figure('Net sales', money(report.sales.netSales), { bold: true });
+  figure('Service charge', money(report.sales.serviceCharge));
+  report.sales.taxes.forEach(tax => {
+    figure(`${tax.name} ${tax.rate}% on ${money(tax.taxableAmount)}${tax.included ? ' (included in prices)' : ''}`, money(tax.amount));
+  });
+  figure('Tax total', money(report.sales.taxTotal));
+  figure('Rounding', money(report.sales.rounding));
+  figure('Total sales', money(report.sales.total), { bold: true });
+
+  heading('Payments');
+  const paymentWidths = [0.2, 0.2, 0.1, 0.125, 0.125, 0.125, 0.125];
+  row(['Method', 'Provider', 'Count', 'Collected', 'Tips', 'Refunds', 'Net'], { bold: true, widths: paymentWidths });
+  report.payments.methods.forEach(method => row(
+    [method.method, method.provider, method.payments, money(method.amount), money(method.tips), money(-method.refunds), money(method.net)],
+    { widths: paymentWidths }
+  ));
+  row(
+    ['Total', '', report.payments.count, money(report.payments.collected), money(report.payments.tips), money(-report.payments.refunds), money(report.payments.net)],
+    { bold: true, widths: paymentWidths }
+  );
+
+  if (report.refundList.length > 0) {
+    heading('Refunds');
+    const refundWidths = [0.15, 0.2, 0.12, 0.18, 0.2, 0.15];
+    row(['Reference', 'Order', 'Time', 'By', 'Reason', 'Amount'], { bold: true, widths: refundWidths });
+    report.refundList.forEach(refund => row(
+      [refund.reference, refund.orderNumber, localTime(refund.at), refund.actor.name || refund.actor.role, refund.reason, money(-refund.amount)],
+      { widths: refundWidths }
+    ));
+  }
+
+  if (report.voids.length > 0) {
+    heading('Voids and cancellations');
+    const voidWidths = [0.13, 0.2, 0.12, 0.18, 0.22, 0.15];
+    row(['Type', 'Order', 'Time', 'By', 'Note', 'Amount'], { bold: true, widths: voidWidths });
+    report.voids.forEach(entry => row(
+      [entry.type, entry.orderNumber, localTime(entry.at), entry.actor.name || entry.actor.role, entry.note, money(entry.amount)],
+      { widths: voidWidths }
+    ));
+  }
+
+  heading('Transactions');
+  const transactionWidths = [0.15, 0.2, 0.12, 0.13, 0.25, 0.15];
+  row(['Reference', 'Order', 'Time', 'Method', 'Note', 'Amount'], { bold: true, widths: transactionWidths });
+  report.transactions.forEach(transaction => row(
+    [transaction.reference || '-', transaction.orderNumber, localTime(transaction.at), transaction.method || '', transaction.note, money(transaction.amount)],
+    { widths: transactionWidths }
+  ));
+
+  doc.end();
+  return finished;
+};
+
+export default {
+  Z_REPORT_FORMATS,
+  resolveBusinessDay,
+  getZReport,
+  zReportToCsv,
+  generateZReportPDF
+};
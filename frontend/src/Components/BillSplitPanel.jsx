@@ -0,0 +1,242 @@
+import React, { useEffect, useRef, useState } from 'react'
+import paymentService from '../services/paymentService'
+import { newIdempotencyKey } from '../services/orderService'
+
+const shareStatusColors = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+  paid: 'bg-green-100 text-green-800',
+}
+
+// Split an order's bill into shares and track them.
+// Guests and customers pay their own share; staff (staff prop) mark shares paid at the counter.
+const BillSplitPanel = ({ order, token, staff = false }) => {
+  const orderId = order?._id || order?.id
+  const [split, setSplit] = useState(null)
+  const [mode, setMode] = useState('even')
+  const [count, setCount] = useState(2)
+  const [customShares, setCustomShares] = useState([{ label: '', amount: '' }, { label: '', amount: '' }])
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+  // Kept until the full-bill payment starts, so a retry reuses the payment instead of starting another
+  const payFullKey = useRef(null)
+
+  // Refetch whenever the order's payment changes (share payments arrive as payment events)
+  useEffect(() => {
+    if (!orderId) return
+    paymentService.getSplit(orderId, token)
+      .then(setSplit)
+      .catch((err) => setError(err.message))
+  }, [orderId, token, order?.payment])
+
+  if (!order || order.status === 'canceled') return null
+  if (!split?.mode && ['paid', 'partially_refunded', 'refunded'].includes(order.payment?.status)) return null
+
+  const run = async (action, successMessage) => {
+    setBusy(true)
+    setError(null)
+    setMessage(null)
+    try {
+      const result = await action()
+      if (successMessage) setMessage(typeof successMessage === 'function' ? successMessage(result) : successMessage)
+      return result
+    } catch (err) {
+      setError(err.message)
+      return null
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSplit = async () => {
+    const request = { mode }
+    if (mode === 'even') request.count = parseInt(count, 10)
+    if (mode === 'custom') {
+      request.shares = customShares.map((s) => ({ label: s.label, amount: parseFloat(s.amount) }))
+    }
+    const result = await run(() => paymentService.splitBill(orderId, request, token))
+    if (result) setSplit(result)
+  }
+
+  const handleUndo = async () => {
+    if (!window.confirm('Undo the split and pay the bill in one go?')) return
+    const result = await run(() => paymentService.cancelSplit(orderId, token), 'Split removed')
+    if (result) setSplit({ ...split, mode: null, shares: [] })
+  }
+
+  // Razorpay is completed in its checkout here; other providers only start the payment
+  const payWith = async (intent, label) => {
+    if (intent.provider === 'razorpay') {
+      const verified = await paymentService.openRazorpayCheckout(intent, {
+        name: 'Order ' + (order.orderNumber || ''),
+        description: label,
+      }, token)
+      return verified ? `Payment for ${label} received. Thank you!` : null
+    }
+    if (intent.provider === 'cash') return intent.instructions
+    return intent.demo
+      ? `Demo mode: payment for ${label} started. Ask staff to confirm it.`
+      : `Payment for ${label} is ready to be completed.`
+  }
+
+  const handlePay = (share) => run(
+    async () => payWith(await paymentService.createShareIntent(share.id, token), share.label),
+    (result) => result
+  )
+
+  const handlePayFull = () => run(
+    async () => {
+      payFullKey.current = payFullKey.current || newIdempotencyKey()
+      const intent = await paymentService.createIntent(orderId, token, undefined, payFullKey.current)
+      payFullKey.current = null
+      return payWith(intent, 'the bill')
+    },
+    (result) => result
+  )
+
+  const handleSettle = async (share) => {
+    const result = await run(() => paymentService.settleShare(share.id, 'cash', token), `${share.label} marked as paid`)
+    if (result) setSplit(result)
+  }
+
+  const updateCustomShare = (index, field, value) => {
+    setCustomShares((prev) => prev.map((s, i) => (i === index ? { ...s, [field]: value } : s)))
+  }
+
+  const customTotal = customShares.reduce((sum, s) => sum + (parseFloat(s.amount) || 0), 0)
+  const hasPaidShare = split?.shares?.some((s) => s.status === 'paid')
+
+  return (
+    <div className="mt-6 border border-amber-200 rounded-lg p-4">
+      <h3 className="font-semibold text-gray-800 mb-2">Split the Bill</h3>
+
+      {split?.mode ? (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            Split <span className="capitalize">{split.mode === 'item' ? 'by item' : split.mode}</span> ·
+            Paid ₹{split.paid.toFixed(2)} · Outstanding ₹{split.outstanding.toFixed(2)}
+            {split.outstandingCount > 0 && ` (${split.outstandingCount} share${split.outstandingCount === 1 ? '' : 's'})`}
+          </p>
+          <ul className="divide-y divide-gray-100">
+            {split.shares.map((share) => (
+              <li key={share.id} className="py-2 flex items-center justify-between gap-3">
+                <div>
+                  <p className="font-medium text-gray-800">{share.label}</p>
+                  {share.lineIndexes.length > 0 && (
+                    <p className="text-xs text-gray-500">
+                      {share.lineIndexes.map((i) => order.items?.[i]?.name).filter(Boolean).join(', ')}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="font-semibold">₹{share.amount.toFixed(2)}</span>
+                  <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${shareStatusColors[share.status] || 'bg-gray-100 text-gray-700'}`}>
+                    {share.status}
+                  </span>
+                  {share.status !== 'paid' && (staff ? (
+                    <button onClick={() => handleSettle(share)} disabled={busy} className="px-3 py-1 text-sm bg-green-600 text-white rounded disabled:opacity-50">
+                      Mark Paid (Cash)
+                    </button>
+                  ) : (
+                    <button onClick={() => handlePay(share)} disabled={busy} className="px-3 py-1 text-sm bg-amber-800 text-white rounded disabled:opacity-50">
+                      Pay
+                    </button>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {!hasPaidShare && (
+            <button onClick={handleUndo} disabled={busy} className="mt-3 text-sm text-gray-600 underline">
+              Undo split
+            </button>
+          )}
+        </>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {[
+              { value: 'even', label: 'Evenly' },
+              { value: 'item', label: 'By who ordered what' },
+              { value: 'custom', label: 'Custom amounts' },
+            ].map((opt) => (
+              <button
+                key={opt.value}
+                onClick={() => setMode(opt.value)}
+                className={`px-3 py-1 text-sm rounded-full border ${mode === opt.value ? 'bg-amber-800 text-white border-amber-800' : 'bg-white text-amber-900 border-amber-300'}`}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'even' && (
+            <label className="text-sm text-gray-700 flex items-center gap-2">
+              Number of people
+              <input type="number" min={2} max={20} value={count} onChange={(e) => setCount(e.target.value)} className="w-20 px-2 py-1 border rounded" />
+              <span className="text-gray-500">≈ ₹{((order.totals || 0) / (parseInt(count, 10) || 1)).toFixed(2)} each</span>
+            </label>
+          )}
+
+          {mode === 'item' && (
+            <p className="text-sm text-gray-600">Everyone pays for the items they added to the table&apos;s cart.</p>
+          )}
+
+          {mode === 'custom' && (
+            <div className="space-y-2">
+              {customShares.map((s, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <input
+                    placeholder={`Share ${index + 1}`}
+                    value={s.label}
+                    onChange={(e) => updateCustomShare(index, 'label', e.target.value)}
+                    className="flex-1 px-2 py-1 border rounded text-sm"
+                  />
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    placeholder="Amount"
+                    value={s.amount}
+                    onChange={(e) => updateCustomShare(index, 'amount', e.target.value)}
+                    className="w-28 px-2 py-1 border rounded text-sm"
+                  />
+                  {customShares.length > 2 && (
+                    <button onClick={() => setCustomShares((prev) => prev.filter((_, i) => i !== index))} className="text-sm text-red-600">
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+              <div className="flex items-center justify-between text-sm">
+                <button onClick={() => setCustomShares((prev) => [...prev, { label: '', amount: '' }])} className="text-amber-800 underline">
+                  Add share
+                </button>
+                <span className={Math.abs(customTotal - (order.totals || 0)) < 0.005 ? 'text-green-700' : 'text-red-600'}>
+                  ₹{customTotal.toFixed(2)} of ₹{(order.totals || 0).toFixed(2)}
+                </span>
+              </div>
+            </div>
+          )}
+
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button onClick={handleSplit} disabled={busy} className="px-4 py-2 text-sm bg-amber-800 text-white rounded disabled:opacity-50">
+              {busy ? 'Working...' : 'Split Bill'}
+            </button>
+            {!staff && (
+              <button onClick={handlePayFull} disabled={busy} className="px-4 py-2 text-sm border border-amber-800 text-amber-900 rounded disabled:opacity-50">
+                Pay Full Bill (₹{(order.totals || 0).toFixed(2)})
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {message && <p className="text-sm text-green-700 mt-2">{message}</p>}
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  )
+}
+
+export default BillSplitPanel
@@ -0,0 +1,145 @@
+import React, { useState } from 'react'
+import menuService from '../services/menuService'
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-700',
+  update: 'bg-amber-100 text-amber-800',
+  unchanged: 'bg-gray-100 text-gray-600',
+}
+
+// Import categories and items from a CSV or JSON file (admin). The file is always
+// checked with a dry run first; it can only be applied once every row passes.
+const MenuImportDialog = ({ token, onClose, onImported }) => {
+  const [file, setFile] = useState(null)
+  const [content, setContent] = useState('')
+  const [result, setResult] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fileFormat = file?.name.toLowerCase().endsWith('.json') ? 'json' : 'csv'
+
+  const handleFile = async (e) => {
+    const picked = e.target.files[0] || null
+    setFile(picked)
+    setResult(null)
+    setError(null)
+    setContent(picked ? await picked.text() : '')
+  }
+
+  const runImport = async (dryRun) => {
+    setBusy(true)
+    setError(null)
+    try {
+      const data = await menuService.importMenu({ format: fileFormat, content, dryRun }, token)
+      setResult(data)
+      if (data.applied) onImported(data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const rowsWithErrors = result ? result.rows.filter((row) => row.errors.length > 0) : []
+  const canApply = !busy && result && !result.applied && result.summary.errors === 0
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-bold text-gray-800 mb-1">Import Menu</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Use a CSV or JSON file in the export's layout. Categories match by name and items by id, or by category and name.
+        </p>
+
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={handleFile}
+          className="block w-full text-sm text-gray-700 mb-4"
+        />
+
+        {result && (
+          <div className="mb-4 space-y-3">
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              {[
+                { label: 'Categories', counts: result.summary.categories },
+                { label: 'Items', counts: result.summary.items },
+              ].map(({ label, counts }) => (
+                <div key={label} className="border border-gray-200 rounded-lg p-3">
+                  <p className="font-semibold text-gray-800">{label}</p>
+                  <p className="text-gray-600">
+                    {counts.create} new · {counts.update} updated · {counts.unchanged} unchanged
+                  </p>
+                </div>
+              ))}
+            </div>
+
+            <p className={`text-sm ${result.summary.errors > 0 ? 'text-red-600' : result.applied ? 'text-green-700' : 'text-gray-600'}`}>
+              {result.message}
+            </p>
+
+            {rowsWithErrors.length > 0 && (
+              <ul className="border border-red-200 bg-red-50 rounded-lg divide-y divide-red-100 text-sm max-h-60 overflow-y-auto">
+                {rowsWithErrors.map((row) => (
+                  <li key={`${row.kind}-${row.row}`} className="px-3 py-2">
+                    <p className="font-medium text-red-800">
+                      {row.kind === 'category' ? 'Category' : 'Item'} row {row.row}: {row.name || 'no name'}
+                      {row.category && <span className="font-normal text-red-700"> ({row.category})</span>}
+                    </p>
+                    {row.errors.map((message) => (
+                      <p key={message} className="text-red-700">{message}</p>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {rowsWithErrors.length === 0 && !result.applied && (
+              <ul className="border border-gray-200 rounded-lg divide-y divide-gray-100 text-sm max-h-60 overflow-y-auto">
+                {result.rows.filter((row) => row.action !== 'unchanged').map((row) => (
+                  <li key={`${row.kind}-${row.row}`} className="px-3 py-2 flex justify-between gap-2">
+                    <span className="text-gray-800">
+                      {row.name}
+                      {row.category && <span className="text-gray-500"> · {row.category}</span>}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded text-xs ${ACTION_STYLES[row.action]}`}>{row.action}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">
+            {result?.applied ? 'Done' : 'Cancel'}
+          </button>
+          {!result?.applied && (
+            <button
+              type="button"
+              onClick={() => runImport(true)}
+              disabled={busy || !content}
+              className="px-4 py-2 bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 disabled:opacity-50"
+            >
+              {busy ? 'Checking...' : 'Check file'}
+            </button>
+          )}
+          {!result?.applied && (
+            <button
+              type="button"
+              onClick={() => runImport(false)}
+              disabled={!canApply}
+              className="px-4 py-2 bg-amber-800 text-white rounded-lg hover:bg-amber-900 disabled:opacity-50"
+            >
+              Import
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MenuImportDialog
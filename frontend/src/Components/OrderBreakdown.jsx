@@ -0,0 +1,63 @@
+import React from 'react'
+
+const money = (amount) => `₹${(amount || 0).toFixed(2)}`
+
+// The bill behind an order's total: subtotal, discount, tax lines, service charge and rounding.
+// Orders placed before breakdowns were stored only have a total.
+const OrderBreakdown = ({ breakdown, total, className = '' }) => {
+  if (!breakdown) {
+    return (
+      <div className={`flex justify-between font-semibold text-gray-800 ${className}`}>
+        <span>Total</span>
+        <span>{money(total)}</span>
+      </div>
+    )
+  }
+
+  const addedTaxes = breakdown.taxes.filter((tax) => !tax.included)
+  const includedTaxes = breakdown.taxes.filter((tax) => tax.included)
+
+  return (
+    <div className={`text-sm text-gray-700 space-y-1 ${className}`}>
+      <div className="flex justify-between">
+        <span>Subtotal</span>
+        <span>{money(breakdown.subtotal)}</span>
+      </div>
+      {breakdown.discount > 0 && (
+        <div className="flex justify-between text-green-700">
+          <span>Discount{breakdown.promotion ? ` (${breakdown.promotion.code})` : ''}</span>
+          <span>−{money(breakdown.discount)}</span>
+        </div>
+      )}
+      {breakdown.serviceCharge > 0 && (
+        <div className="flex justify-between">
+          <span>Service charge ({breakdown.serviceChargeRate}%)</span>
+          <span>{money(breakdown.serviceCharge)}</span>
+        </div>
+      )}
+      {addedTaxes.map((tax) => (
+        <div key={`${tax.name}-${tax.rate}`} className="flex justify-between">
+          <span>{tax.name} {tax.rate}%</span>
+          <span>{money(tax.amount)}</span>
+        </div>
+      ))}
+      {breakdown.rounding !== 0 && (
+        <div className="flex justify-between text-gray-500">
+          <span>Rounding</span>
+          <span>{breakdown.rounding > 0 ? '+' : '−'}{money(Math.abs(breakdown.rounding))}</span>
+        </div>
+      )}
+      <div className="flex justify-between pt-1 border-t border-gray-200 text-base font-bold text-gray-900">
+        <span>Total</span>
+        <span>{money(breakdown.total)}</span>
+      </div>
+      {includedTaxes.length > 0 && (
+        <p className="text-xs text-gray-500">
+          Prices include {includedTaxes.map((tax) => `${tax.name} ${tax.rate}% (${money(tax.amount)})`).join(', ')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default OrderBreakdown
@@ -0,0 +1,20 @@
+import React from 'react'
+
+// Chosen options of an order line, grouped as "Size: Large · Add-ons: Cheese, Olives"
+const OrderLineOptions = ({ options = [], className = 'text-sm text-gray-600' }) => {
+  if (!options.length) return null
+
+  const groups = options.reduce((acc, option) => {
+    const name = option.groupName || 'Options'
+    acc[name] = [...(acc[name] || []), option.name]
+    return acc
+  }, {})
+
+  return (
+    <p className={className}>
+      {Object.entries(groups).map(([group, names]) => `${group}: ${names.join(', ')}`).join(' · ')}
+    </p>
+  )
+}
+
+export default OrderLineOptions
@@ -0,0 +1,41 @@
+import React from 'react'
+import { format } from 'date-fns'
+
+const statusDotColors = {
+  placed: 'bg-yellow-500',
+  preparing: 'bg-blue-500',
+  ready: 'bg-green-500',
+  served: 'bg-purple-500',
+  completed: 'bg-gray-500',
+  canceled: 'bg-red-500',
+}
+
+// Vertical timeline of an order's statusHistory entries
+const OrderStatusTimeline = ({ history = [] }) => {
+  if (!history.length) {
+    return <p className="text-sm text-gray-500">No status changes recorded yet.</p>
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2">
+      {history.map((entry, idx) => (
+        <li key={`${entry.to}-${entry.at}-${idx}`} className="mb-4 ml-4">
+          <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ${statusDotColors[entry.to] || 'bg-gray-400'}`} />
+          <p className="text-sm font-semibold text-gray-800 capitalize">
+            {entry.from ? `${entry.from} → ${entry.to}` : entry.to}
+          </p>
+          <p className="text-xs text-gray-500">
+            {entry.at ? format(new Date(entry.at), 'dd MMM yyyy, HH:mm:ss') : '—'}
+            {' · '}
+            {entry.actor
+              ? <>{entry.actor.name || entry.actor.email} <span className="capitalize">({entry.role})</span></>
+              : <span className="capitalize">{entry.role}</span>}
+          </p>
+          {entry.note && <p className="text-xs text-gray-600 mt-1">{entry.note}</p>}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default OrderStatusTimeline
@@ -0,0 +1,149 @@
+import React, { useState } from 'react'
+import orderService from '../services/orderService'
+
+// Refund an amount or specific items of an order through its payment provider (admin).
+// Lines already refunded (by earlier, non-failed refunds) can't be picked again.
+// A unit is worth its share of the line after the line's promotion discount, as the server works it out.
+const lineNet = (line) => Math.max(0, line.price * line.qty - (line.discount || 0))
+
+const RefundDialog = ({ order, token, onClose, onRefunded }) => {
+  const [mode, setMode] = useState('items')
+  const [amount, setAmount] = useState('')
+  const [quantities, setQuantities] = useState({})
+  const [reason, setReason] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const refundedQty = (order.refunds || [])
+    .filter((refund) => refund.status !== 'failed')
+    .reduce((acc, refund) => {
+      refund.items.forEach(({ lineIndex, qty }) => {
+        acc[lineIndex] = (acc[lineIndex] || 0) + qty
+      })
+      return acc
+    }, {})
+
+  const refundable = Math.max(0, (order.totals || 0) - (order.payment?.refundedAmount || 0))
+  const subtotal = (order.items || []).reduce((sum, line) => sum + lineNet(line), 0)
+  const scale = subtotal > 0 ? (order.totals || 0) / subtotal : 0
+  const unitRefund = (line) => (line.qty > 0 ? (lineNet(line) / line.qty) * scale : 0)
+
+  const selectedItems = Object.entries(quantities)
+    .map(([lineIndex, qty]) => ({ lineIndex: parseInt(lineIndex, 10), qty: parseInt(qty, 10) || 0 }))
+    .filter((item) => item.qty > 0)
+  const itemsTotal = selectedItems.reduce((sum, { lineIndex, qty }) => sum + unitRefund(order.items[lineIndex]) * qty, 0)
+  const refundTotal = mode === 'items' ? itemsTotal : parseFloat(amount) || 0
+
+  const canSubmit = !busy && reason.trim() && refundTotal > 0 && refundTotal <= refundable + 0.005
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      const result = await orderService.refundOrder(order._id, {
+        reason: reason.trim(),
+        ...(mode === 'items' ? { items: selectedItems } : { amount: parseFloat(amount) }),
+      }, token)
+      onRefunded(result)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-xl w-full max-w-lg p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-1">Refund Order #{order.orderNumber}</h3>
+        <p className="text-sm text-gray-500 mb-4">Up to ₹{refundable.toFixed(2)} can still be refunded.</p>
+
+        <div className="flex gap-2 mb-4">
+          {[
+            { value: 'items', label: 'Specific items' },
+            { value: 'amount', label: 'An amount' },
+          ].map((opt) => (
+            <button
+              key={opt.value}
+              type="button"
+              onClick={() => setMode(opt.value)}
+              className={`px-3 py-1 text-sm rounded-full border ${mode === opt.value ? 'bg-amber-800 text-white border-amber-800' : 'bg-white text-amber-900 border-amber-300'}`}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+
+        {mode === 'items' ? (
+          <ul className="divide-y divide-gray-100 mb-4 max-h-64 overflow-y-auto">
+            {order.items.map((line, index) => {
+              const left = line.qty - (refundedQty[index] || 0)
+              return (
+                <li key={index} className="py-2 flex items-center justify-between gap-3">
+                  <div>
+                    <p className="font-medium text-gray-800">{line.name}</p>
+                    <p className="text-xs text-gray-500">
+                      ₹{unitRefund(line).toFixed(2)} each · {left > 0 ? `${left} of ${line.qty} refundable` : 'Refunded'}
+                    </p>
+                  </div>
+                  <input
+                    type="number"
+                    min={0}
+                    max={left}
+                    disabled={left <= 0}
+                    value={quantities[index] ?? ''}
+                    placeholder="0"
+                    onChange={(e) => setQuantities((prev) => ({ ...prev, [index]: Math.min(left, Math.max(0, parseInt(e.target.value, 10) || 0)) }))}
+                    className="w-20 px-2 py-1 border rounded text-sm disabled:bg-gray-100"
+                  />
+                </li>
+              )
+            })}
+          </ul>
+        ) : (
+          <label className="block text-sm text-gray-700 mb-4">
+            Amount (₹)
+            <input
+              type="number"
+              min={0.01}
+              max={refundable}
+              step="0.01"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border rounded"
+            />
+          </label>
+        )}
+
+        <label className="block text-sm text-gray-700 mb-4">
+          Reason
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={500}
+            rows={2}
+            placeholder="e.g. Dish arrived cold"
+            className="mt-1 w-full px-3 py-2 border rounded"
+          />
+        </label>
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        <div className="flex items-center justify-between">
+          <span className="font-semibold text-gray-800">Refund ₹{refundTotal.toFixed(2)}</span>
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} disabled={busy} className="px-4 py-2 text-sm border rounded">
+              Cancel
+            </button>
+            <button type="submit" disabled={!canSubmit} className="px-4 py-2 text-sm bg-red-600 text-white rounded disabled:opacity-50">
+              {busy ? 'Refunding...' : 'Refund'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default RefundDialog
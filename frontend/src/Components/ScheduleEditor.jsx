@@ -0,0 +1,59 @@
+import React from 'react'
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// One line per window, e.g. "Mon, Tue 07:00–11:00" or "Daily 22:00–02:00"
+export const ScheduleSummary = ({ schedule = [], className = 'text-xs text-gray-500' }) =>
+  schedule.map((window, index) => (
+    <p key={index} className={className}>
+      {window.days.length ? window.days.map(day => WEEKDAYS[day]).join(', ') : 'Daily'} {window.start}–{window.end}
+    </p>
+  ))
+
+// Edits a list of { days, start, end } windows in restaurant time; an empty list means all day
+const ScheduleEditor = ({ schedule = [], onChange, label = 'Hours (restaurant time; none = all day)' }) => {
+  const updateWindow = (index, changes) =>
+    onChange(schedule.map((window, i) => (i === index ? { ...window, ...changes } : window)))
+
+  const toggleDay = (index, day) => {
+    const days = schedule[index].days
+    updateWindow(index, { days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort() })
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-1">
+        <p className="text-gray-700">{label}</p>
+        <button
+          type="button"
+          onClick={() => onChange([...schedule, { days: [], start: '12:00', end: '15:00' }])}
+          className="text-xs text-orange-700 hover:underline"
+        >
+          + Add hours
+        </button>
+      </div>
+      {schedule.map((window, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+          {WEEKDAYS.map((dayLabel, day) => (
+            <label key={dayLabel} className="flex items-center gap-1 text-xs">
+              <input type="checkbox" checked={window.days.includes(day)} onChange={() => toggleDay(index, day)} />
+              {dayLabel}
+            </label>
+          ))}
+          <input type="time" value={window.start} onChange={(e) => updateWindow(index, { start: e.target.value })} className="px-2 py-1 border rounded" />
+          <span>–</span>
+          <input type="time" value={window.end} onChange={(e) => updateWindow(index, { end: e.target.value })} className="px-2 py-1 border rounded" />
+          <button
+            type="button"
+            onClick={() => onChange(schedule.filter((_, i) => i !== index))}
+            className="text-xs text-red-600 hover:underline"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default ScheduleEditor
@@ -1,12 +1,13 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import { useSelector } from "react-redux";
-import orderService from "../../services/orderService";
+import analyticsService from "../../services/analyticsService";
 import {
   Loader2,
   RefreshCcw,
   TrendingUp,
   BarChart3,
-  PieChart,
+  ShoppingBag,
+  Receipt,
 } from "lucide-react";
 import {
   LineChart,
@@ -23,76 +24,76 @@ import {
   Cell,
   Legend,
 } from "recharts";
-import { format } from "date-fns";
+import { format, parseISO, subDays } from "date-fns";
+
+const RANGE_PRESETS = [
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: 90, label: "90 days" },
+];
+
+const COLORS = ["#f97316", "#10b981", "#3b82f6", "#a855f7", "#ef4444", "#eab308"];
+
+// Reports use the admin's own time zone, so days and hours match their clock
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const lastDays = (days) => ({
+  from: format(subDays(new Date(), days - 1), "yyyy-MM-dd"),
+  to: format(new Date(), "yyyy-MM-dd"),
+});
+
+const formatMoney = (value) => `₹${(value || 0).toFixed(2)}`;
 
 const AdminAnalytics = () => {
   const { token } = useSelector((state) => state.auth);
-  const [orders, setOrders] = useState([]);
+  const [range, setRange] = useState(() => lastDays(30));
+  const [sortBy, setSortBy] = useState("quantity");
+  const [report, setReport] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
 
-  const fetchOrders = async () => {
+  const fetchReport = useCallback(async () => {
     try {
       setLoading(true);
-      const list = await orderService.getOrders({}, token);
-      setOrders(list);
+      const data = await analyticsService.getOverview(
+        { ...range, timezone: TIMEZONE, sortBy },
+        token
+      );
+      setReport(data);
+      setError(null);
     } catch (err) {
       console.error("Error fetching analytics:", err);
-      setError("Failed to load analytics data.");
+      setError(err.message || "Failed to load analytics data.");
     } finally {
       setLoading(false);
     }
-  };
+  }, [range, sortBy, token]);
 
   useEffect(() => {
-    fetchOrders();
-  }, []);
+    fetchReport();
+  }, [fetchReport]);
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await fetchOrders();
+    await fetchReport();
     setRefreshing(false);
   };
 
-  // ✅ Prepare data for charts
-  const dailyStats = {};
-  let totalRevenue = 0;
-
-  orders.forEach((order) => {
-    // Count all orders for analytics (both paid and pending)
-    const date = format(new Date(order.createdAt), "dd MMM");
-    const total = parseFloat(order.totals) || 0;
-    totalRevenue += total;
-    dailyStats[date] = (dailyStats[date] || 0) + total;
-  });
-
-  const chartData = Object.keys(dailyStats).map((day) => ({
-    date: day,
-    revenue: dailyStats[day],
+  const summary = report?.summary;
+  const dailyData = (report?.revenue.byDay || []).map((day) => ({
+    ...day,
+    label: format(parseISO(day.key), "dd MMM"),
   }));
-
-  // ✅ Payment status breakdown
-  const paymentStats = orders.reduce(
-    (acc, order) => {
-      const status = order.payment?.status || "unknown";
-      acc[status] = (acc[status] || 0) + 1;
-      return acc;
-    },
-    {}
-  );
-
-  const pieData = Object.entries(paymentStats).map(([key, value]) => ({
-    name: key,
-    value,
+  const pieData = (report?.paymentStatuses || []).map((status) => ({
+    name: status.status,
+    value: status.orders,
   }));
 
-  const COLORS = ["#f97316", "#10b981", "#3b82f6", "#a855f7"];
-
   return (
     <div className="p-6 min-h-screen bg-gradient-to-br from-amber-50 via-orange-50 to-yellow-50">
       {/* Header */}
-      <div className="flex justify-between items-center mb-8">
+      <div className="flex justify-between items-center mb-6">
         <h1 className="text-3xl font-bold text-gray-800 flex items-center gap-2">
           <TrendingUp className="h-7 w-7 text-orange-600" />
           Analytics Dashboard
@@ -111,40 +112,101 @@ const AdminAnalytics = () => {
         </button>
       </div>
 
-      {loading ? (
+      {/* Date range */}
+      <div className="bg-white p-4 rounded-2xl shadow-md border border-gray-200 mb-8 flex flex-wrap items-center gap-3 text-sm">
+        {RANGE_PRESETS.map((preset) => {
+          const presetRange = lastDays(preset.days);
+          const active = presetRange.from === range.from && presetRange.to === range.to;
+          return (
+            <button
+              key={preset.days}
+              onClick={() => setRange(presetRange)}
+              className={`px-3 py-1.5 rounded-lg ${
+                active
+                  ? "bg-orange-600 text-white"
+                  : "bg-orange-50 text-orange-700 hover:bg-orange-100"
+              }`}
+            >
+              {preset.label}
+            </button>
+          );
+        })}
+        <input
+          type="date"
+          value={range.from}
+          max={range.to}
+          onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, from: e.target.value }))}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg"
+        />
+        <span className="text-gray-500">to</span>
+        <input
+          type="date"
+          value={range.to}
+          min={range.from}
+          onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, to: e.target.value }))}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg"
+        />
+        <span className="text-gray-500">
+          {TIMEZONE} · canceled orders excluded, refunds deducted
+        </span>
+      </div>
+
+      {loading && !report ? (
         <div className="flex justify-center items-center h-64">
           <Loader2 className="h-8 w-8 text-orange-600 animate-spin" />
         </div>
       ) : error ? (
         <p className="text-center text-red-600">{error}</p>
-      ) : orders.length === 0 ? (
+      ) : summary.orders === 0 ? (
         <p className="text-center text-gray-600 text-lg">
-          No order data found to generate analytics.
+          No orders in this period.
         </p>
       ) : (
         <>
           {/* Summary Cards */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-10">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-10">
             <div className="bg-white p-6 rounded-2xl shadow-md border border-gray-200 flex flex-col items-center justify-center">
               <BarChart3 className="h-10 w-10 text-orange-600 mb-2" />
               <p className="text-gray-500 text-sm">Total Orders</p>
               <p className="text-2xl font-bold text-gray-800">
-                {orders.length}
+                {summary.orders}
               </p>
+              {summary.canceledOrders > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {summary.canceledOrders} canceled
+                </p>
+              )}
             </div>
             <div className="bg-white p-6 rounded-2xl shadow-md border border-gray-200 flex flex-col items-center justify-center">
               <TrendingUp className="h-10 w-10 text-green-600 mb-2" />
               <p className="text-gray-500 text-sm">Total Revenue</p>
               <p className="text-2xl font-bold text-gray-800">
-                ₹{totalRevenue.toFixed(2)}
+                {formatMoney(summary.revenue)}
+              </p>
+              <p className="text-xs text-gray-500 mt-1 text-center">
+                Net {formatMoney(summary.netSales)} · Tax {formatMoney(summary.tax)}
+                {summary.serviceCharge > 0 && ` · Service ${formatMoney(summary.serviceCharge)}`}
+                {summary.refunds > 0 && ` · Refunded ${formatMoney(summary.refunds)}`}
+              </p>
+            </div>
+            <div className="bg-white p-6 rounded-2xl shadow-md border border-gray-200 flex flex-col items-center justify-center">
+              <Receipt className="h-10 w-10 text-blue-600 mb-2" />
+              <p className="text-gray-500 text-sm">Average Order Value</p>
+              <p className="text-2xl font-bold text-gray-800">
+                {formatMoney(summary.averageOrderValue)}
               </p>
             </div>
             <div className="bg-white p-6 rounded-2xl shadow-md border border-gray-200 flex flex-col items-center justify-center">
-              <PieChart className="h-10 w-10 text-purple-600 mb-2" />
-              <p className="text-gray-500 text-sm">Payment Types</p>
-              <p className="text-lg font-medium text-gray-800">
-                {pieData.map((p) => p.name).join(", ")}
+              <ShoppingBag className="h-10 w-10 text-purple-600 mb-2" />
+              <p className="text-gray-500 text-sm">Items Sold</p>
+              <p className="text-2xl font-bold text-gray-800">
+                {summary.itemsSold}
               </p>
+              {summary.discounts > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Discounts {formatMoney(summary.discounts)}
+                </p>
+              )}
             </div>
           </div>
 
@@ -154,11 +216,11 @@ const AdminAnalytics = () => {
               💰 Revenue Trend (Daily)
             </h2>
             <ResponsiveContainer width="100%" height={300}>
-              <LineChart data={chartData}>
+              <LineChart data={dailyData}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#ddd" />
-                <XAxis dataKey="date" />
+                <XAxis dataKey="label" />
                 <YAxis />
-                <Tooltip />
+                <Tooltip formatter={(value, name) => (name === "revenue" ? formatMoney(value) : value)} />
                 <Line
                   type="monotone"
                   dataKey="revenue"
@@ -169,6 +231,78 @@ const AdminAnalytics = () => {
             </ResponsiveContainer>
           </div>
 
+          {/* Revenue by Hour and Weekday */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+            {[
+              { title: "🕒 Revenue by Hour", data: report.revenue.byHour },
+              { title: "📅 Revenue by Weekday", data: report.revenue.byWeekday },
+            ].map(({ title, data }) => (
+              <div key={title} className="bg-white p-6 rounded-2xl shadow-md border border-gray-200">
+                <h2 className="text-xl font-semibold text-gray-800 mb-4">{title}</h2>
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={data}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#ddd" />
+                    <XAxis dataKey="label" />
+                    <YAxis />
+                    <Tooltip formatter={(value, name) => (name === "revenue" ? formatMoney(value) : value)} />
+                    <Bar dataKey="revenue" fill="#f97316" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+          </div>
+
+          {/* Top Items and Categories */}
+          <div className="flex justify-end gap-2 mb-3 text-sm">
+            {[
+              { value: "quantity", label: "By quantity" },
+              { value: "revenue", label: "By revenue" },
+            ].map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setSortBy(option.value)}
+                className={`px-3 py-1.5 rounded-lg ${
+                  sortBy === option.value
+                    ? "bg-orange-600 text-white"
+                    : "bg-white text-orange-700 border border-orange-200 hover:bg-orange-50"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+            {[
+              { title: "🍽️ Top Items", rows: report.topItems, key: "menuItemId" },
+              { title: "🗂️ Top Categories", rows: report.topCategories, key: "categoryId" },
+            ].map(({ title, rows, key }) => (
+              <div key={title} className="bg-white p-6 rounded-2xl shadow-md border border-gray-200">
+                <h2 className="text-xl font-semibold text-gray-800 mb-4">{title}</h2>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Name</th>
+                      <th className="py-2 text-right">Qty</th>
+                      <th className="py-2 text-right">Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((row) => (
+                      <tr key={row[key] || "none"} className="border-b last:border-0">
+                        <td className="py-2 text-gray-800">{row.name}</td>
+                        <td className="py-2 text-right">{row.quantity}</td>
+                        <td className="py-2 text-right">{formatMoney(row.revenue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-2">
+                  Revenue after promotions, before tax and service charge.
+                </p>
+              </div>
+            ))}
+          </div>
+
           {/* Payment Status Pie */}
           <div className="bg-white p-6 rounded-2xl shadow-md border border-gray-200">
             <h2 className="text-xl font-semibold text-gray-800 mb-4">
@@ -0,0 +1,469 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { format } from "date-fns";
+import { Loader2, RefreshCcw, Package, History, X } from "lucide-react";
+import inventoryService from "../../services/inventoryService";
+
+const movementLabels = {
+  receipt: "Received",
+  wastage: "Wasted",
+  correction: "Counted",
+  sale: "Sold",
+  cancellation: "Order canceled",
+};
+
+const movementColors = {
+  receipt: "bg-green-100 text-green-700",
+  wastage: "bg-red-100 text-red-700",
+  correction: "bg-blue-100 text-blue-700",
+  sale: "bg-gray-100 text-gray-700",
+  cancellation: "bg-yellow-100 text-yellow-700",
+};
+
+const emptyAdjustment = { type: "receipt", quantity: "", note: "" };
+
+// Stock column badge
+const stockStatus = (item) => {
+  if (!item.tracked) return { label: "Not tracked", className: "bg-gray-100 text-gray-500" };
+  if (item.soldOut || item.stock === 0) return { label: "Sold out", className: "bg-red-100 text-red-700" };
+  if (item.lowStock) return { label: "Low", className: "bg-yellow-100 text-yellow-700" };
+  return { label: "In stock", className: "bg-green-100 text-green-700" };
+};
+
+const AdminInventory = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [items, setItems] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [search, setSearch] = useState("");
+  const [lowOnly, setLowOnly] = useState(false);
+  const [alerts, setAlerts] = useState([]);
+  const [adjusting, setAdjusting] = useState(null);
+  const [adjustment, setAdjustment] = useState(emptyAdjustment);
+  const [saving, setSaving] = useState(false);
+  const [movements, setMovements] = useState([]);
+  const [movementPagination, setMovementPagination] = useState(null);
+  const [movementFilters, setMovementFilters] = useState({ menuItemId: "", type: "", page: 1 });
+
+  const fetchInventory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await inventoryService.getInventory(lowOnly ? { lowOnly: "true" } : {}, token);
+      setItems(data.items);
+      setSummary(data.summary);
+    } catch (err) {
+      console.error("Error fetching inventory:", err);
+      setError(err.message || "Failed to load inventory.");
+    } finally {
+      setLoading(false);
+    }
+  }, [lowOnly, token]);
+
+  const fetchMovements = useCallback(async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(movementFilters).filter(([, value]) => value));
+      const data = await inventoryService.getMovements(params, token);
+      setMovements(data.movements);
+      setMovementPagination(data.pagination);
+    } catch (err) {
+      console.error("Error fetching stock movements:", err);
+    }
+  }, [movementFilters, token]);
+
+  useEffect(() => {
+    fetchInventory();
+  }, [fetchInventory]);
+
+  useEffect(() => {
+    fetchMovements();
+  }, [fetchMovements]);
+
+  // Live stock levels as orders come in, plus low-stock and sold-out alerts
+  useEffect(() => {
+    if (!token) return;
+    return inventoryService.subscribe(token, (event) => {
+      setItems((prev) =>
+        prev.map((item) =>
+          item.id === event.item.id
+            ? {
+                ...item,
+                ...event.item,
+                tracked: event.item.stock !== null,
+                lowStock: event.item.stock !== null && event.item.lowStockThreshold !== null && event.item.stock <= event.item.lowStockThreshold,
+              }
+            : item
+        )
+      );
+      if (event.type === "stock.low" || event.type === "stock.sold_out") {
+        setAlerts((prev) => [event, ...prev].slice(0, 5));
+      }
+    });
+  }, [token]);
+
+  const replaceItem = (updated) => setItems((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+
+  const openAdjust = (item) => {
+    setAdjusting(item);
+    // Tracking starts with a count
+    setAdjustment({ ...emptyAdjustment, type: item.tracked ? "receipt" : "correction" });
+    setMessage(null);
+  };
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const updated = await inventoryService.adjustStock(
+        adjusting.id,
+        { type: adjustment.type, quantity: parseInt(adjustment.quantity, 10), note: adjustment.note },
+        token
+      );
+      replaceItem(updated);
+      setMessage(`${updated.name}: ${updated.stock} in stock.`);
+      setAdjusting(null);
+      fetchMovements();
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleThreshold = async (item, value) => {
+    const lowStockThreshold = value === "" ? null : parseInt(value, 10);
+    if (lowStockThreshold === item.lowStockThreshold) return;
+    try {
+      replaceItem(await inventoryService.updateSettings(item.id, { lowStockThreshold }, token));
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const handleStopTracking = async (item) => {
+    if (!window.confirm(`Stop tracking stock for ${item.name}? It will no longer sell out on its own.`)) return;
+    try {
+      replaceItem(await inventoryService.updateSettings(item.id, { tracked: false }, token));
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const setMovementFilter = (key, value) =>
+    setMovementFilters((prev) => ({ ...prev, [key]: value, ...(key !== "page" && { page: 1 }) }));
+
+  const visibleItems = items.filter((item) => item.name.toLowerCase().includes(search.trim().toLowerCase()));
+  const filteredItemName = items.find((item) => item.id === movementFilters.menuItemId)?.name;
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-amber-50 via-orange-50 to-yellow-50">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Inventory</h1>
+        <button
+          onClick={fetchInventory}
+          disabled={loading}
+          className="flex items-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-xl hover:bg-orange-700 transition-all"
+        >
+          {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCcw className="h-4 w-4" />}
+          Refresh
+        </button>
+      </div>
+
+      {alerts.length > 0 && (
+        <div className="mb-4 space-y-2">
+          {alerts.map((alert, index) => (
+            <div
+              key={`${alert.item.id}-${alert.at}`}
+              className={`flex justify-between items-center px-4 py-2 rounded-lg text-sm ${
+                alert.type === "stock.sold_out" ? "bg-red-100 text-red-800" : "bg-yellow-100 text-yellow-800"
+              }`}
+            >
+              <span>
+                {alert.type === "stock.sold_out"
+                  ? `${alert.item.name} sold out and is now hidden from ordering`
+                  : `${alert.item.name} is running low: ${alert.item.stock} left`}
+                <span className="ml-2 text-xs opacity-70">{format(new Date(alert.at), "HH:mm")}</span>
+              </span>
+              <button onClick={() => setAlerts((prev) => prev.filter((_, i) => i !== index))} aria-label="Dismiss">
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {summary && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+          <div className="bg-white rounded-2xl shadow-md p-4">
+            <p className="text-sm text-gray-500">Tracked items</p>
+            <p className="text-2xl font-bold text-gray-800">{summary.tracked}</p>
+          </div>
+          <div className="bg-white rounded-2xl shadow-md p-4">
+            <p className="text-sm text-gray-500">Low on stock</p>
+            <p className="text-2xl font-bold text-yellow-600">{summary.lowStock}</p>
+          </div>
+          <div className="bg-white rounded-2xl shadow-md p-4">
+            <p className="text-sm text-gray-500">Sold out</p>
+            <p className="text-2xl font-bold text-red-600">{summary.soldOut}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search items"
+          className="px-3 py-2 border rounded-lg bg-white"
+        />
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={lowOnly} onChange={(e) => setLowOnly(e.target.checked)} />
+          Low stock only
+        </label>
+      </div>
+
+      {message && <p className="mb-4 text-sm text-gray-700 bg-white border rounded-lg px-4 py-2">{message}</p>}
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="animate-spin h-8 w-8 text-orange-600" />
+        </div>
+      ) : error ? (
+        <p className="text-red-500 text-center">{error}</p>
+      ) : visibleItems.length === 0 ? (
+        <p className="text-gray-600 text-center text-lg">No items to show.</p>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-2xl shadow-md border border-gray-200">
+          <table className="w-full table-auto">
+            <thead className="bg-orange-600 text-white text-sm uppercase tracking-wide">
+              <tr>
+                <th className="px-4 py-3 text-left">Item</th>
+                <th className="px-4 py-3 text-left">Stock</th>
+                <th className="px-4 py-3 text-left">Alert at</th>
+                <th className="px-4 py-3 text-left">Status</th>
+                <th className="px-4 py-3 text-center">Action</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 text-sm">
+              {visibleItems.map((item) => {
+                const status = stockStatus(item);
+                return (
+                  <tr key={item.id} className="hover:bg-orange-50 transition-all">
+                    <td className="px-4 py-3">
+                      <p className="font-medium text-gray-800">{item.name}</p>
+                      <p className="text-xs text-gray-400">{item.category?.name}</p>
+                    </td>
+                    <td className="px-4 py-3 text-lg font-semibold text-gray-800">{item.tracked ? item.stock : "—"}</td>
+                    <td className="px-4 py-3">
+                      <input
+                        key={`${item.id}-${item.lowStockThreshold}`}
+                        type="number"
+                        min="0"
+                        defaultValue={item.lowStockThreshold ?? ""}
+                        onBlur={(e) => handleThreshold(item, e.target.value)}
+                        disabled={!item.tracked}
+                        placeholder="—"
+                        className="w-20 px-2 py-1 border rounded disabled:bg-gray-50"
+                      />
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                      {!item.availability && !item.soldOut && <p className="text-xs text-gray-400 mt-1">Switched off on the menu</p>}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex justify-center gap-2">
+                        <button
+                          onClick={() => openAdjust(item)}
+                          className="flex items-center gap-1 px-3 py-1 text-xs bg-orange-600 text-white rounded-lg hover:bg-orange-700"
+                        >
+                          <Package className="h-3 w-3" /> {item.tracked ? "Adjust" : "Track stock"}
+                        </button>
+                        <button
+                          onClick={() => setMovementFilter("menuItemId", item.id)}
+                          className="flex items-center gap-1 px-3 py-1 text-xs border rounded-lg hover:bg-gray-50"
+                        >
+                          <History className="h-3 w-3" /> History
+                        </button>
+                        {item.tracked && (
+                          <button
+                            onClick={() => handleStopTracking(item)}
+                            className="px-3 py-1 text-xs text-red-600 hover:underline"
+                          >
+                            Stop tracking
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Movement history */}
+      <div className="mt-8">
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Stock history</h2>
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <select
+              value={movementFilters.type}
+              onChange={(e) => setMovementFilter("type", e.target.value)}
+              className="px-3 py-2 border rounded-lg bg-white"
+            >
+              <option value="">All changes</option>
+              {Object.entries(movementLabels).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            {movementFilters.menuItemId && (
+              <button
+                onClick={() => setMovementFilter("menuItemId", "")}
+                className="px-3 py-2 rounded-lg bg-orange-100 text-orange-800"
+              >
+                Showing {filteredItemName || "one item"} ✕
+              </button>
+            )}
+          </div>
+        </div>
+
+        {movements.length === 0 ? (
+          <p className="text-gray-600 text-center">No stock changes yet.</p>
+        ) : (
+          <div className="overflow-x-auto bg-white rounded-2xl shadow-md border border-gray-200">
+            <table className="w-full table-auto">
+              <thead className="bg-orange-600 text-white text-sm uppercase tracking-wide">
+                <tr>
+                  <th className="px-4 py-3 text-left">When</th>
+                  <th className="px-4 py-3 text-left">Item</th>
+                  <th className="px-4 py-3 text-left">Change</th>
+                  <th className="px-4 py-3 text-right">Qty</th>
+                  <th className="px-4 py-3 text-right">Stock after</th>
+                  <th className="px-4 py-3 text-left">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 text-sm">
+                {movements.map((movement) => (
+                  <tr key={movement._id} className="hover:bg-orange-50 transition-all">
+                    <td className="px-4 py-3 text-gray-600">{format(new Date(movement.createdAt), "dd MMM yyyy, HH:mm")}</td>
+                    <td className="px-4 py-3 text-gray-700 font-medium">{movement.menuItemId?.name || "Deleted item"}</td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${movementColors[movement.type]}`}>
+                        {movementLabels[movement.type]}
+                      </span>
+                    </td>
+                    <td className={`px-4 py-3 text-right font-semibold ${movement.quantity < 0 ? "text-red-600" : "text-green-600"}`}>
+                      {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                    </td>
+                    <td className="px-4 py-3 text-right text-gray-700">{movement.stockAfter}</td>
+                    <td className="px-4 py-3 text-gray-600">
+                      {movement.orderId && (
+                        <Link to={`/admin/order/${movement.orderId._id}`} className="text-orange-700 hover:underline">
+                          {movement.orderId.orderNumber}
+                        </Link>
+                      )}
+                      {movement.note && <p>{movement.note}</p>}
+                      {movement.createdBy && <p className="text-xs text-gray-400">by {movement.createdBy.name}</p>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {movementPagination && movementPagination.pages > 1 && (
+          <div className="flex justify-center items-center gap-3 mt-4 text-sm">
+            <button
+              onClick={() => setMovementFilter("page", movementFilters.page - 1)}
+              disabled={movementFilters.page <= 1}
+              className="px-3 py-1 border rounded-lg bg-white disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600">Page {movementPagination.page} of {movementPagination.pages}</span>
+            <button
+              onClick={() => setMovementFilter("page", movementFilters.page + 1)}
+              disabled={movementFilters.page >= movementPagination.pages}
+              className="px-3 py-1 border rounded-lg bg-white disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Adjust stock */}
+      {adjusting && (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50">
+          <form onSubmit={handleAdjust} className="bg-white rounded-2xl shadow-xl w-full max-w-md p-6 space-y-4 text-sm">
+            <h2 className="text-xl font-bold text-gray-800">{adjusting.name}</h2>
+            <p className="text-gray-600">
+              {adjusting.tracked ? `${adjusting.stock} in stock now.` : "Stock isn't tracked yet. Enter the number of portions you have to start."}
+            </p>
+
+            {adjusting.tracked && (
+              <label className="block">
+                <span className="text-gray-700">Change</span>
+                <select
+                  value={adjustment.type}
+                  onChange={(e) => setAdjustment((prev) => ({ ...prev, type: e.target.value }))}
+                  className="w-full mt-1 px-3 py-2 border rounded-lg"
+                >
+                  <option value="receipt">Received stock</option>
+                  <option value="wastage">Wasted or spoiled</option>
+                  <option value="correction">Counted stock (correction)</option>
+                </select>
+              </label>
+            )}
+
+            <label className="block">
+              <span className="text-gray-700">{adjustment.type === "correction" ? "Portions counted" : "Portions"}</span>
+              <input
+                type="number"
+                min={adjustment.type === "correction" ? 0 : 1}
+                required
+                value={adjustment.quantity}
+                onChange={(e) => setAdjustment((prev) => ({ ...prev, quantity: e.target.value }))}
+                className="w-full mt-1 px-3 py-2 border rounded-lg"
+              />
+            </label>
+
+            <label className="block">
+              <span className="text-gray-700">Note</span>
+              <input
+                type="text"
+                maxLength={200}
+                value={adjustment.note}
+                onChange={(e) => setAdjustment((prev) => ({ ...prev, note: e.target.value }))}
+                placeholder="Supplier, reason..."
+                className="w-full mt-1 px-3 py-2 border rounded-lg"
+              />
+            </label>
+
+            <div className="flex justify-end gap-3 pt-2">
+              <button type="button" onClick={() => setAdjusting(null)} className="px-4 py-2 border rounded-lg hover:bg-gray-50">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex items-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:opacity-50"
+              >
+                {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+                Save
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminInventory;
@@ -0,0 +1,279 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { format, subDays } from "date-fns";
+import { Loader2, RefreshCcw, LayoutGrid } from "lucide-react";
+import {
+  ScatterChart,
+  Scatter,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  ZAxis,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import analyticsService from "../../services/analyticsService";
+
+const CLASSES = [
+  { value: "star", label: "Stars", color: "#10b981", hint: "Popular and profitable: keep them prominent" },
+  { value: "plowhorse", label: "Plowhorses", color: "#3b82f6", hint: "Popular, low margin: review price or cost" },
+  { value: "puzzle", label: "Puzzles", color: "#a855f7", hint: "Profitable, rarely ordered: promote or reposition" },
+  { value: "dog", label: "Dogs", color: "#ef4444", hint: "Neither: rework or drop" },
+];
+
+const classStyles = {
+  star: "bg-green-100 text-green-700",
+  plowhorse: "bg-blue-100 text-blue-700",
+  puzzle: "bg-purple-100 text-purple-700",
+  dog: "bg-red-100 text-red-700",
+};
+
+const RANGE_PRESETS = [30, 90, 180];
+
+// Days in the admin's own time zone, like the analytics dashboard
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const lastDays = (days) => ({
+  from: format(subDays(new Date(), days - 1), "yyyy-MM-dd"),
+  to: format(new Date(), "yyyy-MM-dd"),
+});
+
+const formatMoney = (value) => (value === null || value === undefined ? "—" : `₹${value.toFixed(2)}`);
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Scatter tooltip: the item under the cursor
+const ItemTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const item = payload[0].payload;
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg shadow p-3 text-sm">
+      <p className="font-semibold text-gray-800">{item.name}</p>
+      <p className="text-gray-600">{item.quantity} sold · {formatPercent(item.menuMix)} of category</p>
+      <p className="text-gray-600">Margin {formatMoney(item.unitMargin)} per portion</p>
+    </div>
+  );
+};
+
+const AdminMenuEngineering = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [range, setRange] = useState(() => lastDays(30));
+  const [categoryId, setCategoryId] = useState("");
+  const [categories, setCategories] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await analyticsService.getMenuEngineering({ ...range, timezone: TIMEZONE }, token);
+      setCategories(data.categories);
+      setSummary(data.summary);
+    } catch (err) {
+      console.error("Error fetching menu engineering report:", err);
+      setError(err.message || "Failed to load the report.");
+    } finally {
+      setLoading(false);
+    }
+  }, [range, token]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const shownCategories = categoryId
+    ? categories.filter((category) => category.categoryId === categoryId)
+    : categories;
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-amber-50 via-orange-50 to-yellow-50">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 flex items-center gap-2">
+            <LayoutGrid className="h-7 w-7 text-orange-600" />
+            Menu Engineering
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Each item's sales and margin compared with the rest of its category
+          </p>
+        </div>
+        <button
+          onClick={fetchReport}
+          disabled={loading}
+          className="flex items-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-xl hover:bg-orange-700 transition-all"
+        >
+          {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCcw className="h-4 w-4" />}
+          Refresh
+        </button>
+      </div>
+
+      {/* Period and category */}
+      <div className="bg-white p-4 rounded-2xl shadow-md border border-gray-200 mb-6 flex flex-wrap items-center gap-3 text-sm">
+        {RANGE_PRESETS.map((days) => {
+          const presetRange = lastDays(days);
+          const active = presetRange.from === range.from && presetRange.to === range.to;
+          return (
+            <button
+              key={days}
+              onClick={() => setRange(presetRange)}
+              className={`px-3 py-1.5 rounded-lg ${
+                active ? "bg-orange-600 text-white" : "bg-orange-50 text-orange-700 hover:bg-orange-100"
+              }`}
+            >
+              {days} days
+            </button>
+          );
+        })}
+        <input
+          type="date"
+          value={range.from}
+          max={range.to}
+          onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, from: e.target.value }))}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg"
+        />
+        <span className="text-gray-500">to</span>
+        <input
+          type="date"
+          value={range.to}
+          min={range.from}
+          onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, to: e.target.value }))}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg"
+        />
+        <select
+          value={categoryId}
+          onChange={(e) => setCategoryId(e.target.value)}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg"
+        >
+          <option value="">All categories</option>
+          {categories.map((category) => (
+            <option key={category.categoryId} value={category.categoryId}>
+              {category.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-center text-red-600 mb-6">{error}</p>}
+
+      {/* Quadrant counts */}
+      {summary && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          {CLASSES.map((cls) => (
+            <div key={cls.value} className="bg-white p-5 rounded-2xl shadow-md border border-gray-200">
+              <p className="text-sm font-semibold" style={{ color: cls.color }}>{cls.label}</p>
+              <p className="text-2xl font-bold text-gray-800">{summary[cls.value]}</p>
+              <p className="text-xs text-gray-500 mt-1">{cls.hint}</p>
+            </div>
+          ))}
+        </div>
+      )}
+      {summary?.unclassified > 0 && (
+        <p className="mb-6 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-xl px-4 py-3">
+          {summary.unclassified} {summary.unclassified === 1 ? "item has" : "items have"} no cost yet, so no margin.
+          Add costs in <Link to="/admin/menu" className="underline">Menu Management</Link> to classify them.
+        </p>
+      )}
+
+      {loading && categories.length === 0 ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 text-orange-600 animate-spin" />
+        </div>
+      ) : (
+        shownCategories.map((category) => (
+          <div key={category.categoryId} className="bg-white p-6 rounded-2xl shadow-md border border-gray-200 mb-8">
+            <div className="flex flex-wrap justify-between items-baseline gap-2 mb-4">
+              <h2 className="text-xl font-semibold text-gray-800">{category.name}</h2>
+              <p className="text-sm text-gray-500">
+                {category.totalQuantity} sold · popular from {formatPercent(category.popularityThreshold)} of the category ·
+                average margin {formatMoney(category.marginThreshold)}
+              </p>
+            </div>
+
+            <ResponsiveContainer width="100%" height={320}>
+              <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#ddd" />
+                <XAxis
+                  type="number"
+                  dataKey="menuMix"
+                  name="Menu mix"
+                  tickFormatter={formatPercent}
+                  label={{ value: "Share of category sales", position: "insideBottom", offset: -10 }}
+                />
+                <YAxis
+                  type="number"
+                  dataKey="unitMargin"
+                  name="Margin"
+                  tickFormatter={(value) => `₹${value}`}
+                />
+                <ZAxis range={[80, 80]} />
+                <Tooltip content={<ItemTooltip />} />
+                <Legend verticalAlign="top" />
+                <ReferenceLine x={category.popularityThreshold} stroke="#9ca3af" strokeDasharray="4 4" />
+                {category.marginThreshold !== null && (
+                  <ReferenceLine y={category.marginThreshold} stroke="#9ca3af" strokeDasharray="4 4" />
+                )}
+                {CLASSES.map((cls) => (
+                  <Scatter
+                    key={cls.value}
+                    name={cls.label}
+                    data={category.items.filter((item) => item.class === cls.value)}
+                    fill={cls.color}
+                  />
+                ))}
+              </ScatterChart>
+            </ResponsiveContainer>
+
+            <div className="overflow-x-auto mt-4">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">Item</th>
+                    <th className="py-2 text-right">Sold</th>
+                    <th className="py-2 text-right">Mix</th>
+                    <th className="py-2 text-right">Avg price</th>
+                    <th className="py-2 text-right">Cost</th>
+                    <th className="py-2 text-right">Margin</th>
+                    <th className="py-2 text-right">Food cost</th>
+                    <th className="py-2 text-right">Class</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {category.items.map((item) => (
+                    <tr key={item.menuItemId} className="border-b last:border-0">
+                      <td className="py-2 text-gray-800">
+                        {item.name}
+                        {!item.availability && <span className="ml-2 text-xs text-gray-400">off</span>}
+                      </td>
+                      <td className="py-2 text-right">{item.quantity}</td>
+                      <td className="py-2 text-right">{formatPercent(item.menuMix)}</td>
+                      <td className="py-2 text-right">{formatMoney(item.averagePrice)}</td>
+                      <td className="py-2 text-right">{formatMoney(item.cost)}</td>
+                      <td className="py-2 text-right">{formatMoney(item.unitMargin)}</td>
+                      <td className="py-2 text-right">
+                        {item.foodCostPercent === null ? "—" : `${item.foodCostPercent}%`}
+                      </td>
+                      <td className="py-2 text-right">
+                        {item.class ? (
+                          <span className={`px-2 py-0.5 rounded text-xs ${classStyles[item.class]}`}>{item.class}</span>
+                        ) : (
+                          <span className="text-xs text-gray-400">needs cost</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default AdminMenuEngineering;
@@ -1,30 +1,71 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import { useSelector } from 'react-redux'
+import { format } from 'date-fns'
 import menuService from '../../services/menuService'
+import printService from '../../services/printService'
+import ScheduleEditor, { ScheduleSummary } from '../../Components/ScheduleEditor'
+import MenuImportDialog from '../../Components/MenuImportDialog'
+
+// Draft of a category's serving hours, saved in one go
+const CategoryHoursForm = ({ category, onSave }) => {
+  const [schedule, setSchedule] = useState(
+    (category.schedule || []).map(window => ({ ...window, days: [...window.days] }))
+  )
+
+  return (
+    <div className="mt-2 p-3 border border-gray-200 rounded-lg">
+      <ScheduleEditor schedule={schedule} onChange={setSchedule} />
+      <button
+        type="button"
+        onClick={() => onSave(category, schedule)}
+        className="mt-2 px-3 py-1.5 bg-amber-800 text-white rounded-lg hover:bg-amber-900"
+      >
+        Save hours
+      </button>
+    </div>
+  )
+}
 
 const AdminMenuManagement = () => {
   const [menuItems, setMenuItems] = useState([])
   const [categories, setCategories] = useState([])
+  const [taxSettings, setTaxSettings] = useState(null)
+  const [printSettings, setPrintSettings] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [showAddModal, setShowAddModal] = useState(false)
   const [editingItem, setEditingItem] = useState(null)
+  // '' lists every item; a date lists what guests would see at that time
+  const [previewAt, setPreviewAt] = useState('')
+  const [editingHoursId, setEditingHoursId] = useState(null)
+  const [showImport, setShowImport] = useState(false)
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     price: '',
+    cost: '',
     categoryId: '',
     availability: true,
-    tags: ''
+    tags: '',
+    optionGroups: [],
+    schedule: []
   })
 
   const { token } = useSelector((state) => state.auth)
 
-  // Fetch menu items and categories on component mount
+  // Tax classes for the category tax settings
   useEffect(() => {
-    fetchMenuItems()
-    fetchCategories()
-  }, [])
+    menuService.getTaxClasses(token)
+      .then(setTaxSettings)
+      .catch(err => console.error('Failed to fetch tax classes:', err))
+  }, [token])
+
+  // Printer stations a category's kitchen tickets can go to
+  useEffect(() => {
+    printService.getStations(token)
+      .then(setPrintSettings)
+      .catch(err => console.error('Failed to fetch printer stations:', err))
+  }, [token])
 
   // Populate form when editing
   useEffect(() => {
@@ -33,26 +74,37 @@ const AdminMenuManagement = () => {
         name: editingItem.name || '',
         description: editingItem.description || '',
         price: editingItem.price || '',
+        cost: editingItem.cost ?? '',
         categoryId: editingItem.category?._id || '',
         availability: editingItem.availability,
-        tags: editingItem.tags ? editingItem.tags.join(', ') : ''
+        tags: editingItem.tags ? editingItem.tags.join(', ') : '',
+        optionGroups: (editingItem.optionGroups || []).map(group => ({
+          ...group,
+          options: group.options.map(option => ({ ...option }))
+        })),
+        schedule: (editingItem.schedule || []).map(window => ({ ...window, days: [...window.days] }))
       })
     } else {
       setFormData({
         name: '',
         description: '',
         price: '',
+        cost: '',
         categoryId: '',
         availability: true,
-        tags: ''
+        tags: '',
+        optionGroups: [],
+        schedule: []
       })
     }
   }, [editingItem])
 
-  const fetchMenuItems = async () => {
+  const fetchMenuItems = useCallback(async () => {
     try {
       setLoading(true)
-      const data = await menuService.getMenuItems({})
+      const data = await menuService.getMenuItems({
+        ...(previewAt && { visibleAt: new Date(previewAt).toISOString() })
+      }, token)
 
       const items = Array.isArray(data)
         ? data
@@ -72,17 +124,56 @@ const AdminMenuManagement = () => {
     } finally {
       setLoading(false)
     }
-  }
+  }, [previewAt, token])
 
-  const fetchCategories = async () => {
+  const fetchCategories = useCallback(async () => {
     try {
-      const data = await menuService.getCategories()
+      const data = await menuService.getCategories(token)
       setCategories(data)
     } catch (err) {
       console.error('Failed to fetch categories:', err)
     }
+  }, [token])
+
+  // Fetch menu items and categories on mount, and items again when the preview time changes
+  useEffect(() => {
+    fetchMenuItems()
+  }, [fetchMenuItems])
+
+  useEffect(() => {
+    fetchCategories()
+  }, [fetchCategories])
+
+  const handleCategoryTaxClass = async (category, taxClass) => {
+    try {
+      const updated = await menuService.updateCategory(category.id, { taxClass: taxClass || null }, token)
+      setCategories(categories.map(c => (c.id === category.id ? { ...c, taxClass: updated.taxClass } : c)))
+    } catch (err) {
+      alert('Failed to update tax class: ' + err.message)
+    }
   }
 
+  const handleCategoryPrintStation = async (category, printStation) => {
+    try {
+      const updated = await menuService.updateCategory(category.id, { printStation: printStation || null }, token)
+      setCategories(categories.map(c => (c.id === category.id ? { ...c, printStation: updated.printStation } : c)))
+    } catch (err) {
+      alert('Failed to update print station: ' + err.message)
+    }
+  }
+
+  const handleCategorySchedule = async (category, schedule) => {
+    try {
+      const updated = await menuService.updateCategory(category.id, { schedule }, token)
+      setCategories(categories.map(c => (
+        c.id === category.id ? { ...c, schedule: updated.schedule, visibleNow: updated.visibleNow } : c
+      )))
+      setEditingHoursId(null)
+      fetchMenuItems()
+    } catch (err) {
+      alert('Failed to update hours: ' + err.message)
+    }
+  }
 
   const handleToggleAvailability = async (item) => {
     try {
@@ -100,6 +191,20 @@ const AdminMenuManagement = () => {
     }
   }
 
+  const handleExport = async (fileFormat) => {
+    try {
+      const blob = await menuService.exportMenu(fileFormat, token)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `menu-${format(new Date(), 'yyyy-MM-dd')}.${fileFormat}`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      alert('Failed to export menu: ' + err.message)
+    }
+  }
+
   const handleDelete = async (itemId) => {
     if (!window.confirm('Are you sure you want to delete this item?')) return
 
@@ -131,25 +236,63 @@ const AdminMenuManagement = () => {
       return
     }
 
+    // Blank means the cost isn't known (no margin in menu engineering)
+    const cost = formData.cost === '' ? null : parseFloat(formData.cost)
+    if (cost !== null && (isNaN(cost) || cost < 0)) {
+      alert('Please enter a cost of 0 or more, or leave it blank')
+      return
+    }
+
     if (!formData.categoryId) {
       alert('Please select a category')
       return
     }
 
+    for (const group of formData.optionGroups) {
+      if (!group.name.trim()) {
+        alert('Every option group needs a name')
+        return
+      }
+      if (group.options.length === 0 || group.options.some(option => !option.name.trim())) {
+        alert(`Every option in "${group.name}" needs a name`)
+        return
+      }
+      if (Number(group.minSelect) > Number(group.maxSelect)) {
+        alert(`"${group.name}": minimum choices cannot be more than maximum`)
+        return
+      }
+    }
+
     try {
       const itemData = {
         name: formData.name.trim(),
         description: formData.description.trim(),
         price: price,
+        cost,
         categoryId: formData.categoryId,
         availability: formData.availability,
-        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : []
+        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [],
+        optionGroups: formData.optionGroups.map(group => ({
+          ...(group.id && { id: group.id }),
+          name: group.name.trim(),
+          minSelect: parseInt(group.minSelect, 10) || 0,
+          maxSelect: parseInt(group.maxSelect, 10) || 1,
+          options: group.options.map(option => ({
+            ...(option.id && { id: option.id }),
+            name: option.name.trim(),
+            priceDelta: parseFloat(option.priceDelta) || 0,
+            available: option.available !== false
+          }))
+        })),
+        schedule: formData.schedule
       }
 
       if (editingItem) {
-        await menuService.updateMenuItem(editingItem.id || editingItem._id, itemData, token)
+        const updated = await menuService.updateMenuItem(editingItem.id || editingItem._id, itemData, token)
         setMenuItems(menuItems.map(item =>
-          (item.id || item._id) === (editingItem.id || editingItem._id) ? { ...item, ...itemData } : item
+          (item.id || item._id) === (editingItem.id || editingItem._id)
+            ? { ...item, ...itemData, visibleNow: updated?.menuItem?.visibleNow ?? item.visibleNow }
+            : item
         ))
       } else {
         const newItem = await menuService.createMenuItem(itemData, token)
@@ -163,9 +306,12 @@ const AdminMenuManagement = () => {
         name: '',
         description: '',
         price: '',
+        cost: '',
         categoryId: '',
         availability: true,
-        tags: ''
+        tags: '',
+        optionGroups: [],
+        schedule: []
       })
     } catch (err) {
       // Show detailed validation errors if available
@@ -185,6 +331,55 @@ const AdminMenuManagement = () => {
     }))
   }
 
+  // Option group editing
+  const addOptionGroup = () => {
+    setFormData(prev => ({
+      ...prev,
+      optionGroups: [...prev.optionGroups, { name: '', minSelect: 0, maxSelect: 1, options: [{ name: '', priceDelta: 0, available: true }] }]
+    }))
+  }
+
+  const updateOptionGroup = (groupIndex, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      optionGroups: prev.optionGroups.map((group, i) => i === groupIndex ? { ...group, [field]: value } : group)
+    }))
+  }
+
+  const removeOptionGroup = (groupIndex) => {
+    setFormData(prev => ({
+      ...prev,
+      optionGroups: prev.optionGroups.filter((_, i) => i !== groupIndex)
+    }))
+  }
+
+  const addOption = (groupIndex) => {
+    setFormData(prev => ({
+      ...prev,
+      optionGroups: prev.optionGroups.map((group, i) => i === groupIndex
+        ? { ...group, options: [...group.options, { name: '', priceDelta: 0, available: true }] }
+        : group)
+    }))
+  }
+
+  const updateOption = (groupIndex, optionIndex, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      optionGroups: prev.optionGroups.map((group, i) => i === groupIndex
+        ? { ...group, options: group.options.map((option, j) => j === optionIndex ? { ...option, [field]: value } : option) }
+        : group)
+    }))
+  }
+
+  const removeOption = (groupIndex, optionIndex) => {
+    setFormData(prev => ({
+      ...prev,
+      optionGroups: prev.optionGroups.map((group, i) => i === groupIndex
+        ? { ...group, options: group.options.filter((_, j) => j !== optionIndex) }
+        : group)
+    }))
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -219,15 +414,35 @@ const AdminMenuManagement = () => {
           <h1 className="text-3xl font-bold text-gray-800">Menu Management</h1>
           <p className="text-gray-600 mt-1">Manage your restaurant menu items</p>
         </div>
-        <button
-          onClick={() => setShowAddModal(true)}
-          className="px-6 py-3 bg-amber-800 text-white rounded-lg font-semibold hover:bg-amber-900 transition-all shadow-lg flex items-center gap-2"
-        >
-          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-          </svg>
-          Add New Item
-        </button>
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => handleExport('csv')}
+            className="px-4 py-3 bg-amber-100 text-amber-800 rounded-lg font-semibold hover:bg-amber-200 transition-all"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => handleExport('json')}
+            className="px-4 py-3 bg-amber-100 text-amber-800 rounded-lg font-semibold hover:bg-amber-200 transition-all"
+          >
+            Export JSON
+          </button>
+          <button
+            onClick={() => setShowImport(true)}
+            className="px-4 py-3 bg-amber-100 text-amber-800 rounded-lg font-semibold hover:bg-amber-200 transition-all"
+          >
+            Import
+          </button>
+          <button
+            onClick={() => setShowAddModal(true)}
+            className="px-6 py-3 bg-amber-800 text-white rounded-lg font-semibold hover:bg-amber-900 transition-all shadow-lg flex items-center gap-2"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+            </svg>
+            Add New Item
+          </button>
+        </div>
       </div>
 
       {/* Stats Cards */}
@@ -295,6 +510,108 @@ const AdminMenuManagement = () => {
         </div>
       </div>
 
+      {/* Guest view preview */}
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-semibold text-gray-800">Guest view</span>
+        <input
+          type="datetime-local"
+          value={previewAt}
+          onChange={(e) => setPreviewAt(e.target.value)}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+        />
+        <button
+          type="button"
+          onClick={() => setPreviewAt(format(new Date(), "yyyy-MM-dd'T'HH:mm"))}
+          className="px-3 py-1.5 bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200"
+        >
+          Now
+        </button>
+        {previewAt && (
+          <button
+            type="button"
+            onClick={() => setPreviewAt('')}
+            className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+          >
+            Show all items
+          </button>
+        )}
+        <span className="text-gray-500">
+          {previewAt
+            ? 'Showing only the items guests can see and order at this time'
+            : 'Showing every item; pick a time to see the menu as guests would'}
+        </span>
+      </div>
+
+      {/* Category Tax Classes and Hours */}
+      {taxSettings && categories.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+            <h2 className="text-lg font-semibold text-gray-800">{printSettings?.enabled ? 'Category tax, printers and hours' : 'Category tax and hours'}</h2>
+            <p className="text-sm text-gray-500">
+              Menu prices {taxSettings.taxMode === 'inclusive' ? 'include' : 'exclude'} tax
+              {taxSettings.serviceChargeRate > 0 && ` · ${taxSettings.serviceChargeRate}% service charge`}
+              {taxSettings.roundTo > 0 && ` · totals rounded to ₹${taxSettings.roundTo}`}
+            </p>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {categories.map((category) => (
+              <div key={category.id} className="text-sm">
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-gray-700">
+                    {category.name}
+                    {category.visibleNow === false && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-100 text-gray-600">Outside hours</span>
+                    )}
+                  </span>
+                  <select
+                    value={category.taxClass || ''}
+                    onChange={(e) => handleCategoryTaxClass(category, e.target.value)}
+                    className="px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+                  >
+                    <option value="">
+                      Default ({taxSettings.classes.find(c => c.name === taxSettings.defaultClass)?.label || taxSettings.defaultClass})
+                    </option>
+                    {taxSettings.classes.map((taxClass) => (
+                      <option key={taxClass.name} value={taxClass.name}>{taxClass.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {printSettings?.enabled && (
+                  <div className="flex items-center justify-between gap-3 mt-1">
+                    <span className="text-xs text-gray-500">Kitchen tickets print at</span>
+                    <select
+                      value={category.printStation || ''}
+                      onChange={(e) => handleCategoryPrintStation(category, e.target.value)}
+                      className="px-2 py-1 text-xs border border-gray-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+                    >
+                      <option value="">Default ({printSettings.defaultStation})</option>
+                      {printSettings.stations.map((station) => (
+                        <option key={station.name} value={station.name}>{station.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div className="flex items-start justify-between gap-3 mt-1">
+                  {category.schedule?.length > 0
+                    ? <div><ScheduleSummary schedule={category.schedule} /></div>
+                    : <p className="text-xs text-gray-500">Served all day</p>}
+                  <button
+                    type="button"
+                    onClick={() => setEditingHoursId(editingHoursId === category.id ? null : category.id)}
+                    className="text-xs text-amber-800 hover:text-amber-900 font-semibold"
+                  >
+                    {editingHoursId === category.id ? 'Cancel' : 'Edit hours'}
+                  </button>
+                </div>
+                {editingHoursId === category.id && (
+                  <CategoryHoursForm category={category} onSave={handleCategorySchedule} />
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Menu Items Grid */}
       {menuItems.length === 0 ? (
         <div className="bg-white rounded-lg shadow-lg p-12 text-center">
@@ -341,12 +658,19 @@ const AdminMenuManagement = () => {
               <div className="p-4">
                 <div className="flex justify-between items-start mb-2">
                   <h3 className="text-lg font-bold text-gray-800">{item.name}</h3>
-                  <span className={`px-2 py-1 text-xs font-semibold rounded-full ${item.availability
-                      ? 'bg-green-100 text-green-800'
-                      : 'bg-red-100 text-red-800'
-                    }`}>
-                    {item.availability ? 'Available' : 'Unavailable'}
-                  </span>
+                  <div className="flex flex-col items-end gap-1">
+                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${item.availability
+                        ? 'bg-green-100 text-green-800'
+                        : 'bg-red-100 text-red-800'
+                      }`}>
+                      {item.availability ? 'Available' : 'Unavailable'}
+                    </span>
+                    {!previewAt && item.visibleNow === false && (
+                      <span className="px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-600">
+                        Outside hours
+                      </span>
+                    )}
+                  </div>
                 </div>
 
                 <p className="text-sm text-gray-600 mb-3">
@@ -358,7 +682,26 @@ const AdminMenuManagement = () => {
                   </span>
                 </p>
 
-                <p className="text-2xl font-bold text-amber-800 mb-4">₹{item.price}</p>
+                <p className="text-2xl font-bold text-amber-800 mb-4">
+                  ₹{item.price}
+                  {item.cost != null && (
+                    <span className="ml-2 text-sm font-normal text-gray-500">
+                      cost ₹{item.cost} · margin ₹{(item.price - item.cost).toFixed(2)}
+                    </span>
+                  )}
+                </p>
+
+                {item.schedule?.length > 0 && (
+                  <div className="mb-3">
+                    <ScheduleSummary schedule={item.schedule} />
+                  </div>
+                )}
+
+                {item.optionGroups?.length > 0 && (
+                  <p className="text-xs text-gray-500 mb-3">
+                    Options: {item.optionGroups.map(group => group.name).join(', ')}
+                  </p>
+                )}
 
                 {/* Action Buttons */}
                 <div className="flex gap-2">
@@ -396,6 +739,17 @@ const AdminMenuManagement = () => {
         </div>
       )}
 
+      {showImport && (
+        <MenuImportDialog
+          token={token}
+          onClose={() => setShowImport(false)}
+          onImported={() => {
+            fetchMenuItems()
+            fetchCategories()
+          }}
+        />
+      )}
+
       {/* Add/Edit Modal */}
       {(showAddModal || editingItem) && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -467,6 +821,24 @@ const AdminMenuManagement = () => {
                 />
               </div>
 
+              {/* Cost */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Cost per portion (₹)
+                </label>
+                <input
+                  type="number"
+                  name="cost"
+                  value={formData.cost}
+                  onChange={handleInputChange}
+                  min="0"
+                  step="0.01"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+                  placeholder="Leave blank if unknown"
+                />
+                <p className="text-xs text-gray-500 mt-1">Used for contribution margins in the menu engineering report</p>
+              </div>
+
               {/* Category */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -503,6 +875,128 @@ const AdminMenuManagement = () => {
                 />
               </div>
 
+              {/* Option Groups */}
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Option Groups
+                  </label>
+                  <button
+                    type="button"
+                    onClick={addOptionGroup}
+                    className="text-sm text-amber-800 hover:text-amber-900 font-semibold"
+                  >
+                    + Add Group
+                  </button>
+                </div>
+
+                {formData.optionGroups.length === 0 && (
+                  <p className="text-xs text-gray-500">No options. Add a group for choices like size or add-ons.</p>
+                )}
+
+                <div className="space-y-4">
+                  {formData.optionGroups.map((group, groupIndex) => (
+                    <div key={group.id || groupIndex} className="border border-gray-200 rounded-lg p-3">
+                      <div className="flex gap-2 mb-2">
+                        <input
+                          type="text"
+                          value={group.name}
+                          onChange={(e) => updateOptionGroup(groupIndex, 'name', e.target.value)}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          placeholder="Group name, e.g. Size"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeOptionGroup(groupIndex)}
+                          className="px-3 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 text-sm"
+                        >
+                          Remove
+                        </button>
+                      </div>
+
+                      <div className="flex gap-4 mb-3 text-sm text-gray-700">
+                        <label className="flex items-center gap-2">
+                          Min
+                          <input
+                            type="number"
+                            min="0"
+                            value={group.minSelect}
+                            onChange={(e) => updateOptionGroup(groupIndex, 'minSelect', e.target.value)}
+                            className="w-16 px-2 py-1 border border-gray-300 rounded"
+                          />
+                        </label>
+                        <label className="flex items-center gap-2">
+                          Max
+                          <input
+                            type="number"
+                            min="1"
+                            value={group.maxSelect}
+                            onChange={(e) => updateOptionGroup(groupIndex, 'maxSelect', e.target.value)}
+                            className="w-16 px-2 py-1 border border-gray-300 rounded"
+                          />
+                        </label>
+                      </div>
+
+                      <div className="space-y-2">
+                        {group.options.map((option, optionIndex) => (
+                          <div key={option.id || optionIndex} className="flex items-center gap-2">
+                            <input
+                              type="text"
+                              value={option.name}
+                              onChange={(e) => updateOption(groupIndex, optionIndex, 'name', e.target.value)}
+                              className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                              placeholder="Option, e.g. Large"
+                            />
+                            <input
+                              type="number"
+                              step="0.01"
+                              value={option.priceDelta}
+                              onChange={(e) => updateOption(groupIndex, optionIndex, 'priceDelta', e.target.value)}
+                              className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+                              title="Price change (₹)"
+                            />
+                            <input
+                              type="checkbox"
+                              checked={option.available !== false}
+                              onChange={(e) => updateOption(groupIndex, optionIndex, 'available', e.target.checked)}
+                              className="h-4 w-4 text-amber-600 border-gray-300 rounded"
+                              title="Available"
+                            />
+                            <button
+                              type="button"
+                              onClick={() => removeOption(groupIndex, optionIndex)}
+                              className="text-gray-400 hover:text-red-600"
+                              title="Remove option"
+                            >
+                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                              </svg>
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+
+                      <button
+                        type="button"
+                        onClick={() => addOption(groupIndex)}
+                        className="mt-2 text-xs text-amber-800 hover:text-amber-900 font-semibold"
+                      >
+                        + Add Option
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Serving hours */}
+              <div className="text-sm">
+                <ScheduleEditor
+                  schedule={formData.schedule}
+                  onChange={(schedule) => setFormData(prev => ({ ...prev, schedule }))}
+                  label="Serving hours (restaurant time; none = whenever the category is served)"
+                />
+              </div>
+
               {/* Availability */}
               <div className="flex items-center">
                 <input
@@ -1,9 +1,20 @@
 import React, { useEffect, useState } from 'react'
-import { useNavigate, useParams } from 'react-router-dom'
+import { Link, useNavigate, useParams } from 'react-router-dom'
 import { useSelector } from 'react-redux'
 import orderService from '../../services/orderService'
 import { format } from 'date-fns'
 import { Loader2 } from 'lucide-react'
+import OrderStatusTimeline from '../../Components/OrderStatusTimeline'
+import OrderLineOptions from '../../Components/OrderLineOptions'
+import RefundDialog from '../../Components/RefundDialog'
+import OrderBreakdown from '../../Components/OrderBreakdown'
+
+const refundStatusColors = {
+  succeeded: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  partial: 'bg-orange-100 text-orange-800',
+  failed: 'bg-red-100 text-red-800',
+}
 
 const AdminOrderDetail = () => {
   const navigate = useNavigate()
@@ -14,7 +25,11 @@ const AdminOrderDetail = () => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [updating, setUpdating] = useState(false)
+  // Tip recorded with the payment when the order is marked paid
+  const [tip, setTip] = useState('')
   const [paymentStatus, setPaymentStatus] = useState('pending')
+  const [showRefund, setShowRefund] = useState(false)
+  const [refundMessage, setRefundMessage] = useState(null)
 
   const fetchOrder = async () => {
     if (!orderId) {
@@ -41,6 +56,9 @@ const AdminOrderDetail = () => {
     fetchOrder()
   }, [orderId])
 
+  // Only offer the transitions the server's state machine allows
+  const canMoveTo = (status) => (order?.allowedTransitions || []).includes(status)
+
   const handleUpdateStatus = async (newStatus) => {
     if (!orderId) return
     try {
@@ -59,7 +77,8 @@ const AdminOrderDetail = () => {
     if (!orderId) return
     try {
       setUpdating(true)
-      await orderService.updateOrderPayment(orderId, newStatus, token)
+      await orderService.updateOrderPayment(orderId, newStatus, token, newStatus === 'paid' && tip ? { tip: parseFloat(tip) } : {})
+      if (newStatus === 'paid') setTip('')
       setPaymentStatus(newStatus)
       // optional refetch if you want backend-confirmed data:
       await fetchOrder()
@@ -71,6 +90,17 @@ const AdminOrderDetail = () => {
     }
   }
 
+  const handleRefunded = async (result) => {
+    setShowRefund(false)
+    setRefundMessage(result.refund.status === 'partial'
+      ? `Refunded ₹${result.refund.amount.toFixed(2)}, but some payments could not be refunded`
+      : `Refunded ₹${result.refund.amount.toFixed(2)}`)
+    await fetchOrder()
+  }
+
+  const canRefund = ['paid', 'partially_refunded'].includes(paymentStatus) ||
+    (order?.payment?.splitMode && paymentStatus !== 'refunded')
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -96,6 +126,14 @@ const AdminOrderDetail = () => {
         <div className="flex justify-between items-start mb-4">
           <div>
             <h2 className="text-2xl font-bold text-gray-800">Order #{order.orderNumber}</h2>
+            {(order.invoiceNumber || order.payment?.receiptNumber) && (
+              <p className="text-gray-500 text-sm">
+                {[order.invoiceNumber && `Invoice ${order.invoiceNumber}`, order.payment?.receiptNumber && `Receipt ${order.payment.receiptNumber}`]
+                  .filter(Boolean)
+                  .join(' · ')}
+                {order.payment?.tip > 0 && ` · Tip ₹${order.payment.tip.toFixed(2)}`}
+              </p>
+            )}
             <p className="text-gray-600">Customer: {order.customer?.name ?? 'Guest'}</p>
             <p className="text-gray-500 text-sm">
               Placed: {order.createdAt ? format(new Date(order.createdAt), 'dd MMM yyyy, HH:mm') : '—'}
@@ -105,8 +143,11 @@ const AdminOrderDetail = () => {
             <p className="text-sm text-gray-500">Table: {order.table?.number ?? '—'}</p>
             <p className="text-sm font-semibold mt-2">Status: {order.status}</p>
             <p className="text-sm font-semibold mt-1">
-              Payment: <span className="capitalize">{paymentStatus}</span>
+              Payment: <span className="capitalize">{paymentStatus.replace('_', ' ')}</span>
             </p>
+            {order.payment?.refundedAmount > 0 && (
+              <p className="text-sm text-red-700 mt-1">Refunded: ₹{order.payment.refundedAmount.toFixed(2)}</p>
+            )}
           </div>
         </div>
 
@@ -117,6 +158,7 @@ const AdminOrderDetail = () => {
               <li key={it._id} className="py-3 flex justify-between">
                 <div>
                   <p className="font-medium text-gray-800">{it.name}</p>
+                  <OrderLineOptions options={it.options} />
                   <p className="text-sm text-gray-500">Qty: {it.qty}</p>
                 </div>
                 <div className="text-gray-800 font-semibold">
@@ -127,14 +169,42 @@ const AdminOrderDetail = () => {
           </ul>
         </div>
 
+        {order.refunds?.length > 0 && (
+          <div className="mb-4">
+            <h3 className="font-semibold text-gray-700 mb-2">Refunds</h3>
+            <ul className="divide-y divide-gray-200">
+              {order.refunds.map((refund) => (
+                <li key={refund._id} className="py-2 flex justify-between gap-3">
+                  <div>
+                    <p className="text-gray-800">{refund.reason}</p>
+                    <p className="text-xs text-gray-500">
+                      {refund.at ? format(new Date(refund.at), 'dd MMM yyyy, HH:mm') : '—'} · {refund.role}
+                      {refund.items?.length > 0 && ` · ${refund.items.map((item) => `${item.qty} x ${order.items[item.lineIndex]?.name}`).join(', ')}`}
+                    </p>
+                    {refund.transactions?.filter((t) => t.error).map((t, i) => (
+                      <p key={i} className="text-xs text-red-600">{t.provider}: {t.error}</p>
+                    ))}
+                  </div>
+                  <div className="text-right">
+                    <p className="font-semibold text-gray-800">₹{refund.amount.toFixed(2)}</p>
+                    <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${refundStatusColors[refund.status] || 'bg-gray-100 text-gray-700'}`}>
+                      {refund.status}
+                    </span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="mb-4">
+          <h3 className="font-semibold text-gray-700 mb-2">Status History</h3>
+          <OrderStatusTimeline history={order.statusHistory || []} />
+        </div>
+
         <div className="flex items-center justify-between">
           <div>
-            <p className="text-gray-600">
-              Total:{' '}
-              <span className="font-bold text-gray-800">
-                ₹{order.totals?.toFixed(2) ?? '0.00'}
-              </span>
-            </p>
+            <OrderBreakdown breakdown={order.breakdown} total={order.totals} className="w-72" />
 
             {/* ✅ Payment Dropdown */}
             <div className="flex items-center gap-2 mt-2">
@@ -142,27 +212,56 @@ const AdminOrderDetail = () => {
               <select
                 value={paymentStatus}
                 onChange={(e) => handleUpdatePayment(e.target.value)}
-                disabled={updating}
+                disabled={updating || order.refunds?.length > 0}
                 className="px-2 py-1 text-sm border border-gray-300 rounded"
               >
                 <option value="pending">Pending</option>
                 <option value="paid">Paid</option>
                 <option value="failed">Failed</option>
-                <option value="refunded">Refunded</option>
+                {/* Shown only: refunds are issued with the Refund button */}
+                <option value="partially_refunded" disabled>Partially Refunded</option>
+                <option value="refunded" disabled>Refunded</option>
               </select>
+              {!['paid', 'partially_refunded', 'refunded'].includes(order.payment?.status) && (
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={tip}
+                  onChange={(e) => setTip(e.target.value)}
+                  placeholder="Tip ₹"
+                  disabled={updating}
+                  className="w-20 px-2 py-1 text-sm border border-gray-300 rounded"
+                />
+              )}
+              <button
+                onClick={() => { setRefundMessage(null); setShowRefund(true) }}
+                disabled={updating || !canRefund}
+                className="px-3 py-1 text-sm bg-red-600 text-white rounded disabled:opacity-40"
+              >
+                Refund...
+              </button>
+              <Link to={`/admin/payment-events?orderId=${order._id}`} className="text-sm text-blue-700 hover:underline">
+                Payment events
+              </Link>
             </div>
+            {refundMessage && <p className="text-sm text-green-700 mt-2">{refundMessage}</p>}
           </div>
 
           {/* ✅ Status Buttons */}
           <div className="flex items-center gap-2">
-            <button onClick={() => handleUpdateStatus('preparing')} disabled={updating} className="px-4 py-2 bg-blue-600 text-white rounded">Preparing</button>
-            <button onClick={() => handleUpdateStatus('ready')} disabled={updating} className="px-4 py-2 bg-green-600 text-white rounded">Ready</button>
-            <button onClick={() => handleUpdateStatus('served')} disabled={updating} className="px-4 py-2 bg-purple-600 text-white rounded">Served</button>
-            <button onClick={() => handleUpdateStatus('completed')} disabled={updating} className="px-4 py-2 bg-gray-600 text-white rounded">Completed</button>
-            <button onClick={() => handleUpdateStatus('canceled')} disabled={updating} className="px-4 py-2 bg-red-600 text-white rounded">Cancel</button>
+            <button onClick={() => handleUpdateStatus('preparing')} disabled={updating || !canMoveTo('preparing')} className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-40">Preparing</button>
+            <button onClick={() => handleUpdateStatus('ready')} disabled={updating || !canMoveTo('ready')} className="px-4 py-2 bg-green-600 text-white rounded disabled:opacity-40">Ready</button>
+            <button onClick={() => handleUpdateStatus('served')} disabled={updating || !canMoveTo('served')} className="px-4 py-2 bg-purple-600 text-white rounded disabled:opacity-40">Served</button>
+            <button onClick={() => handleUpdateStatus('completed')} disabled={updating || !canMoveTo('completed')} className="px-4 py-2 bg-gray-600 text-white rounded disabled:opacity-40">Completed</button>
+            <button onClick={() => handleUpdateStatus('canceled')} disabled={updating || !canMoveTo('canceled')} className="px-4 py-2 bg-red-600 text-white rounded disabled:opacity-40">Cancel</button>
           </div>
         </div>
       </div>
+
+      {showRefund && (
+        <RefundDialog order={order} token={token} onClose={() => setShowRefund(false)} onRefunded={handleRefunded} />
+      )}
     </div>
   )
 }
@@ -0,0 +1,261 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Link, useSearchParams } from "react-router-dom";
+import paymentService from "../../services/paymentService";
+import { format } from "date-fns";
+import { Loader2, RefreshCcw, Eye, RotateCw } from "lucide-react";
+
+const statusColors = {
+  received: "bg-yellow-100 text-yellow-700",
+  processed: "bg-green-100 text-green-700",
+  ignored: "bg-gray-100 text-gray-700",
+  failed: "bg-red-100 text-red-700",
+};
+
+const providers = ["stripe", "razorpay", "mock"];
+
+// Pretty-print a stored payload, falling back to the raw text
+const formatPayload = (payload) => {
+  try {
+    return JSON.stringify(JSON.parse(payload), null, 2);
+  } catch {
+    return payload;
+  }
+};
+
+const AdminPaymentEvents = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [openEvent, setOpenEvent] = useState(null);
+  const [replayingId, setReplayingId] = useState(null);
+
+  const filters = {
+    provider: searchParams.get("provider") || "",
+    status: searchParams.get("status") || "",
+    orderId: searchParams.get("orderId") || "",
+    page: parseInt(searchParams.get("page"), 10) || 1,
+  };
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await paymentService.getEvents(Object.fromEntries(searchParams), token);
+      setEvents(data.events);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error("Error fetching payment events:", err);
+      setError(err.message || "Failed to load payment events.");
+    } finally {
+      setLoading(false);
+    }
+  }, [searchParams, token]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    if (key !== "page") next.delete("page");
+    setSearchParams(next);
+  };
+
+  const toggleEvent = async (id) => {
+    if (openEvent?._id === id) {
+      setOpenEvent(null);
+      return;
+    }
+    try {
+      setOpenEvent(await paymentService.getEvent(id, token));
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const handleReplay = async (id) => {
+    setReplayingId(id);
+    setMessage(null);
+    try {
+      const updated = await paymentService.replayEvent(id, token);
+      setEvents((prev) => prev.map((event) => (event._id === id ? updated : event)));
+      setMessage(
+        updated.status === "processed"
+          ? "Event replayed."
+          : `Event ${updated.status}: ${updated.error || updated.note || "no details"}`
+      );
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-amber-50 via-orange-50 to-yellow-50">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Payment Events</h1>
+        <button
+          onClick={fetchEvents}
+          disabled={loading}
+          className="flex items-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-xl hover:bg-orange-700 transition-all"
+        >
+          {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCcw className="h-4 w-4" />}
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <select
+          value={filters.provider}
+          onChange={(e) => setFilter("provider", e.target.value)}
+          className="px-3 py-2 border rounded-lg bg-white"
+        >
+          <option value="">All providers</option>
+          {providers.map((provider) => (
+            <option key={provider} value={provider}>{provider}</option>
+          ))}
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilter("status", e.target.value)}
+          className="px-3 py-2 border rounded-lg bg-white"
+        >
+          <option value="">All statuses</option>
+          {Object.keys(statusColors).map((status) => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+        {filters.orderId && (
+          <button
+            onClick={() => setFilter("orderId", "")}
+            className="px-3 py-2 rounded-lg bg-orange-100 text-orange-800"
+          >
+            Showing one order ✕
+          </button>
+        )}
+      </div>
+
+      {message && <p className="mb-4 text-sm text-gray-700 bg-white border rounded-lg px-4 py-2">{message}</p>}
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="animate-spin h-8 w-8 text-orange-600" />
+        </div>
+      ) : error ? (
+        <p className="text-red-500 text-center">{error}</p>
+      ) : events.length === 0 ? (
+        <p className="text-gray-600 text-center text-lg">No payment events received yet.</p>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-2xl shadow-md border border-gray-200">
+          <table className="w-full table-auto">
+            <thead className="bg-orange-600 text-white text-sm uppercase tracking-wide">
+              <tr>
+                <th className="px-4 py-3 text-left">Received</th>
+                <th className="px-4 py-3 text-left">Provider</th>
+                <th className="px-4 py-3 text-left">Event</th>
+                <th className="px-4 py-3 text-left">Order</th>
+                <th className="px-4 py-3 text-left">Status</th>
+                <th className="px-4 py-3 text-left">Details</th>
+                <th className="px-4 py-3 text-center">Action</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 text-sm">
+              {events.map((event) => (
+                <React.Fragment key={event._id}>
+                  <tr className="hover:bg-orange-50 transition-all">
+                    <td className="px-4 py-3 text-gray-600">
+                      {format(new Date(event.createdAt), "dd MMM yyyy, HH:mm:ss")}
+                    </td>
+                    <td className="px-4 py-3 text-gray-700 font-medium">{event.provider}</td>
+                    <td className="px-4 py-3 text-gray-700">
+                      <p>{event.rawType || "—"}</p>
+                      <p className="text-xs text-gray-400">{event.eventId}</p>
+                    </td>
+                    <td className="px-4 py-3 text-gray-600">
+                      {event.orderId ? (
+                        <Link to={`/admin/order/${event.orderId._id}`} className="text-orange-700 hover:underline">
+                          {event.orderId.orderNumber}
+                        </Link>
+                      ) : (
+                        "—"
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[event.status] || "bg-gray-100 text-gray-600"}`}>
+                        {event.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-gray-600">
+                      <p>{event.error || event.note || ""}</p>
+                      <p className="text-xs text-gray-400">
+                        {event.deliveries} {event.deliveries === 1 ? "delivery" : "deliveries"}
+                        {event.replays > 0 && ` · ${event.replays} replayed`}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex justify-center gap-2">
+                        <button
+                          onClick={() => toggleEvent(event._id)}
+                          className="flex items-center gap-1 px-3 py-1 text-xs border rounded-lg hover:bg-gray-50"
+                        >
+                          <Eye className="h-3 w-3" /> Payload
+                        </button>
+                        <button
+                          onClick={() => handleReplay(event._id)}
+                          disabled={replayingId === event._id}
+                          className="flex items-center gap-1 px-3 py-1 text-xs bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:opacity-50"
+                        >
+                          {replayingId === event._id ? <Loader2 className="h-3 w-3 animate-spin" /> : <RotateCw className="h-3 w-3" />}
+                          Replay
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                  {openEvent?._id === event._id && (
+                    <tr>
+                      <td colSpan={7} className="px-4 py-3 bg-gray-50">
+                        <pre className="text-xs text-gray-700 whitespace-pre-wrap break-all max-h-80 overflow-y-auto">
+                          {formatPayload(openEvent.payload)}
+                        </pre>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex justify-center items-center gap-3 mt-4 text-sm">
+          <button
+            onClick={() => setFilter("page", String(filters.page - 1))}
+            disabled={filters.page <= 1}
+            className="px-3 py-1 border rounded-lg bg-white disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {pagination.page} of {pagination.pages}</span>
+          <button
+            onClick={() => setFilter("page", String(filters.page + 1))}
+            disabled={filters.page >= pagination.pages}
+            className="px-3 py-1 border rounded-lg bg-white disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminPaymentEvents;
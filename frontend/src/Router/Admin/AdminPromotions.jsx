@@ -0,0 +1,439 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { format } from "date-fns";
+import { Loader2, Plus, Pencil, Trash2, Tag } from "lucide-react";
+import promotionService from "../../services/promotionService";
+import menuService from "../../services/menuService";
+import ScheduleEditor, { ScheduleSummary } from "../../Components/ScheduleEditor";
+
+const typeLabels = {
+  percentage: "Percentage off",
+  fixed: "Fixed amount off",
+  buy_x_get_y: "Buy X get Y",
+};
+
+const emptyForm = {
+  code: "",
+  name: "",
+  description: "",
+  type: "percentage",
+  value: "",
+  maxDiscount: "",
+  buyQty: 1,
+  getQty: 1,
+  minSubtotal: "",
+  categoryIds: [],
+  menuItemIds: [],
+  startsAt: "",
+  endsAt: "",
+  schedule: [],
+  usageLimit: "",
+  active: true,
+};
+
+const toInputDate = (date) => (date ? format(new Date(date), "yyyy-MM-dd'T'HH:mm") : "");
+const refId = (ref) => (ref && typeof ref === "object" ? ref._id : ref);
+
+// One line describing what a promotion gives
+const describeDiscount = (promotion) => {
+  if (promotion.type === "percentage") {
+    return `${promotion.value}% off${promotion.maxDiscount ? ` (up to ₹${promotion.maxDiscount})` : ""}`;
+  }
+  if (promotion.type === "fixed") return `₹${promotion.value} off`;
+  return `Buy ${promotion.buyQty} get ${promotion.getQty} ${promotion.value >= 100 ? "free" : `${promotion.value}% off`}`;
+};
+
+// What a promotion applies to
+const describeTargets = (promotion) => {
+  const names = [...promotion.categoryIds, ...promotion.menuItemIds].map((ref) => ref?.name).filter(Boolean);
+  return names.length > 0 ? names.join(", ") : "Whole menu";
+};
+
+const AdminPromotions = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [promotions, setPromotions] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [menuItems, setMenuItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPromotions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setPromotions(await promotionService.getPromotions(token));
+    } catch (err) {
+      console.error("Error fetching promotions:", err);
+      setError(err.message || "Failed to load promotions.");
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, [fetchPromotions]);
+
+  // Categories and items promotions can target
+  useEffect(() => {
+    menuService.getCategories(token).then(setCategories).catch((err) => console.error("Error fetching categories:", err));
+    menuService
+      .getMenuItems({ limit: 100 }, token)
+      .then((data) => setMenuItems(data.items))
+      .catch((err) => console.error("Error fetching menu items:", err));
+  }, [token]);
+
+  const openForm = (promotion = null) => {
+    setEditingId(promotion?._id || null);
+    setForm(
+      promotion
+        ? {
+            ...emptyForm,
+            ...promotion,
+            maxDiscount: promotion.maxDiscount ?? "",
+            minSubtotal: promotion.minSubtotal || "",
+            usageLimit: promotion.usageLimit ?? "",
+            categoryIds: promotion.categoryIds.map(refId),
+            menuItemIds: promotion.menuItemIds.map(refId),
+            startsAt: toInputDate(promotion.startsAt),
+            endsAt: toInputDate(promotion.endsAt),
+            schedule: promotion.schedule.map((window) => ({ ...window, days: [...window.days] })),
+          }
+        : emptyForm
+    );
+    setFormError(null);
+    setShowForm(true);
+  };
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const toggleInList = (field, id) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(id) ? prev[field].filter((x) => x !== id) : [...prev[field], id],
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFormError(null);
+
+    const payload = {
+      code: form.code.trim(),
+      name: form.name.trim(),
+      description: form.description,
+      type: form.type,
+      value: parseFloat(form.value),
+      maxDiscount: form.type === "percentage" && form.maxDiscount !== "" ? parseFloat(form.maxDiscount) : null,
+      buyQty: parseInt(form.buyQty, 10) || 1,
+      getQty: parseInt(form.getQty, 10) || 1,
+      minSubtotal: parseFloat(form.minSubtotal) || 0,
+      categoryIds: form.categoryIds,
+      menuItemIds: form.menuItemIds,
+      startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+      endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+      schedule: form.schedule,
+      usageLimit: form.usageLimit !== "" ? parseInt(form.usageLimit, 10) : null,
+      active: form.active,
+    };
+
+    try {
+      if (editingId) {
+        await promotionService.updatePromotion(editingId, payload, token);
+      } else {
+        await promotionService.createPromotion(payload, token);
+      }
+      setShowForm(false);
+      fetchPromotions();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promotion) => {
+    try {
+      const updated = await promotionService.updatePromotion(promotion._id, { active: !promotion.active }, token);
+      setPromotions((prev) => prev.map((p) => (p._id === promotion._id ? { ...p, active: updated.active } : p)));
+    } catch (err) {
+      alert("Failed to update promotion: " + err.message);
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(`Delete promo code ${promotion.code}? Orders that used it keep their discount.`)) return;
+    try {
+      await promotionService.deletePromotion(promotion._id, token);
+      setPromotions((prev) => prev.filter((p) => p._id !== promotion._id));
+    } catch (err) {
+      alert("Failed to delete promotion: " + err.message);
+    }
+  };
+
+  const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent";
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-amber-50 via-orange-50 to-yellow-50">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-gray-800 flex items-center gap-2">
+          <Tag className="h-7 w-7 text-orange-600" />
+          Promotions
+        </h1>
+        <button
+          onClick={() => openForm()}
+          className="flex items-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-xl hover:bg-orange-700 transition-all"
+        >
+          <Plus className="h-4 w-4" />
+          New promotion
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="animate-spin h-8 w-8 text-orange-600" />
+        </div>
+      ) : error ? (
+        <p className="text-red-500 text-center">{error}</p>
+      ) : promotions.length === 0 ? (
+        <p className="text-gray-600 text-center text-lg">No promotions yet.</p>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-2xl shadow-md border border-gray-200">
+          <table className="w-full table-auto">
+            <thead className="bg-orange-600 text-white text-sm uppercase tracking-wide">
+              <tr>
+                <th className="px-4 py-3 text-left">Code</th>
+                <th className="px-4 py-3 text-left">Discount</th>
+                <th className="px-4 py-3 text-left">Applies to</th>
+                <th className="px-4 py-3 text-left">Valid</th>
+                <th className="px-4 py-3 text-left">Used</th>
+                <th className="px-4 py-3 text-left">Status</th>
+                <th className="px-4 py-3 text-center">Action</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 text-sm">
+              {promotions.map((promotion) => (
+                <tr key={promotion._id} className="hover:bg-orange-50 transition-all">
+                  <td className="px-4 py-3">
+                    <p className="font-semibold text-gray-800">{promotion.code}</p>
+                    <p className="text-xs text-gray-500">{promotion.name}</p>
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">
+                    <p>{describeDiscount(promotion)}</p>
+                    {promotion.minSubtotal > 0 && (
+                      <p className="text-xs text-gray-500">Min. spend ₹{promotion.minSubtotal}</p>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{describeTargets(promotion)}</td>
+                  <td className="px-4 py-3 text-gray-600">
+                    <p>
+                      {promotion.startsAt ? format(new Date(promotion.startsAt), "dd MMM yyyy") : "Any time"}
+                      {promotion.endsAt && ` – ${format(new Date(promotion.endsAt), "dd MMM yyyy")}`}
+                    </p>
+                    <ScheduleSummary schedule={promotion.schedule} />
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">
+                    {promotion.usageCount}
+                    {promotion.usageLimit ? ` / ${promotion.usageLimit}` : ""}
+                  </td>
+                  <td className="px-4 py-3">
+                    <button
+                      onClick={() => handleToggleActive(promotion)}
+                      className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        promotion.active ? "bg-green-100 text-green-700" : "bg-gray-100 text-gray-600"
+                      }`}
+                    >
+                      {promotion.active ? "Active" : "Inactive"}
+                    </button>
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex justify-center gap-2">
+                      <button
+                        onClick={() => openForm(promotion)}
+                        className="flex items-center gap-1 px-3 py-1 text-xs border rounded-lg hover:bg-gray-50"
+                      >
+                        <Pencil className="h-3 w-3" /> Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(promotion)}
+                        className="flex items-center gap-1 px-3 py-1 text-xs bg-red-100 text-red-700 rounded-lg hover:bg-red-200"
+                      >
+                        <Trash2 className="h-3 w-3" /> Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showForm && (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50">
+          <form
+            onSubmit={handleSubmit}
+            className="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 space-y-4 text-sm"
+          >
+            <h2 className="text-xl font-bold text-gray-800">{editingId ? "Edit promotion" : "New promotion"}</h2>
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block">
+                <span className="text-gray-700">Code</span>
+                <input
+                  value={form.code}
+                  onChange={(e) => setField("code", e.target.value.toUpperCase())}
+                  required
+                  className={`${inputClass} uppercase`}
+                />
+              </label>
+              <label className="block">
+                <span className="text-gray-700">Name</span>
+                <input value={form.name} onChange={(e) => setField("name", e.target.value)} required className={inputClass} />
+              </label>
+            </div>
+
+            <label className="block">
+              <span className="text-gray-700">Description</span>
+              <input value={form.description} onChange={(e) => setField("description", e.target.value)} className={inputClass} />
+            </label>
+
+            <div className="grid grid-cols-3 gap-4">
+              <label className="block">
+                <span className="text-gray-700">Type</span>
+                <select value={form.type} onChange={(e) => setField("type", e.target.value)} className={inputClass}>
+                  {Object.entries(typeLabels).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block">
+                <span className="text-gray-700">{form.type === "fixed" ? "Amount off (₹)" : "Percent off"}</span>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  max={form.type === "fixed" ? undefined : 100}
+                  value={form.value}
+                  onChange={(e) => setField("value", e.target.value)}
+                  required
+                  className={inputClass}
+                />
+              </label>
+              {form.type === "percentage" && (
+                <label className="block">
+                  <span className="text-gray-700">Max discount (₹)</span>
+                  <input
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={form.maxDiscount}
+                    onChange={(e) => setField("maxDiscount", e.target.value)}
+                    placeholder="No cap"
+                    className={inputClass}
+                  />
+                </label>
+              )}
+              {form.type === "buy_x_get_y" && (
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="block">
+                    <span className="text-gray-700">Buy</span>
+                    <input type="number" min="1" max="20" value={form.buyQty} onChange={(e) => setField("buyQty", e.target.value)} className={inputClass} />
+                  </label>
+                  <label className="block">
+                    <span className="text-gray-700">Get</span>
+                    <input type="number" min="1" max="20" value={form.getQty} onChange={(e) => setField("getQty", e.target.value)} className={inputClass} />
+                  </label>
+                </div>
+              )}
+            </div>
+            {form.type === "buy_x_get_y" && (
+              <p className="text-xs text-gray-500">
+                For every {parseInt(form.buyQty, 10) || 1} bought, the next {parseInt(form.getQty, 10) || 1} cheapest qualifying items are {form.value || 0}% off (100 makes them free).
+              </p>
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block">
+                <span className="text-gray-700">Minimum spend (₹)</span>
+                <input type="number" min="0" step="0.01" value={form.minSubtotal} onChange={(e) => setField("minSubtotal", e.target.value)} className={inputClass} />
+              </label>
+              <label className="block">
+                <span className="text-gray-700">Usage limit (orders)</span>
+                <input type="number" min="1" value={form.usageLimit} onChange={(e) => setField("usageLimit", e.target.value)} placeholder="Unlimited" className={inputClass} />
+              </label>
+            </div>
+
+            <div>
+              <p className="text-gray-700 mb-1">Applies to (nothing selected = whole menu)</p>
+              <div className="flex flex-wrap gap-2 mb-2">
+                {categories.map((category) => (
+                  <label key={category.id} className="flex items-center gap-1 px-2 py-1 border rounded-lg">
+                    <input
+                      type="checkbox"
+                      checked={form.categoryIds.includes(category.id)}
+                      onChange={() => toggleInList("categoryIds", category.id)}
+                    />
+                    {category.name}
+                  </label>
+                ))}
+              </div>
+              <select
+                multiple
+                value={form.menuItemIds}
+                onChange={(e) => setField("menuItemIds", [...e.target.selectedOptions].map((option) => option.value))}
+                className={`${inputClass} h-28`}
+              >
+                {menuItems.map((item) => (
+                  <option key={item._id} value={item._id}>{item.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">Hold Ctrl (Cmd on Mac) to pick several items.</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block">
+                <span className="text-gray-700">Starts</span>
+                <input type="datetime-local" value={form.startsAt} onChange={(e) => setField("startsAt", e.target.value)} className={inputClass} />
+              </label>
+              <label className="block">
+                <span className="text-gray-700">Ends</span>
+                <input type="datetime-local" value={form.endsAt} onChange={(e) => setField("endsAt", e.target.value)} className={inputClass} />
+              </label>
+            </div>
+
+            <ScheduleEditor schedule={form.schedule} onChange={(schedule) => setField("schedule", schedule)} />
+
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={form.active} onChange={(e) => setField("active", e.target.checked)} />
+              <span className="text-gray-700">Active</span>
+            </label>
+
+            {formError && <p className="text-red-600">{formError}</p>}
+
+            <div className="flex justify-end gap-2 pt-2">
+              <button type="button" onClick={() => setShowForm(false)} className="px-4 py-2 bg-gray-100 rounded-lg">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex items-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:opacity-50"
+              >
+                {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+                {editingId ? "Save" : "Create"}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminPromotions;
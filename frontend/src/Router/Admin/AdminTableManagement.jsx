@@ -1,22 +1,56 @@
 import React, { useEffect, useState } from "react";
 import { useSelector } from "react-redux";
 import tableService from "../../services/tableService";
-import { Loader2, RefreshCcw, Plus, QrCode, Copy, Check, X, Lock, Unlock } from "lucide-react";
+import tableSessionService from "../../services/tableSessionService";
+import { Loader2, RefreshCcw, Plus, QrCode, Copy, Check, X, Lock, Unlock, Printer } from "lucide-react";
 
-// QR Code Display Component
-const QRCodeDisplay = ({ url, tableNumber }) => {
+// Trigger a browser download for a blob
+const saveBlob = (blob, filename) => {
+  const downloadUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = downloadUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(downloadUrl);
+};
+
+// QR Code Display Component (image is rendered by our backend, never a third party)
+const QRCodeDisplay = ({ tableId, url, tableNumber, token }) => {
   const [qrDataUrl, setQrDataUrl] = useState("");
+  const [qrError, setQrError] = useState(null);
 
   useEffect(() => {
-    const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(url)}`;
-    setQrDataUrl(qrUrl);
-  }, [url]);
+    let objectUrl = null;
+    let cancelled = false;
+
+    tableService.getQRCode(tableId, 'png', token)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = window.URL.createObjectURL(blob);
+        setQrDataUrl(objectUrl);
+        setQrError(null);
+      })
+      .catch((err) => !cancelled && setQrError(err.message));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) window.URL.revokeObjectURL(objectUrl);
+    };
+  }, [tableId, token]);
 
   return (
     <div className="flex flex-col items-center gap-4 p-6">
       <h3 className="text-xl font-bold text-gray-800">Table {tableNumber} QR Code</h3>
-      <div className="bg-white p-4 rounded-lg border-4 border-orange-600">
-        <img src={qrDataUrl} alt={`QR Code for Table ${tableNumber}`} className="w-64 h-64" />
+      <div className="bg-white p-4 rounded-lg border-4 border-orange-600 w-72 h-72 flex items-center justify-center">
+        {qrError ? (
+          <p className="text-sm text-red-600 text-center">{qrError}</p>
+        ) : qrDataUrl ? (
+          <img src={qrDataUrl} alt={`QR Code for Table ${tableNumber}`} className="w-64 h-64" />
+        ) : (
+          <Loader2 className="h-8 w-8 animate-spin text-orange-600" />
+        )}
       </div>
       <p className="text-sm text-gray-600 text-center max-w-xs">
         Scan this QR code to access the menu for Table {tableNumber}
@@ -39,6 +73,7 @@ const AdminTableManagement = () => {
   const [showQRModal, setShowQRModal] = useState(false);
   const [selectedTable, setSelectedTable] = useState(null);
   const [copiedId, setCopiedId] = useState(null);
+  const [printingAll, setPrintingAll] = useState(false);
 
   // Helper function to get table ID (handles both _id and id)
   const getTableId = (table) => {
@@ -94,31 +129,25 @@ const AdminTableManagement = () => {
     setRefreshing(false);
   };
 
-  const handleToggleOccupancy = async (table) => {
+  // Occupancy follows the table session: a scan opens it, closing the table ends it
+  const handleCloseTable = async (table) => {
     const tableId = getTableId(table);
-    
-    if (!tableId) {
-      console.error('❌ No table ID found:', table);
-      alert("Error: Table ID not found. Check console for details.");
-      return;
-    }
-    
-    console.log('🔄 Toggling occupancy for table:', tableId, 'Current status:', table.occupied);
-    
+
     try {
-      await tableService.toggleOccupancy(tableId, !table.occupied, token);
-      // Update local state
-      setTables(tables.map(t => 
-        getTableId(t) === tableId ? { ...t, occupied: !t.occupied } : t
+      const closed = await tableSessionService.closeSessionWithConfirm(table.activeSessionId, table.number, token);
+      if (!closed) return;
+      setTables(tables.map(t =>
+        getTableId(t) === tableId ? { ...t, occupied: false, activeSessionId: null } : t
       ));
     } catch (err) {
-      console.error("Error updating occupancy:", err);
-      alert("Failed to update table occupancy: " + err.message);
+      console.error("Error closing table:", err);
+      alert("Failed to close table: " + err.message);
     }
   };
 
+  // Prefer the URL the backend encodes into the QR image so copy and scan always match
   const getTableQRUrl = (table) => {
-    return tableService.getCustomerQRUrl(table.qrSlug);
+    return table.qrUrl || tableService.getCustomerQRUrl(table.qrSlug);
   };
 
   const handleCopyQR = async (table) => {
@@ -139,24 +168,36 @@ const AdminTableManagement = () => {
     setShowQRModal(true);
   };
 
-  const handleDownloadQR = async (table) => {
-    const url = getTableQRUrl(table);
-    const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=500x500&data=${encodeURIComponent(url)}`;
-    
+  const handleDownloadQR = async (table, format = 'png') => {
     try {
-      const response = await fetch(qrUrl);
-      const blob = await response.blob();
-      const downloadUrl = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = downloadUrl;
-      link.download = `table-${table.number}-qr.png`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(downloadUrl);
+      const blob = await tableService.getQRCode(getTableId(table), format, token);
+      saveBlob(blob, `table-${table.number}-qr.${format}`);
     } catch (err) {
       console.error("Failed to download QR:", err);
-      alert("Failed to download QR code");
+      alert("Failed to download QR code: " + err.message);
+    }
+  };
+
+  const handleDownloadSheet = async (table) => {
+    try {
+      const blob = await tableService.getQRSheet(getTableId(table), token);
+      saveBlob(blob, `table-${table.number}-qr-card.pdf`);
+    } catch (err) {
+      console.error("Failed to download QR card:", err);
+      alert("Failed to download QR card: " + err.message);
+    }
+  };
+
+  const handleDownloadAllSheets = async () => {
+    try {
+      setPrintingAll(true);
+      const blob = await tableService.getQRSheet(null, token);
+      saveBlob(blob, 'table-qr-cards.pdf');
+    } catch (err) {
+      console.error("Failed to download QR cards:", err);
+      alert("Failed to download QR cards: " + err.message);
+    } finally {
+      setPrintingAll(false);
     }
   };
 
@@ -168,18 +209,32 @@ const AdminTableManagement = () => {
           <h1 className="text-3xl font-bold text-gray-800">Table Management</h1>
           <p className="text-gray-600 mt-1">Manage tables, QR codes, and occupancy</p>
         </div>
-        <button
-          onClick={handleRefresh}
-          disabled={refreshing}
-          className="flex items-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-xl hover:bg-orange-700 transition-all shadow-lg disabled:opacity-50"
-        >
-          {refreshing ? (
-            <Loader2 className="h-4 w-4 animate-spin" />
-          ) : (
-            <RefreshCcw className="h-4 w-4" />
-          )}
-          Refresh
-        </button>
+        <div className="flex gap-3">
+          <button
+            onClick={handleDownloadAllSheets}
+            disabled={printingAll || tables.length === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-white text-orange-700 border border-orange-300 rounded-xl hover:bg-orange-50 transition-all shadow-lg disabled:opacity-50"
+          >
+            {printingAll ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <Printer className="h-4 w-4" />
+            )}
+            Print All QR Cards
+          </button>
+          <button
+            onClick={handleRefresh}
+            disabled={refreshing}
+            className="flex items-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-xl hover:bg-orange-700 transition-all shadow-lg disabled:opacity-50"
+          >
+            {refreshing ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <RefreshCcw className="h-4 w-4" />
+            )}
+            Refresh
+          </button>
+        </div>
       </div>
 
       {/* Stats Cards */}
@@ -300,26 +355,21 @@ const AdminTableManagement = () => {
                     </td>
                     <td className="px-4 py-4">
                       <div className="flex justify-center">
-                        <button
-                          onClick={() => handleToggleOccupancy(table)}
-                          className={`flex items-center gap-2 px-4 py-2 rounded-full font-semibold text-sm transition-all ${
-                            table.occupied
-                              ? 'bg-red-100 text-red-700 hover:bg-red-200'
-                              : 'bg-green-100 text-green-700 hover:bg-green-200'
-                          }`}
-                        >
-                          {table.occupied ? (
-                            <>
-                              <Lock className="h-4 w-4" />
-                              Occupied
-                            </>
-                          ) : (
-                            <>
-                              <Unlock className="h-4 w-4" />
-                              Available
-                            </>
-                          )}
-                        </button>
+                        {table.occupied ? (
+                          <button
+                            onClick={() => handleCloseTable(table)}
+                            className="flex items-center gap-2 px-4 py-2 rounded-full font-semibold text-sm transition-all bg-red-100 text-red-700 hover:bg-red-200"
+                            title="Close the table session and free the table"
+                          >
+                            <Lock className="h-4 w-4" />
+                            Occupied · Close
+                          </button>
+                        ) : (
+                          <span className="flex items-center gap-2 px-4 py-2 rounded-full font-semibold text-sm bg-green-100 text-green-700">
+                            <Unlock className="h-4 w-4" />
+                            Available
+                          </span>
+                        )}
                       </div>
                     </td>
                     <td className="px-4 py-4 text-center text-gray-500 text-sm">
@@ -383,20 +433,35 @@ const AdminTableManagement = () => {
             </div>
             
             <QRCodeDisplay 
+              tableId={getTableId(selectedTable)}
               url={getTableQRUrl(selectedTable)} 
               tableNumber={selectedTable.number} 
+              token={token}
             />
             
-            <div className="p-6 border-t border-gray-200 flex gap-3">
+            <div className="p-6 border-t border-gray-200 grid grid-cols-2 gap-3">
+              <button
+                onClick={() => handleDownloadQR(selectedTable, 'png')}
+                className="px-4 py-3 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition-all font-semibold"
+              >
+                Download PNG
+              </button>
+              <button
+                onClick={() => handleDownloadQR(selectedTable, 'svg')}
+                className="px-4 py-3 bg-orange-100 text-orange-700 rounded-lg hover:bg-orange-200 transition-all font-semibold"
+              >
+                Download SVG
+              </button>
               <button
-                onClick={() => handleDownloadQR(selectedTable)}
-                className="flex-1 px-4 py-3 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition-all font-semibold"
+                onClick={() => handleDownloadSheet(selectedTable)}
+                className="flex items-center justify-center gap-2 px-4 py-3 bg-orange-100 text-orange-700 rounded-lg hover:bg-orange-200 transition-all font-semibold"
               >
-                Download QR
+                <Printer className="h-4 w-4" />
+                Printable Card
               </button>
               <button
                 onClick={() => handleCopyQR(selectedTable)}
-                className="flex-1 px-4 py-3 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-all font-semibold"
+                className="px-4 py-3 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-all font-semibold"
               >
                 Copy URL
               </button>
@@ -0,0 +1,303 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { format } from "date-fns";
+import { Loader2, RefreshCcw, Receipt, Download } from "lucide-react";
+import reportService from "../../services/reportService";
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const formatMoney = (value) => `₹${(value || 0).toFixed(2)}`;
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+// Times on the report are shown in the admin's browser time zone
+const formatTime = (value) => format(new Date(value), "dd MMM, HH:mm");
+
+const typeStyles = {
+  invoice: "bg-gray-100 text-gray-700",
+  receipt: "bg-green-100 text-green-700",
+  refund: "bg-red-100 text-red-700",
+  void: "bg-yellow-100 text-yellow-800",
+  cancellation: "bg-red-100 text-red-700",
+};
+
+const Row = ({ label, value, bold = false }) => (
+  <div className={`flex justify-between py-1.5 border-b last:border-0 ${bold ? "font-semibold text-gray-800" : "text-gray-600"}`}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+const AdminZReport = () => {
+  const { token } = useSelector((state) => state.auth);
+  // Empty: the server picks the business day in progress and its configured cutoff
+  const [date, setDate] = useState("");
+  const [cutoffHour, setCutoffHour] = useState("");
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await reportService.getZReport({ date, cutoffHour }, token);
+      setReport(data);
+    } catch (err) {
+      console.error("Error fetching Z report:", err);
+      setError(err.message || "Failed to load the Z report.");
+    } finally {
+      setLoading(false);
+    }
+  }, [date, cutoffHour, token]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleDownload = async (fileFormat) => {
+    try {
+      setDownloading(fileFormat);
+      const blob = await reportService.downloadZReport({ date, cutoffHour }, fileFormat, token);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `z-report-${report?.businessDate || date}.${fileFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert("Failed to download the Z report: " + err.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-amber-50 via-orange-50 to-yellow-50">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 flex items-center gap-2">
+            <Receipt className="h-7 w-7 text-orange-600" />
+            Z Report
+          </h1>
+          <p className="text-gray-600 mt-1">End-of-day close: sales, payments, refunds and voids for one business day</p>
+        </div>
+        <div className="flex items-center gap-2">
+          {["csv", "pdf"].map((fileFormat) => (
+            <button
+              key={fileFormat}
+              onClick={() => handleDownload(fileFormat)}
+              disabled={!report || downloading !== null}
+              className="flex items-center gap-2 px-4 py-2 bg-amber-100 text-amber-800 rounded-xl font-semibold hover:bg-amber-200 transition-all disabled:opacity-50"
+            >
+              {downloading === fileFormat ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+              {fileFormat.toUpperCase()}
+            </button>
+          ))}
+          <button
+            onClick={fetchReport}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-xl hover:bg-orange-700 transition-all"
+          >
+            {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCcw className="h-4 w-4" />}
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Business day */}
+      <div className="bg-white p-4 rounded-2xl shadow-md border border-gray-200 mb-6 flex flex-wrap items-center gap-3 text-sm">
+        <span className="text-gray-500">Business day</span>
+        <input
+          type="date"
+          value={date || report?.businessDate || ""}
+          onChange={(e) => setDate(e.target.value)}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg"
+        />
+        <span className="text-gray-500">starting at</span>
+        <select
+          value={cutoffHour === "" ? report?.cutoffHour ?? "" : cutoffHour}
+          onChange={(e) => setCutoffHour(e.target.value)}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg"
+        >
+          {HOURS.map((hour) => (
+            <option key={hour} value={hour}>{formatHour(hour)}</option>
+          ))}
+        </select>
+        {report && (
+          <span className="text-gray-500">
+            {formatTime(report.start)} to {formatTime(report.end)} · restaurant time zone {report.timezone}
+          </span>
+        )}
+      </div>
+
+      {error && <p className="text-center text-red-600 mb-6">{error}</p>}
+
+      {report && !report.complete && (
+        <p className="mb-6 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-xl px-4 py-3">
+          This business day is still open, so these figures are a snapshot (X report) and will change until {formatTime(report.end)}.
+        </p>
+      )}
+
+      {loading && !report ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 text-orange-600 animate-spin" />
+        </div>
+      ) : report && (
+        <>
+          {/* Headline figures */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            {[
+              { label: "Orders", value: report.orders.count, hint: `${report.orders.voided} voided · ${report.orders.canceled} canceled` },
+              { label: "Net sales", value: formatMoney(report.sales.netSales), hint: `${formatMoney(report.sales.grossSales)} gross` },
+              { label: "Tax", value: formatMoney(report.sales.taxTotal), hint: `${formatMoney(report.sales.serviceCharge)} service charge` },
+              { label: "Net collected", value: formatMoney(report.payments.net), hint: `${formatMoney(report.tips)} tips · ${formatMoney(report.refunds.amount)} refunded` },
+            ].map((card) => (
+              <div key={card.label} className="bg-white p-5 rounded-2xl shadow-md border border-gray-200">
+                <p className="text-sm font-semibold text-orange-600">{card.label}</p>
+                <p className="text-2xl font-bold text-gray-800">{card.value}</p>
+                <p className="text-xs text-gray-500 mt-1">{card.hint}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            {/* Sales */}
+            <div className="bg-white p-6 rounded-2xl shadow-md border border-gray-200 text-sm">
+              <h2 className="text-xl font-semibold text-gray-800 mb-3">Sales</h2>
+              <Row label="Gross sales" value={formatMoney(report.sales.grossSales)} />
+              <Row label="Discounts" value={formatMoney(-report.sales.discounts)} />
+              <Row label="Net sales" value={formatMoney(report.sales.netSales)} bold />
+              <Row label="Service charge" value={formatMoney(report.sales.serviceCharge)} />
+              {report.sales.taxes.map((tax) => (
+                <Row
+                  key={`${tax.name}-${tax.rate}-${tax.included}`}
+                  label={`${tax.name} ${tax.rate}% on ${formatMoney(tax.taxableAmount)}${tax.included ? " (included)" : ""}`}
+                  value={formatMoney(tax.amount)}
+                />
+              ))}
+              <Row label="Rounding" value={formatMoney(report.sales.rounding)} />
+              <Row label="Total sales" value={formatMoney(report.sales.total)} bold />
+              <Row label="Tips" value={formatMoney(report.tips)} />
+              <Row label={`Refunds (${report.refunds.count})`} value={formatMoney(-report.refunds.amount)} />
+            </div>
+
+            {/* Payments */}
+            <div className="bg-white p-6 rounded-2xl shadow-md border border-gray-200 overflow-x-auto">
+              <h2 className="text-xl font-semibold text-gray-800 mb-3">Payments</h2>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">Method</th>
+                    <th className="py-2">Provider</th>
+                    <th className="py-2 text-right">Count</th>
+                    <th className="py-2 text-right">Collected</th>
+                    <th className="py-2 text-right">Tips</th>
+                    <th className="py-2 text-right">Refunds</th>
+                    <th className="py-2 text-right">Net</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.payments.methods.map((row) => (
+                    <tr key={`${row.method}-${row.provider}`} className="border-b">
+                      <td className="py-2 capitalize">{row.method}</td>
+                      <td className="py-2 capitalize">{row.provider}</td>
+                      <td className="py-2 text-right">{row.payments}</td>
+                      <td className="py-2 text-right">{formatMoney(row.amount)}</td>
+                      <td className="py-2 text-right">{formatMoney(row.tips)}</td>
+                      <td className="py-2 text-right">{formatMoney(-row.refunds)}</td>
+                      <td className="py-2 text-right">{formatMoney(row.net)}</td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold text-gray-800">
+                    <td className="py-2" colSpan={2}>Total</td>
+                    <td className="py-2 text-right">{report.payments.count}</td>
+                    <td className="py-2 text-right">{formatMoney(report.payments.collected)}</td>
+                    <td className="py-2 text-right">{formatMoney(report.payments.tips)}</td>
+                    <td className="py-2 text-right">{formatMoney(-report.payments.refunds)}</td>
+                    <td className="py-2 text-right">{formatMoney(report.payments.net)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Voids and cancellations */}
+          <div className="bg-white p-6 rounded-2xl shadow-md border border-gray-200 mb-6 overflow-x-auto">
+            <h2 className="text-xl font-semibold text-gray-800 mb-3">Voids and cancellations</h2>
+            {report.voids.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing was voided or canceled.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">Type</th>
+                    <th className="py-2">Order</th>
+                    <th className="py-2">Time</th>
+                    <th className="py-2">By</th>
+                    <th className="py-2">Note</th>
+                    <th className="py-2 text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.voids.map((entry) => (
+                    <tr key={`${entry.orderNumber}-${entry.at}`} className="border-b last:border-0">
+                      <td className="py-2">
+                        <span className={`px-2 py-0.5 rounded text-xs ${typeStyles[entry.type]}`}>{entry.type}</span>
+                      </td>
+                      <td className="py-2">{entry.orderNumber}</td>
+                      <td className="py-2">{formatTime(entry.at)}</td>
+                      <td className="py-2">{entry.actor.name || entry.actor.role}</td>
+                      <td className="py-2 text-gray-600">{entry.note || `canceled from ${entry.from}`}</td>
+                      <td className="py-2 text-right">{formatMoney(entry.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {/* Every numbered transaction */}
+          <div className="bg-white p-6 rounded-2xl shadow-md border border-gray-200 overflow-x-auto">
+            <h2 className="text-xl font-semibold text-gray-800 mb-3">Transactions</h2>
+            {report.transactions.length === 0 ? (
+              <p className="text-sm text-gray-500">No transactions in this business day.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">Reference</th>
+                    <th className="py-2">Type</th>
+                    <th className="py-2">Order</th>
+                    <th className="py-2">Time</th>
+                    <th className="py-2">Method</th>
+                    <th className="py-2">Note</th>
+                    <th className="py-2 text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.transactions.map((transaction) => (
+                    <tr key={`${transaction.type}-${transaction.reference}-${transaction.at}`} className="border-b last:border-0">
+                      <td className="py-2 font-mono text-xs">{transaction.reference || "—"}</td>
+                      <td className="py-2">
+                        <span className={`px-2 py-0.5 rounded text-xs ${typeStyles[transaction.type]}`}>{transaction.type}</span>
+                      </td>
+                      <td className="py-2">{transaction.orderNumber}</td>
+                      <td className="py-2">{formatTime(transaction.at)}</td>
+                      <td className="py-2 capitalize">{transaction.method || ""}</td>
+                      <td className="py-2 text-gray-600">{transaction.note}</td>
+                      <td className="py-2 text-right">{formatMoney(transaction.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminZReport;
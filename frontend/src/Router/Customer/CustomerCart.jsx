@@ -1,31 +1,194 @@
-import React, { useMemo, useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { useSelector, useDispatch } from 'react-redux'
-import { removeFromCart, updateQuantity, clearCart } from '../../store/slices/cartSlice'
-import orderService from '../../services/orderService'
+import { removeFromCart, updateQuantity, updatePrice, clearCart } from '../../store/slices/cartSlice'
+import orderService, { newIdempotencyKey } from '../../services/orderService'
+import customerService from '../../services/customerService'
+import tableCartService from '../../services/tableCartService'
+import OrderBreakdown from '../../Components/OrderBreakdown'
 import { useNavigate } from 'react-router-dom'
 
 const CustomerCart = () => {
   const dispatch = useDispatch()
   const navigate = useNavigate()
-  const items = useSelector(state => state.cart.items)
+  const localItems = useSelector(state => state.cart.items)
   const tableToken = useSelector(state => state.cart.tableToken)
   const token = useSelector(state => state.auth.token)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  // Server-reported problems with cart lines, keyed by cart line key
+  const [lineIssues, setLineIssues] = useState({})
+
+  // Guests who joined a table share one cart on the server instead of the local one
+  const shared = tableCartService.isActive()
+  const guest = customerService.getCustomerInfo()
+  const [sharedCart, setSharedCart] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  // Responses and stream events can arrive out of order; keep the newest cart
+  const applyCart = (cart) => {
+    if (!cart) return
+    setSharedCart((prev) => (prev && prev.version > cart.version ? prev : cart))
+  }
+
+  useEffect(() => {
+    if (!shared) return
+    tableCartService.getCart().then(applyCart).catch((err) => setError(err.message))
+
+    const unsubscribe = tableCartService.subscribe((event) => {
+      applyCart(event.cart)
+      if (event.type === 'cart.submitted' && event.order) {
+        setNotice(`${event.order.submittedBy} placed order ${event.order.orderNumber} for the table`)
+      }
+    })
+
+    return unsubscribe
+  }, [shared])
+
+  const items = useMemo(() => {
+    if (!shared) return localItems
+    return (sharedCart?.lines || []).map((line) => ({
+      key: line.id,
+      id: line.menuItemId,
+      name: line.name,
+      price: line.price,
+      quantity: line.qty,
+      options: line.options,
+      addedBy: line.addedBy
+    }))
+  }, [shared, sharedCart, localItems])
+
+  // Who added what, for the summary above the lines
+  const guestTotals = useMemo(() => {
+    if (!shared) return []
+    const byGuest = new Map()
+    items.forEach((it) => {
+      const entry = byGuest.get(it.addedBy.id) || { ...it.addedBy, count: 0, amount: 0 }
+      entry.count += it.quantity
+      entry.amount += it.price * it.quantity
+      byGuest.set(it.addedBy.id, entry)
+    })
+    return [...byGuest.values()]
+  }, [shared, items])
+
+  const isMine = (it) => Boolean(guest && it.addedBy?.id === guest.id)
+
+  const runSharedChange = async (change) => {
+    setError(null)
+    try {
+      applyCart(await change())
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const unavailableReasons = {
+    not_found: 'No longer on the menu',
+    unavailable: 'Currently unavailable',
+    category_inactive: 'Currently unavailable',
+    outside_hours: 'Not served at this time',
+    out_of_stock: 'Sold out',
+    invalid_options: 'Options need to be chosen again'
+  }
 
   const total = useMemo(() => items.reduce((s, it) => s + (it.price || 0) * (it.quantity || 0), 0), [items])
 
-  const handleRemove = (id) => {
-    dispatch(removeFromCart(id))
+  // Promo code typed in, and the one applied to the bill once the guest presses Apply
+  const [promoInput, setPromoInput] = useState('')
+  const [promoCode, setPromoCode] = useState('')
+
+  // The bill as checkout will price it (discount, tax, service charge, rounding); the plain sum shows until it arrives
+  const [quote, setQuote] = useState(null)
+  useEffect(() => {
+    setQuote(null)
+    if (items.length === 0) return
+    const lines = items.map(i => ({
+      menuItemId: i.id,
+      quantity: parseInt(i.quantity, 10) || 1,
+      options: (i.options || []).map(o => o.optionId)
+    }))
+    let stale = false
+    const timer = setTimeout(() => {
+      orderService.quoteOrder(lines, promoCode)
+        .then((result) => { if (!stale) setQuote(result) })
+        .catch((err) => console.warn('Could not price the cart:', err.message))
+    }, 300)
+    return () => {
+      stale = true
+      clearTimeout(timer)
+    }
+  }, [items, promoCode])
+
+  // A code the server turned down isn't sent with the order
+  const appliedPromoCode = promoCode && !quote?.promoError ? promoCode : ''
+
+  const handleApplyPromo = (e) => {
+    e.preventDefault()
+    setPromoCode(promoInput.trim().toUpperCase())
+  }
+
+  const handleRemovePromo = () => {
+    setPromoInput('')
+    setPromoCode('')
+  }
+
+  // One Idempotency-Key per checkout of this cart: a double tap or a retried request can't place it twice.
+  // Changing the cart or the promo code starts a new checkout.
+  const checkoutKey = useRef(null)
+  useEffect(() => {
+    checkoutKey.current = null
+  }, [items, promoCode])
+
+  const lineKey = (it) => it.key || it.id
+
+  const handleRemove = (key) => {
+    if (shared) {
+      runSharedChange(() => tableCartService.removeItem(key))
+    } else {
+      dispatch(removeFromCart(key))
+    }
+    setLineIssues((prev) => {
+      const next = { ...prev }
+      delete next[key]
+      return next
+    })
+  }
+
+  // Apply the server's authoritative prices and flag lines that can't be ordered.
+  // The server reports lines by their index in the submitted payload, which follows cart order;
+  // the shared cart also names the cart line directly.
+  const lineFor = (entry) => (entry.lineId ? items.find((it) => it.key === entry.lineId) : items[entry.index])
+
+  const applyServerCorrections = ({ priceChanges = [], unavailableItems = [] } = {}) => {
+    const issues = {}
+    priceChanges.forEach((pc) => {
+      const line = lineFor(pc)
+      if (!line) return
+      issues[lineKey(line)] = { priceChange: pc }
+      if (!shared) dispatch(updatePrice({ key: lineKey(line), price: pc.currentPrice }))
+    })
+    unavailableItems.forEach((u) => {
+      const line = lineFor(u)
+      if (!line) return
+      issues[lineKey(line)] = { ...issues[lineKey(line)], unavailable: u.message || unavailableReasons[u.reason] || 'Unavailable' }
+    })
+    setLineIssues(issues)
   }
 
-  const handleQtyChange = (id, qty) => {
+  const handleQtyChange = (key, qty) => {
     const q = Math.max(1, parseInt(qty) || 1)
-    dispatch(updateQuantity({ id, quantity: q }))
+    if (shared) {
+      runSharedChange(() => tableCartService.updateItem(key, { quantity: q }))
+    } else {
+      dispatch(updateQuantity({ key, quantity: q }))
+    }
   }
 
   const handleClear = () => {
-    if (!window.confirm('Clear the cart?')) return
+    if (!window.confirm(shared ? 'Clear the cart for everyone at the table?' : 'Clear the cart?')) return
+    if (shared) {
+      runSharedChange(() => tableCartService.clear())
+      return
+    }
     dispatch(clearCart())
   }
 
@@ -37,24 +200,41 @@ const CustomerCart = () => {
 
     setLoading(true)
     setError(null)
+    setLineIssues({})
     try {
-      // Build order payload matching backend expectations.
-      // Include name and price so server-side validation (which checks name/price) passes.
-      const orderPayload = {
-        items: items.map(i => ({
-          menuItemId: i.id,
-          name: i.name,
-          price: parseFloat(i.price),
-          quantity: parseInt(i.quantity, 10) || 1
-        })),
-        // include tableId only if a tableToken exists (tableToken may represent the table id or a resolver token)
-        ...(tableToken ? { tableId: tableToken } : {}),
-        meta: tableToken ? { tableToken } : {}
-      }
+      let created
+      if (shared) {
+        // Everything the table added goes out as one order
+        created = await tableCartService.submit(token, appliedPromoCode)
+      } else {
+        // Build order payload matching backend expectations.
+        // The server prices the order from the menu; name and price are sent so it can report changes.
+        const orderPayload = {
+          items: items.map(i => ({
+            menuItemId: i.id,
+            name: i.name,
+            price: parseFloat(i.price),
+            quantity: parseInt(i.quantity, 10) || 1,
+            options: (i.options || []).map(o => o.optionId)
+          })),
+          // include tableId only if a tableToken exists (tableToken may represent the table id or a resolver token)
+          ...(tableToken ? { tableId: tableToken } : {}),
+          ...(appliedPromoCode ? { promoCode: appliedPromoCode } : {}),
+          meta: tableToken ? { tableToken } : {}
+        }
 
-      const created = await orderService.createOrder(orderPayload, token)
-      dispatch(clearCart())
-      try { window.alert('Order placed successfully') } catch (_) {}
+        checkoutKey.current = checkoutKey.current || newIdempotencyKey()
+        created = await orderService.createOrder(orderPayload, token, checkoutKey.current)
+        checkoutKey.current = null
+        dispatch(clearCart())
+      }
+      const priceNotes = (created?.priceChanges || [])
+        .map((pc) => `${pc.name}: ₹${pc.submittedPrice} → ₹${pc.currentPrice}`)
+      try {
+        window.alert(priceNotes.length
+          ? `Order placed successfully. Some prices went down:\n${priceNotes.join('\n')}`
+          : 'Order placed successfully')
+      } catch (_) {}
       // navigate to order status page if created and has id
       const orderId = created && (created.id || created._id)
       try {
@@ -70,6 +250,9 @@ const CustomerCart = () => {
       }
     } catch (err) {
       console.error('Checkout failed:', err)
+      if (err.details) applyServerCorrections(err.details)
+      // The code stopped working since the cart was priced (expired, used up); price the cart without it
+      if (err.details?.promoError) setQuote((prev) => prev && { ...prev, promoError: err.details.promoError })
       setError(err.message || 'Checkout failed')
     } finally {
       setLoading(false)
@@ -79,26 +262,67 @@ const CustomerCart = () => {
   return (
     <div className="p-6">
       <div className="max-w-4xl mx-auto">
-        <h1 className="text-3xl font-bold mb-4">Your Cart</h1>
+        <h1 className="text-3xl font-bold mb-4">
+          {shared ? `Table ${guest?.tableNumber ?? ''} Cart` : 'Your Cart'}
+        </h1>
+        {shared && (
+          <p className="text-sm text-gray-600 mb-4">
+            Shared with everyone at your table. Anyone can change it or place the order for the table.
+          </p>
+        )}
+        {notice && (
+          <div className="mb-4 bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg flex justify-between items-center">
+            <span>{notice}</span>
+            <button onClick={() => setNotice(null)} className="text-sm underline">Dismiss</button>
+          </div>
+        )}
+        {guestTotals.length > 0 && (
+          <div className="mb-4 flex flex-wrap gap-2">
+            {guestTotals.map((g) => (
+              <span key={g.id} className="px-3 py-1 text-sm rounded-full bg-amber-100 text-amber-900">
+                {g.name}{guest?.id === g.id ? ' (you)' : ''}: {g.count} item{g.count === 1 ? '' : 's'} · ₹{g.amount.toFixed(2)}
+              </span>
+            ))}
+          </div>
+        )}
 
         {items.length === 0 ? (
           <div className="bg-white rounded-lg shadow p-8 text-center">
-            <p className="text-gray-600 mb-4">Your cart is empty.</p>
+            <p className="text-gray-600 mb-4">
+              {shared ? 'Nobody at your table has added anything yet.' : 'Your cart is empty.'}
+            </p>
+            {error && <p className="text-red-600 text-sm mb-4">{error}</p>}
             <a href="/customer/menu" className="px-4 py-2 bg-blue-800 text-white rounded">Browse Menu</a>
           </div>
         ) : (
           <div className="bg-white rounded-lg shadow p-6">
             {items.map((it) => (
-              <div key={it.id} className="flex items-center justify-between border-b py-4">
+              <div key={lineKey(it)} className="flex items-center justify-between border-b py-4">
                 <div>
                   <h3 className="font-semibold">{it.name}</h3>
+                  {it.options?.length > 0 && (
+                    <p className="text-xs text-gray-600">{it.options.map(o => o.name).join(', ')}</p>
+                  )}
                   <p className="text-sm text-gray-500">₹{it.price} each</p>
+                  {shared && (
+                    <p className="text-xs text-amber-800">
+                      Added by {isMine(it) ? 'you' : it.addedBy.name}
+                    </p>
+                  )}
+                  {lineIssues[lineKey(it)]?.priceChange && (
+                    <p className="text-xs text-amber-700">
+                      Price changed from ₹{lineIssues[lineKey(it)].priceChange.submittedPrice} to ₹{lineIssues[lineKey(it)].priceChange.currentPrice}
+                    </p>
+                  )}
+                  {lineIssues[lineKey(it)]?.unavailable && (
+                    <p className="text-xs text-red-600">{lineIssues[lineKey(it)].unavailable} — please remove it to continue</p>
+                  )}
                 </div>
 
                 <div className="flex items-center gap-4">
-                  <input type="number" min={1} value={it.quantity} onChange={(e) => handleQtyChange(it.id, e.target.value)} className="w-20 px-3 py-2 border rounded" />
+                  <input type="number" min={1} value={it.quantity} onChange={(e) => handleQtyChange(lineKey(it), e.target.value)} className="w-20 px-3 py-2 border rounded" />
                   <p className="font-semibold">₹{(it.price * it.quantity).toFixed(2)}</p>
-                  <button onClick={() => handleRemove(it.id)} className="px-3 py-2 bg-red-100 text-red-700 rounded">Remove</button>
+                  <button onClick={() => handleRemove(lineKey(it))} className="px-3 py-2 bg-red-100 text-red-700 rounded">Remove</button>
                 </div>
               </div>
             ))}
@@ -109,8 +333,33 @@ const CustomerCart = () => {
               </div>
 
               <div className="text-right">
-                <p className="text-sm text-gray-500">Total</p>
-                <p className="text-2xl font-bold text-blue-800">₹{total.toFixed(2)}</p>
+                <form onSubmit={handleApplyPromo} className="mb-3 flex gap-2 justify-end">
+                  <input
+                    type="text"
+                    value={promoInput}
+                    onChange={(e) => setPromoInput(e.target.value)}
+                    placeholder="Promo code"
+                    maxLength={40}
+                    disabled={!!promoCode}
+                    className="w-40 px-3 py-2 border rounded uppercase"
+                  />
+                  {promoCode ? (
+                    <button type="button" onClick={handleRemovePromo} className="px-3 py-2 bg-gray-100 rounded">Remove</button>
+                  ) : (
+                    <button type="submit" disabled={!promoInput.trim()} className="px-3 py-2 bg-gray-100 rounded disabled:opacity-50">Apply</button>
+                  )}
+                </form>
+                {promoCode && quote?.promoError && (
+                  <p className="text-xs text-red-600 mb-2">{quote.promoError}</p>
+                )}
+                {quote?.unavailableItems?.length === 0 ? (
+                  <OrderBreakdown breakdown={quote.breakdown} className="min-w-64 text-left" />
+                ) : (
+                  <>
+                    <p className="text-sm text-gray-500">Total</p>
+                    <p className="text-2xl font-bold text-blue-800">₹{total.toFixed(2)}</p>
+                  </>
+                )}
                 {error && <p className="text-red-600 text-sm">{error}</p>}
                 <div className="mt-3 flex gap-2 justify-end">
                   <button onClick={() => navigate('/customer/menu')} className="px-4 py-2 bg-gray-100 rounded">Continue Shopping</button>
@@ -1,8 +1,8 @@
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useMemo, useState } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { useDispatch } from 'react-redux'
 import menuService from '../../services/menuService'
-import { addToCart } from '../../store/slices/cartSlice'
+import { addItemToCart } from '../../store/slices/cartSlice'
 
 const CustomerItemDetail = () => {
   const { id } = useParams()
@@ -13,6 +13,8 @@ const CustomerItemDetail = () => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [quantity, setQuantity] = useState(1)
+  // Chosen option ids per option group id
+  const [selected, setSelected] = useState({})
 
   useEffect(() => {
     if (!id) return
@@ -26,6 +28,7 @@ const CustomerItemDetail = () => {
       const data = await menuService.getMenuItem(id)
       const resolved = data?.menuItem || data?.data || data || null
       setItem(resolved)
+      setSelected(defaultSelections(resolved))
       setError(null)
     } catch (err) {
       console.error('Failed to fetch item:', err)
@@ -35,19 +38,70 @@ const CustomerItemDetail = () => {
     }
   }
 
+  // Preselect the first available option of single-choice required groups such as Size
+  const defaultSelections = (menuItem) => {
+    const defaults = {}
+    for (const group of menuItem?.optionGroups || []) {
+      const first = group.options.find(o => o.available !== false)
+      defaults[group.id] = group.minSelect === 1 && group.maxSelect === 1 && first ? [first.id] : []
+    }
+    return defaults
+  }
+
+  const toggleOption = (group, optionId) => {
+    setSelected((prev) => {
+      const current = prev[group.id] || []
+      if (group.maxSelect === 1) {
+        const next = current.includes(optionId) && group.minSelect === 0 ? [] : [optionId]
+        return { ...prev, [group.id]: next }
+      }
+      if (current.includes(optionId)) {
+        return { ...prev, [group.id]: current.filter(id => id !== optionId) }
+      }
+      if (current.length >= group.maxSelect) return prev
+      return { ...prev, [group.id]: [...current, optionId] }
+    })
+  }
+
+  const chosenOptions = useMemo(() => (item?.optionGroups || []).flatMap(group =>
+    group.options
+      .filter(o => (selected[group.id] || []).includes(o.id))
+      .map(o => ({ groupId: group.id, groupName: group.name, optionId: o.id, name: o.name, priceDelta: o.priceDelta || 0 }))
+  ), [item, selected])
+
+  const unitPrice = (item?.price || 0) + chosenOptions.reduce((sum, o) => sum + o.priceDelta, 0)
+
+  const missingGroup = (item?.optionGroups || []).find(group => (selected[group.id] || []).length < group.minSelect)
+
+  const selectionHint = (group) => {
+    if (group.minSelect === group.maxSelect) return `Choose ${group.minSelect}`
+    if (group.minSelect === 0) return `Choose up to ${group.maxSelect}`
+    return `Choose ${group.minSelect}–${group.maxSelect}`
+  }
+
   const changeQuantity = (delta) => {
     setQuantity(prev => Math.max(1, prev + delta))
   }
 
-  const handleAddToCart = () => {
+  const handleAddToCart = async () => {
     if (!item) return
     if (!item.availability) {
       alert('This item is currently unavailable')
       return
     }
 
+    if (missingGroup) {
+      alert(`Please choose ${missingGroup.name}`)
+      return
+    }
+
     const itemId = item.id || item._id
-    dispatch(addToCart({ id: itemId, name: item.name, price: item.price, quantity }))
+    try {
+      await dispatch(addItemToCart({ id: itemId, name: item.name, price: unitPrice, options: chosenOptions, quantity })).unwrap()
+    } catch (message) {
+      alert(message || 'Failed to add item to cart')
+      return
+    }
     try { window.alert(`${item.name} added to cart`) } catch (_) {}
     navigate('/customer/cart')
   }
@@ -95,7 +149,42 @@ const CustomerItemDetail = () => {
             <h2 className="text-2xl font-bold text-gray-800 mb-2">{item.name}</h2>
             <p className="text-sm text-gray-500 mb-4">Category: {item.category?.name || item.category}</p>
             <p className="text-gray-700 mb-4">{item.description}</p>
-            <p className="text-3xl font-bold text-blue-800 mb-6">₹{item.price}</p>
+            <p className="text-3xl font-bold text-blue-800 mb-6">₹{unitPrice.toFixed(2)}</p>
+
+            {(item.optionGroups || []).map((group) => (
+              <div key={group.id} className="mb-5">
+                <div className="flex items-baseline justify-between mb-2">
+                  <h3 className="font-semibold text-gray-800">{group.name}</h3>
+                  <span className="text-xs text-gray-500">
+                    {selectionHint(group)}{group.minSelect > 0 ? ' · Required' : ''}
+                  </span>
+                </div>
+                <div className="space-y-2">
+                  {group.options.map((option) => {
+                    const checked = (selected[group.id] || []).includes(option.id)
+                    const soldOut = option.available === false
+                    return (
+                      <label key={option.id} className={`flex items-center justify-between px-3 py-2 border rounded-lg ${checked ? 'border-blue-800 bg-blue-50' : 'border-gray-200'} ${soldOut ? 'opacity-50' : 'cursor-pointer'}`}>
+                        <span className="flex items-center gap-2">
+                          <input
+                            type={group.maxSelect === 1 ? 'radio' : 'checkbox'}
+                            name={`group-${group.id}`}
+                            checked={checked}
+                            disabled={soldOut}
+                            onChange={() => toggleOption(group, option.id)}
+                          />
+                          {option.name}
+                          {soldOut && <span className="text-xs text-red-600">Sold out</span>}
+                        </span>
+                        {option.priceDelta ? (
+                          <span className="text-sm text-gray-600">{option.priceDelta > 0 ? '+' : '−'}₹{Math.abs(option.priceDelta)}</span>
+                        ) : null}
+                      </label>
+                    )
+                  })}
+                </div>
+              </div>
+            ))}
 
             <div className="flex items-center gap-3 mb-4">
               <div className="flex items-center border rounded-lg overflow-hidden">
@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
-import { addToCart, setTableToken } from '../../store/slices/cartSlice'
+import { addItemToCart, setTableToken } from '../../store/slices/cartSlice'
 import {
   fetchMenuItems,
   fetchCategories,
@@ -8,14 +8,17 @@ import {
   setCategoryFilter
 } from '../../store/slices/menuSlice'
 
-import { useSearchParams } from 'react-router-dom'
+import { useParams, useSearchParams } from 'react-router-dom'
 import tableService from '../../services/tableService'
+import customerService from '../../services/customerService'
 
 const CustomerMenu = () => {
   const dispatch = useDispatch()
   const { items: menuItems, categories, loading, error, lastUpdated } = useSelector((state) => state.menu)
-  const [searchParams] = useSearchParams() // ← ADD THIS
-  const tableSlug = searchParams.get('table') // ← ADD THIS
+  const [searchParams] = useSearchParams()
+  const { qrSlug } = useParams()
+  // Printed QR codes land on /m/:qrSlug; shared links use /customer/menu?table=
+  const tableSlug = qrSlug || searchParams.get('table')
   const [search, setSearch] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('')
 
@@ -34,13 +37,9 @@ const CustomerMenu = () => {
 
       try {
         setTableLoading(true)
+        // Scanning opens the table's session, or joins the one already running for this visit
         const tableData = await tableService.getTableBySlug(tableSlug)
 
-        if (tableData.occupied) {
-          setTableError('This table is currently occupied. Please ask staff for assistance.')
-          return
-        }
-
         setTable(tableData)
         // Persist table token (use the table's _id so backend can accept as tableId)
         try {
@@ -48,6 +47,12 @@ const CustomerMenu = () => {
         } catch (err) {
           console.warn('Failed to set table token in store', err)
         }
+        // Join the table as a guest so orders placed here can be tracked and canceled later
+        try {
+          await customerService.joinTable(tableSlug, tableData)
+        } catch (err) {
+          console.warn('Failed to start guest session, ordering anonymously', err)
+        }
         setTableError(null)
       } catch (err) {
         console.error('Error fetching table:', err)
@@ -83,14 +88,25 @@ const CustomerMenu = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedCategory])
 
-  const handleAddToCart = (item) => {
+  const handleAddToCart = async (item) => {
     if (!item.availability && item.availability !== undefined) {
       alert('Item is currently unavailable')
       return
     }
 
     const id = item.id || item._id
-    dispatch(addToCart({ id, name: item.name, price: item.price, quantity: 1 }))
+    // Items with required choices have to be configured on the detail page first
+    if (item.optionGroups?.some(g => g.minSelect > 0)) {
+      window.location.href = `/customer/item/${id}`
+      return
+    }
+
+    try {
+      await dispatch(addItemToCart({ id, name: item.name, price: item.price, quantity: 1 })).unwrap()
+    } catch (message) {
+      alert(message || 'Failed to add item to cart')
+      return
+    }
     // optionally show a toast - for now a small confirmation
     // eslint-disable-next-line no-undef
     try { window.alert(`${item.name} added to cart`) } catch (_) { }
@@ -302,7 +318,7 @@ const CustomerMenu = () => {
                       }`}
                       style={{ fontFamily: 'Poppins, sans-serif' }}
                     >
-                      Add to Cart
+                      {item.optionGroups?.some(g => g.minSelect > 0) ? 'Choose Options' : 'Add to Cart'}
                     </button>
 
                     <a
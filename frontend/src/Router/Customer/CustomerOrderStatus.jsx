@@ -1,6 +1,10 @@
 import React, { useEffect, useState } from 'react'
 import { useSearchParams, Link } from 'react-router-dom'
 import orderService from '../../services/orderService'
+import customerService from '../../services/customerService'
+import OrderLineOptions from '../../Components/OrderLineOptions'
+import BillSplitPanel from '../../Components/BillSplitPanel'
+import OrderBreakdown from '../../Components/OrderBreakdown'
 
 const CustomerOrderStatus = () => {
   const [searchParams] = useSearchParams()
@@ -8,17 +12,47 @@ const CustomerOrderStatus = () => {
   const [order, setOrder] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [myOrders, setMyOrders] = useState([])
+  const [canceling, setCanceling] = useState(false)
+  const [receiptBusy, setReceiptBusy] = useState('')
+  const [receiptMessage, setReceiptMessage] = useState(null)
+  // Shown when a guest asks for the receipt by email but has no address on their profile yet
+  const [receiptEmail, setReceiptEmail] = useState(null)
+
+  // Orders placed by this guest (table session) or signed-in customer
+  const fetchMyOrders = async () => {
+    const token = localStorage.getItem('token')
+    if (!token && !customerService.getToken()) return
+    try {
+      const list = await orderService.getOrders({ limit: 20 }, token)
+      setMyOrders(list)
+      if (!orderId && list.length > 0) setOrderId(list[0]._id)
+    } catch (err) {
+      console.warn('Failed to load your orders:', err)
+    }
+  }
+
+  useEffect(() => {
+    fetchMyOrders()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
 
   useEffect(() => {
     if (!orderId) return
     fetchOrder()
 
-    // Poll for updates every 8 seconds
-    const t = setInterval(() => {
-      fetchOrder()
-    }, 8000)
+    // Subscribe to live status and payment updates instead of polling
+    const unsubscribe = orderService.subscribeToOrder(orderId, localStorage.getItem('token'), (event) => {
+      const changed = event.order
+      setOrder((prev) => prev && ({
+        ...prev,
+        status: changed.status,
+        payment: { ...prev.payment, ...changed.payment }
+      }))
+      setMyOrders((prev) => prev.map((o) => (o._id === changed.id ? { ...o, status: changed.status } : o)))
+    })
 
-    return () => clearInterval(t)
+    return unsubscribe
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [orderId])
 
@@ -53,6 +87,59 @@ const CustomerOrderStatus = () => {
     }
   }
 
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this order?')) return
+    setCanceling(true)
+    try {
+      await orderService.cancelOrder(orderId, 'Canceled by customer', localStorage.getItem('token'))
+      await fetchOrder()
+      fetchMyOrders()
+    } catch (err) {
+      alert(err.message || 'Failed to cancel order')
+    } finally {
+      setCanceling(false)
+    }
+  }
+
+  const handleDownloadReceipt = async () => {
+    setReceiptBusy('pdf')
+    setReceiptMessage(null)
+    try {
+      const blob = await orderService.getReceipt(orderId, 'pdf', localStorage.getItem('token'))
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `receipt-${order.orderNumber || orderId}.pdf`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setReceiptMessage({ type: 'error', text: err.message || 'Failed to download receipt' })
+    } finally {
+      setReceiptBusy('')
+    }
+  }
+
+  const handleEmailReceipt = async (e) => {
+    e?.preventDefault()
+    setReceiptBusy('email')
+    setReceiptMessage(null)
+    try {
+      // Save the address the guest typed to their profile first; the receipt goes to the profile email
+      if (receiptEmail) await customerService.updateProfile({ email: receiptEmail.trim() })
+      const sent = await orderService.emailReceipt(orderId, '', localStorage.getItem('token'))
+      setReceiptEmail(null)
+      setReceiptMessage({ type: 'success', text: `Receipt sent to ${sent.email}` })
+    } catch (err) {
+      if (err.status === 422 && customerService.getToken() && receiptEmail === null) {
+        setReceiptEmail('')
+      } else {
+        setReceiptMessage({ type: 'error', text: err.message || 'Failed to email receipt' })
+      }
+    } finally {
+      setReceiptBusy('')
+    }
+  }
+
   if (!orderId) {
     return (
       <div className="p-6">
@@ -102,6 +189,22 @@ const CustomerOrderStatus = () => {
 
   return (
     <div className="p-6">
+      {myOrders.length > 1 && (
+        <div className="max-w-3xl mx-auto mb-4 flex flex-wrap gap-2">
+          {myOrders.map((o) => (
+            <button
+              key={o._id}
+              onClick={() => setOrderId(o._id)}
+              className={`px-3 py-1 text-sm rounded-full shadow ${
+                o._id === orderId ? 'bg-amber-800 text-white' : 'bg-white text-amber-900 hover:bg-amber-100'
+              }`}
+            >
+              {o.orderNumber} · <span className="capitalize">{o.status}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
       <div className="max-w-3xl mx-auto bg-white rounded-lg shadow p-6">
         <h2 className="text-2xl font-bold mb-2">Order Status</h2>
         <p className="text-sm text-gray-500 mb-4">Order ID: {order.id || order._id}</p>
@@ -109,6 +212,16 @@ const CustomerOrderStatus = () => {
         <div className="mb-4">
           <p className="font-semibold">Status:</p>
           <p className="text-lg">{order.status || order.orderStatus || 'Pending'}</p>
+          <p className="text-sm text-gray-500 mt-1">Payment: <span className="capitalize">{(order.payment?.status || 'pending').replace('_', ' ')}</span></p>
+          {order.status === 'placed' && (
+            <button
+              onClick={handleCancel}
+              disabled={canceling}
+              className="mt-3 px-4 py-2 text-sm bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+            >
+              {canceling ? 'Canceling...' : 'Cancel Order'}
+            </button>
+          )}
         </div>
 
         <div className="mb-4">
@@ -118,6 +231,7 @@ const CustomerOrderStatus = () => {
               <div key={it.menuItemId || it.id || Math.random()} className="flex justify-between">
                 <div>
                   <div className="font-medium">{it.name || it.menuItemName || 'Item'}</div>
+                  <OrderLineOptions options={it.options} />
                   <div className="text-sm text-gray-500">Qty: {it.qty}</div>
                 </div>
                 <div className="font-semibold">₹{((it.price || 0) * (it.qty || 1)).toFixed(2)}</div>
@@ -132,11 +246,65 @@ const CustomerOrderStatus = () => {
             <p className="font-medium">{new Date(order.createdAt || order.created || Date.now()).toLocaleString()}</p>
           </div>
 
-          <div className="text-right">
-            <p className="text-sm text-gray-500">Total</p>
-            <p className="text-2xl font-bold text-amber-800">₹{(order.totals || order.total || order.amount || 0).toFixed(2)}</p>
+          <OrderBreakdown
+            breakdown={order.breakdown}
+            total={order.totals || order.total || order.amount || 0}
+            className="w-64"
+          />
+        </div>
+
+        <div className="mt-6 border-t pt-4">
+          <p className="font-semibold mb-2">Receipt</p>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleDownloadReceipt}
+              disabled={!!receiptBusy}
+              className="px-4 py-2 text-sm bg-amber-800 text-white rounded hover:bg-amber-900 disabled:opacity-50"
+            >
+              {receiptBusy === 'pdf' ? 'Preparing...' : 'Download receipt (PDF)'}
+            </button>
+            {(localStorage.getItem('token') || customerService.getToken()) && receiptEmail === null && (
+              <button
+                onClick={handleEmailReceipt}
+                disabled={!!receiptBusy}
+                className="px-4 py-2 text-sm bg-white border border-amber-800 text-amber-900 rounded hover:bg-amber-50 disabled:opacity-50"
+              >
+                {receiptBusy === 'email' ? 'Sending...' : 'Email receipt'}
+              </button>
+            )}
           </div>
+          {receiptEmail !== null && (
+            <form onSubmit={handleEmailReceipt} className="mt-3 flex flex-wrap items-center gap-2">
+              <input
+                type="email"
+                required
+                value={receiptEmail}
+                onChange={(e) => setReceiptEmail(e.target.value)}
+                placeholder="Your email address"
+                className="flex-1 min-w-[12rem] px-3 py-2 text-sm border rounded"
+              />
+              <button
+                type="submit"
+                disabled={!!receiptBusy}
+                className="px-4 py-2 text-sm bg-amber-800 text-white rounded hover:bg-amber-900 disabled:opacity-50"
+              >
+                {receiptBusy === 'email' ? 'Sending...' : 'Send'}
+              </button>
+              <button type="button" onClick={() => setReceiptEmail(null)} className="px-3 py-2 text-sm text-gray-600">
+                Cancel
+              </button>
+            </form>
+          )}
+          {receiptMessage && (
+            <p className={`mt-2 text-sm ${receiptMessage.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+              {receiptMessage.text}
+            </p>
+          )}
         </div>
+
+        {(localStorage.getItem('token') || customerService.getToken()) && (
+          <BillSplitPanel order={order} token={localStorage.getItem('token')} />
+        )}
       </div>
     </div>
   )
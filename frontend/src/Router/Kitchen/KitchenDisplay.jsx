@@ -0,0 +1,152 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { Loader2, Clock, ChefHat } from 'lucide-react'
+import kitchenService from '../../services/kitchenService'
+import orderService from '../../services/orderService'
+import OrderLineOptions from '../../Components/OrderLineOptions'
+
+// Next status when a cook taps a line; tapping a done line recalls it
+const nextLineStatus = {
+  queued: 'cooking',
+  cooking: 'done',
+  done: 'cooking',
+}
+
+const lineStatusStyles = {
+  queued: 'bg-gray-700 text-gray-100',
+  cooking: 'bg-amber-500 text-gray-900',
+  done: 'bg-green-600 text-white line-through',
+}
+
+const KitchenDisplay = () => {
+  const { token } = useSelector((state) => state.auth)
+  const [tickets, setTickets] = useState([])
+  const [targetMinutes, setTargetMinutes] = useState(15)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [bumping, setBumping] = useState(null)
+  const [now, setNow] = useState(() => Date.now())
+
+  const loadTickets = useCallback(async () => {
+    try {
+      const data = await kitchenService.getTickets(token)
+      setTickets(data.tickets || [])
+      setTargetMinutes(data.targetMinutes || 15)
+      setError(null)
+    } catch (err) {
+      console.error('Error fetching kitchen tickets:', err)
+      setError(err.message || 'Failed to load tickets')
+    } finally {
+      setLoading(false)
+    }
+  }, [token])
+
+  useEffect(() => {
+    loadTickets()
+  }, [loadTickets])
+
+  // Any order change (new order, bump from another screen, cancel) reloads the board
+  useEffect(() => {
+    const unsubscribe = orderService.subscribeToOrders(token, () => {
+      loadTickets()
+    })
+    return unsubscribe
+  }, [token, loadTickets])
+
+  // Keep waiting times ticking on screen
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 30000)
+    return () => clearInterval(t)
+  }, [])
+
+  const handleBump = async (ticket, line) => {
+    const key = `${ticket.orderId}-${line.index}`
+    try {
+      setBumping(key)
+      await kitchenService.updateLineStatus(ticket.orderId, line.index, nextLineStatus[line.prepStatus], token)
+      await loadTickets()
+    } catch (err) {
+      console.error('Failed to bump item:', err)
+      setError(err.message || 'Failed to update item')
+    } finally {
+      setBumping(null)
+    }
+  }
+
+  const waitingMinutes = (ticket) => Math.max(0, Math.floor((now - new Date(ticket.createdAt).getTime()) / 60000))
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-gray-100 p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex items-center gap-3">
+          <ChefHat className="h-8 w-8 text-amber-400" />
+          <h1 className="text-3xl font-bold">Kitchen</h1>
+          <span className="text-sm text-gray-400">Target: {targetMinutes} min</span>
+        </div>
+        <div className="flex items-center gap-4">
+          <span className="text-sm text-gray-400">{tickets.length} open ticket{tickets.length === 1 ? '' : 's'}</span>
+          <Link to="/staff/dashboard" className="px-4 py-2 bg-gray-700 rounded-xl hover:bg-gray-600 text-sm">Back to Orders</Link>
+        </div>
+      </div>
+
+      {error && <p className="text-red-400 mb-4">{error}</p>}
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="animate-spin h-8 w-8 text-amber-400" />
+        </div>
+      ) : tickets.length === 0 ? (
+        <p className="text-gray-400 text-center text-lg mt-24">No open tickets. All caught up!</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+          {tickets.map((ticket) => {
+            const minutes = waitingMinutes(ticket)
+            const overdue = minutes >= targetMinutes
+            return (
+              <div
+                key={ticket.orderId}
+                className={`rounded-2xl p-4 border-2 ${overdue ? 'border-red-500 bg-red-950' : 'border-gray-700 bg-gray-800'}`}
+              >
+                <div className="flex justify-between items-start mb-3">
+                  <div>
+                    <p className="text-xl font-bold">Table {ticket.table?.number ?? '—'}</p>
+                    <p className="text-xs text-gray-400">{ticket.orderNumber}</p>
+                  </div>
+                  <div className={`flex items-center gap-1 text-sm font-semibold ${overdue ? 'text-red-400' : 'text-gray-300'}`}>
+                    <Clock className="h-4 w-4" /> {minutes} min
+                  </div>
+                </div>
+
+                <ul className="space-y-2">
+                  {ticket.lines.map((line) => (
+                    <li key={line.index}>
+                      <button
+                        onClick={() => handleBump(ticket, line)}
+                        disabled={bumping === `${ticket.orderId}-${line.index}`}
+                        className={`w-full text-left px-3 py-2 rounded-lg transition-all ${lineStatusStyles[line.prepStatus] || lineStatusStyles.queued}`}
+                      >
+                        <div className="flex justify-between">
+                          <span className="font-semibold">{line.qty} × {line.name}</span>
+                          <span className="text-xs uppercase">{line.prepStatus}</span>
+                        </div>
+                        <OrderLineOptions options={line.options} className="text-sm mt-1" />
+                        {line.note && <p className="text-xs italic mt-1">{line.note}</p>}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+
+                <p className="text-xs text-gray-400 mt-3">
+                  {ticket.lines.filter((l) => l.prepStatus === 'done').length}/{ticket.lines.length} done · {ticket.status}
+                </p>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default KitchenDisplay
@@ -104,6 +104,61 @@ const AdminLayout = () => {
               Analytics
             </Link>
 
+            <Link 
+              to="/admin/payment-events"
+              className={`px-6 py-2 rounded-full font-semibold transition-all duration-300 ${
+                isActive('payment-events')
+                  ? 'bg-blue-800 text-white shadow-lg scale-105'
+                  : 'bg-white text-blue-900 hover:bg-blue-800 hover:text-white shadow-md'
+              }`}
+            >
+              Payments
+            </Link>
+
+            <Link 
+              to="/admin/promotions"
+              className={`px-6 py-2 rounded-full font-semibold transition-all duration-300 ${
+                isActive('promotions')
+                  ? 'bg-blue-800 text-white shadow-lg scale-105'
+                  : 'bg-white text-blue-900 hover:bg-blue-800 hover:text-white shadow-md'
+              }`}
+            >
+              Promotions
+            </Link>
+
+            <Link 
+              to="/admin/inventory"
+              className={`px-6 py-2 rounded-full font-semibold transition-all duration-300 ${
+                isActive('inventory')
+                  ? 'bg-blue-800 text-white shadow-lg scale-105'
+                  : 'bg-white text-blue-900 hover:bg-blue-800 hover:text-white shadow-md'
+              }`}
+            >
+              Inventory
+            </Link>
+
+            <Link 
+              to="/admin/menu-engineering"
+              className={`px-6 py-2 rounded-full font-semibold transition-all duration-300 ${
+                isActive('menu-engineering')
+                  ? 'bg-blue-800 text-white shadow-lg scale-105'
+                  : 'bg-white text-blue-900 hover:bg-blue-800 hover:text-white shadow-md'
+              }`}
+            >
+              Menu Engineering
+            </Link>
+
+            <Link 
+              to="/admin/z-report"
+              className={`px-6 py-2 rounded-full font-semibold transition-all duration-300 ${
+                isActive('z-report')
+                  ? 'bg-blue-800 text-white shadow-lg scale-105'
+                  : 'bg-white text-blue-900 hover:bg-blue-800 hover:text-white shadow-md'
+              }`}
+            >
+              Z Report
+            </Link>
+
             {/* User Info & Logout */}
             <div className="ml-4 border-l-2 border-blue-300 pl-4 flex items-center gap-3">
               <div className="text-right">
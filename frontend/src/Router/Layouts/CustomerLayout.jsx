@@ -1,10 +1,11 @@
 // ============================================
 // src/Router/Layouts/CustomerLayout.jsx - FIXED
 // ============================================
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom'
 import { useDispatch, useSelector } from 'react-redux'
 import { logout } from '../../store/slices/authSlice'
+import customerService, { CUSTOMER_SESSION_EVENT } from '../../services/customerService'
 
 const CustomerLayout = () => {
   const location = useLocation()
@@ -14,6 +15,21 @@ const CustomerLayout = () => {
   // ✅ Get user from Redux, not useState
   const { user } = useSelector((state) => state.auth)
 
+  // Guest session started by scanning a table QR (see CustomerMenu)
+  const [guest, setGuest] = useState(() => customerService.getCustomerInfo())
+
+  useEffect(() => {
+    const refreshGuest = () => setGuest(customerService.getCustomerInfo())
+    window.addEventListener(CUSTOMER_SESSION_EVENT, refreshGuest)
+    return () => window.removeEventListener(CUSTOMER_SESSION_EVENT, refreshGuest)
+  }, [])
+
+  const handleLeaveTable = async () => {
+    if (!window.confirm('Leave this table? You will need to scan the QR code again to order.')) return
+    await customerService.logout()
+    navigate('/customer/menu', { replace: true })
+  }
+
   const handleLogout = () => {
     // ✅ Use Redux logout action
     dispatch(logout())
@@ -84,6 +100,21 @@ const CustomerLayout = () => {
               Order Status
             </Link>
 
+            {/* Guest table session */}
+            {guest && !guest.expired && (
+              <div className="ml-4 flex items-center gap-2">
+                <span className="px-3 py-1 text-sm rounded-full bg-amber-200 text-amber-900 font-medium">
+                  Table {guest.tableNumber ?? '—'} · {guest.name}
+                </span>
+                <button
+                  onClick={handleLeaveTable}
+                  className="px-3 py-1 text-sm rounded-full bg-white text-amber-900 hover:bg-amber-800 hover:text-white shadow-md transition-all duration-300"
+                >
+                  Leave Table
+                </button>
+              </div>
+            )}
+
             {/* Auth Section */}
             <div className="ml-4 border-l-2 border-amber-300 pl-4">
               {user ? (
@@ -60,6 +60,24 @@ const StaffLayout = () => {
               Orders
             </Link>
 
+            <Link 
+              to="/staff/tables"
+              className={`px-6 py-2 rounded-full font-semibold transition-all duration-300 ${
+                isActive('tables')
+                  ? 'bg-amber-800 text-white shadow-lg scale-105'
+                  : 'bg-white text-amber-900 hover:bg-amber-800 hover:text-white shadow-md'
+              }`}
+            >
+              Tables
+            </Link>
+
+            <Link 
+              to="/kitchen"
+              className="px-6 py-2 rounded-full font-semibold transition-all duration-300 bg-white text-amber-900 hover:bg-amber-800 hover:text-white shadow-md"
+            >
+              Kitchen
+            </Link>
+
             {/* User Info & Logout */}
             <div className="ml-4 border-l-2 border-amber-300 pl-4 flex items-center gap-3">
               <div className="text-right">
@@ -17,6 +17,10 @@ import CustomerOrderStatus from "./Customer/CustomerOrderStatus"
 // Staff pages
 import StaffDashboard from "./Staff/StaffDashboard"
 import StaffOrderDetail from "./Staff/StaffOrderDetail"
+import StaffTables from "./Staff/StaffTables"
+
+// Kitchen pages
+import KitchenDisplay from "./Kitchen/KitchenDisplay"
 
 // Admin pages
 import AdminDashboard from "./Admin/AdminDashboard"
@@ -25,6 +29,11 @@ import AdminTableManagement from "./Admin/AdminTableManagement"
 import AdminAllOrders from "./Admin/AdminAllOrders"
 import AdminOrderDetail from "./Admin/AdminOrderDetail"
 import AdminAnalytics from "./Admin/AdminAnalytics"
+import AdminPaymentEvents from "./Admin/AdminPaymentEvents"
+import AdminPromotions from "./Admin/AdminPromotions"
+import AdminInventory from "./Admin/AdminInventory"
+import AdminMenuEngineering from "./Admin/AdminMenuEngineering"
+import AdminZReport from "./Admin/AdminZReport"
 
 // Auth pages
 import Login from "./Auth/Login"
@@ -87,10 +96,24 @@ const Router = createBrowserRouter([
       {
         path: "order/:id",
         element: <StaffOrderDetail />
+      },
+      {
+        path: "tables",
+        element: <StaffTables />
       }
     ]
   },
 
+  // Kitchen Display - PROTECTED (Staff and Admin)
+  {
+    path: "/kitchen",
+    element: (
+      <ProtectedRoute allowedRoles={['staff', 'admin']}>
+        <KitchenDisplay />
+      </ProtectedRoute>
+    )
+  },
+
   // Admin Routes - PROTECTED (Admin Only)
   {
     path: "/admin",
@@ -127,6 +150,26 @@ const Router = createBrowserRouter([
       {
         path: "analytics",
         element: <AdminAnalytics />
+      },
+      {
+        path: "payment-events",
+        element: <AdminPaymentEvents />
+      },
+      {
+        path: "promotions",
+        element: <AdminPromotions />
+      },
+      {
+        path: "inventory",
+        element: <AdminInventory />
+      },
+      {
+        path: "menu-engineering",
+        element: <AdminMenuEngineering />
+      },
+      {
+        path: "z-report",
+        element: <AdminZReport />
       }
     ]
   },
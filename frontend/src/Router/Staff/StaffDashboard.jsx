@@ -32,6 +32,26 @@ const StaffDashboard = () => {
     fetchOrders()
   }, [])
 
+  // Live updates: patch changed orders in place, reload the list when a new one arrives
+  useEffect(() => {
+    const unsubscribe = orderService.subscribeToOrders(token, (event) => {
+      const changed = event.order
+      setOrders((prev) => prev.map((o) => (
+        o._id === changed.id
+          ? { ...o, status: changed.status, payment: { ...o.payment, ...changed.payment } }
+          : o
+      )))
+
+      if (event.type === 'order.created') {
+        orderService.getOrders({}, token)
+          .then(setOrders)
+          .catch((err) => console.error('Error reloading staff orders:', err))
+      }
+    })
+
+    return unsubscribe
+  }, [token])
+
   const handleRefresh = async () => {
     setRefreshing(true)
     await fetchOrders()
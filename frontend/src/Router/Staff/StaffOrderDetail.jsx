@@ -2,8 +2,13 @@ import React, { useEffect, useState } from 'react'
 import { useNavigate, useParams } from 'react-router-dom'
 import { useSelector } from 'react-redux'
 import orderService from '../../services/orderService'
+import printService from '../../services/printService'
 import { format } from 'date-fns'
 import { Loader2 } from 'lucide-react'
+import OrderStatusTimeline from '../../Components/OrderStatusTimeline'
+import BillSplitPanel from '../../Components/BillSplitPanel'
+import OrderLineOptions from '../../Components/OrderLineOptions'
+import OrderBreakdown from '../../Components/OrderBreakdown'
 
 const StaffOrderDetail = () => {
   const navigate = useNavigate()
@@ -14,6 +19,13 @@ const StaffOrderDetail = () => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [updating, setUpdating] = useState(false)
+  // Tip recorded with the payment when the order is marked paid
+  const [tip, setTip] = useState('')
+  const [printMessage, setPrintMessage] = useState(null)
+  const [printSettings, setPrintSettings] = useState(null)
+  // Station to reprint the kitchen ticket for; empty reprints every station
+  const [reprintStation, setReprintStation] = useState('')
+  const [printing, setPrinting] = useState(false)
 
   const fetchOrder = async () => {
     if (!orderId) {
@@ -39,6 +51,28 @@ const StaffOrderDetail = () => {
     fetchOrder()
   }, [orderId])
 
+  // Live updates pushed by the server for this order
+  useEffect(() => {
+    if (!orderId) return
+    const unsubscribe = orderService.subscribeToOrder(orderId, token, () => {
+      // Reload so the status history and allowed transitions stay in sync
+      orderService.getOrder(orderId, token)
+        .then(setOrder)
+        .catch((err) => console.error('Error reloading order:', err))
+    })
+
+    return unsubscribe
+  }, [orderId, token])
+
+  useEffect(() => {
+    printService.getStations(token)
+      .then(setPrintSettings)
+      .catch((err) => console.error('Error fetching printer stations:', err))
+  }, [token])
+
+  // Only offer the transitions the server's state machine allows
+  const canMoveTo = (status) => (order?.allowedTransitions || []).includes(status)
+
   const handleUpdateStatus = async (newStatus) => {
     if (!orderId) return
     try {
@@ -58,7 +92,8 @@ const StaffOrderDetail = () => {
     if (!orderId) return
     try {
       setUpdating(true)
-      await orderService.updateOrderPayment(orderId, newStatus, token)
+      await orderService.updateOrderPayment(orderId, newStatus, token, newStatus === 'paid' && tip ? { tip: parseFloat(tip) } : {})
+      if (newStatus === 'paid') setTip('')
       // Refetch the full order data after payment update
       await fetchOrder()
     } catch (err) {
@@ -69,6 +104,56 @@ const StaffOrderDetail = () => {
     }
   }
 
+  // Reprint: load the receipt page in a new window and open the print dialog
+  const handlePrintReceipt = async () => {
+    // Open the window right away, browsers block popups opened after an await
+    const printWindow = window.open('', '_blank')
+    if (!printWindow) {
+      setPrintMessage({ type: 'error', text: 'Allow pop-ups for this site to print receipts' })
+      return
+    }
+    setPrintMessage(null)
+    try {
+      const blob = await orderService.getReceipt(orderId, 'html', token)
+      printWindow.document.write(await blob.text())
+      printWindow.document.close()
+      printWindow.focus()
+      printWindow.print()
+    } catch (err) {
+      printWindow.close()
+      setPrintMessage({ type: 'error', text: err.message || 'Failed to load receipt' })
+    }
+  }
+
+  const handleEmailReceipt = async () => {
+    const email = window.prompt('Email the receipt to (leave blank to use the guest\'s email):', '')
+    if (email === null) return
+    setPrintMessage(null)
+    try {
+      const sent = await orderService.emailReceipt(orderId, email.trim(), token)
+      setPrintMessage({ type: 'success', text: `Receipt sent to ${sent.email}` })
+    } catch (err) {
+      setPrintMessage({ type: 'error', text: err.message || 'Failed to email receipt' })
+    }
+  }
+
+  // Send a kitchen ticket reprint or the bill to the station printers
+  const handlePrint = async (job) => {
+    setPrinting(true)
+    setPrintMessage(null)
+    try {
+      const result = job === 'bill'
+        ? await printService.printBill(orderId, '', token)
+        : await printService.reprintKitchenTickets(orderId, reprintStation, token)
+      const failed = result.jobs.some((printJob) => printJob.error)
+      setPrintMessage({ type: failed ? 'error' : 'success', text: result.message })
+    } catch (err) {
+      setPrintMessage({ type: 'error', text: err.message || 'Failed to print' })
+    } finally {
+      setPrinting(false)
+    }
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -94,6 +179,14 @@ const StaffOrderDetail = () => {
         <div className="flex justify-between items-start mb-4">
           <div>
             <h2 className="text-2xl font-bold text-gray-800">Order #{order.orderNumber}</h2>
+            {(order.invoiceNumber || order.payment?.receiptNumber) && (
+              <p className="text-gray-500 text-sm">
+                {[order.invoiceNumber && `Invoice ${order.invoiceNumber}`, order.payment?.receiptNumber && `Receipt ${order.payment.receiptNumber}`]
+                  .filter(Boolean)
+                  .join(' · ')}
+                {order.payment?.tip > 0 && ` · Tip ₹${order.payment.tip.toFixed(2)}`}
+              </p>
+            )}
             <p className="text-gray-600">Customer: {order.customer?.name ?? 'Guest'}</p>
             <p className="text-gray-500 text-sm">Placed: {order.createdAt ? format(new Date(order.createdAt), 'dd MMM yyyy, HH:mm') : '—'}</p>
           </div>
@@ -101,6 +194,30 @@ const StaffOrderDetail = () => {
             <p className="text-sm text-gray-500">Table: {order.table?.number ?? '—'}</p>
             <p className="text-sm font-semibold mt-2">Status: {order.status}</p>
             <p className="text-sm font-semibold mt-1">Payment: {order.payment?.status ?? 'pending'}</p>
+            <div className="flex justify-end gap-2 mt-3">
+              <button onClick={handlePrintReceipt} className="px-3 py-1 text-sm bg-gray-800 text-white rounded">Print Receipt</button>
+              <button onClick={handleEmailReceipt} className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded">Email Receipt</button>
+            </div>
+            {printSettings?.enabled && (
+              <div className="flex justify-end items-center gap-2 mt-2">
+                <select
+                  value={reprintStation}
+                  onChange={(e) => setReprintStation(e.target.value)}
+                  disabled={printing}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded"
+                >
+                  <option value="">All stations</option>
+                  {printSettings.stations.map((station) => (
+                    <option key={station.name} value={station.name}>{station.name}</option>
+                  ))}
+                </select>
+                <button onClick={() => handlePrint('kitchen')} disabled={printing} className="px-3 py-1 text-sm bg-orange-600 text-white rounded disabled:opacity-40">Reprint Kitchen Ticket</button>
+                <button onClick={() => handlePrint('bill')} disabled={printing} className="px-3 py-1 text-sm bg-gray-800 text-white rounded disabled:opacity-40">Print Bill</button>
+              </div>
+            )}
+            {printMessage && (
+              <p className={`text-sm mt-1 ${printMessage.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{printMessage.text}</p>
+            )}
           </div>
         </div>
 
@@ -111,6 +228,7 @@ const StaffOrderDetail = () => {
               <li key={it._id} className="py-3 flex justify-between">
                 <div>
                   <p className="font-medium text-gray-800">{it.name}</p>
+                  <OrderLineOptions options={it.options} />
                   <p className="text-sm text-gray-500">Qty: {it.qty}</p>
                 </div>
                 <div className="text-gray-800 font-semibold">₹{(parseFloat(it.price) * it.qty).toFixed(2)}</div>
@@ -119,30 +237,51 @@ const StaffOrderDetail = () => {
           </ul>
         </div>
 
+        <div className="mb-4">
+          <h3 className="font-semibold text-gray-700 mb-2">Status History</h3>
+          <OrderStatusTimeline history={order.statusHistory || []} />
+        </div>
+
         <div className="flex items-center justify-between">
           <div>
-            <p className="text-gray-600">Total: <span className="font-bold text-gray-800">₹{order.totals?.toFixed(2) ?? '0.00'}</span></p>
+            <OrderBreakdown breakdown={order.breakdown} total={order.totals} className="w-72" />
             <div className="flex items-center gap-2 mt-2">
               <span className="text-sm text-gray-500">Payment:</span>
               <select
                 value={order.payment?.status ?? 'pending'}
                 onChange={(e) => handleUpdatePayment(e.target.value)}
-                disabled={updating}
+                disabled={updating || order.refunds?.length > 0}
                 className="px-2 py-1 text-sm border border-gray-300 rounded"
               >
                 <option value="pending">Pending</option>
                 <option value="paid">Paid</option>
                 <option value="failed">Failed</option>
-                <option value="refunded">Refunded</option>
+                {/* Shown only: refunds are issued by an admin from the order page */}
+                <option value="partially_refunded" disabled>Partially Refunded</option>
+                <option value="refunded" disabled>Refunded</option>
               </select>
+              {!['paid', 'partially_refunded', 'refunded'].includes(order.payment?.status) && (
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={tip}
+                  onChange={(e) => setTip(e.target.value)}
+                  placeholder="Tip ₹"
+                  disabled={updating}
+                  className="w-20 px-2 py-1 text-sm border border-gray-300 rounded"
+                />
+              )}
             </div>
           </div>
           <div className="flex items-center gap-2">
-            <button onClick={() => handleUpdateStatus('preparing')} disabled={updating} className="px-4 py-2 bg-blue-600 text-white rounded">Mark Preparing</button>
-            <button onClick={() => handleUpdateStatus('ready')} disabled={updating} className="px-4 py-2 bg-green-600 text-white rounded">Mark Ready</button>
-            <button onClick={() => handleUpdateStatus('served')} disabled={updating} className="px-4 py-2 bg-purple-600 text-white rounded">Mark Served</button>
+            <button onClick={() => handleUpdateStatus('preparing')} disabled={updating || !canMoveTo('preparing')} className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-40">Mark Preparing</button>
+            <button onClick={() => handleUpdateStatus('ready')} disabled={updating || !canMoveTo('ready')} className="px-4 py-2 bg-green-600 text-white rounded disabled:opacity-40">Mark Ready</button>
+            <button onClick={() => handleUpdateStatus('served')} disabled={updating || !canMoveTo('served')} className="px-4 py-2 bg-purple-600 text-white rounded disabled:opacity-40">Mark Served</button>
           </div>
         </div>
+
+        <BillSplitPanel order={order} token={token} staff />
       </div>
     </div>
   )
@@ -0,0 +1,211 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { formatDistanceToNow } from 'date-fns'
+import { Loader2, RefreshCcw, Users, Receipt } from 'lucide-react'
+import tableSessionService from '../../services/tableSessionService'
+import orderService from '../../services/orderService'
+import paymentService from '../../services/paymentService'
+
+const paymentStyles = {
+  paid: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+  partially_refunded: 'bg-orange-100 text-orange-800',
+  refunded: 'bg-gray-100 text-gray-800',
+}
+
+// Open tables with their running bills; staff close a table when the guests leave
+const StaffTables = () => {
+  const { token } = useSelector((state) => state.auth)
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(null)
+  const [closing, setClosing] = useState(null)
+  // Read by the live subscription without re-opening the stream on every expand
+  const expandedIdRef = useRef(null)
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const list = await tableSessionService.getSessions('open', token)
+      setSessions(list)
+      setError(null)
+    } catch (err) {
+      console.error('Error fetching table sessions:', err)
+      setError(err.message || 'Failed to load tables')
+    } finally {
+      setLoading(false)
+    }
+  }, [token])
+
+  const loadSessionDetail = useCallback(async (sessionId) => {
+    try {
+      // Split bills show which shares are still to be paid
+      const [session, outstandingShares] = await Promise.all([
+        tableSessionService.getSession(sessionId, token),
+        paymentService.getShares({ tableSessionId: sessionId }, token)
+      ])
+      setExpanded({ ...session, outstandingShares })
+    } catch (err) {
+      console.error('Error fetching table session:', err)
+      alert('Failed to load bill: ' + err.message)
+    }
+  }, [token])
+
+  useEffect(() => {
+    loadSessions()
+  }, [loadSessions])
+
+  useEffect(() => {
+    expandedIdRef.current = expanded?.id || null
+  }, [expanded])
+
+  // Bills change whenever an order is placed, paid or canceled
+  useEffect(() => {
+    const unsubscribe = orderService.subscribeToOrders(token, () => {
+      loadSessions()
+      if (expandedIdRef.current) loadSessionDetail(expandedIdRef.current)
+    })
+    return unsubscribe
+  }, [token, loadSessions, loadSessionDetail])
+
+  const handleToggleBill = (session) => {
+    if (expanded?.id === session.id) {
+      setExpanded(null)
+      return
+    }
+    loadSessionDetail(session.id)
+  }
+
+  const handleClose = async (session) => {
+    try {
+      setClosing(session.id)
+      const closed = await tableSessionService.closeSessionWithConfirm(session.id, session.table?.number, token)
+      if (!closed) return
+      if (expanded?.id === session.id) setExpanded(null)
+      await loadSessions()
+    } catch (err) {
+      alert('Failed to close table: ' + err.message)
+    } finally {
+      setClosing(null)
+    }
+  }
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-blue-50 via-blue-50 to-blue-50">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Open Tables</h1>
+          <p className="text-gray-600 mt-1">Running bills for every table with guests</p>
+        </div>
+        <button
+          onClick={loadSessions}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-all"
+        >
+          <RefreshCcw className="h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      ) : sessions.length === 0 ? (
+        <div className="bg-white rounded-2xl shadow p-12 text-center text-gray-500">No tables are occupied right now.</div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {sessions.map((session) => (
+            <div key={session.id} className="bg-white rounded-2xl shadow-md border border-gray-200 p-6">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-800">Table {session.table?.number ?? '—'}</h2>
+                  <p className="text-sm text-gray-500">
+                    Opened {formatDistanceToNow(new Date(session.openedAt), { addSuffix: true })}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className="text-sm text-gray-500">Due</p>
+                  <p className={`text-2xl font-bold ${session.bill.due > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    ₹{session.bill.due.toFixed(2)}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex gap-6 text-sm text-gray-600 mb-4">
+                <span className="flex items-center gap-1">
+                  <Users className="h-4 w-4" />
+                  {session.guests.length} guest{session.guests.length === 1 ? '' : 's'}
+                </span>
+                <span className="flex items-center gap-1">
+                  <Receipt className="h-4 w-4" />
+                  {session.bill.orderCount} order{session.bill.orderCount === 1 ? '' : 's'}
+                </span>
+                <span>Total ₹{session.bill.total.toFixed(2)}</span>
+                <span>Paid ₹{session.bill.paid.toFixed(2)}</span>
+                {session.bill.refunded > 0 && <span>Refunded ₹{session.bill.refunded.toFixed(2)}</span>}
+              </div>
+
+              {expanded?.id === session.id && (
+                <ul className="divide-y divide-gray-200 border-t border-b border-gray-200 mb-4">
+                  {expanded.orders.length === 0 && (
+                    <li className="py-3 text-sm text-gray-500">No orders yet.</li>
+                  )}
+                  {expanded.orders.map((order) => (
+                    <li key={order.id} className="py-3 flex justify-between items-center">
+                      <div>
+                        <Link to={`/staff/order/${order.id}`} className="font-medium text-blue-700 hover:underline">
+                          {order.orderNumber}
+                        </Link>
+                        <p className="text-xs text-gray-500">
+                          {order.items.map((it) => `${it.qty}× ${it.name}`).join(', ')}
+                        </p>
+                        {expanded.outstandingShares.some((share) => share.order?.id === order.id) && (
+                          <p className="text-xs text-amber-700 mt-1">
+                            Split, outstanding: {expanded.outstandingShares
+                              .filter((share) => share.order?.id === order.id)
+                              .map((share) => `${share.label} ₹${share.amount.toFixed(2)}`)
+                              .join(', ')}
+                          </p>
+                        )}
+                      </div>
+                      <div className="text-right">
+                        <p className={`font-semibold ${order.status === 'canceled' ? 'line-through text-gray-400' : 'text-gray-800'}`}>
+                          ₹{order.totals.toFixed(2)}
+                        </p>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${paymentStyles[order.payment.status] || paymentStyles.pending}`}>
+                          {order.status === 'canceled' ? 'canceled' : order.payment.status}
+                        </span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => handleToggleBill(session)}
+                  className="flex-1 px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 font-semibold text-sm"
+                >
+                  {expanded?.id === session.id ? 'Hide Bill' : 'View Bill'}
+                </button>
+                <button
+                  onClick={() => handleClose(session)}
+                  disabled={closing === session.id}
+                  className="flex-1 px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 font-semibold text-sm disabled:opacity-50"
+                >
+                  {closing === session.id ? 'Closing...' : 'Close Table'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StaffTables
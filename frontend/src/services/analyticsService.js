@@ -0,0 +1,64 @@
+const API_URL = `${import.meta.env.VITE_API_URL}/api/analytics`
+
+// Admin: sales reports aggregated on the server. Every report takes
+// { from, to } ("YYYY-MM-DD", inclusive) and timezone; the server defaults
+// to the last 30 days in the restaurant's time zone
+class AnalyticsService {
+  async request(path, params = {}, token, fallbackMessage) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    )
+
+    const response = await fetch(`${API_URL}${path}?${query}`, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+      credentials: 'include'
+    })
+
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      // Validation failures name the first bad field
+      throw new Error(data.errors?.[0]?.message || data.message || fallbackMessage)
+    }
+
+    return data.data
+  }
+
+  // Summary, revenue by day/hour/weekday, top items and categories and
+  // payment statuses in one request
+  async getOverview(params, token) {
+    return this.request('/overview', params, token, 'Failed to load analytics')
+  }
+
+  async getSummary(params, token) {
+    const data = await this.request('/summary', params, token, 'Failed to load sales summary')
+    return data.summary
+  }
+
+  async getRevenue({ groupBy = 'day', ...params } = {}, token) {
+    const data = await this.request('/revenue', { ...params, groupBy }, token, 'Failed to load revenue')
+    return data.series
+  }
+
+  async getTopItems(params, token) {
+    const data = await this.request('/top-items', params, token, 'Failed to load top items')
+    return data.items
+  }
+
+  async getTopCategories(params, token) {
+    const data = await this.request('/top-categories', params, token, 'Failed to load top categories')
+    return data.categories
+  }
+
+  // Items classed as star, plowhorse, puzzle or dog per category;
+  // params may add categoryId
+  async getMenuEngineering(params, token) {
+    return this.request('/menu-engineering', params, token, 'Failed to load menu engineering report')
+  }
+
+  async getPaymentStatuses(params, token) {
+    const data = await this.request('/payment-status', params, token, 'Failed to load payment statuses')
+    return data.statuses
+  }
+}
+
+export default new AnalyticsService()
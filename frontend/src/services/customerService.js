@@ -1,4 +1,12 @@
-const API_URL = `${import.meta.env.VITE_API_URL}/api/customers`
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:5000'
+const API_URL = `${API_BASE}/api/customers`
+
+// Fired on window whenever the stored guest session changes, so layouts can re-render
+export const CUSTOMER_SESSION_EVENT = 'customer-session-changed'
+
+const notifySessionChanged = () => {
+  window.dispatchEvent(new Event(CUSTOMER_SESSION_EVENT))
+}
 
 class CustomerService {
   // Create customer session when scanning QR code
@@ -19,11 +27,42 @@ class CustomerService {
     // Store token in localStorage
     if (data.data?.token) {
       localStorage.setItem('customerToken', data.data.token)
+      notifySessionChanged()
     }
 
     return data.data
   }
 
+  // Join the table after a QR scan, reusing the stored session if it belongs to the table's current visit
+  async joinTable(qrSlug, table, customerData = {}) {
+    const info = this.getCustomerInfo()
+    const sameTable = info && info.table === table._id?.toString()
+    const sameVisit = !table.activeSessionId || info?.tableSession === table.activeSessionId.toString()
+    if (info && !info.expired && sameTable && sameVisit) {
+      return info
+    }
+
+    this.clearSession()
+    await this.createSession(qrSlug, customerData)
+    return this.getCustomerInfo()
+  }
+
+  // Forget the stored session without calling the server (e.g. the table was closed)
+  clearSession() {
+    if (!localStorage.getItem('customerToken')) return
+    localStorage.removeItem('customerToken')
+    notifySessionChanged()
+  }
+
+  // Drop the stored session if the server rejected it; returns true when it did
+  handleSessionError(status, message = '') {
+    if (status === 401 && this.getToken() && /customer session/i.test(message)) {
+      this.clearSession()
+      return true
+    }
+    return false
+  }
+
   // Get customer profile
   async getProfile() {
     const token = localStorage.getItem('customerToken')
@@ -89,7 +128,7 @@ class CustomerService {
       console.error('Logout request failed:', error)
     } finally {
       // Always clear local storage
-      localStorage.removeItem('customerToken')
+      this.clearSession()
     }
   }
 
@@ -113,7 +152,10 @@ class CustomerService {
       return {
         id: payload.id,
         name: payload.name,
-        table: payload.table
+        table: payload.table,
+        tableNumber: payload.tableNumber,
+        tableSession: payload.tableSession,
+        expired: payload.exp ? payload.exp * 1000 <= Date.now() : false
       }
     } catch (error) {
       console.error('Failed to parse customer token:', error)
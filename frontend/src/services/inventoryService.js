@@ -0,0 +1,62 @@
+import streamService from './streamService'
+
+const API_URL = `${import.meta.env.VITE_API_URL}/api/inventory`
+
+// Admin: stock levels, adjustments and movement history
+class InventoryService {
+  async request(path, { method = 'GET', body, token } = {}, fallbackMessage) {
+    const headers = {}
+    if (body) headers['Content-Type'] = 'application/json'
+    if (token) headers['Authorization'] = `Bearer ${token}`
+
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers,
+      credentials: 'include',
+      ...(body && { body: JSON.stringify(body) })
+    })
+
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      // Validation failures name the first bad field
+      throw new Error(data.errors?.[0]?.message || data.message || fallbackMessage)
+    }
+
+    return data.data
+  }
+
+  // { items, summary }
+  async getInventory(params = {}, token) {
+    const query = new URLSearchParams(params).toString()
+    return this.request(query ? `?${query}` : '', { token }, 'Failed to load inventory')
+  }
+
+  async updateSettings(menuItemId, settings, token) {
+    const data = await this.request(`/${menuItemId}`, { method: 'PUT', body: settings, token }, 'Failed to update stock settings')
+    return data.item
+  }
+
+  // type: receipt | wastage | correction
+  async adjustStock(menuItemId, adjustment, token) {
+    const data = await this.request(`/${menuItemId}/adjustments`, { method: 'POST', body: adjustment, token }, 'Failed to update stock')
+    return data.item
+  }
+
+  // { movements, pagination }
+  async getMovements(params = {}, token) {
+    const query = new URLSearchParams(params).toString()
+    return this.request(`/movements${query ? `?${query}` : ''}`, { token }, 'Failed to load stock history')
+  }
+
+  // Live stock changes and alerts, opened with a short-lived stream ticket. Returns an unsubscribe function.
+  subscribe(token, onEvent) {
+    return streamService.open(`${API_URL}/stream`, {
+      token,
+      eventTypes: ['stock.changed', 'stock.low', 'stock.sold_out'],
+      onEvent: (type, data) => onEvent(data),
+      label: 'Stock'
+    })
+  }
+}
+
+export default new InventoryService()
@@ -0,0 +1,45 @@
+const API_URL = `${import.meta.env.VITE_API_URL}/api/kitchen`;
+
+class KitchenService {
+  // Get open tickets for the kitchen display (staff/admin)
+  async getTickets(token) {
+    const headers = {};
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const response = await fetch(`${API_URL}/tickets`, {
+      headers,
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || 'Failed to fetch kitchen tickets');
+    }
+
+    const data = await response.json();
+    return data.data; // { tickets, targetMinutes, overdueCount, generatedAt }
+  }
+
+  // Bump a single order line to queued / cooking / done
+  async updateLineStatus(orderId, lineIndex, prepStatus, token) {
+    const response = await fetch(`${API_URL}/orders/${orderId}/lines/${lineIndex}`, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      credentials: 'include',
+      body: JSON.stringify({ prepStatus })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || 'Failed to update item');
+    }
+
+    const data = await response.json();
+    return data.data;
+  }
+}
+
+export default new KitchenService();
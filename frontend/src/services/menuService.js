@@ -8,11 +8,14 @@ class MenuService {
   // ============================
   // Get all menu items
   // ============================
-  async getMenuItems({ search = '', category = '', page = 1, limit = 100, sort = 'name' } = {}, token = null) {
+  // Staff and admins see items outside their hours too, unless
+  // visibleAt asks for the menu as guests would see it at that time
+  async getMenuItems({ search = '', category = '', page = 1, limit = 100, sort = 'name', visibleAt = '' } = {}, token = null) {
     try {
       const params = new URLSearchParams({
         ...(search && { search }),
         ...(category && { category }),
+        ...(visibleAt && { visibleAt }),
         page,
         limit,
         sort
@@ -77,12 +80,16 @@ class MenuService {
   // ============================
   // Get all categories
   // ============================
-  async getCategories() {
+  async getCategories(token = null, { visibleAt = '' } = {}) {
     try {
-      const url = `${API_URL}/categories`;
+      const query = visibleAt ? `?${new URLSearchParams({ visibleAt })}` : '';
+      const url = `${API_URL}/categories${query}`;
       console.log('➡️ Fetching categories from:', url);
 
-      const response = await fetch(url, { credentials: 'include' });
+      const headers = {}
+      if (token) headers['Authorization'] = `Bearer ${token}`
+
+      const response = await fetch(url, { headers, credentials: 'include' });
       console.log('⬅️ Response status:', response.status);
 
       if (!response.ok) throw new Error(`Failed to fetch categories (HTTP ${response.status})`);
@@ -95,6 +102,103 @@ class MenuService {
     }
   }
 
+  // ============================
+  // Update category (Admin)
+  // ============================
+  async updateCategory(id, categoryData, token) {
+    try {
+      const headers = { 'Content-Type': 'application/json' }
+      if (token) headers['Authorization'] = `Bearer ${token}`
+
+      const response = await fetch(`${API_URL}/categories/${id}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(categoryData)
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.message || `Failed to update category (HTTP ${response.status})`);
+      }
+
+      const data = await response.json();
+      return data.data?.category;
+    } catch (error) {
+      console.error('❌ Update category error:', error);
+      throw error;
+    }
+  }
+
+  // ============================
+  // Tax classes and pricing settings (Admin)
+  // ============================
+  async getTaxClasses(token) {
+    try {
+      const response = await fetch(`${API_URL}/tax-classes`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+        credentials: 'include'
+      });
+
+      if (!response.ok) throw new Error(`Failed to fetch tax classes (HTTP ${response.status})`);
+
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('❌ Get tax classes error:', error);
+      throw error;
+    }
+  }
+
+  // ============================
+  // Export the whole menu as a file (Admin)
+  // ============================
+  async exportMenu(format, token) {
+    try {
+      const response = await fetch(`${API_URL}/export?format=${format}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.message || `Failed to export menu (HTTP ${response.status})`);
+      }
+
+      return await response.blob();
+    } catch (error) {
+      console.error('❌ Export menu error:', error);
+      throw error;
+    }
+  }
+
+  // ============================
+  // Import categories and items (Admin)
+  // ============================
+  // Resolves with the checked rows even when some have errors, so they can be
+  // shown next to the file; only request failures throw
+  async importMenu({ format, content, dryRun = false }, token) {
+    try {
+      const response = await fetch(`${API_URL}/import`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ format, content, dryRun })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok && !data.data) {
+        throw new Error(data.message || `Failed to import menu (HTTP ${response.status})`);
+      }
+
+      return { message: data.message, ...data.data };
+    } catch (error) {
+      console.error('❌ Import menu error:', error);
+      throw error;
+    }
+  }
+
   // ============================
   // Create new menu item (Admin)
   // ============================
@@ -1,3 +1,6 @@
+import customerService from './customerService'
+import streamService from './streamService'
+
 // Use VITE_API_URL when provided, otherwise fall back to localhost backend
 const DEFAULT_API = 'http://localhost:5000'
 const API_BASE = import.meta.env.VITE_API_URL || DEFAULT_API
@@ -9,16 +12,34 @@ if (!import.meta.env.VITE_API_URL) {
   console.debug('[orderService] API base URL:', import.meta.env.VITE_API_URL);
 }
 
+// Guests who joined a table send their customer session alongside any user token
+const withCustomerToken = (headers = {}) => {
+  const customerToken = customerService.getToken()
+  if (customerToken) headers['X-Customer-Token'] = customerToken
+  return headers
+}
+
+// A fresh Idempotency-Key; reuse it when retrying the same request so the server runs it only once
+export const newIdempotencyKey = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`
+)
+
 class OrderService {
   // Create order (guest or authenticated)
-  async createOrder(orderData, token = null) {
-    const headers = {
+  // Pass the same idempotencyKey when retrying a checkout so it can't place the order twice
+  async createOrder(orderData, token = null, idempotencyKey = null) {
+    const headers = withCustomerToken({
       'Content-Type': 'application/json'
-    }
+    })
 
     if (token) {
       headers['Authorization'] = `Bearer ${token}`
     }
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey
+    }
 
     const response = await fetch(`${API_URL}`, {
       method: 'POST',
@@ -29,19 +50,42 @@ class OrderService {
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({}))
+      customerService.handleSessionError(response.status, error.message)
       if (error && Array.isArray(error.errors) && error.errors.length) {
         throw new Error(error.errors[0].message || error.message || 'Order creation failed')
       }
-      throw new Error(error.message || 'Order creation failed')
+      // Keep the server's details (e.g. unavailableItems / priceChanges) for the caller
+      const err = new Error(error.message || 'Order creation failed')
+      err.status = response.status
+      err.details = error.data || null
+      throw err
     }
 
     const data = await response.json()
     return data.data // Returns order object
   }
 
+  // Price cart lines the way checkout will: { breakdown, lines, priceChanges, unavailableItems, promoError }
+  // A promo code that can't be used comes back in promoError and the bill is priced without it
+  async quoteOrder(items, promoCode = '') {
+    const response = await fetch(`${API_URL}/quote`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items, ...(promoCode && { promoCode }) })
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      throw new Error(error.message || 'Failed to price the cart')
+    }
+
+    const data = await response.json()
+    return data.data
+  }
+
   // Get order by ID
   async getOrder(orderId, token) {
-    const headers = {}
+    const headers = withCustomerToken()
     if (token) headers['Authorization'] = `Bearer ${token}`
 
     const response = await fetch(`${API_URL}/${orderId}`, {
@@ -51,6 +95,7 @@ class OrderService {
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({}))
+      customerService.handleSessionError(response.status, error.message)
       throw new Error(error.message || 'Failed to fetch order')
     }
 
@@ -58,7 +103,7 @@ class OrderService {
     return data.data
   }
 
-  // Get all orders (staff/admin)
+  // Get all orders (staff/admin), or the caller's own orders (customer or guest)
   async getOrders({ status = '', table = '', page = 1, limit = 20 }, token) {
     const params = new URLSearchParams({
       ...(status && { status }),
@@ -66,7 +111,7 @@ class OrderService {
       page,
       limit
     })
-    const headers = {}
+    const headers = withCustomerToken()
     if (token) headers['Authorization'] = `Bearer ${token}`
 
     const url = `${API_URL}?${params}`
@@ -78,6 +123,7 @@ class OrderService {
 
       if (!response.ok) {
         const error = await response.json().catch(() => ({}))
+        customerService.handleSessionError(response.status, error.message)
         throw new Error(error.message || `Failed to fetch orders (${response.status})`)
       }
 
@@ -110,8 +156,8 @@ class OrderService {
     return data.data
   }
 
-  // Update order payment status (staff/admin)
-  async updateOrderPayment(orderId, status, token) {
+  // Update order payment status (staff/admin); details may add { tip } when marking it paid
+  async updateOrderPayment(orderId, status, token, details = {}) {
     const response = await fetch(`${API_URL}/${orderId}/payment`, {
       method: 'PATCH',
       headers: {
@@ -119,7 +165,7 @@ class OrderService {
         'Content-Type': 'application/json'
       },
       credentials: 'include',
-      body: JSON.stringify({ status })
+      body: JSON.stringify({ status, ...details })
     })
     if (!response.ok) {
       const error = await response.json().catch(() => ({}))
@@ -129,6 +175,110 @@ class OrderService {
     const data = await response.json()
     return data.data
   }
+
+  // Cancel an order (owner, the guest who placed it, or staff/admin)
+  // Admin: refund an amount ({ amount }) or specific lines ({ items: [{ lineIndex, qty }] }) with a reason
+  async refundOrder(orderId, { amount, items, reason }, token) {
+    const response = await fetch(`${API_URL}/${orderId}/refunds`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      credentials: 'include',
+      body: JSON.stringify({ reason, ...(items?.length ? { items } : { amount }) })
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const err = new Error(data.errors?.[0]?.msg || data.message || 'Failed to refund order')
+      err.details = data.data || null
+      throw err
+    }
+
+    return data.data
+  }
+
+  async cancelOrder(orderId, reason = '', token = null) {
+    const headers = withCustomerToken({ 'Content-Type': 'application/json' })
+    if (token) headers['Authorization'] = `Bearer ${token}`
+
+    const response = await fetch(`${API_URL}/${orderId}/cancel`, {
+      method: 'POST',
+      headers,
+      credentials: 'include',
+      body: JSON.stringify({ reason })
+    })
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      customerService.handleSessionError(response.status, error.message)
+      throw new Error(error.message || 'Failed to cancel order')
+    }
+
+    const data = await response.json()
+    return data.data
+  }
+
+  // Get the order's receipt as a Blob ('html' to print, 'pdf' to download)
+  async getReceipt(orderId, format = 'html', token = null) {
+    const headers = withCustomerToken()
+    if (token) headers['Authorization'] = `Bearer ${token}`
+
+    const response = await fetch(`${API_URL}/${orderId}/receipt?format=${format}`, {
+      headers,
+      credentials: 'include'
+    })
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      customerService.handleSessionError(response.status, error.message)
+      throw new Error(error.message || 'Failed to get receipt')
+    }
+
+    return response.blob()
+  }
+
+  // Email the receipt. Staff may pass an address; guests and customers get it at their profile email.
+  // Fails with err.status 422 when there is no address to send it to.
+  async emailReceipt(orderId, email = '', token = null) {
+    const headers = withCustomerToken({ 'Content-Type': 'application/json' })
+    if (token) headers['Authorization'] = `Bearer ${token}`
+
+    const response = await fetch(`${API_URL}/${orderId}/receipt/email`, {
+      method: 'POST',
+      headers,
+      credentials: 'include',
+      body: JSON.stringify(email ? { email } : {})
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      customerService.handleSessionError(response.status, data.message)
+      const err = new Error(data.message || 'Failed to email receipt')
+      err.status = response.status
+      throw err
+    }
+
+    return data.data
+  }
+
+  // Open a Server-Sent Events stream and forward order events to onEvent.
+  // The stream is opened with a short-lived ticket, never the tokens themselves (see streamService).
+  openStream(url, token, onEvent) {
+    return streamService.open(url, {
+      token,
+      eventTypes: ['order.created', 'order.status_changed', 'order.payment_changed', 'order.items_changed', 'order.canceled'],
+      onEvent: (type, data) => onEvent(data),
+      label: 'Order'
+    })
+  }
+
+  // Subscribe to events for every order (staff/admin). Returns an unsubscribe function.
+  subscribeToOrders(token, onEvent) {
+    return this.openStream(`${API_URL}/stream`, token, onEvent)
+  }
+
+  // Subscribe to events for a single order. Returns an unsubscribe function.
+  subscribeToOrder(orderId, token, onEvent) {
+    return this.openStream(`${API_URL}/${orderId}/stream`, token, onEvent)
+  }
 }
 
 export default new OrderService()
\ No newline at end of file
@@ -0,0 +1,176 @@
+import customerService from './customerService'
+
+const API_URL = `${import.meta.env.VITE_API_URL}/api/payments`
+const RAZORPAY_CHECKOUT_URL = 'https://checkout.razorpay.com/v1/checkout.js'
+
+let razorpayScript = null
+
+// Load Razorpay's checkout.js once and reuse it
+const loadRazorpayCheckout = () => {
+  if (window.Razorpay) return Promise.resolve(window.Razorpay)
+  if (!razorpayScript) {
+    razorpayScript = new Promise((resolve, reject) => {
+      const script = document.createElement('script')
+      script.src = RAZORPAY_CHECKOUT_URL
+      script.onload = () => resolve(window.Razorpay)
+      script.onerror = () => {
+        razorpayScript = null
+        reject(new Error('Could not load the Razorpay checkout'))
+      }
+      document.body.appendChild(script)
+    })
+  }
+  return razorpayScript
+}
+
+class PaymentService {
+  // Signed-in users send their token; guests at a table are identified by their customer session
+  async request(path, { method = 'GET', body, token, idempotencyKey } = {}, fallbackMessage) {
+    const headers = {}
+    if (body) headers['Content-Type'] = 'application/json'
+    if (token) headers['Authorization'] = `Bearer ${token}`
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey
+    const customerToken = customerService.getToken()
+    if (customerToken) headers['X-Customer-Token'] = customerToken
+
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers,
+      credentials: 'include',
+      ...(body && { body: JSON.stringify(body) })
+    })
+
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      customerService.handleSessionError(response.status, data.message)
+      const err = new Error(data.message || fallbackMessage)
+      err.status = response.status
+      err.details = data.data || null
+      throw err
+    }
+
+    return data.data
+  }
+
+  // Which provider is active ({ provider, providers, currency, razorpayKeyId, stripePublishableKey, demo })
+  async getConfig() {
+    return this.request('/config', {}, 'Failed to load payment settings')
+  }
+
+  // Start paying a whole order; the response says which provider to complete it with.
+  // provider is optional (e.g. 'cash'); the server's active provider is used otherwise.
+  // Retrying with the same idempotencyKey returns the payment already started.
+  async createIntent(orderId, token, provider, idempotencyKey) {
+    return this.request('/create-intent', {
+      method: 'POST',
+      body: { orderId, ...(provider && { provider }) },
+      token,
+      idempotencyKey
+    }, 'Failed to start payment')
+  }
+
+  // Confirm a started payment with its provider (cash payments: staff only)
+  async confirm(reference, fields = {}, token) {
+    return this.request('/confirm', { method: 'POST', body: { reference, ...fields }, token }, 'Failed to confirm payment')
+  }
+
+  // Split an order's bill. mode: 'even' (with count), 'item' (optionally shares with lineIndexes) or 'custom' (shares with amounts)
+  async splitBill(orderId, { mode, count, shares }, token) {
+    return this.request(`/orders/${orderId}/split`, {
+      method: 'POST',
+      body: { mode, ...(count && { count }), ...(shares && { shares }) },
+      token
+    }, 'Failed to split the bill')
+  }
+
+  // The order's shares and what is still outstanding
+  async getSplit(orderId, token) {
+    return this.request(`/orders/${orderId}/split`, { token }, 'Failed to load the bill split')
+  }
+
+  async cancelSplit(orderId, token) {
+    return this.request(`/orders/${orderId}/split`, { method: 'DELETE', token }, 'Failed to undo the split')
+  }
+
+  // Start paying one share in the restaurant's currency; in mock mode the server returns a demo intent
+  async createShareIntent(shareId, token) {
+    return this.request(`/shares/${shareId}/create-intent`, {
+      method: 'POST',
+      body: {},
+      token
+    }, 'Failed to start payment')
+  }
+
+  // Confirm a finished Razorpay checkout with the signature it returned
+  async verifyRazorpay({ razorpay_order_id, razorpay_payment_id, razorpay_signature }, token) {
+    return this.request('/razorpay/verify', {
+      method: 'POST',
+      body: { razorpay_order_id, razorpay_payment_id, razorpay_signature },
+      token
+    }, 'Payment could not be verified')
+  }
+
+  // Open the Razorpay checkout for an intent from createIntent/createShareIntent.
+  // Resolves with the verified payment, or null if the guest closes the checkout.
+  async openRazorpayCheckout(intent, { name, description, prefill } = {}, token) {
+    const Razorpay = await loadRazorpayCheckout()
+
+    return new Promise((resolve, reject) => {
+      const checkout = new Razorpay({
+        key: intent.keyId,
+        order_id: intent.razorpayOrderId,
+        amount: intent.amount,
+        currency: intent.currency,
+        name,
+        description,
+        prefill,
+        handler: (response) => {
+          this.verifyRazorpay(response, token).then(resolve, reject)
+        },
+        modal: { ondismiss: () => resolve(null) }
+      })
+      checkout.on('payment.failed', (response) => {
+        reject(new Error(response.error?.description || 'Payment failed'))
+      })
+      checkout.open()
+    })
+  }
+
+  // Staff: shares still to be paid across orders (or filtered by status / table session)
+  async getShares({ status = '', tableSessionId = '' } = {}, token) {
+    const params = new URLSearchParams({
+      ...(status && { status }),
+      ...(tableSessionId && { tableSessionId })
+    })
+    const data = await this.request(`/shares?${params}`, { token }, 'Failed to load bill shares')
+    return data.shares
+  }
+
+  // Staff: record a share paid at the counter
+  async settleShare(shareId, method = 'cash', token) {
+    return this.request(`/shares/${shareId}/settle`, { method: 'POST', body: { method }, token }, 'Failed to settle share')
+  }
+
+  // Admin: webhook events received from payment providers ({ events, pagination })
+  async getEvents({ provider = '', status = '', orderId = '', page = 1 } = {}, token) {
+    const params = new URLSearchParams({
+      page,
+      ...(provider && { provider }),
+      ...(status && { status }),
+      ...(orderId && { orderId })
+    })
+    return this.request(`/events?${params}`, { token }, 'Failed to load payment events')
+  }
+
+  // Admin: one event with its raw payload
+  async getEvent(eventId, token) {
+    return this.request(`/events/${eventId}`, { token }, 'Failed to load payment event')
+  }
+
+  // Admin: process a stored event again
+  async replayEvent(eventId, token) {
+    return this.request(`/events/${eventId}/replay`, { method: 'POST', token }, 'Failed to replay payment event')
+  }
+}
+
+export default new PaymentService()
@@ -0,0 +1,50 @@
+const API_URL = `${import.meta.env.VITE_API_URL}/api/print`;
+
+class PrintService {
+  async request(path, { method = 'GET', body, token, fallbackMessage }) {
+    const headers = {};
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers,
+      credentials: 'include',
+      ...(body && { body: JSON.stringify(body) })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.errors?.[0]?.message || data.message || fallbackMessage);
+    }
+
+    return { message: data.message, ...data.data };
+  }
+
+  // Printer stations (staff/admin): { enabled, transport, autoPrint, defaultStation, billStation, stations: [{ name, address }] }
+  async getStations(token) {
+    return this.request('/stations', { token, fallbackMessage: 'Failed to fetch printer stations' });
+  }
+
+  // Reprint an order's kitchen tickets, at every station or just one; resolves with { message, jobs }
+  async reprintKitchenTickets(orderId, station = '', token) {
+    return this.request(`/orders/${orderId}/kitchen`, {
+      method: 'POST',
+      body: station ? { station } : {},
+      token,
+      fallbackMessage: 'Failed to reprint kitchen tickets'
+    });
+  }
+
+  // Print an order's bill at the bill station (or the given one); resolves with { message, jobs }
+  async printBill(orderId, station = '', token) {
+    return this.request(`/orders/${orderId}/bill`, {
+      method: 'POST',
+      body: station ? { station } : {},
+      token,
+      fallbackMessage: 'Failed to print bill'
+    });
+  }
+}
+
+export default new PrintService();
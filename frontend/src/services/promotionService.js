@@ -0,0 +1,46 @@
+const API_URL = `${import.meta.env.VITE_API_URL}/api/promotions`
+
+// Admin: promo codes and their discounts
+class PromotionService {
+  async request(path, { method = 'GET', body, token } = {}, fallbackMessage) {
+    const headers = {}
+    if (body) headers['Content-Type'] = 'application/json'
+    if (token) headers['Authorization'] = `Bearer ${token}`
+
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers,
+      credentials: 'include',
+      ...(body && { body: JSON.stringify(body) })
+    })
+
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      // Validation failures name the first bad field
+      throw new Error(data.errors?.[0]?.message || data.message || fallbackMessage)
+    }
+
+    return data.data
+  }
+
+  async getPromotions(token) {
+    const data = await this.request('', { token }, 'Failed to load promotions')
+    return data.promotions
+  }
+
+  async createPromotion(promotion, token) {
+    const data = await this.request('', { method: 'POST', body: promotion, token }, 'Failed to create promotion')
+    return data.promotion
+  }
+
+  async updatePromotion(id, promotion, token) {
+    const data = await this.request(`/${id}`, { method: 'PUT', body: promotion, token }, 'Failed to update promotion')
+    return data.promotion
+  }
+
+  async deletePromotion(id, token) {
+    return this.request(`/${id}`, { method: 'DELETE', token }, 'Failed to delete promotion')
+  }
+}
+
+export default new PromotionService()
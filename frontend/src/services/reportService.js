@@ -0,0 +1,39 @@
+const API_URL = `${import.meta.env.VITE_API_URL}/api/reports`
+
+// Admin: accounting reports. The Z report takes date ("YYYY-MM-DD", a business
+// day) and cutoffHour; both default on the server to the day in progress and
+// its configured cutoff
+class ReportService {
+  async request(path, params = {}, token, fallbackMessage) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    )
+
+    const response = await fetch(`${API_URL}${path}?${query}`, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+      credentials: 'include'
+    })
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      // Validation failures name the first bad field
+      throw new Error(data.errors?.[0]?.message || data.message || fallbackMessage)
+    }
+
+    return response
+  }
+
+  async getZReport(params, token) {
+    const response = await this.request('/z', params, token, 'Failed to load Z report')
+    const data = await response.json()
+    return data.data
+  }
+
+  // format: csv or pdf; resolves with the file
+  async downloadZReport(params, format, token) {
+    const response = await this.request('/z', { ...params, format }, token, 'Failed to download Z report')
+    return response.blob()
+  }
+}
+
+export default new ReportService()
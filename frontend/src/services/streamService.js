@@ -0,0 +1,85 @@
+import customerService from './customerService'
+
+const API_URL = `${import.meta.env.VITE_API_URL}/api/auth`
+
+// Wait before opening a stream again after the server refused it (e.g. its ticket expired)
+const REOPEN_DELAY_MS = 3000
+
+class StreamService {
+  // A short-lived ticket that opens one event stream. EventSource cannot send headers, and the
+  // access and customer tokens must not end up in URLs, so the ticket travels as ?ticket= instead.
+  async getTicket(token) {
+    const headers = {}
+    if (token) headers['Authorization'] = `Bearer ${token}`
+    const customerToken = customerService.getToken()
+    if (customerToken) headers['X-Customer-Token'] = customerToken
+
+    const response = await fetch(`${API_URL}/stream-ticket`, { method: 'POST', headers, credentials: 'include' })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const err = new Error(data.message || 'Failed to open the live stream')
+      err.status = response.status
+      throw err
+    }
+
+    return data.data.ticket
+  }
+
+  // Open a Server-Sent Events stream and pass each event of eventTypes to onEvent(type, data).
+  // The browser retries dropped connections with the same URL; once the server refuses one because
+  // the ticket expired, the stream is opened again with a fresh ticket. Returns a close function.
+  open(url, { token = null, eventTypes, onEvent, label = 'Event' }) {
+    let source = null
+    let timer = null
+    let closed = false
+
+    const reopenLater = () => {
+      if (!closed) timer = setTimeout(connect, REOPEN_DELAY_MS)
+    }
+
+    const connect = async () => {
+      let ticket
+      try {
+        ticket = await this.getTicket(token)
+      } catch (err) {
+        console.debug(`[streamService] ${label} stream unavailable:`, err.message)
+        // Signed out or the table session ended: a new ticket won't help
+        if (!err.status || err.status >= 500) reopenLater()
+        return
+      }
+      if (closed) return
+
+      source = new EventSource(`${url}?${new URLSearchParams({ ticket })}`)
+
+      eventTypes.forEach((type) => {
+        source.addEventListener(type, (e) => {
+          try {
+            onEvent(type, JSON.parse(e.data))
+          } catch (err) {
+            console.error(`[streamService] Failed to parse ${label.toLowerCase()} event`, err)
+          }
+        })
+      })
+
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          console.debug(`[streamService] ${label} stream closed, reopening with a new ticket...`)
+          reopenLater()
+        } else {
+          // EventSource reconnects on its own; just note it for debugging
+          console.debug(`[streamService] ${label} stream interrupted, reconnecting...`)
+        }
+      }
+    }
+
+    connect()
+
+    return () => {
+      closed = true
+      clearTimeout(timer)
+      if (source) source.close()
+    }
+  }
+}
+
+export default new StreamService()
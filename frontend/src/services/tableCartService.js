@@ -0,0 +1,74 @@
+import customerService from './customerService'
+import streamService from './streamService'
+
+const API_URL = `${import.meta.env.VITE_API_URL}/api/cart`
+
+class TableCartService {
+  // Every call is made as the guest who joined the table
+  async request(path, { method = 'GET', body, token } = {}, fallbackMessage) {
+    const headers = { 'X-Customer-Token': customerService.getToken() }
+    if (body) headers['Content-Type'] = 'application/json'
+    if (token) headers['Authorization'] = `Bearer ${token}`
+
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers,
+      credentials: 'include',
+      ...(body && { body: JSON.stringify(body) })
+    })
+
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      customerService.handleSessionError(response.status, data.message)
+      const err = new Error(data.message || fallbackMessage)
+      err.status = response.status
+      err.details = data.data || null
+      throw err
+    }
+
+    return data.data
+  }
+
+  // Whether the current visitor shares a cart with their table
+  isActive() {
+    const guest = customerService.getCustomerInfo()
+    return Boolean(guest && !guest.expired && guest.tableSession)
+  }
+
+  async getCart() {
+    return this.request('', {}, 'Failed to load the table cart')
+  }
+
+  async addItem({ menuItemId, quantity = 1, options = [], note = '' }) {
+    return this.request('/items', { method: 'POST', body: { menuItemId, quantity, options, note } }, 'Failed to add item')
+  }
+
+  async updateItem(lineId, changes) {
+    return this.request(`/items/${lineId}`, { method: 'PATCH', body: changes }, 'Failed to update item')
+  }
+
+  async removeItem(lineId) {
+    return this.request(`/items/${lineId}`, { method: 'DELETE' }, 'Failed to remove item')
+  }
+
+  async clear() {
+    return this.request('', { method: 'DELETE' }, 'Failed to clear the cart')
+  }
+
+  // Place one order with everything the table added. Fails with err.details on unavailable items.
+  // A signed-in guest can pass their user token so the order also shows in their account.
+  async submit(token = null, promoCode = '') {
+    return this.request('/submit', { method: 'POST', token, body: promoCode ? { promoCode } : undefined }, 'Order creation failed')
+  }
+
+  // Live cart for everyone at the table. onEvent receives { type, cart, order? }. Returns an unsubscribe function.
+  subscribe(onEvent) {
+    return streamService.open(`${API_URL}/stream`, {
+      eventTypes: ['ready', 'cart.updated', 'cart.submitted'],
+      onEvent: (type, data) => onEvent({ type, ...data }),
+      label: 'Cart'
+    })
+  }
+}
+
+export default new TableCartService()
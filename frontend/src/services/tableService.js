@@ -57,25 +57,35 @@ class TableService {
     return data.data;
   }
 
-  // Admin: Toggle table occupancy
-  async toggleOccupancy(tableId, occupied, token) {
-    const response = await fetch(`${API_URL}/${tableId}/occupancy`, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      credentials: 'include',
-      body: JSON.stringify({ occupied })
+  // Admin: QR code image for a table, rendered by the backend ('png' or 'svg')
+  async getQRCode(tableId, format, token) {
+    const response = await fetch(`${API_URL}/${tableId}/qr?format=${format}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      credentials: 'include'
     });
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
-      throw new Error(error.message || 'Failed to update occupancy');
+      throw new Error(error.message || 'Failed to load QR code');
     }
 
-    const data = await response.json();
-    return data.data;
+    return response.blob();
+  }
+
+  // Admin: printable PDF with QR cards for one table, or all tables when tableId is omitted
+  async getQRSheet(tableId, token) {
+    const url = tableId ? `${API_URL}/${tableId}/qr-sheet` : `${API_URL}/qr-sheet`;
+    const response = await fetch(url, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || 'Failed to generate QR sheet');
+    }
+
+    return response.blob();
   }
 
   // Generate customer-facing QR URL (not the API endpoint!)
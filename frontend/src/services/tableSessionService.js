@@ -0,0 +1,83 @@
+const API_URL = `${import.meta.env.VITE_API_URL}/api/table-sessions`
+
+class TableSessionService {
+  // Staff: list table sessions with their running bills
+  async getSessions(status = 'open', token) {
+    const response = await fetch(`${API_URL}?status=${status}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      credentials: 'include'
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      throw new Error(error.message || 'Failed to fetch table sessions')
+    }
+
+    const data = await response.json()
+    return data.data.sessions
+  }
+
+  // Staff: one session with its orders
+  async getSession(sessionId, token) {
+    const response = await fetch(`${API_URL}/${sessionId}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      credentials: 'include'
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      throw new Error(error.message || 'Failed to fetch table session')
+    }
+
+    const data = await response.json()
+    return data.data.session
+  }
+
+  // Staff: close the table. Fails with status 409 and the bill while orders are unpaid, unless forced.
+  async closeSession(sessionId, { force = false, note = '' } = {}, token) {
+    const response = await fetch(`${API_URL}/${sessionId}/close`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      credentials: 'include',
+      body: JSON.stringify({ force, note })
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      const err = new Error(error.message || 'Failed to close table')
+      err.status = response.status
+      err.details = error.data || null
+      throw err
+    }
+
+    const data = await response.json()
+    return data.data
+  }
+
+  // Close a table, asking for confirmation before closing with an unpaid bill.
+  // Resolves to false if the user backed out.
+  async closeSessionWithConfirm(sessionId, tableNumber, token) {
+    if (!window.confirm(`Close table ${tableNumber}? Guests will need to scan again to order.`)) return false
+
+    try {
+      await this.closeSession(sessionId, {}, token)
+      return true
+    } catch (err) {
+      const bill = err.details?.bill
+      if (err.status !== 409 || !bill) throw err
+
+      const forceClose = window.confirm(
+        `Table ${tableNumber} still owes ₹${bill.due.toFixed(2)} across ${bill.unpaidOrders.length} unpaid order(s). Close anyway?`
+      )
+      if (!forceClose) return false
+
+      await this.closeSession(sessionId, { force: true, note: 'Closed with unpaid orders' }, token)
+      return true
+    }
+  }
+}
+
+export default new TableSessionService()
@@ -1,4 +1,5 @@
-import { createSlice } from '@reduxjs/toolkit'
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import tableCartService from '../../services/tableCartService'
 
 const loadCartFromStorage = () => {
   try {
@@ -9,6 +10,14 @@ const loadCartFromStorage = () => {
   }
 }
 
+// The same item with different options is a separate cart line
+export const cartLineKey = (item) => {
+  const optionIds = (item.options || []).map(o => o.optionId).sort()
+  return optionIds.length ? `${item.id}:${optionIds.join(',')}` : item.id
+}
+
+const lineKeyOf = (item) => item.key || item.id
+
 const cartSlice = createSlice({
   name: 'cart',
   initialState: {
@@ -17,25 +26,33 @@ const cartSlice = createSlice({
   },
   reducers: {
     addToCart: (state, action) => {
-      const existingItem = state.items.find(item => item.id === action.payload.id)
+      const key = cartLineKey(action.payload)
+      const existingItem = state.items.find(item => lineKeyOf(item) === key)
       if (existingItem) {
         existingItem.quantity += action.payload.quantity
       } else {
-        state.items.push(action.payload)
+        state.items.push({ ...action.payload, key })
       }
       localStorage.setItem('cart', JSON.stringify(state.items))
     },
     removeFromCart: (state, action) => {
-      state.items = state.items.filter(item => item.id !== action.payload)
+      state.items = state.items.filter(item => lineKeyOf(item) !== action.payload)
       localStorage.setItem('cart', JSON.stringify(state.items))
     },
     updateQuantity: (state, action) => {
-      const item = state.items.find(item => item.id === action.payload.id)
+      const item = state.items.find(item => lineKeyOf(item) === action.payload.key)
       if (item) {
         item.quantity = action.payload.quantity
       }
       localStorage.setItem('cart', JSON.stringify(state.items))
     },
+    updatePrice: (state, action) => {
+      const item = state.items.find(item => lineKeyOf(item) === action.payload.key)
+      if (item) {
+        item.price = action.payload.price
+      }
+      localStorage.setItem('cart', JSON.stringify(state.items))
+    },
     clearCart: (state) => {
       state.items = []
       localStorage.removeItem('cart')
@@ -47,5 +64,27 @@ const cartSlice = createSlice({
   },
 })
 
-export const { addToCart, removeFromCart, updateQuantity, clearCart, setTableToken } = cartSlice.actions
+export const { addToCart, removeFromCart, updateQuantity, updatePrice, clearCart, setTableToken } = cartSlice.actions
+
+// Guests who joined a table add to the table's shared cart; everyone else keeps a local cart
+export const addItemToCart = createAsyncThunk(
+  'cart/addItemToCart',
+  async (item, { dispatch, rejectWithValue }) => {
+    if (!tableCartService.isActive()) {
+      dispatch(addToCart(item))
+      return { shared: false }
+    }
+
+    try {
+      await tableCartService.addItem({
+        menuItemId: item.id,
+        quantity: item.quantity,
+        options: (item.options || []).map(o => o.optionId)
+      })
+      return { shared: true }
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
 export default cartSlice.reducer
\ No newline at end of file